@@ -0,0 +1,254 @@
+/**
+ * Access Control
+ * Two roles: "viewer" (read-only dashboard) and "admin" (settings, mode, connect...).
+ *
+ * An admin PIN (scrypt-hashed) is exchanged for a token at POST /api/auth/login;
+ * admins can also issue long-lived per-device tokens of either role. Tokens are
+ * stored hashed in data/auth.json and can be revoked one by one.
+ *
+ * A request is identified by, in order: `Authorization: Bearer <token>`, the
+ * `mixboard_token` cookie, or `?token=` (for WebSocket clients and OBS sources).
+ * Without a valid token it is a viewer — or nobody, if anonymous viewers are
+ * switched off. Until a PIN is set everyone is admin, as before.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const COOKIE_NAME = 'mixboard_token';
+const ROLES = ['viewer', 'admin'];
+const MIN_PIN_LENGTH = 4;
+// Login throttling per client address
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+    return `${salt}:${crypto.scryptSync(String(pin), salt, 32).toString('hex')}`;
+}
+
+function verifyPin(pin, stored) {
+    if (!stored) return false;
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(pin), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Cookies that are not valid percent-encoding are skipped rather than failing the request
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const idx = part.indexOf('=');
+        if (idx <= 0) continue;
+        try {
+            cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+        } catch (_) { }
+    }
+    return cookies;
+}
+
+class AccessControl extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.dataDir] where auth.json lives
+     */
+    constructor({ dataDir = DATA_DIR } = {}) {
+        super();
+        this.dataDir = dataDir;
+        this.authFile = path.join(dataDir, 'auth.json');
+        this.pinHash = null;
+        this.anonymousViewer = true;
+        this.tokens = [];   // [{ id, hash, role, label, createdAt, lastUsedAt }]
+        this._failures = new Map();   // address -> { count, until }
+        this._load();
+        // MIXBOARD_ADMIN_PIN sets the PIN on headless installs
+        if (process.env.MIXBOARD_ADMIN_PIN && !this._pinMatches(process.env.MIXBOARD_ADMIN_PIN)) {
+            this.setPin(process.env.MIXBOARD_ADMIN_PIN);
+        }
+    }
+
+    get enabled() {
+        return !!this.pinHash;
+    }
+
+    _load() {
+        try {
+            if (fs.existsSync(this.authFile)) {
+                const data = JSON.parse(fs.readFileSync(this.authFile, 'utf-8'));
+                this.pinHash = data.pinHash || null;
+                this.anonymousViewer = data.anonymousViewer !== false;
+                this.tokens = Array.isArray(data.tokens) ? data.tokens : [];
+            }
+        } catch (err) {
+            console.warn('[Auth] Failed to load auth.json:', err.message);
+        }
+    }
+
+    _save() {
+        try {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+            fs.writeFileSync(this.authFile, JSON.stringify({ pinHash: this.pinHash, anonymousViewer: this.anonymousViewer, tokens: this.tokens }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+        } catch (err) {
+            console.error('[Auth] Failed to save auth.json:', err.message);
+        }
+    }
+
+    _pinMatches(pin) {
+        try { return verifyPin(pin, this.pinHash); } catch (_) { return false; }
+    }
+
+    setPin(pin) {
+        if (String(pin || '').length < MIN_PIN_LENGTH) throw new Error(`PIN 至少 ${MIN_PIN_LENGTH} 位`);
+        this.pinHash = hashPin(pin);
+        this._save();
+        console.log('[Auth] 🔒 Admin PIN set');
+    }
+
+    setAnonymousViewer(allowed) {
+        this.anonymousViewer = !!allowed;
+        this._save();
+    }
+
+    // ─── Tokens ──────────────────────────────────────────────────────────────
+
+    /**
+     * @returns {{ token: string, entry: object }} the plain token is only available here
+     */
+    issueToken(role, label = '') {
+        if (!ROLES.includes(role)) throw new Error(`无效的角色: ${role}`);
+        const token = crypto.randomBytes(32).toString('hex');
+        const entry = {
+            id: crypto.randomUUID(),
+            hash: hashToken(token),
+            role,
+            label: String(label || '').slice(0, 64),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+        };
+        this.tokens.push(entry);
+        this._save();
+        return { token, entry: this._describe(entry) };
+    }
+
+    listTokens() {
+        return this.tokens.map(t => this._describe(t));
+    }
+
+    _describe({ hash, ...entry }) {
+        return entry;
+    }
+
+    revoke(id) {
+        const entry = this.tokens.find(t => t.id === id);
+        if (!entry) return false;
+        this.tokens = this.tokens.filter(t => t.id !== id);
+        this._save();
+        console.log(`[Auth] Token revoked: ${entry.label || entry.id}`);
+        this.emit('revoked', id);
+        return true;
+    }
+
+    _findToken(token) {
+        if (!token) return null;
+        const hash = hashToken(token);
+        const entry = this.tokens.find(t => t.hash === hash);
+        if (entry) entry.lastUsedAt = new Date().toISOString();
+        return entry || null;
+    }
+
+    // ─── Login ───────────────────────────────────────────────────────────────
+
+    /**
+     * Exchange the PIN for an admin token.
+     * @returns {{ token: string, entry: object }}
+     */
+    login(pin, address, label = '') {
+        const failure = this._failures.get(address) || { count: 0, until: 0 };
+        if (failure.until > Date.now()) throw new Error('尝试次数过多，请稍后再试');
+        if (!this.enabled) throw new Error('尚未设置 PIN');
+        if (!this._pinMatches(pin)) {
+            failure.count++;
+            if (failure.count >= MAX_FAILURES) {
+                failure.count = 0;
+                failure.until = Date.now() + LOCKOUT_MS;
+            }
+            this._failures.set(address, failure);
+            console.warn(`[Auth] Failed login from ${address}`);
+            throw new Error('PIN 错误');
+        }
+        this._failures.delete(address);
+        return this.issueToken('admin', label || `登录 ${address}`);
+    }
+
+    // ─── Request identification ──────────────────────────────────────────────
+
+    tokenFrom(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) return header.slice(7).trim();
+        const cookie = parseCookies(req.headers.cookie)[COOKIE_NAME];
+        if (cookie) return cookie;
+        try {
+            return new URL(req.url, 'http://localhost').searchParams.get('token') || null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {{ role: string, tokenId: string }|null} null for unknown tokens
+     */
+    identifyToken(token) {
+        const entry = this._findToken(token);
+        return entry ? { role: entry.role, tokenId: entry.id } : null;
+    }
+
+    /**
+     * @returns {{ role: string|null, tokenId: string|null }}
+     */
+    identify(req) {
+        const known = this.identifyToken(this.tokenFrom(req));
+        if (known) return known;
+        if (!this.enabled) return { role: 'admin', tokenId: null };
+        return { role: this.anonymousViewer ? 'viewer' : null, tokenId: null };
+    }
+
+    /**
+     * Express middleware: sets req.role / req.tokenId.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const { role, tokenId } = this.identify(req);
+            req.role = role;
+            req.tokenId = tokenId;
+            next();
+        };
+    }
+
+    /**
+     * Express middleware factory rejecting requests below `role`.
+     */
+    requireRole(role) {
+        const needed = ROLES.indexOf(role);
+        return (req, res, next) => {
+            if (ROLES.indexOf(req.role) >= needed) return next();
+            res.status(req.role ? 403 : 401).json({ ok: false, error: req.role ? '需要管理员权限' : '需要登录' });
+        };
+    }
+
+    cookieHeader(token) {
+        return token
+            ? `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${365 * 24 * 3600}`
+            : `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+}
+
+AccessControl.ROLES = ROLES;
+
+module.exports = AccessControl;
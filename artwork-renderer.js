@@ -0,0 +1,156 @@
+/**
+ * Artwork Renderer
+ * Decodes, scales and re-encodes covers for artwork-service.js on a worker
+ * thread: jpeg-js and pngjs are pure JavaScript, and a large cover takes long
+ * enough to decode that doing it on the main thread stalls the WebSocket
+ * stream and every other request.
+ *
+ * The same file is the worker's entry point. Jobs run one at a time in the
+ * order they were sent; the worker is started on the first job and does not
+ * keep the process alive.
+ */
+
+const path = require('path');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+const JPEG_QUALITY = 85;
+
+function imageType(data) {
+    if (data[0] === 0xff && data[1] === 0xd8) return { type: 'image/jpeg', ext: 'jpg' };
+    if (data.toString('latin1', 1, 4) === 'PNG') return { type: 'image/png', ext: 'png' };
+    return null;
+}
+
+function decode(data) {
+    const format = imageType(data);
+    if (!format) return null;
+    try {
+        return format.ext === 'png' ? PNG.sync.read(data) : jpeg.decode(data, { useTArray: true, maxMemoryUsageInMB: 128 });
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Box-filter downscale of RGBA pixels so the longer edge is `size`, composited
+ * onto black (JPEG has no alpha; the dashboards are dark).
+ */
+function downscale({ width, height, data }, size) {
+    const scale = size / Math.max(width, height);
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+    const out = Buffer.alloc(w * h * 4);
+    for (let y = 0; y < h; y++) {
+        const y0 = Math.floor(y * height / h);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / h));
+        for (let x = 0; x < w; x++) {
+            const x0 = Math.floor(x * width / w);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / w));
+            let r = 0, g = 0, b = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0, i = (sy * width + x0) * 4; sx < x1; sx++, i += 4) {
+                    const alpha = data[i + 3] / 255;
+                    r += data[i] * alpha;
+                    g += data[i + 1] * alpha;
+                    b += data[i + 2] * alpha;
+                }
+            }
+            const n = (y1 - y0) * (x1 - x0);
+            const o = (y * w + x) * 4;
+            out[o] = r / n;
+            out[o + 1] = g / n;
+            out[o + 2] = b / n;
+            out[o + 3] = 255;
+        }
+    }
+    return { width: w, height: h, data: out };
+}
+
+/**
+ * JPEG thumbnail of a cover whose longer edge is at most `size`.
+ * @returns {Buffer|null} null when the stored image already is the thumbnail:
+ *   undecodable, or a JPEG small enough. Small PNGs are still re-encoded (at
+ *   their own size), so thumbnails are JPEG.
+ */
+function thumbnail(data, size) {
+    const pixels = decode(data);
+    if (!pixels) return null;
+    const edge = Math.max(pixels.width, pixels.height);
+    if (edge <= size && imageType(data).ext === 'jpg') return null;
+    return Buffer.from(jpeg.encode(downscale(pixels, Math.min(size, edge)), JPEG_QUALITY).data);
+}
+
+class ArtworkRenderer {
+    constructor() {
+        this._worker = null;
+        this._jobs = new Map(); // id -> { resolve, reject }
+        this._nextId = 1;
+    }
+
+    /**
+     * thumbnail() on the worker thread.
+     * @returns {Promise<Buffer|null>}
+     */
+    thumbnail(data, size) {
+        const worker = this._worker || this._start();
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._jobs.set(id, { resolve, reject });
+            worker.postMessage({ id, data, size });
+        });
+    }
+
+    /**
+     * Stop the worker; pending jobs fail.
+     */
+    async stop() {
+        const worker = this._worker;
+        if (!worker) return;
+        this._fail(worker, new Error('Artwork renderer stopped'));
+        await worker.terminate();
+    }
+
+    _start() {
+        const worker = new Worker(path.join(__dirname, 'artwork-renderer.js'));
+        worker.unref();
+        worker.on('message', ({ id, data, error }) => {
+            const job = this._jobs.get(id);
+            if (!job) return;
+            this._jobs.delete(id);
+            if (error) job.reject(new Error(error));
+            else job.resolve(data ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : null);
+        });
+        worker.on('error', (err) => {
+            console.error('[Artwork] Renderer failed:', err.message);
+            this._fail(worker, err);
+        });
+        worker.on('exit', () => this._fail(worker, new Error('Artwork renderer exited')));
+        this._worker = worker;
+        return worker;
+    }
+
+    // The next job starts a fresh worker
+    _fail(worker, err) {
+        if (this._worker !== worker) return;
+        this._worker = null;
+        for (const job of this._jobs.values()) job.reject(err);
+        this._jobs.clear();
+    }
+}
+
+if (!isMainThread && parentPort) {
+    parentPort.on('message', ({ id, data, size }) => {
+        try {
+            parentPort.postMessage({ id, data: thumbnail(Buffer.from(data.buffer, data.byteOffset, data.byteLength), size) });
+        } catch (err) {
+            parentPort.postMessage({ id, error: err.message });
+        }
+    });
+}
+
+ArtworkRenderer.imageType = imageType;
+ArtworkRenderer.thumbnail = thumbnail;
+
+module.exports = ArtworkRenderer;
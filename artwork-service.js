@@ -0,0 +1,269 @@
+/**
+ * Artwork Service
+ * Album art from the Engine databases (see EngineLibrary.albumArt), served from
+ * stable per-track URLs instead of re-querying the database for every request.
+ *
+ * Images are keyed by their hash, so tracks sharing a cover share one entry and
+ * the hash doubles as the ETag. Each size is rendered once — in the background
+ * when a track's URL is first handed out, so the dashboards' requests find it
+ * ready — then kept in an in-memory LRU and, with artworkCache.diskCache in
+ * data/settings.json, as a file under data/artwork/ that survives restarts (the
+ * least recently used files go once the folder outgrows DISK_CACHE_BYTES).
+ * Thumbnails are scaled with jpeg-js / pngjs (no native image library) on a
+ * worker thread (see artwork-renderer.js) and always come out as JPEG.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ArtworkRenderer = require('./artwork-renderer');
+
+const CACHE_DIR = path.join(__dirname, 'data', 'artwork');
+// Thumbnail edge lengths, in pixels; without a size the stored image is served
+const SIZES = [64, 128, 256];
+// Rendered images kept in memory (originals are a few hundred KB at most)
+const MEMORY_ITEMS = 64;
+// Size of data/artwork/ before the least recently used files are deleted
+const DISK_CACHE_BYTES = 100 * 1024 * 1024;
+// Track → cover lookups kept (as EngineLibrary's trackInfo cache)
+const REF_CACHE_SIZE = 500;
+// Characters of the hash used in URLs (?v=) to tell versions apart
+const VERSION_LENGTH = 12;
+
+const DEFAULTS = {
+    diskCache: true,          // keep rendered images in data/artwork/
+};
+
+function artworkError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function mimeType(data) {
+    const format = ArtworkRenderer.imageType(data);
+    return format ? format.type : 'application/octet-stream';
+}
+
+class ArtworkService {
+    /**
+     * @param {object} options
+     * @param {EngineLibrary} options.library where the covers are read from
+     * @param {function(): object} options.getSettings returns the current settings object
+     * @param {string} [options.cacheDir] where rendered images are kept on disk
+     * @param {number} [options.maxDiskBytes] size of the folder before it is trimmed
+     */
+    constructor({ library, getSettings, cacheDir = CACHE_DIR, maxDiskBytes = DISK_CACHE_BYTES }) {
+        this.library = library;
+        this.getSettings = getSettings;
+        this.cacheDir = cacheDir;
+        this.maxDiskBytes = maxDiskBytes;
+        this.renderer = new ArtworkRenderer();
+        this._refs = new Map(); // 'source|trackId' -> { source, trackId, hash } | null (no cover)
+        this._memory = new Map(); // '<hash>-<size>' -> image, in LRU order
+        this._rendering = new Map(); // '<hash>-<size>' -> Promise<image>, while on the renderer
+        this._diskBytes = null; // size of the cache folder, counted on the first write
+    }
+
+    get config() {
+        return { ...DEFAULTS, ...(this.getSettings().artworkCache || {}) };
+    }
+
+    /**
+     * Stable URL of a track's cover, with its hash as version — what deck state carries.
+     * The first call for a track starts rendering its thumbnails.
+     * @returns {string|null} null when the track has no cover
+     */
+    urlFor(trackId, query = {}) {
+        const ref = this._ref(trackId, query.source);
+        if (!ref) return null;
+        if (!ref.prerendered) {
+            ref.prerendered = true;
+            setImmediate(() => this._prerender(ref));
+        }
+        return `/api/artwork/track/${ref.trackId}?source=${encodeURIComponent(ref.source)}&v=${ref.hash.slice(0, VERSION_LENGTH)}`;
+    }
+
+    /**
+     * A track's cover at one size.
+     * @param {{ source?, size? }} query size is one of SIZES; omitted for the stored image
+     * @returns {Promise<{ type: string, data: Buffer, etag: string, version: string }>}
+     * @throws {Error} with .status 400 (bad size) or 404 (no cover)
+     */
+    async get(trackId, query = {}) {
+        const size = query.size === undefined || query.size === '' ? null : Number(query.size);
+        if (size !== null && !SIZES.includes(size)) throw artworkError(400, `无效的封面尺寸: ${query.size}（可选 ${SIZES.join(' / ')}）`);
+        const ref = this._ref(trackId, query.source);
+        if (!ref) throw artworkError(404, '该曲目没有封面');
+
+        const key = `${ref.hash}-${size || 'full'}`;
+        const image = this._memory.get(key) || this._readDisk(key) || await this._render(ref, key, size);
+        this._cache(key, image);
+        return image;
+    }
+
+    /**
+     * Express handler serving the image `lookup(req)` resolves to.
+     * URLs carrying the current ?v= (deck state's `artwork`) never change content, so
+     * browsers may keep them; everything else revalidates against the ETag.
+     */
+    route(lookup) {
+        return async (req, res) => {
+            try {
+                const image = await lookup(req);
+                res.set({
+                    'Content-Type': image.type,
+                    ETag: image.etag,
+                    'Cache-Control': req.query.v === image.version ? 'public, max-age=31536000, immutable' : 'no-cache',
+                });
+                if (req.fresh) return res.status(304).end();
+                res.send(image.data);
+            } catch (err) {
+                res.status(err.status || 500).json({ ok: false, error: err.message });
+            }
+        };
+    }
+
+    /**
+     * Stop the renderer's worker thread (shutdown).
+     */
+    stop() {
+        return this.renderer.stop();
+    }
+
+    /**
+     * Forget which track has which cover, e.g. after a database was (re)downloaded.
+     * Rendered images stay cached: they are keyed by content.
+     */
+    invalidate() {
+        this._refs.clear();
+    }
+
+    _ref(trackId, source) {
+        const refKey = `${source || ''}|${trackId}`;
+        if (this._refs.has(refKey)) return this._refs.get(refKey);
+        const art = this.library.albumArt(trackId, { source });
+        let ref = null;
+        if (art) {
+            // The hash ends up in file names and ETags
+            const hash = /^[\w-]{1,64}$/.test(art.hash) ? art.hash : crypto.createHash('sha1').update(art.hash).digest('hex');
+            ref = { source: art.source, trackId: art.trackId, hash };
+            // The original is needed for every first render of a size; keep it while it's at hand
+            const key = `${hash}-full`;
+            if (!this._memory.has(key)) this._cache(key, this._image(key, art.data));
+        }
+        if (this._refs.size >= REF_CACHE_SIZE) this._refs.delete(this._refs.keys().next().value);
+        this._refs.set(refKey, ref);
+        return ref;
+    }
+
+    // One size after the other, so the requests of a track load never queue behind all of them
+    async _prerender(ref) {
+        for (const size of SIZES) {
+            const key = `${ref.hash}-${size}`;
+            if (this._memory.has(key) || this._readDisk(key)) continue;
+            try {
+                this._cache(key, await this._render(ref, key, size));
+            } catch (err) {
+                console.warn(`[Artwork] Thumbnail of track ${ref.trackId} failed:`, err.message);
+                return;
+            }
+        }
+    }
+
+    // Insert or refresh an entry at the young end of the LRU
+    _cache(key, image) {
+        this._memory.delete(key);
+        this._memory.set(key, image);
+        if (this._memory.size > MEMORY_ITEMS) this._memory.delete(this._memory.keys().next().value);
+    }
+
+    // key is '<hash>-<size>'; version is what urlFor() puts in ?v=
+    _image(key, data, type = mimeType(data)) {
+        return { type, data, etag: `"${key}"`, version: key.slice(0, key.lastIndexOf('-')).slice(0, VERSION_LENGTH) };
+    }
+
+    // A size that is already on the renderer is not queued twice
+    _render(ref, key, size) {
+        if (!this._rendering.has(key)) {
+            const rendering = this._renderNow(ref, key, size).finally(() => this._rendering.delete(key));
+            this._rendering.set(key, rendering);
+        }
+        return this._rendering.get(key);
+    }
+
+    async _renderNow(ref, key, size) {
+        const art = this.library.albumArt(ref.trackId, { source: ref.source });
+        if (!art) throw artworkError(404, '该曲目没有封面');
+        let image = this._image(key, art.data);
+        if (size) {
+            const data = await this.renderer.thumbnail(art.data, size);
+            if (data) image = this._image(key, data, 'image/jpeg');
+        }
+        this._writeDisk(key, image);
+        return image;
+    }
+
+    _readDisk(key) {
+        if (!this.config.diskCache) return null;
+        for (const [ext, type] of [['jpg', 'image/jpeg'], ['png', 'image/png'], ['bin', 'application/octet-stream']]) {
+            const file = path.join(this.cacheDir, `${key}.${ext}`);
+            try {
+                const image = this._image(key, fs.readFileSync(file), type);
+                // The modification time orders files for eviction
+                const now = new Date();
+                fs.utimesSync(file, now, now);
+                return image;
+            } catch (_) { }
+        }
+        return null;
+    }
+
+    _writeDisk(key, image) {
+        if (!this.config.diskCache) return;
+        const ext = { 'image/jpeg': 'jpg', 'image/png': 'png' }[image.type] || 'bin';
+        try {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            if (this._diskBytes === null) this._diskBytes = this._diskFiles().reduce((sum, f) => sum + f.size, 0);
+            fs.writeFileSync(path.join(this.cacheDir, `${key}.${ext}`), image.data);
+            this._diskBytes += image.data.length;
+        } catch (err) {
+            console.error('[Artwork] Disk cache write failed:', err.message);
+        }
+        if (this._diskBytes > this.maxDiskBytes) this._trimDisk();
+    }
+
+    _diskFiles() {
+        try {
+            return fs.readdirSync(this.cacheDir).map(name => {
+                const file = path.join(this.cacheDir, name);
+                const { size, mtimeMs } = fs.statSync(file);
+                return { file, size, mtimeMs };
+            });
+        } catch (_) {
+            return [];
+        }
+    }
+
+    // Delete the least recently used files until the folder is back to 3/4 of the limit
+    _trimDisk() {
+        const files = this._diskFiles().sort((a, b) => a.mtimeMs - b.mtimeMs);
+        let total = files.reduce((sum, f) => sum + f.size, 0);
+        let removed = 0;
+        for (const f of files) {
+            if (total <= this.maxDiskBytes * 0.75) break;
+            try {
+                fs.unlinkSync(f.file);
+                total -= f.size;
+                removed++;
+            } catch (_) { }
+        }
+        this._diskBytes = total;
+        if (removed) console.log(`[Artwork] Disk cache trimmed: ${removed} file(s) removed`);
+    }
+}
+
+ArtworkService.DEFAULTS = DEFAULTS;
+ArtworkService.SIZES = SIZES;
+
+module.exports = ArtworkService;
@@ -0,0 +1,87 @@
+/**
+ * Deck Events
+ * Turns the continuous state stream into discrete events for integrations
+ * (MQTT, webhooks): a new track on a deck, play/stop, master changes and
+ * devices coming and going.
+ *
+ * Events:
+ *   'trackChanged'       ({ deck, deviceId, track, previous })  — track is null on eject
+ *   'playStateChanged'   ({ deck, deviceId, playing, track })
+ *   'masterChanged'      ({ deck, previous })                   — deck is null when no deck is master
+ *   'deviceConnected'    ({ ip, deviceName, softwareName, softwareVersion, tokenId })
+ *   'deviceDisconnected' ({ ip, deviceName, tokenId, decks, reason: 'user' | 'lost' | 'stopped' }) — decks it owned
+ *   'mediaChanged'       ({ ip, deviceName, media: 'usb' | 'sd', present })
+ */
+
+const EventEmitter = require('events');
+const NowPlaying = require('./now-playing');
+
+// Media flags reported right after connecting describe what was already
+// inserted, not an insertion — only changes after this settle time count
+const MEDIA_SETTLE_MS = 5000;
+
+function loadedTrack(state, deckNum) {
+    const deck = state.decks[deckNum];
+    if (!deck || !(deck.songLoaded || deck.trackName || deck.songName)) return null;
+    return NowPlaying.describeDeck(state, deckNum);
+}
+
+class DeckEvents extends EventEmitter {
+    /**
+     * @param {StagelinqManager} manager emits 'stateUpdate', 'deviceReady', 'deviceDisconnected'
+     */
+    constructor(manager) {
+        super();
+        this.manager = manager;
+        // deckNum -> { key, playing }
+        this._decks = {};
+        this._master = null;
+        // device id -> { usb, sd }
+        this._media = {};
+        manager.on('stateUpdate', (state) => this.update(state));
+        manager.on('deviceReady', (info) => this.emit('deviceConnected', info));
+        manager.on('deviceDisconnected', (info) => {
+            delete this._media[info.ip];
+            this.emit('deviceDisconnected', info);
+        });
+    }
+
+    update(state) {
+        if (!state || !state.decks) return;
+        let master = null;
+        for (let n = 1; n <= 4; n++) {
+            const deck = state.decks[n];
+            if (!deck) continue;
+            const track = loadedTrack(state, n);
+            const key = track ? track.key : '';
+            const playing = !!deck.playState;
+            const prev = this._decks[n] || { key: '', playing: false, track: null };
+            if (key !== prev.key) {
+                this.emit('trackChanged', { deck: n, deviceId: deck.deviceId, track, previous: prev.track });
+            }
+            if (playing !== prev.playing) {
+                this.emit('playStateChanged', { deck: n, deviceId: deck.deviceId, playing, track });
+            }
+            this._decks[n] = { key, playing, track };
+            if (deck.deckIsMaster && master === null) master = n;
+        }
+        for (const device of Object.values(state.devices || {})) {
+            if (device.connectionState !== 'connected') continue;
+            const prev = this._media[device.id];
+            const media = { usb: !!device.hasUsb, sd: !!device.hasSDCard };
+            this._media[device.id] = media;
+            const settling = !device.connectedAt || Date.now() - Date.parse(device.connectedAt) < MEDIA_SETTLE_MS;
+            if (!prev || settling) continue;
+            for (const kind of ['usb', 'sd']) {
+                if (media[kind] !== prev[kind]) this.emit('mediaChanged', { ip: device.ip, deviceName: device.name, media: kind, present: media[kind] });
+            }
+        }
+        if (master !== this._master) {
+            const previous = this._master;
+            this._master = master;
+            this.emit('masterChanged', { deck: master, previous });
+        }
+    }
+}
+
+module.exports = DeckEvents;
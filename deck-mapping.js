@@ -0,0 +1,113 @@
+/**
+ * Deck Slot Mapping
+ * Maps a (device, player, layer) triple to one of the four dashboard deck slots.
+ *
+ * StagelinQ reports decks as `${player}${layer}` ("1A", "2B"...). Each hardware
+ * model lays its layers out differently, so every device gets an auto-detected
+ * profile, optionally overridden per layer by the user (saved in device history).
+ */
+
+const SLOTS = [1, 2, 3, 4];
+const LAYERS = ['A', 'B', 'C', 'D'];
+
+const PROFILES = {
+    prime4: { name: 'Prime 4', pattern: /prime\s*4/i, layers: ['A', 'B', 'C', 'D'] },
+    prime2: { name: 'Prime 2', pattern: /prime\s*2/i, layers: ['A', 'B'] },
+    primego: { name: 'Prime GO', pattern: /prime\s*go/i, layers: ['A', 'B'] },
+    // Standalone players: each unit has a player number (1-4) set on the device;
+    // layer A sits on the player's own slot, layer B two slots further (or the
+    // next one no other player sits on)
+    sc6000: { name: 'SC6000 / SC5000', pattern: /sc\s*[56]000/i, layers: ['A', 'B'], perPlayer: true },
+    // Unknown hardware, mixers included (they report no decks): layers by letter,
+    // without taking slots from other devices
+    default: { name: '通用', pattern: null, layers: ['A', 'B', 'C', 'D'], shared: true },
+};
+
+function detectModel(deviceName) {
+    const name = String(deviceName || '');
+    const found = Object.entries(PROFILES).find(([, p]) => p.pattern && p.pattern.test(name));
+    return found ? found[0] : 'default';
+}
+
+// Wrap out-of-range slots (e.g. player 3 layer B on an SC6000) back into 1-4
+function wrapSlot(slot) {
+    return ((slot - 1) % SLOTS.length) + 1;
+}
+
+/**
+ * Default layer → slot table for a model and player number.
+ * @param {number[]} reserved slots other devices sit on. A per-player layer that
+ *   would land on one takes the next free slot instead, or null (unmapped) when
+ *   every slot is taken — two SC6000s set to players 1 and 3 would otherwise share
+ *   slots 1 and 3. Recognised all-in-one units take the lowest free slots, so a
+ *   second Prime 2 goes on 3-4 instead of on top of the first.
+ */
+function defaultMapping(model, player = 1, reserved = []) {
+    const profile = PROFILES[model] || PROFILES.default;
+    const p = parseInt(player) || 1;
+    const mapping = {};
+    profile.layers.forEach((layer, i) => {
+        if (profile.shared) { mapping[layer] = i + 1; return; }
+        if (!profile.perPlayer) {
+            const taken = [...reserved, ...Object.values(mapping)];
+            mapping[layer] = SLOTS.find(slot => !taken.includes(slot)) || null;
+            return;
+        }
+        let slot = wrapSlot(p + i * 2);
+        if (i === 0) { mapping[layer] = slot; return; }
+        const taken = [...reserved, ...Object.values(mapping)];
+        for (let tries = 0; tries < SLOTS.length && taken.includes(slot); tries++) slot = wrapSlot(slot + 1);
+        mapping[layer] = taken.includes(slot) ? null : slot;
+    });
+    return mapping;
+}
+
+/**
+ * Whether a device's slots are kept free for it when laying out the others.
+ */
+function takesSlots(model) {
+    return !(PROFILES[model] || PROFILES.default).shared;
+}
+
+/**
+ * Clean a user-supplied override: keep known layers with slots 1-4.
+ * @returns {object|null} null when nothing valid remains (use the defaults)
+ */
+function normalizeMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object') return null;
+    const result = {};
+    for (const layer of LAYERS) {
+        const slot = parseInt(mapping[layer]);
+        if (SLOTS.includes(slot)) result[layer] = slot;
+    }
+    return Object.keys(result).length ? result : null;
+}
+
+/**
+ * Effective mapping for a device record ({ model, player, deckMapping }).
+ * @param {number[]} reserved see defaultMapping; user overrides are taken as they are
+ */
+function resolveMapping(device, reserved = []) {
+    return { ...defaultMapping(device.model, device.player, reserved), ...(normalizeMapping(device.deckMapping) || {}) };
+}
+
+/**
+ * Layers a mapping leaves out for lack of a free slot.
+ */
+function unmappedLayers(mapping) {
+    return Object.keys(mapping || {}).filter(layer => mapping[layer] === null);
+}
+
+/**
+ * Slot for a layer on a device; null for layers left unmapped, and layers outside
+ * the mapping fall back to their letter.
+ */
+function slotFor(device, layer) {
+    const letter = String(layer || '').toUpperCase();
+    const mapping = device.mapping || resolveMapping(device);
+    if (letter in mapping) return mapping[letter];
+    const idx = LAYERS.indexOf(letter);
+    return idx >= 0 ? idx + 1 : null;
+}
+
+module.exports = { PROFILES, LAYERS, detectModel, defaultMapping, takesSlots, normalizeMapping, resolveMapping, unmappedLayers, slotFor };
@@ -0,0 +1,351 @@
+/**
+ * Demo Simulator
+ * Runs a scenario file from scenarios/ against the manager, as if the hardware
+ * were sending it: tracks load and advance at their BPM, faders and crossfader
+ * move, loops and hotcues change, devices come and go, and BeatInfo messages
+ * are emitted. Values are fed through the manager's raw StateMap / BeatInfo
+ * handlers so the demo exercises the same code as a live session.
+ *
+ * Scenario format (times are "m:ss", "m:ss.s" or seconds):
+ * {
+ *   "name": "...", "description": "...", "duration": "8:00", "loop": true,
+ *   "devices":  [{ "ip", "name", "software", "version", "decks": [1, 2], "hasSDCard", "hasUsb", "connect": true }],
+ *   "tracks":   { "<id>": { "title", "artist", "bpm", "length", "key", "path", "cue", "hotcues": { "1": { "at", "color" } } } },
+ *   "mixer":    { "ch1Fader": 1, "crossfader": 0.5 },
+ *   "timeline": [{ "at": "4:00", "action": "load", "deck": 2, "track": "<id>" }, ...]
+ * }
+ *
+ * Actions: load, eject, play, stop, seek (position | hotcue), pitch (to %, beats|seconds),
+ * master, sync, keylock, fader (channel, to, beats|seconds), crossfade (to, beats|seconds),
+ * loop (beats, repeat?), loopOff, hotcue (num, color?, position?), hotcueClear (num),
+ * disconnect (device), connect (device).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const DEFAULT_SCENARIO = 'prime4-4deck';
+const TICK_MS = 100;
+const SAMPLE_RATE = 44100;
+
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    if (typeof value === 'number') return value;
+    const parts = String(value).split(':').map(Number);
+    if (parts.some(isNaN)) return 0;
+    return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+class DemoSimulator {
+    /**
+     * @param {StagelinqManager} manager state owner; decks/mixer/devices are written through its handlers
+     * @param {object} scenario parsed scenario (see loadScenario)
+     */
+    constructor(manager, scenario) {
+        this.manager = manager;
+        this.scenario = scenario;
+        this.timeline = (scenario.timeline || [])
+            .map((evt, i) => ({ ...evt, at: parseTime(evt.at), _order: i }))
+            .sort((a, b) => a.at - b.at || a._order - b._order);
+        this.duration = parseTime(scenario.duration) || (this.timeline.length ? this.timeline[this.timeline.length - 1].at + 30 : 60);
+        this._timer = null;
+    }
+
+    start() {
+        this._reset();
+        this._timer = setInterval(() => this._tick(), TICK_MS);
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    status() {
+        return { scenario: this.scenario.id, name: this.scenario.name, time: this.time, duration: this.duration };
+    }
+
+    _reset() {
+        this.time = 0;
+        this._next = 0;
+        this._lastTick = Date.now();
+        this._ramps = [];
+        // Per-slot deck model; keeps running while its device is offline, like a real player would
+        this.decks = {};
+        for (let n = 1; n <= 4; n++) {
+            this.decks[n] = { track: null, position: 0, playing: false, speed: 0, master: false, sync: false, keyLock: false, loop: null, hotcues: {} };
+        }
+        this.mixer = { ch1Fader: 0, ch2Fader: 0, ch3Fader: 0, ch4Fader: 0, crossfader: 0.5, ...(this.scenario.mixer || {}) };
+
+        const now = new Date().toISOString();
+        for (const dev of this.scenario.devices || []) {
+            this.manager.discoveredDevices.set(dev.ip, {
+                ip: dev.ip, name: dev.name, software: dev.software || 'JP11', version: dev.version || '',
+                port: dev.port || 0, status: 'discovered', lastSeen: now,
+            });
+        }
+        for (const dev of this.scenario.devices || []) {
+            if (dev.connect !== false) this.connect(dev.ip);
+        }
+        this._fireDue();
+        this._write();
+    }
+
+    _device(ip) {
+        return (this.scenario.devices || []).find(d => d.ip === ip);
+    }
+
+    /**
+     * Bring a scenario device online and hand it its deck slots.
+     * @returns {boolean} false if the IP is not part of the scenario
+     */
+    connect(ip) {
+        const dev = this._device(ip);
+        if (!dev) return false;
+        const discovered = this.manager.discoveredDevices.get(ip);
+        if (discovered) discovered.status = 'connected';
+        let device = this.manager.state.devices[ip];
+        // Already up (scenario loop restart) — no second connect notification
+        if (!device || device.connectionState !== 'connected') {
+            this.manager._onDeviceConnected({
+                address: ip, port: dev.port || 0, source: dev.name,
+                software: { name: dev.software || 'JP11', version: dev.version || '' },
+            });
+            device = this.manager.state.devices[ip];
+        }
+        Object.assign(device, { deckCount: (dev.decks || []).length, hasSDCard: !!dev.hasSDCard, hasUsb: !!dev.hasUsb });
+        for (const n of dev.decks || []) this.manager._claimDeck(n, ip);
+        this.manager._updateDeviceSummary();
+        return true;
+    }
+
+    _isOnline(deckNum) {
+        const deck = this.manager.state.decks[deckNum];
+        const device = deck && this.manager.state.devices[deck.deviceId];
+        return !!device && device.connectionState === 'connected';
+    }
+
+    _bpmFor(evt) {
+        const deck = evt.deck ? this.decks[evt.deck] : Object.values(this.decks).find(d => d.master && d.track);
+        const track = deck && deck.track;
+        return track ? track.bpm * (1 + deck.speed) : 120;
+    }
+
+    // Ramp length in seconds from `beats` (at the relevant BPM) or `seconds`
+    _rampSeconds(evt) {
+        if (evt.beats) return evt.beats * 60 / this._bpmFor(evt);
+        return Number(evt.seconds) || 0;
+    }
+
+    _ramp(target, key, to, seconds) {
+        this._ramps = this._ramps.filter(r => !(r.target === target && r.key === key));
+        if (seconds <= 0) {
+            target[key] = to;
+            return;
+        }
+        this._ramps.push({ target, key, from: target[key], to, start: this.time, seconds });
+    }
+
+    _apply(evt) {
+        const deck = this.decks[evt.deck];
+        switch (evt.action) {
+            case 'load': {
+                const track = this.scenario.tracks && this.scenario.tracks[evt.track];
+                if (!deck || !track) break;
+                deck.track = { id: evt.track, ...track, length: parseTime(track.length) };
+                deck.position = evt.position !== undefined ? parseTime(evt.position) : parseTime(track.cue);
+                deck.playing = false;
+                deck.loop = null;
+                deck.hotcues = {};
+                for (const [num, hc] of Object.entries(track.hotcues || {})) {
+                    deck.hotcues[num] = { state: true, color: hc.color || '#FFFFFF', position: parseTime(hc.at) };
+                }
+                break;
+            }
+            case 'eject':
+                if (deck) Object.assign(deck, { track: null, position: 0, playing: false, loop: null, hotcues: {} });
+                break;
+            case 'play': if (deck && deck.track) deck.playing = true; break;
+            case 'stop': if (deck) deck.playing = false; break;
+            case 'seek':
+                if (!deck || !deck.track) break;
+                if (evt.hotcue && deck.hotcues[evt.hotcue]) deck.position = deck.hotcues[evt.hotcue].position;
+                else deck.position = parseTime(evt.position);
+                break;
+            case 'pitch': if (deck) this._ramp(deck, 'speed', (Number(evt.to) || 0) / 100, this._rampSeconds(evt)); break;
+            case 'master':
+                for (const d of Object.values(this.decks)) d.master = false;
+                if (deck) deck.master = true;
+                break;
+            case 'sync': if (deck) deck.sync = evt.on !== false; break;
+            case 'keylock': if (deck) deck.keyLock = evt.on !== false; break;
+            case 'fader': this._ramp(this.mixer, `ch${evt.channel}Fader`, Number(evt.to) || 0, this._rampSeconds(evt)); break;
+            case 'crossfade': this._ramp(this.mixer, 'crossfader', Number(evt.to) || 0, this._rampSeconds(evt)); break;
+            case 'loop': {
+                if (!deck || !deck.track) break;
+                const beatLen = 60 / deck.track.bpm;
+                // Loops snap to the beat grid, like quantized loops on the hardware
+                const loopIn = Math.floor(deck.position / beatLen) * beatLen;
+                deck.loop = { in: loopIn, out: loopIn + evt.beats * beatLen, beats: evt.beats, remaining: evt.repeat || Infinity };
+                break;
+            }
+            case 'loopOff': if (deck) deck.loop = null; break;
+            case 'hotcue':
+                if (deck && deck.track) {
+                    deck.hotcues[evt.num] = { state: true, color: evt.color || '#FFFFFF', position: evt.position !== undefined ? parseTime(evt.position) : deck.position };
+                }
+                break;
+            case 'hotcueClear': if (deck) delete deck.hotcues[evt.num]; break;
+            case 'disconnect': this.manager.disconnectDevice(evt.device); break;
+            case 'connect': this.connect(evt.device); break;
+            default:
+                console.warn(`[DemoSimulator] Unknown action "${evt.action}" in ${this.scenario.id}`);
+        }
+    }
+
+    _fireDue() {
+        while (this._next < this.timeline.length && this.timeline[this._next].at <= this.time) {
+            this._apply(this.timeline[this._next++]);
+        }
+    }
+
+    _advance(dt) {
+        for (const r of this._ramps) {
+            const k = Math.min(1, (this.time - r.start) / r.seconds);
+            r.target[r.key] = r.from + (r.to - r.from) * k;
+        }
+        this._ramps = this._ramps.filter(r => this.time - r.start < r.seconds);
+
+        for (const deck of Object.values(this.decks)) {
+            if (!deck.track || !deck.playing) continue;
+            deck.position += dt * (1 + deck.speed);
+            if (deck.loop && deck.position >= deck.loop.out) {
+                if (deck.loop.remaining > 1) {
+                    deck.position -= deck.loop.out - deck.loop.in;
+                    deck.loop.remaining--;
+                } else {
+                    deck.loop = null;
+                }
+            }
+            if (deck.position >= deck.track.length) {
+                deck.position = deck.track.length;
+                deck.playing = false;
+            }
+        }
+    }
+
+    /**
+     * Push the model into manager state via the raw handlers, then a BeatInfo message.
+     */
+    _write() {
+        const m = this.manager;
+        for (const [key, value] of Object.entries(this.mixer)) {
+            const raw = key === 'crossfader' ? 'CrossfaderPosition' : `CH${key.match(/\d/)[0]}faderPosition`;
+            m._applyMixerState(raw, value);
+        }
+
+        const beats = [];
+        for (let n = 1; n <= 4; n++) {
+            const sim = this.decks[n];
+            const online = this._isOnline(n);
+            const track = online ? sim.track : null;
+            const bpm = track ? track.bpm * (1 + sim.speed) : 0;
+            beats.push({
+                beat: track ? sim.position * track.bpm / 60 : 0,
+                totalBeats: track ? track.length * track.bpm / 60 : 0,
+                bpm,
+                samples: track ? sim.position * SAMPLE_RATE : 0,
+            });
+            if (!online) continue;
+
+            const raw = (key, value) => m._applyRawDeckState(n, key, value);
+            raw('SampleRate', SAMPLE_RATE);
+            raw('SongLoaded', !!track);
+            raw('SongAnalyzed', !!track);
+            raw('SongName', track ? track.title : '');
+            raw('ArtistName', track ? track.artist : '');
+            raw('TrackNetworkPath', track ? track.path || '' : '');
+            raw('TrackLength', track ? track.length * SAMPLE_RATE : 0);
+            raw('TrackBPM', track ? track.bpm : 0);
+            raw('CurrentBPM', bpm);
+            raw('Speed', sim.speed);
+            raw('SpeedRange', 0.08);
+            raw('CurrentKeyIndex', track && track.key !== undefined ? track.key : -1);
+            raw('KeyLock', sim.keyLock);
+            raw('Play', sim.playing);
+            raw('PlayState', sim.playing);
+            raw('DeckIsMaster', sim.master);
+            raw('SyncMode', sim.sync ? 1 : 0);
+            raw('CuePosition', track ? parseTime(track.cue) * SAMPLE_RATE : 0);
+            raw('LoopEnableState', !!sim.loop);
+            raw('CurrentLoopInPosition', sim.loop ? sim.loop.in * SAMPLE_RATE : 0);
+            raw('CurrentLoopOutPosition', sim.loop ? sim.loop.out * SAMPLE_RATE : 0);
+            raw('CurrentLoopSizeInBeats', sim.loop ? sim.loop.beats : 0);
+            // The hardware mirrors the channel fader into each deck's ExternalMixerVolume
+            raw('ExternalMixerVolume', this.mixer[`ch${n}Fader`] || 0);
+
+            const deck = m.state.decks[n];
+            deck.trackPath = track ? track.path || '' : '';
+            deck.hotcues = {};
+            for (let i = 1; i <= 8; i++) {
+                const hc = sim.hotcues[i];
+                deck.hotcues[i] = hc ? { state: true, color: hc.color, position: hc.position } : { state: false };
+            }
+        }
+        m._onBeatMessage({ clock: Date.now(), deckCount: 4, decks: beats });
+    }
+
+    _tick() {
+        const now = Date.now();
+        const dt = (now - this._lastTick) / 1000;
+        this._lastTick = now;
+        this.time += dt;
+        this._fireDue();
+        this._advance(dt);
+        if (this.time >= this.duration) {
+            if (this.scenario.loop === false) {
+                this.stop();
+            } else {
+                console.log(`[DemoSimulator] 🔁 Restarting scenario "${this.scenario.name}"`);
+                this._reset();
+                return;
+            }
+        }
+        this._write();
+    }
+
+    /**
+     * Built-in scenarios: [{ id, name, description, duration }]
+     */
+    static listScenarios() {
+        try {
+            return fs.readdirSync(SCENARIOS_DIR)
+                .filter(f => f.endsWith('.json'))
+                .map(f => {
+                    const s = DemoSimulator.loadScenario(path.basename(f, '.json'));
+                    return { id: s.id, name: s.name, description: s.description || '', duration: parseTime(s.duration) };
+                })
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (err) {
+            console.warn('[DemoSimulator] Failed to list scenarios:', err.message);
+            return [];
+        }
+    }
+
+    /**
+     * Load a scenario by id (file name without .json). Throws if missing (.status 404)
+     * or invalid (.status 400).
+     */
+    static loadScenario(id) {
+        if (!/^[\w-]+$/.test(String(id))) throw Object.assign(new Error(`无效的场景: ${id}`), { status: 400 });
+        const file = path.join(SCENARIOS_DIR, `${id}.json`);
+        if (!fs.existsSync(file)) throw Object.assign(new Error(`找不到场景: ${id}`), { status: 404 });
+        const scenario = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        return { ...scenario, id, name: scenario.name || id };
+    }
+}
+
+DemoSimulator.DEFAULT_SCENARIO = DEFAULT_SCENARIO;
+
+module.exports = DemoSimulator;
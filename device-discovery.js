@@ -0,0 +1,179 @@
+/**
+ * Device Discovery
+ * StagelinQ discovery bound to one network interface, for machines where the
+ * library's own discovery (every interface at once) picks the wrong network.
+ *
+ * Announcements are sent from the interface's address to its subnet broadcast
+ * address; received announcements are only passed on when they come from the
+ * same subnet. Found devices are emitted as library ConnectionInfo objects:
+ *   'device' { token, source, action, software: { name, version }, port, address }
+ */
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const os = require('os');
+
+const LISTEN_PORT = 51337;
+const ANNOUNCE_INTERVAL_MS = 1000;
+const MARKER = 'airD';
+const ACTION_LOGIN = 'DISCOVERER_HOWDY_';
+const ACTION_LOGOUT = 'DISCOVERER_EXIT_';
+
+function ipToInt(ip) {
+    return ip.split('.').reduce((n, octet) => ((n << 8) | Number(octet)) >>> 0, 0);
+}
+
+function intToIp(n) {
+    return [24, 16, 8, 0].map(shift => (n >>> shift) & 255).join('.');
+}
+
+/**
+ * The IPv4 interface that owns `address`, or null if it no longer exists.
+ * @returns {{ name: string, address: string, netmask: string } | null}
+ */
+function findInterface(address) {
+    for (const [name, addrs] of Object.entries(os.networkInterfaces())) {
+        for (const addr of addrs || []) {
+            if ((addr.family === 'IPv4' || addr.family === 4) && addr.address === address) {
+                return { name, address: addr.address, netmask: addr.netmask };
+            }
+        }
+    }
+    return null;
+}
+
+function writeString(value) {
+    const buf = Buffer.alloc(4 + value.length * 2);
+    buf.writeUInt32BE(value.length * 2, 0);
+    for (let i = 0; i < value.length; i++) buf.writeUInt16BE(value.charCodeAt(i), 4 + i * 2);
+    return buf;
+}
+
+function encode({ token, source, action, software, port = 0 }) {
+    const portBuf = Buffer.alloc(2);
+    portBuf.writeUInt16BE(port, 0);
+    return Buffer.concat([
+        Buffer.from(MARKER, 'ascii'), Buffer.from(token),
+        writeString(source), writeString(action),
+        writeString(software.name), writeString(software.version),
+        portBuf,
+    ]);
+}
+
+/**
+ * @returns {object|null} ConnectionInfo, or null for anything that is not a discovery message
+ */
+function decode(buf, address) {
+    let pos = 0;
+    const readString = () => {
+        const bytes = buf.readUInt32BE(pos);
+        pos += 4;
+        if (bytes % 2 || pos + bytes > buf.length) throw new RangeError('bad string');
+        let value = '';
+        for (let end = pos + bytes; pos < end; pos += 2) value += String.fromCharCode(buf.readUInt16BE(pos));
+        return value;
+    };
+    try {
+        if (buf.toString('ascii', 0, 4) !== MARKER) return null;
+        const token = new Uint8Array(buf.subarray(4, 20));
+        pos = 20;
+        const source = readString();
+        const action = readString();
+        const software = { name: readString(), version: readString() };
+        const port = buf.readUInt16BE(pos);
+        return { token, source, action, software, port, address };
+    } catch (_) {
+        return null;
+    }
+}
+
+class DeviceDiscovery extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {{ address: string, netmask: string }} options.iface from findInterface()
+     * @param {{ name, version, source, token }} options.actingAs how we announce ourselves
+     */
+    constructor({ iface, actingAs }) {
+        super();
+        this.iface = iface;
+        this.actingAs = actingAs;
+        this._mask = ipToInt(iface.netmask);
+        this._network = ipToInt(iface.address) & this._mask;
+        this.broadcastAddress = intToIp((this._network | ~this._mask) >>> 0);
+        this._listener = null;
+        this._announcer = null;
+        this._timer = null;
+    }
+
+    _inSubnet(address) {
+        return (ipToInt(address) & this._mask) === this._network;
+    }
+
+    _message(action) {
+        const { token, source, name, version } = this.actingAs;
+        return encode({ token, source, action, software: { name, version } });
+    }
+
+    _bind(socket, ...args) {
+        return new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.bind(...args, () => {
+                socket.removeListener('error', reject);
+                socket.on('error', (err) => this.emit('error', err));
+                resolve();
+            });
+        });
+    }
+
+    async start() {
+        // Broadcasts are only delivered to sockets bound to the wildcard address,
+        // so the listener binds to all interfaces and filters by subnet instead.
+        this._listener = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        this._listener.on('message', (msg, remote) => this._onMessage(msg, remote));
+        await this._bind(this._listener, LISTEN_PORT);
+
+        this._announcer = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        await this._bind(this._announcer, 0, this.iface.address);
+        this._announcer.setBroadcast(true);
+        const login = this._message(ACTION_LOGIN);
+        const announce = () => this._announcer.send(login, LISTEN_PORT, this.broadcastAddress, (err) => {
+            if (err) this.emit('error', err);
+        });
+        announce();
+        this._timer = setInterval(announce, ANNOUNCE_INTERVAL_MS);
+        console.log(`[Discovery] 📡 Bound to ${this.iface.address} (broadcast ${this.broadcastAddress})`);
+    }
+
+    _onMessage(msg, remote) {
+        if (!this._inSubnet(remote.address)) return;
+        const info = decode(msg, remote.address);
+        if (!info || info.action !== ACTION_LOGIN) return;
+        // Our own announcements come back to us
+        if (Buffer.compare(Buffer.from(info.token), Buffer.from(this.actingAs.token)) === 0) return;
+        this.emit('device', info);
+    }
+
+    async stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        if (this._listener) {
+            this._listener.close();
+            this._listener = null;
+        }
+        if (this._announcer) {
+            const announcer = this._announcer;
+            this._announcer = null;
+            await new Promise((resolve) => announcer.send(this._message(ACTION_LOGOUT), LISTEN_PORT, this.broadcastAddress, resolve));
+            announcer.close();
+        }
+    }
+}
+
+DeviceDiscovery.findInterface = findInterface;
+DeviceDiscovery.LISTEN_PORT = LISTEN_PORT;
+DeviceDiscovery.ACTION_LOGIN = ACTION_LOGIN;
+DeviceDiscovery.ACTION_LOGOUT = ACTION_LOGOUT;
+DeviceDiscovery.encode = encode;
+DeviceDiscovery.decode = decode;
+
+module.exports = DeviceDiscovery;
@@ -1,32 +1,55 @@
 /**
  * Device History Manager
  * Persists discovered StagelinQ devices for auto-reconnection.
+ *
+ * Devices are keyed by their StagelinQ token (32 hex chars), which survives
+ * the link-local address changes between gigs; the IP is only an attribute.
+ * Devices that never reported a token (demo, old recordings, old history
+ * files) keep a "<deviceName>@<ip>" key until the token is seen.
+ *
+ * Each device also keeps a connect/disconnect timeline for spotting flaky
+ * cables and players that keep dropping.
  */
 
 const fs = require('fs');
 const path = require('path');
 
 const DATA_DIR = path.join(__dirname, 'data');
-const HISTORY_FILE = path.join(DATA_DIR, 'device-history.json');
+const MAX_TIMELINE = 100;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const TOKEN_ID_RE = /^[0-9a-f]{32}$/;
+
+function legacyId(ip, deviceName) {
+  return `${deviceName}@${ip}`;
+}
 
 class DeviceHistory {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dataDir] where device-history.json lives
+   */
+  constructor({ dataDir = DATA_DIR } = {}) {
+    this.dataDir = dataDir;
+    this.historyFile = path.join(dataDir, 'device-history.json');
     this.devices = [];
     this._ensureDataDir();
     this._load();
   }
 
   _ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
     }
   }
 
   _load() {
     try {
-      if (fs.existsSync(HISTORY_FILE)) {
-        const raw = fs.readFileSync(HISTORY_FILE, 'utf-8');
-        this.devices = JSON.parse(raw);
+      if (fs.existsSync(this.historyFile)) {
+        const raw = fs.readFileSync(this.historyFile, 'utf-8');
+        this.devices = JSON.parse(raw).map(d => this._migrate(d));
+        // Connections still open were cut off by a crash; the real end is unknown,
+        // so they end when the device was last seen
+        for (const entry of this.devices) this._closeOpen(entry, 'stopped', entry.lastSeen);
       }
     } catch (err) {
       console.warn('[DeviceHistory] Failed to load history:', err.message);
@@ -34,71 +57,210 @@ class DeviceHistory {
     }
   }
 
+  _migrate(d) {
+    return {
+      ...d,
+      id: d.id || legacyId(d.ip, d.deviceName),
+      alias: d.alias || '',
+      color: d.color || '',
+      addresses: d.addresses || [d.ip],
+      timeline: d.timeline || [],
+    };
+  }
+
   _save() {
     try {
-      fs.writeFileSync(HISTORY_FILE, JSON.stringify(this.devices, null, 2), 'utf-8');
+      fs.writeFileSync(this.historyFile, JSON.stringify(this.devices, null, 2), 'utf-8');
     } catch (err) {
       console.error('[DeviceHistory] Failed to save history:', err.message);
     }
   }
 
   /**
-   * Add or update a device in history.
+   * The entry for a device as reported by the manager ({ tokenId, ip, deviceName }).
+   * A device with a token also matches an entry saved before its token was
+   * known (by IP + name), but never another device's token entry.
+   */
+  find({ tokenId, ip, deviceName }) {
+    return (tokenId && this.devices.find(d => d.id === tokenId))
+      || this.devices.find(d => d.ip === ip && d.deviceName === deviceName && !(tokenId && TOKEN_ID_RE.test(d.id)))
+      || null;
+  }
+
+  get(id) {
+    return this.devices.find(d => d.id === id) || null;
+  }
+
+  /**
+   * Add or update a device in history and open a timeline entry.
+   * @returns {object} the entry
    */
   upsert(deviceInfo) {
-    const { ip, deviceName, softwareName, softwareVersion } = deviceInfo;
-    const idx = this.devices.findIndex(d => d.ip === ip && d.deviceName === deviceName);
-    const entry = {
+    const { tokenId, ip, deviceName, softwareName, softwareVersion, port, manual } = deviceInfo;
+    const now = new Date().toISOString();
+    let entry = this.find(deviceInfo);
+    if (!entry) {
+      entry = this._migrate({ ip, deviceName, firstSeen: now, autoConnect: true, manual: !!manual });
+      this.devices.push(entry);
+    }
+    Object.assign(entry, {
+      id: tokenId || entry.id,
       ip,
       deviceName,
       softwareName: softwareName || '',
       softwareVersion: softwareVersion || '',
-      lastSeen: new Date().toISOString(),
-      autoConnect: true,
-    };
-    if (idx >= 0) {
-      this.devices[idx] = { ...this.devices[idx], ...entry };
-    } else {
-      entry.firstSeen = entry.lastSeen;
-      this.devices.push(entry);
-    }
+      port: port || 0,
+      lastSeen: now,
+      // Once added by address, a device stays manual even if discovery later finds it
+      manual: !!manual || !!entry.manual,
+    });
+    if (!entry.addresses.includes(ip)) entry.addresses.push(ip);
+    this._closeOpen(entry, 'replaced', now);
+    entry.timeline.push({ ip, connectedAt: now, disconnectedAt: null, durationMs: null, reason: null });
+    if (entry.timeline.length > MAX_TIMELINE) entry.timeline.splice(0, entry.timeline.length - MAX_TIMELINE);
+    this._save();
+    return entry;
+  }
+
+  _closeOpen(entry, reason, at = new Date().toISOString()) {
+    const open = entry.timeline[entry.timeline.length - 1];
+    if (!open || open.disconnectedAt) return false;
+    if (at < open.connectedAt) at = open.connectedAt;
+    open.disconnectedAt = at;
+    open.durationMs = Math.max(0, Date.parse(at) - Date.parse(open.connectedAt));
+    open.reason = reason;
+    return true;
+  }
+
+  /**
+   * Close the device's open timeline entry.
+   * @param {string} reason 'user' | 'lost' | 'stopped'
+   */
+  recordDisconnect(deviceInfo, reason) {
+    const entry = this.find(deviceInfo);
+    if (!entry || !this._closeOpen(entry, reason)) return null;
+    entry.lastSeen = new Date().toISOString();
     this._save();
-    return this.devices;
+    return entry;
+  }
+
+  /**
+   * Close every open timeline entry (shutdown).
+   */
+  closeAll(reason) {
+    let changed = false;
+    for (const entry of this.devices) changed = this._closeOpen(entry, reason) || changed;
+    if (changed) this._save();
+  }
+
+  /**
+   * Timeline plus counters, newest first.
+   */
+  getTimeline(id) {
+    const entry = this.get(id);
+    if (!entry) return null;
+    return { id, timeline: entry.timeline.slice().reverse(), stats: this._stats(entry) };
+  }
+
+  _stats(entry) {
+    const closed = entry.timeline.filter(t => t.disconnectedAt);
+    const open = entry.timeline.find(t => !t.disconnectedAt);
+    return {
+      connects: entry.timeline.length,
+      drops: closed.filter(t => t.reason === 'lost').length,
+      connectedMs: closed.reduce((sum, t) => sum + t.durationMs, 0) + (open ? Date.now() - Date.parse(open.connectedAt) : 0),
+      connected: !!open,
+    };
   }
 
   /**
    * Check if a device is in history and marked for auto-connect.
    */
-  shouldAutoConnect(ip, deviceName) {
-    const d = this.devices.find(d => d.ip === ip && d.deviceName === deviceName);
+  shouldAutoConnect(deviceInfo) {
+    const d = this.find(deviceInfo);
     return d ? d.autoConnect : false;
   }
 
   /**
-   * Toggle auto-connect for a device.
+   * Change the user-editable fields of an entry: alias, color, autoConnect.
+   * @returns {object|null} the entry, null if unknown
+   * @throws {Error} on invalid values
+   */
+  update(id, { alias, color, autoConnect }) {
+    const d = this.get(id);
+    if (!d) return null;
+    if (alias !== undefined) {
+      if (typeof alias !== 'string' || alias.length > 40) throw new Error('别名最多 40 个字符');
+      d.alias = alias.trim();
+    }
+    if (color !== undefined) {
+      if (color && !COLOR_RE.test(color)) throw new Error(`无效的颜色: ${color}`);
+      d.color = color ? color.toLowerCase() : '';
+    }
+    if (autoConnect !== undefined) {
+      if (typeof autoConnect !== 'boolean') throw new Error('autoConnect 必须是布尔值');
+      d.autoConnect = autoConnect;
+    }
+    this._save();
+    return d;
+  }
+
+  /**
+   * Saved deck-slot override for a device ({ A: 1, B: 2, ... }), or null.
    */
-  setAutoConnect(ip, deviceName, value) {
-    const d = this.devices.find(d => d.ip === ip && d.deviceName === deviceName);
+  getDeckMapping(deviceInfo) {
+    const d = this.find(deviceInfo);
+    return d && d.deckMapping ? d.deckMapping : null;
+  }
+
+  /**
+   * Save (or clear, with null) the deck-slot override for a device.
+   */
+  setDeckMapping(deviceInfo, mapping) {
+    const d = this.find(deviceInfo);
     if (d) {
-      d.autoConnect = value;
+      if (mapping) d.deckMapping = mapping;
+      else delete d.deckMapping;
       this._save();
     }
+    return !!d;
+  }
+
+  /**
+   * Devices added by address (not reachable by discovery) that should be
+   * reconnected on startup.
+   */
+  getManualAutoConnect() {
+    return this.devices.filter(d => d.manual && d.autoConnect && d.port);
+  }
+
+  /**
+   * Find the most recent entry for an IP (any device name).
+   */
+  findByIp(ip) {
+    return this.devices
+      .filter(d => d.ip === ip)
+      .sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)))[0] || null;
   }
 
   /**
    * Remove a device from history.
    */
-  remove(ip, deviceName) {
-    this.devices = this.devices.filter(d => !(d.ip === ip && d.deviceName === deviceName));
+  remove(id) {
+    const before = this.devices.length;
+    this.devices = this.devices.filter(d => d.id !== id);
     this._save();
+    return this.devices.length < before;
   }
 
   /**
-   * Get all devices.
+   * Get all devices, without their timelines (see getTimeline).
    */
   getAll() {
-    return this.devices;
+    return this.devices.map(({ timeline, ...d }) => ({ ...d, stats: this._stats({ timeline }) }));
   }
 }
 
+DeviceHistory.legacyId = legacyId;
+
 module.exports = DeviceHistory;
@@ -0,0 +1,83 @@
+/**
+ * Device Probe
+ * Checks that an IP/port answers as a StagelinQ device before a directed
+ * (discovery-less) connection is handed to the library.
+ *
+ * A device's directory port speaks first: right after the TCP handshake it
+ * sends a ServicesRequest (uint32 id 2, then its 16-byte token). Anything else,
+ * or silence, means the port belongs to something else.
+ *
+ * Failures carry `err.code`: 'timeout' | 'refused' | 'unreachable' | 'protocol'.
+ */
+
+const net = require('net');
+
+const CONNECT_TIMEOUT_MS = 3000;
+// How long an open port may stay silent before it is not StagelinQ
+const GREETING_TIMEOUT_MS = 3000;
+// uint32 message id + 16-byte device token
+const HEADER_BYTES = 20;
+// ServicesAnnouncement, TimeStamp, ServicesRequest
+const MESSAGE_IDS = [0, 1, 2];
+
+function probeError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function classify(err, ip, port) {
+    switch (err.code) {
+        case 'ECONNREFUSED':
+            return probeError('refused', `${ip}:${port} 拒绝连接（端口未开放）`);
+        case 'EHOSTUNREACH':
+        case 'ENETUNREACH':
+        case 'EHOSTDOWN':
+            return probeError('unreachable', `无法到达 ${ip}（检查网段与路由）`);
+        case 'ETIMEDOUT':
+            return probeError('timeout', `连接 ${ip}:${port} 超时`);
+        default:
+            return probeError('unreachable', `连接 ${ip}:${port} 失败: ${err.message}`);
+    }
+}
+
+/**
+ * @param {string} ip
+ * @param {number} port StagelinQ directory port (announced in discovery, remembered in history)
+ * @returns {Promise<{ token: Uint8Array, latencyMs: number }>} token is the device's own
+ */
+function probe(ip, port, { connectTimeout = CONNECT_TIMEOUT_MS, greetingTimeout = GREETING_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const socket = net.createConnection({ host: ip, port });
+        let received = Buffer.alloc(0);
+        let settled = false;
+        const finish = (err, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            socket.destroy();
+            if (err) reject(err); else resolve(result);
+        };
+        let timer = setTimeout(() => finish(probeError('timeout', `连接 ${ip}:${port} 超时（${connectTimeout / 1000} 秒内无响应）`)), connectTimeout);
+
+        socket.once('connect', () => {
+            const latencyMs = Date.now() - started;
+            clearTimeout(timer);
+            timer = setTimeout(() => finish(probeError('protocol', `${ip}:${port} 已连接但没有 StagelinQ 响应`)), greetingTimeout);
+            socket.on('data', (chunk) => {
+                received = Buffer.concat([received, chunk]);
+                if (received.length < HEADER_BYTES) return;
+                if (!MESSAGE_IDS.includes(received.readUInt32BE(0))) {
+                    finish(probeError('protocol', `${ip}:${port} 不是 StagelinQ 设备（协议不匹配）`));
+                    return;
+                }
+                finish(null, { token: new Uint8Array(received.subarray(4, HEADER_BYTES)), latencyMs });
+            });
+        });
+        socket.once('end', () => finish(probeError('protocol', `${ip}:${port} 在握手前关闭了连接`)));
+        socket.once('error', (err) => finish(classify(err, ip, port)));
+    });
+}
+
+module.exports = { probe };
@@ -0,0 +1,572 @@
+/**
+ * Engine Library
+ * Read-only browsing and search over the Engine databases the manager downloads
+ * from each source (USB stick, SD card, internal drive) of a connected player.
+ *
+ * Two schemas are handled:
+ *   v1 (Engine Prime 1.x) — Track holds paths only; title/artist/... live in
+ *      MetaData, the key in MetaDataInteger. Lists are Playlist + Crate.
+ *   v2 (Engine DJ 2.x+)   — everything on Track. Lists are Playlist, with
+ *      sibling and entry order stored as linked lists (nextListId / nextEntityId).
+ *
+ * Tracks come out in one shape for both:
+ *   { id, title, artist, album, genre, bpm, key, keyIndex, length, year, filename, path }
+ * Lists get string ids — 'p<id>' for playlists, 'c<id>' for v1 crates — so the
+ * two v1 tables can share one route.
+ *
+ * trackInfo() finds the row for a loaded deck and returns the fields StagelinQ
+ * doesn't send (album, genre, label, year, comment, rating, play count, bitrate,
+ * format, date added); fields a schema doesn't store are null.
+ *
+ * Analysis data (waveforms, cues, loops, beat grid) lives in PerformanceData,
+ * or on Track itself in newer databases; see performance-data.js for the blob
+ * formats. trackCues() converts its sample offsets to seconds.
+ *
+ * albumArt() returns a track's cover as stored (JPEG or PNG); caching and
+ * thumbnails are artwork-service.js's job.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const PerformanceData = require('./performance-data');
+
+const DEFAULT_LIMIT = 50;
+// trackInfo() results kept (tracks loaded in one evening, with room to spare)
+const INFO_CACHE_SIZE = 500;
+// Decoded waveforms and cue sets kept (a few decks' worth of loads)
+const WAVEFORM_CACHE_SIZE = 16;
+const MAX_LIMIT = 200;
+// Single-value BPM filter: ± this much
+const BPM_TOLERANCE = 1;
+
+// Engine DB key index (C, Am, G, Em, ... around the circle of fifths) in the same
+// notation as the live deck key (see KEY_MAP in stagelinq-manager.js)
+const KEY_NAMES = [
+    '8B (C)', '8A (Am)', '9B (G)', '9A (Em)', '10B (D)', '10A (Bm)',
+    '11B (A)', '11A (F♯m)', '12B (E)', '12A (D♭m)', '1B (B)', '1A (A♭m)',
+    '2B (F♯)', '2A (E♭m)', '3B (D♭)', '3A (B♭m)', '4B (A♭)', '4A (Fm)',
+    '5B (E♭)', '5A (Cm)', '6B (B♭)', '6A (Gm)', '7B (F)', '7A (Dm)',
+];
+
+// v1 MetaData / MetaDataInteger type ids
+const V1_TEXT = { title: 1, artist: 2, album: 3, genre: 4, comment: 5, label: 6, extension: 13 };
+const V1_KEY = 4;
+const V1_RATING = 5;
+
+// Which trackInfo fields the deck cards show (settings: trackInfo)
+const TRACK_INFO_DEFAULTS = {
+    album: true,
+    genre: true,
+    label: false,
+    year: true,
+    comment: false,
+    rating: true,
+    playCount: false,
+    format: false,
+    dateAdded: false,
+};
+
+function libraryError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Literal text inside a LIKE pattern (used with ESCAPE '\\')
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, c => '\\' + c);
+}
+
+/**
+ * Key indices matching "8A", "8a", "Am", "A♭m" or "Abm".
+ */
+function parseKey(value) {
+    const q = String(value).trim().toLowerCase().replace(/([a-g])b(?=m?$)/, '$1♭').replace(/#/g, '♯');
+    const matches = [];
+    KEY_NAMES.forEach((name, i) => {
+        const [, camelot, musical] = name.toLowerCase().match(/^(\S+) \((.+)\)$/);
+        if (q === camelot || q === musical) matches.push(i);
+    });
+    return matches;
+}
+
+/**
+ * "124" → 123–125, "120-128" → 120–128. Null when unparseable.
+ */
+function parseBpm(value) {
+    const range = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?))?\s*$/);
+    if (!range) return null;
+    const low = parseFloat(range[1]);
+    if (range[2] === undefined) return [low - BPM_TOLERANCE, low + BPM_TOLERANCE];
+    const high = parseFloat(range[2]);
+    return [Math.min(low, high), Math.max(low, high)];
+}
+
+function paging({ offset, limit }) {
+    return {
+        offset: Math.max(0, parseInt(offset) || 0),
+        limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_LIMIT)),
+    };
+}
+
+/**
+ * Entries of a linked list in order. Entries nothing points at start a chain;
+ * anything a broken chain leaves behind is appended in id order.
+ */
+function linkedOrder(rows, nextKey) {
+    const byId = new Map(rows.map(r => [r.id, r]));
+    const pointedAt = new Set(rows.map(r => r[nextKey]));
+    const ordered = [];
+    const seen = new Set();
+    for (const head of rows.filter(r => !pointedAt.has(r.id))) {
+        for (let r = head; r && !seen.has(r.id); r = byId.get(r[nextKey])) {
+            seen.add(r.id);
+            ordered.push(r);
+        }
+    }
+    return ordered.concat(rows.filter(r => !seen.has(r.id)).sort((a, b) => a.id - b.id));
+}
+
+class EngineLibrary {
+    /**
+     * @param {object} options
+     * @param {StagelinqManager} options.manager source of the downloaded database paths
+     */
+    constructor({ manager }) {
+        this.manager = manager;
+        this._dbs = new Map(); // dbPath -> { db, mtimeMs, schema }
+        this._infoCache = new Map(); // trackPath -> trackInfo() result
+        this._waveformCache = new Map(); // 'source|trackId' -> waveform() result
+        this._cuesCache = new Map(); // 'source|trackId' -> trackCues() result
+    }
+
+    /**
+     * Extended metadata for the track loaded on a deck, or null when no database
+     * has it. Searched like the artwork: the deck's own source first, by path,
+     * then file name, then title.
+     * @param {object} deck deck state (dbSourceName, trackPath, trackNetworkPath, trackName)
+     */
+    trackInfo(deck) {
+        const trackPath = deck.trackPath || deck.trackNetworkPath || '';
+        const cacheKey = trackPath || (deck.trackName ? `title:${deck.trackName}` : '');
+        if (!cacheKey) return null;
+        if (this._infoCache.has(cacheKey)) return this._infoCache.get(cacheKey);
+
+        const sources = this.manager.getDatabases();
+        // Nothing downloaded yet: don't remember the miss (see invalidate)
+        if (!sources.length) return null;
+        sources.sort((a, b) => (b.id === deck.dbSourceName) - (a.id === deck.dbSourceName));
+        let info = null;
+        for (const source of sources) {
+            try {
+                const { db, schema } = this._open(source.path);
+                const id = this._findTrackId(db, schema, trackPath, deck.trackName);
+                if (id === null) continue;
+                info = this._details(db.prepare(schema.details).get(id), source.id, id);
+                break;
+            } catch (err) {
+                console.error(`[Library] Lookup in ${source.id} failed:`, err.message);
+            }
+        }
+        if (this._infoCache.size >= INFO_CACHE_SIZE) this._infoCache.delete(this._infoCache.keys().next().value);
+        this._infoCache.set(cacheKey, info);
+        return info;
+    }
+
+    /**
+     * Forget cached lookups, e.g. after a database was (re)downloaded.
+     */
+    invalidate() {
+        this._infoCache.clear();
+        this._waveformCache.clear();
+        this._cuesCache.clear();
+    }
+
+    /**
+     * Decoded overview waveform of a track.
+     * @param {{ source? }} query source defaults to the first known source
+     * @returns {{ source, trackId, samplesPerEntry, low, mid, high, max }}
+     */
+    waveform(trackId, query = {}) {
+        const { id, db, schema } = this._source(query.source);
+        const cacheKey = `${id}|${trackId}`;
+        if (this._waveformCache.has(cacheKey)) return this._waveformCache.get(cacheKey);
+        const waveform = PerformanceData.decodeOverviewWaveform(this._performanceData(db, schema, trackId, 'overviewWaveFormData'));
+        if (!waveform) throw libraryError(404, '该曲目没有波形数据（未分析）');
+        const result = { source: id, trackId: Number(trackId), ...waveform };
+        if (this._waveformCache.size >= WAVEFORM_CACHE_SIZE) this._waveformCache.delete(this._waveformCache.keys().next().value);
+        this._waveformCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Stored hotcues, saved loops and beat grid of a track, positions in seconds.
+     * Cues and loops only include the slots that are set; mainCue and beatGrid
+     * are null when the track has none.
+     * @param {{ source? }} query source defaults to the first known source
+     * @returns {{ source, trackId, sampleRate, mainCue, hotcues: Array<{ num, label, position, color }>,
+     *             loops: Array<{ num, label, start, end, color }>, beatGrid: Array<{ position, beat }> | null }}
+     */
+    trackCues(trackId, query = {}) {
+        const { id, db, schema } = this._source(query.source);
+        const cacheKey = `${id}|${trackId}`;
+        if (this._cuesCache.has(cacheKey)) return this._cuesCache.get(cacheKey);
+        const blob = (column) => this._performanceData(db, schema, trackId, column);
+        const beatData = PerformanceData.decodeBeatData(blob('beatData'));
+        const trackData = PerformanceData.decodeTrackData(blob('trackData'));
+        const sampleRate = (beatData && beatData.sampleRate) || (trackData && trackData.sampleRate);
+        if (!sampleRate) throw libraryError(404, '该曲目没有分析数据（未分析）');
+
+        const seconds = (sample) => sample / sampleRate;
+        const quickCues = PerformanceData.decodeQuickCues(blob('quickCues')) || { cues: [], mainCue: null };
+        const loops = PerformanceData.decodeLoops(blob('loops')) || [];
+        const grid = beatData && beatData.markers.length >= 2 ? beatData.markers : null;
+        const result = {
+            source: id,
+            trackId: Number(trackId),
+            sampleRate,
+            mainCue: quickCues.mainCue === null ? null : seconds(quickCues.mainCue),
+            hotcues: quickCues.cues.map(({ num, label, sample, color }) => ({ num, label, position: seconds(sample), color })),
+            loops: loops.map(({ num, label, start, end, color }) => ({ num, label, start: seconds(start), end: seconds(end), color })),
+            beatGrid: grid && grid.map(({ sample, beat }) => ({ position: seconds(sample), beat })),
+        };
+        if (this._cuesCache.size >= WAVEFORM_CACHE_SIZE) this._cuesCache.delete(this._cuesCache.keys().next().value);
+        this._cuesCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Stored cover of a track.
+     * @param {{ source? }} query source defaults to the first known source
+     * @returns {{ source, trackId, hash, data: Buffer } | null} null when the track has no cover;
+     *          hash is Engine's own image hash, or a SHA-1 of the image when the schema has none
+     */
+    albumArt(trackId, query = {}) {
+        const { id, db, schema } = this._source(query.source);
+        const { artwork } = schema;
+        if (!artwork) return null;
+        const row = db.prepare(`SELECT a."${artwork.blob}" AS data, ${artwork.hash ? `a."${artwork.hash}"` : 'NULL'} AS hash
+            FROM Track t JOIN "${artwork.table}" a ON a.id = t."${artwork.key}" WHERE t.id = ?`).get(trackId);
+        if (!row || !row.data || !row.data.length) return null;
+        const data = Buffer.from(row.data);
+        const hash = row.hash ? String(row.hash) : crypto.createHash('sha1').update(data).digest('hex');
+        return { source: id, trackId: Number(trackId), hash, data };
+    }
+
+    /**
+     * Raw analysis blob for a track, or null when the database has none.
+     */
+    _performanceData(db, schema, trackId, column) {
+        const { performance } = schema;
+        if (!performance || !performance.columns.includes(column)) return null;
+        const row = db.prepare(`SELECT "${column}" AS data FROM "${performance.table}" WHERE "${performance.key}" = ?`).get(trackId);
+        return row ? row.data : null;
+    }
+
+    /**
+     * Known sources with their schema and sizes. Sources whose database can't be
+     * read are listed with an error instead of failing the whole list.
+     */
+    listSources() {
+        return this.manager.getDatabases().map(({ id, path: dbPath }) => {
+            try {
+                const { db, schema } = this._open(dbPath);
+                const tracks = db.prepare('SELECT COUNT(*) AS n FROM Track').get().n;
+                return { id, schema: schema.version, tracks, lists: this._lists(db, schema).length };
+            } catch (err) {
+                return { id, error: err.message };
+            }
+        });
+    }
+
+    /**
+     * Search tracks in one source.
+     * @param {{ source?, q?, bpm?, key?, offset?, limit? }} query source defaults to the first known source
+     * @returns {{ source, total, offset, limit, tracks }}
+     */
+    searchTracks(query = {}) {
+        const { id, db, schema } = this._source(query.source);
+        const { offset, limit } = paging(query);
+        const where = [];
+        const params = [];
+        const q = String(query.q || '').trim();
+        if (q) {
+            const like = `%${escapeLike(q)}%`;
+            where.push("(title LIKE ? ESCAPE '\\' OR artist LIKE ? ESCAPE '\\' OR album LIKE ? ESCAPE '\\' OR filename LIKE ? ESCAPE '\\')");
+            params.push(like, like, like, like);
+        }
+        if (query.bpm) {
+            const range = parseBpm(query.bpm);
+            if (!range) throw libraryError(400, `无效的 BPM: ${query.bpm}`);
+            where.push('bpm BETWEEN ? AND ?');
+            params.push(...range);
+        }
+        if (query.key) {
+            const keys = parseKey(query.key);
+            if (!keys.length) throw libraryError(400, `无效的调性: ${query.key}`);
+            where.push(`keyIndex IN (${keys.map(() => '?').join(', ')})`);
+            params.push(...keys);
+        }
+        const filtered = `FROM (${schema.tracks}) ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`;
+        const total = db.prepare(`SELECT COUNT(*) AS n ${filtered}`).get(...params).n;
+        const rows = db.prepare(`SELECT * ${filtered} ORDER BY artist COLLATE NOCASE, title COLLATE NOCASE, id LIMIT ? OFFSET ?`)
+            .all(...params, limit, offset);
+        return { source: id, total, offset, limit, tracks: rows.map(r => this._track(r)) };
+    }
+
+    /**
+     * Playlists (and v1 crates) of a source, siblings in Engine's order.
+     * @returns {{ source, lists: Array<{ id, kind, title, parentId, tracks }> }}
+     */
+    listPlaylists(query = {}) {
+        const { id, db, schema } = this._source(query.source);
+        return { source: id, lists: this._lists(db, schema) };
+    }
+
+    /**
+     * One list and a page of its tracks, in list order.
+     */
+    getPlaylist(listId, query = {}) {
+        const { id, db, schema } = this._source(query.source);
+        const list = this._lists(db, schema).find(l => l.id === listId);
+        if (!list) throw libraryError(404, '未找到该播放列表');
+        const { offset, limit } = paging(query);
+        const ids = this._listTrackIds(db, schema, list);
+        const page = ids.slice(offset, offset + limit);
+        const rows = page.length
+            ? db.prepare(`SELECT * FROM (${schema.tracks}) WHERE id IN (${page.map(() => '?').join(', ')})`).all(...page)
+            : [];
+        const byId = new Map(rows.map(r => [r.id, r]));
+        return {
+            source: id, list, total: ids.length, offset, limit,
+            // Entries pointing at tracks on other drives have no row here
+            tracks: page.filter(t => byId.has(t)).map(t => this._track(byId.get(t))),
+        };
+    }
+
+    /**
+     * Close every open database (shutdown, or before the files are replaced).
+     */
+    close() {
+        for (const { db } of this._dbs.values()) {
+            try { db.close(); } catch (_) { }
+        }
+        this._dbs.clear();
+    }
+
+    _source(sourceId) {
+        const sources = this.manager.getDatabases();
+        if (!sources.length) throw libraryError(404, '还没有可浏览的曲库（连接设备后自动下载）');
+        const source = sourceId ? sources.find(s => s.id === sourceId) : sources[0];
+        if (!source) throw libraryError(404, `未知的曲库来源: ${sourceId}`);
+        return { id: source.id, ...this._open(source.path) };
+    }
+
+    /**
+     * Open (or reuse) a database. A re-downloaded file has a new mtime and is reopened.
+     */
+    _open(dbPath) {
+        const mtimeMs = fs.statSync(dbPath).mtimeMs;
+        const cached = this._dbs.get(dbPath);
+        if (cached && cached.mtimeMs === mtimeMs) return cached;
+        if (cached) {
+            cached.db.close();
+            this.invalidate();
+        }
+        this._dbs.delete(dbPath);
+
+        const Database = require('better-sqlite3');
+        const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+        try {
+            const entry = { db, mtimeMs, schema: this._detectSchema(db) };
+            this._dbs.set(dbPath, entry);
+            return entry;
+        } catch (err) {
+            db.close();
+            throw err;
+        }
+    }
+
+    _detectSchema(db) {
+        const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map(r => r.name);
+        const columns = (table) => tables.includes(table) ? db.prepare(`PRAGMA table_info("${table}")`).all().map(r => r.name) : [];
+        const trackCols = columns('Track');
+        if (!trackCols.length) throw new Error('不是 Engine 曲库（缺少 Track 表）');
+        const col = (name, fallback = 'NULL') => trackCols.includes(name) ? `t."${name}"` : fallback;
+        const bpm = trackCols.includes('bpmAnalyzed') ? `COALESCE(NULLIF(${col('bpmAnalyzed')}, 0), ${col('bpm')})` : col('bpm');
+        const common = `${bpm} AS bpm, ${col('length')} AS length, ${col('year')} AS year,
+            ${col('filename')} AS filename, ${col('path')} AS path`;
+
+        // Play counts: a column on newer builds, otherwise the play history lists if this file has them
+        const playCount = trackCols.includes('playCount') ? col('playCount')
+            : tables.includes('HistorylistTrackList') ? '(SELECT COUNT(*) FROM HistorylistTrackList WHERE trackId = t.id)'
+                : tables.includes('HistorylistEntity') ? '(SELECT COUNT(*) FROM HistorylistEntity WHERE trackId = t.id)'
+                    : 'NULL';
+        // Where the analysis blobs are: on Track (newer Engine DJ), else PerformanceData
+        // keyed by trackId (Engine DJ 2.x) or by the track's own id (Engine Prime 1.x)
+        const perfCols = columns('PerformanceData');
+        const performance = trackCols.includes('overviewWaveFormData') ? { table: 'Track', key: 'id', columns: trackCols }
+            : perfCols.length ? { table: 'PerformanceData', key: perfCols.includes('trackId') ? 'trackId' : 'id', columns: perfCols }
+                : null;
+        // Covers: a table of images referenced from Track; names vary between firmware versions
+        const artTable = ['AlbumArt', 'Artwork', 'ArtworkData'].find(t => tables.includes(t));
+        const artCols = artTable ? columns(artTable) : [];
+        const artKey = ['idAlbumArt', 'albumArtId', 'idArtwork', 'artworkId'].find(c => trackCols.includes(c));
+        const artBlob = ['albumArt', 'bitmap', 'data', 'image', 'artwork'].find(c => artCols.includes(c));
+        const artwork = artKey && artBlob ? { table: artTable, key: artKey, blob: artBlob, hash: artCols.includes('hash') ? 'hash' : null } : null;
+        const detailCommon = `${col('year')} AS year, ${col('bitrate')} AS bitrate, ${playCount} AS playCount,
+            ${col('filename')} AS filename`;
+
+        if (trackCols.includes('title')) {
+            return {
+                version: 'v2',
+                tables,
+                performance,
+                artwork,
+                tracks: `SELECT t.id, ${col('title')} AS title, ${col('artist')} AS artist, ${col('album')} AS album,
+                    ${col('genre')} AS genre, ${col('key')} AS keyIndex, ${common} FROM Track t`,
+                details: `SELECT ${col('album')} AS album, ${col('genre')} AS genre, ${col('label')} AS label,
+                    ${col('comment')} AS comment, ${col('rating')} AS rating, ${col('fileType')} AS format,
+                    ${col('dateAdded')} AS dateAdded, ${detailCommon} FROM Track t WHERE t.id = ?`,
+            };
+        }
+        if (!tables.includes('MetaData')) throw new Error('无法识别的 Engine 曲库结构');
+        const text = (type) => `(SELECT text FROM MetaData WHERE id = t.id AND type = ${type})`;
+        const keyIndex = tables.includes('MetaDataInteger')
+            ? `(SELECT value FROM MetaDataInteger WHERE id = t.id AND type = ${V1_KEY})`
+            : 'NULL';
+        return {
+            version: 'v1',
+            tables,
+            performance,
+            artwork,
+            tracks: `SELECT t.id, ${text(V1_TEXT.title)} AS title, ${text(V1_TEXT.artist)} AS artist,
+                ${text(V1_TEXT.album)} AS album, ${text(V1_TEXT.genre)} AS genre, ${keyIndex} AS keyIndex,
+                ${common} FROM Track t`,
+            details: `SELECT ${text(V1_TEXT.album)} AS album, ${text(V1_TEXT.genre)} AS genre, ${text(V1_TEXT.label)} AS label,
+                ${text(V1_TEXT.comment)} AS comment, ${text(V1_TEXT.extension)} AS format,
+                ${tables.includes('MetaDataInteger') ? `(SELECT value FROM MetaDataInteger WHERE id = t.id AND type = ${V1_RATING})` : 'NULL'} AS rating,
+                NULL AS dateAdded, ${detailCommon} FROM Track t WHERE t.id = ?`,
+        };
+    }
+
+    _findTrackId(db, schema, trackPath, trackName) {
+        const find = (where, value) => {
+            const row = db.prepare(`SELECT id FROM (${schema.tracks}) WHERE ${where} LIMIT 1`).get(value);
+            return row ? row.id : null;
+        };
+        let id = null;
+        if (trackPath) {
+            id = find('path = ?', trackPath);
+            const fileName = trackPath.split('/').pop();
+            if (id === null && fileName) id = find("path LIKE ? ESCAPE '\\'", '%' + escapeLike(fileName));
+        }
+        if (id === null && trackName) {
+            id = find("filename LIKE ? ESCAPE '\\'", `%${escapeLike(trackName)}%`);
+            if (id === null) id = find("title LIKE ? ESCAPE '\\'", `%${escapeLike(trackName)}%`);
+        }
+        return id;
+    }
+
+    _details(row, source, id) {
+        const extension = (row.filename || '').match(/\.([^.]+)$/);
+        const format = String(row.format || (extension ? extension[1] : '')).replace(/^\./, '').toLowerCase();
+        // Engine stores ratings as 0–100, 20 per star
+        const rating = Number.isFinite(row.rating) ? Math.max(0, Math.min(5, Math.round(row.rating / 20))) : null;
+        // dateAdded is Unix seconds; 0 means unknown
+        const dateAdded = row.dateAdded > 0 ? new Date(row.dateAdded * 1000).toISOString() : null;
+        return {
+            source, id,
+            album: row.album || '',
+            genre: row.genre || '',
+            label: row.label || '',
+            year: row.year || null,
+            comment: row.comment || '',
+            rating,
+            playCount: Number.isFinite(row.playCount) ? row.playCount : null,
+            bitrate: row.bitrate || null,
+            format,
+            dateAdded,
+        };
+    }
+
+    _lists(db, schema) {
+        const has = (t) => schema.tables.includes(t);
+        if (schema.version === 'v2') {
+            if (!has('Playlist')) return [];
+            const counts = has('PlaylistEntity')
+                ? new Map(db.prepare('SELECT listId, COUNT(*) AS n FROM PlaylistEntity GROUP BY listId').all().map(r => [r.listId, r.n]))
+                : new Map();
+            const rows = db.prepare('SELECT * FROM Playlist').all();
+            // Sibling order is per parent
+            const byParent = new Map();
+            for (const r of rows) {
+                const key = r.parentListId || 0;
+                if (!byParent.has(key)) byParent.set(key, []);
+                byParent.get(key).push(r);
+            }
+            const ordered = [];
+            for (const siblings of byParent.values()) ordered.push(...linkedOrder(siblings, 'nextListId'));
+            return ordered.map(r => ({
+                id: `p${r.id}`, kind: 'playlist', title: r.title || '',
+                parentId: r.parentListId ? `p${r.parentListId}` : null,
+                tracks: counts.get(r.id) || 0,
+            }));
+        }
+
+        const lists = [];
+        if (has('Playlist') && has('PlaylistTrackList')) {
+            for (const r of db.prepare(`SELECT p.id, p.title, (SELECT COUNT(*) FROM PlaylistTrackList WHERE playlistId = p.id) AS n
+                FROM Playlist p ORDER BY p.title COLLATE NOCASE`).all()) {
+                lists.push({ id: `p${r.id}`, kind: 'playlist', title: r.title || '', parentId: null, tracks: r.n });
+            }
+        }
+        if (has('Crate') && has('CrateTrackList')) {
+            const parents = has('CrateParentList')
+                ? new Map(db.prepare('SELECT crateOriginId, crateParentId FROM CrateParentList').all().map(r => [r.crateOriginId, r.crateParentId]))
+                : new Map();
+            for (const r of db.prepare(`SELECT c.id, c.title, (SELECT COUNT(*) FROM CrateTrackList WHERE crateId = c.id) AS n
+                FROM Crate c ORDER BY c.title COLLATE NOCASE`).all()) {
+                const parent = parents.get(r.id);
+                lists.push({ id: `c${r.id}`, kind: 'crate', title: r.title || '', parentId: parent && parent !== r.id ? `c${parent}` : null, tracks: r.n });
+            }
+        }
+        return lists;
+    }
+
+    _listTrackIds(db, schema, list) {
+        const id = parseInt(list.id.slice(1));
+        if (schema.version === 'v2') {
+            const rows = db.prepare('SELECT id, trackId, nextEntityId FROM PlaylistEntity WHERE listId = ?').all(id);
+            return linkedOrder(rows, 'nextEntityId').map(r => r.trackId);
+        }
+        if (list.kind === 'crate') {
+            return db.prepare(`SELECT ct.trackId FROM CrateTrackList ct JOIN (${schema.tracks}) t ON t.id = ct.trackId
+                WHERE ct.crateId = ? ORDER BY t.artist COLLATE NOCASE, t.title COLLATE NOCASE`).all(id).map(r => r.trackId);
+        }
+        return db.prepare('SELECT trackId FROM PlaylistTrackList WHERE playlistId = ? ORDER BY trackNumber').all(id).map(r => r.trackId);
+    }
+
+    _track(row) {
+        const keyIndex = Number.isInteger(row.keyIndex) && KEY_NAMES[row.keyIndex] ? row.keyIndex : -1;
+        return {
+            id: row.id,
+            title: row.title || (row.filename || '').replace(/\.[^.]+$/, ''),
+            artist: row.artist || '',
+            album: row.album || '',
+            genre: row.genre || '',
+            bpm: row.bpm ? Math.round(row.bpm * 100) / 100 : 0,
+            key: keyIndex >= 0 ? KEY_NAMES[keyIndex] : '',
+            keyIndex,
+            length: row.length || 0,
+            year: row.year || null,
+            filename: row.filename || '',
+            path: row.path || '',
+        };
+    }
+}
+
+EngineLibrary.KEY_NAMES = KEY_NAMES;
+EngineLibrary.TRACK_INFO_DEFAULTS = TRACK_INFO_DEFAULTS;
+
+module.exports = EngineLibrary;
@@ -0,0 +1,124 @@
+/**
+ * StagelinQ Event Recorder
+ * Captures the raw library events of a live session to an NDJSON file so the
+ * gig can be played back later in replay mode (see replay-player.js).
+ *
+ * Line 1 is a header: { format, version, startedAt }
+ * Every further line is one event: { t, type, args } with t in ms since start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+const FORMAT = 'mixboard-recording';
+const VERSION = 1;
+
+// Events worth recording, as named by the stagelinq library
+const EVENT_TYPES = ['connected', 'message', 'stateChanged', 'trackLoaded', 'nowPlaying', 'beatMessage'];
+
+// BeatInfo clocks are BigInts and connection tokens are byte arrays — neither survives JSON as-is
+function replacer(key, value) {
+    if (typeof value === 'bigint') return Number(value);
+    if (value instanceof Uint8Array) return Array.from(value);
+    return value;
+}
+
+class EventRecorder {
+    constructor(dir = RECORDINGS_DIR) {
+        this.dir = dir;
+        this.stream = null;
+        this.name = null;
+        this.startedAt = 0;
+        this.eventCount = 0;
+    }
+
+    get active() {
+        return !!this.stream;
+    }
+
+    /**
+     * Open a new recording file.
+     * @returns {string} recording file name
+     */
+    start() {
+        if (this.stream) return this.name;
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.startedAt = Date.now();
+        this.name = `${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.ndjson`;
+        this.eventCount = 0;
+        this.stream = fs.createWriteStream(path.join(this.dir, this.name), { flags: 'wx' });
+        this.stream.on('error', (err) => {
+            console.error('[EventRecorder] Write failed, recording stopped:', err.message);
+            this.stream = null;
+        });
+        this.stream.write(JSON.stringify({ format: FORMAT, version: VERSION, startedAt: new Date(this.startedAt).toISOString() }) + '\n');
+        console.log(`[EventRecorder] ⏺️  Recording to ${this.name}`);
+        return this.name;
+    }
+
+    write(type, args) {
+        if (!this.stream) return;
+        try {
+            this.stream.write(JSON.stringify({ t: Date.now() - this.startedAt, type, args }, replacer) + '\n');
+            this.eventCount++;
+        } catch (err) {
+            console.warn(`[EventRecorder] Skipped unserializable ${type} event:`, err.message);
+        }
+    }
+
+    /**
+     * Close the file.
+     * @returns {{ name: string, events: number, durationMs: number } | null}
+     */
+    stop() {
+        if (!this.stream) return null;
+        const result = { name: this.name, events: this.eventCount, durationMs: Date.now() - this.startedAt };
+        this.stream.end();
+        this.stream = null;
+        console.log(`[EventRecorder] ⏹️  Saved ${result.name} (${result.events} events)`);
+        return result;
+    }
+
+    status() {
+        return {
+            recording: this.active,
+            name: this.active ? this.name : null,
+            events: this.active ? this.eventCount : 0,
+            durationMs: this.active ? Date.now() - this.startedAt : 0,
+        };
+    }
+
+    /**
+     * Recordings on disk, newest first.
+     */
+    static list(dir = RECORDINGS_DIR) {
+        try {
+            return fs.readdirSync(dir)
+                .filter(f => f.endsWith('.ndjson'))
+                .map(name => {
+                    const stat = fs.statSync(path.join(dir, name));
+                    return { name, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+                })
+                .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Absolute path of a recording by name, or null if it does not exist.
+     * Only plain file names inside the recordings directory are accepted.
+     */
+    static resolve(name, dir = RECORDINGS_DIR) {
+        if (!name || path.basename(name) !== name || !name.endsWith('.ndjson')) return null;
+        const file = path.join(dir, name);
+        return fs.existsSync(file) ? file : null;
+    }
+}
+
+EventRecorder.EVENT_TYPES = EVENT_TYPES;
+EventRecorder.FORMAT = FORMAT;
+
+module.exports = EventRecorder;
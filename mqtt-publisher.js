@@ -0,0 +1,267 @@
+/**
+ * MQTT Publisher
+ * Publishes deck and device state as retained topics plus one-off events, so
+ * venue automation (screens, lights, smoke) can react without polling.
+ *
+ * Configured through `mqtt` in data/settings.json. Topics, under topicPrefix:
+ *   <prefix>/status                          'online' | 'offline' (retained, also the Last Will)
+ *   <prefix>/<device>/status                 device record as JSON (retained)
+ *   <prefix>/<device>/deck/<n>/track         { title, artist, key, trackLength, trackPath } (retained)
+ *   <prefix>/<device>/deck/<n>/bpm|playing|master|key   (retained)
+ *   <prefix>/events/track-change | play-state | device-connected | device-disconnected
+ *
+ * When a device disconnects its deck track/bpm/key topics are cleared and
+ * playing/master set to false.
+ *
+ * <device> is the device name as a slug (e.g. "prime-4"), with the IP appended
+ * when two connected devices share a name.
+ */
+
+const os = require('os');
+const mqtt = require('mqtt');
+
+const DEFAULTS = {
+    enabled: false,
+    url: 'mqtt://localhost:1883',
+    username: '',
+    password: '',
+    topicPrefix: 'mixboard',
+    qos: 0,
+    clientId: '',
+};
+
+// Settings that need a new broker connection when changed
+const CONNECTION_KEYS = ['enabled', 'url', 'username', 'password', 'topicPrefix', 'clientId'];
+// How long a clean disconnect waits on the broker before the connection is dropped
+const DISCONNECT_TIMEOUT_MS = 3000;
+
+function slug(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Resolves true once `start` calls back, or false after `ms`
+function withTimeout(ms, start) {
+    return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(false), ms);
+        start(() => {
+            clearTimeout(timer);
+            resolve(true);
+        });
+    });
+}
+
+class MqttPublisher {
+    /**
+     * @param {object} options
+     * @param {StagelinqManager} options.manager for the current state
+     * @param {DeckEvents} options.deckEvents discrete deck/device events
+     * @param {function(): object} options.getSettings returns the current settings object
+     */
+    constructor({ manager, deckEvents, getSettings }) {
+        this.manager = manager;
+        this.getSettings = getSettings;
+        this.client = null;
+        this._connectionKey = '';
+        // topic -> last retained payload, so unchanged values are not re-sent
+        this._retained = new Map();
+        // device id -> topic segment, kept after the device leaves the state for its final events
+        this._deviceKeyCache = {};
+        this._lastError = '';
+        // Tail of the start/stop/refresh chain
+        this._queue = Promise.resolve();
+
+        manager.on('stateUpdate', (state) => this._publishState(state));
+        deckEvents.on('trackChanged', (e) => this._publishEvent('track-change', e));
+        deckEvents.on('playStateChanged', (e) => this._publishEvent('play-state', e));
+        deckEvents.on('deviceConnected', (e) => this._publishEvent('device-connected', e));
+        deckEvents.on('deviceDisconnected', (e) => this._publishEvent('device-disconnected', e));
+    }
+
+    get config() {
+        const config = { ...DEFAULTS, ...(this.getSettings().mqtt || {}) };
+        config.qos = [0, 1, 2].includes(Number(config.qos)) ? Number(config.qos) : 0;
+        config.topicPrefix = String(config.topicPrefix || DEFAULTS.topicPrefix).replace(/\/+$/, '');
+        return config;
+    }
+
+    get connected() {
+        return !!(this.client && this.client.connected);
+    }
+
+    /**
+     * Connect with the current settings, ending any existing connection first.
+     * start/stop/refresh run one after another, so a burst of settings changes
+     * never leaves two clients connected.
+     */
+    start() {
+        return this._serialize(() => this._connect());
+    }
+
+    /**
+     * Apply changed settings; reconnects only when connection settings changed.
+     */
+    refresh() {
+        return this._serialize(async () => {
+            const config = this.config;
+            if (JSON.stringify(CONNECTION_KEYS.map(k => config[k])) === this._connectionKey) return;
+            await this._connect();
+        });
+    }
+
+    stop() {
+        return this._serialize(() => this._disconnect());
+    }
+
+    _serialize(task) {
+        this._queue = this._queue.then(task).catch(err => console.warn('[MQTT] Error:', err.message));
+        return this._queue;
+    }
+
+    async _connect() {
+        if (this.client) await this._disconnect();
+        const config = this.config;
+        this._connectionKey = JSON.stringify(CONNECTION_KEYS.map(k => config[k]));
+        if (!config.enabled) return;
+
+        const statusTopic = `${config.topicPrefix}/status`;
+        console.log(`[MQTT] Connecting to ${config.url}...`);
+        const client = mqtt.connect(config.url, {
+            clientId: config.clientId || `mixboard-${slug(os.hostname())}-${process.pid}`,
+            username: config.username || undefined,
+            password: config.password || undefined,
+            reconnectPeriod: 5000,
+            will: { topic: statusTopic, payload: 'offline', qos: config.qos, retain: true },
+        });
+        this.client = client;
+        client.on('connect', () => {
+            this._lastError = '';
+            console.log(`[MQTT] ✅ Connected to ${config.url}`);
+            client.publish(statusTopic, 'online', { qos: config.qos, retain: true });
+            // The broker may have lost our retained topics; send everything again
+            this._retained.clear();
+            this._publishState(this.manager.getState());
+        });
+        client.on('error', (err) => {
+            if (err.message === this._lastError) return;
+            this._lastError = err.message;
+            console.warn('[MQTT] Error:', err.message);
+        });
+        client.on('offline', () => console.log('[MQTT] Broker unreachable, retrying...'));
+    }
+
+    async _disconnect() {
+        const client = this.client;
+        this.client = null;
+        this._retained.clear();
+        if (!client) return;
+        // A clean disconnect does not trigger the Last Will, so say goodbye ourselves
+        // (on the client's own status topic: the settings may have changed since).
+        // A broker that has gone away never acks; don't hold up the queue for it
+        let clean = true;
+        if (client.connected) {
+            const { will } = client.options;
+            clean = await withTimeout(DISCONNECT_TIMEOUT_MS, done => client.publish(will.topic, 'offline', { qos: will.qos, retain: true }, () => done()));
+        }
+        if (clean) clean = await withTimeout(DISCONNECT_TIMEOUT_MS, done => client.end(false, {}, () => done()));
+        if (clean) {
+            console.log('[MQTT] Disconnected');
+        } else {
+            client.end(true);
+            console.warn('[MQTT] Broker did not answer, connection dropped');
+        }
+    }
+
+    status() {
+        const config = this.config;
+        return { enabled: config.enabled, url: config.url, connected: this.connected, error: this._lastError || null };
+    }
+
+    _publish(topic, payload, retain) {
+        if (!this.connected) return;
+        if (retain) {
+            if (this._retained.get(topic) === payload) return;
+            this._retained.set(topic, payload);
+        }
+        this.client.publish(topic, payload, { qos: this.config.qos, retain });
+    }
+
+    /**
+     * Topic segment for every known device, keyed by device id.
+     */
+    _deviceKeys(state) {
+        const devices = Object.values(state.devices || {});
+        const counts = {};
+        devices.forEach(d => { const s = slug(d.name) || slug(d.ip); counts[s] = (counts[s] || 0) + 1; });
+        const keys = this._deviceKeyCache;
+        devices.forEach(d => {
+            const s = slug(d.name) || slug(d.ip);
+            keys[d.id] = counts[s] > 1 ? `${s}-${slug(d.ip)}` : s;
+        });
+        return keys;
+    }
+
+    _publishState(state) {
+        if (!this.connected || !state || !state.decks) return;
+        const prefix = this.config.topicPrefix;
+        const keys = this._deviceKeys(state);
+
+        for (const device of Object.values(state.devices || {})) {
+            this._publish(`${prefix}/${keys[device.id]}/status`, JSON.stringify({
+                name: device.name,
+                ip: device.ip,
+                softwareName: device.softwareName,
+                softwareVersion: device.softwareVersion,
+                connectionState: device.connectionState,
+                deckCount: device.deckCount,
+            }), true);
+        }
+
+        for (let n = 1; n <= 4; n++) {
+            const deck = state.decks[n];
+            if (!deck || !keys[deck.deviceId]) continue;
+            const base = `${prefix}/${keys[deck.deviceId]}/deck/${n}`;
+            const loaded = !!(deck.songLoaded || deck.trackName || deck.songName);
+            this._publish(`${base}/track`, JSON.stringify(loaded ? {
+                title: deck.trackName || deck.songName || '',
+                artist: deck.artistName || '',
+                key: deck.currentKey || '',
+                trackLength: deck.trackLength || 0,
+                trackPath: deck.trackPath || '',
+            } : null), true);
+            this._publish(`${base}/bpm`, (deck.currentBPM || 0).toFixed(1), true);
+            this._publish(`${base}/playing`, String(!!deck.playState), true);
+            this._publish(`${base}/master`, String(!!deck.deckIsMaster), true);
+            this._publish(`${base}/key`, deck.currentKey || '', true);
+        }
+    }
+
+    _publishEvent(name, data) {
+        if (!this.connected) return;
+        const state = this.manager.getState();
+        const keys = this._deviceKeys(state);
+        const deviceId = data.deviceId || data.ip;
+        const prefix = this.config.topicPrefix;
+        this._publish(`${prefix}/events/${name}`, JSON.stringify({
+            ...data,
+            device: keys[deviceId] || null,
+            at: new Date().toISOString(),
+        }), false);
+        // The device may already be gone from the state; don't leave it retained as connected
+        // or its decks as still loaded (an empty retained payload deletes the topic)
+        const statusTopic = keys[deviceId] && `${prefix}/${keys[deviceId]}/status`;
+        if (name === 'device-disconnected' && this._retained.has(statusTopic)) {
+            this._publish(statusTopic, JSON.stringify({ ...JSON.parse(this._retained.get(statusTopic)), connectionState: 'disconnected' }), true);
+            const deckPrefix = `${prefix}/${keys[deviceId]}/deck/`;
+            for (const topic of Array.from(this._retained.keys())) {
+                if (!topic.startsWith(deckPrefix)) continue;
+                const field = topic.slice(topic.lastIndexOf('/') + 1);
+                if (field === 'playing' || field === 'master') this._publish(topic, 'false', true);
+                else this._publish(topic, '', true);
+            }
+        }
+    }
+}
+
+MqttPublisher.DEFAULTS = DEFAULTS;
+
+module.exports = MqttPublisher;
@@ -0,0 +1,169 @@
+/**
+ * Now-Playing File Writer
+ * Writes the current on-air track to disk for streaming / radio software that
+ * can only read files: a templated nowplaying.txt, a nowplaying.json with the
+ * full deck record and (optionally) the artwork as nowplaying.jpg.
+ *
+ * Configured through `nowPlayingFile` in data/settings.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Edge length of the cover written when the stored one is not a JPEG (see ArtworkService.SIZES)
+const ARTWORK_SIZE = 256;
+
+const DEFAULTS = {
+    enabled: false,
+    directory: 'data/nowplaying',
+    template: '{artist} - {title}',
+    rule: 'master',           // master | loudest | last — see now-playing.js
+    minPlaySeconds: 5,        // a track must stay on air this long before it is written
+    artwork: false,           // also write nowplaying.jpg
+    clearWhenIdle: false,     // empty the files when nothing is on air
+};
+
+/**
+ * Write a file so readers never observe a partial write: write a sibling
+ * temp file, then rename over the target (atomic on the same filesystem).
+ */
+function writeFileAtomic(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+}
+
+function renderTemplate(template, track) {
+    const values = {
+        artist: track.artist,
+        title: track.title,
+        bpm: track.bpm ? track.bpm.toFixed(1) : '',
+        key: track.musicalKey,
+        deck: 'ABCD'[track.deck - 1] || track.deck,
+    };
+    return String(template).replace(/\{(\w+)\}/g, (_, name) => (values[name] !== undefined ? values[name] : ''));
+}
+
+class NowPlayingFileWriter {
+    /**
+     * @param {object} options
+     * @param {NowPlaying} options.nowPlaying tracker emitting 'change'
+     * @param {StagelinqManager} options.manager for deck state
+     * @param {ArtworkService} options.artwork cover images
+     * @param {function(): object} options.getSettings returns the current settings object
+     */
+    constructor({ nowPlaying, manager, artwork, getSettings }) {
+        this.nowPlaying = nowPlaying;
+        this.manager = manager;
+        this.artwork = artwork;
+        this.getSettings = getSettings;
+        this._pendingKey = null;
+        this._writtenKey = null;
+        this._timer = null;
+        this.nowPlaying.on('change', () => this._onChange());
+    }
+
+    get config() {
+        return { ...DEFAULTS, ...(this.getSettings().nowPlayingFile || {}) };
+    }
+
+    // The cover is part of the key: it can arrive after the track, once the Engine DB is in
+    _keyOf(track) {
+        return track ? `${track.deck}|${track.key}|${track.artwork || ''}` : '';
+    }
+
+    _onChange() {
+        const config = this.config;
+        if (!config.enabled) return;
+        const track = this.nowPlaying.get(config.rule);
+        const key = this._keyOf(track);
+        if (key === this._pendingKey) return;
+
+        clearTimeout(this._timer);
+        this._pendingKey = key;
+        if (key === this._writtenKey) return;
+        if (!track && !config.clearWhenIdle) return;
+
+        // Debounce: only write once the selection has been stable for minPlaySeconds
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            const current = this.nowPlaying.get(this.config.rule);
+            if (this._keyOf(current) !== key) return;
+            this._write(current).catch(err => {
+                // Let the next change retry, even back to the same track
+                this._pendingKey = null;
+                console.error('[NowPlayingFile] Write failed:', err.message);
+            });
+        }, Math.max(0, Number(config.minPlaySeconds) || 0) * 1000);
+    }
+
+    async _write(track) {
+        const config = this.config;
+        const dir = path.resolve(__dirname, config.directory || DEFAULTS.directory);
+        fs.mkdirSync(dir, { recursive: true });
+
+        if (!track) {
+            writeFileAtomic(path.join(dir, 'nowplaying.txt'), '');
+            writeFileAtomic(path.join(dir, 'nowplaying.json'), JSON.stringify({ playing: false, updatedAt: new Date().toISOString() }, null, 2));
+            this._removeArtwork(dir);
+            this._writtenKey = this._keyOf(track);
+            console.log('[NowPlayingFile] Cleared (nothing on air)');
+            return;
+        }
+
+        const deckState = this.manager.getState().decks[track.deck] || {};
+        // Fetched first, so the files are all written in one go
+        const image = config.artwork ? await this._cover(deckState) : null;
+        writeFileAtomic(path.join(dir, 'nowplaying.txt'), renderTemplate(config.template, track));
+        writeFileAtomic(path.join(dir, 'nowplaying.json'), JSON.stringify({
+            playing: true,
+            rule: config.rule,
+            ...track,
+            deckState,
+            updatedAt: new Date().toISOString(),
+        }, null, 2));
+
+        if (config.artwork) {
+            if (image) writeFileAtomic(path.join(dir, 'nowplaying.jpg'), image.data);
+            else this._removeArtwork(dir); // never leave the previous track's cover behind
+        }
+        this._writtenKey = this._keyOf(track);
+        console.log(`[NowPlayingFile] 📝 ${track.artist} - ${track.title} → ${dir}`);
+    }
+
+    // The stored cover when it is a JPEG, else a thumbnail (JPEG whenever the cover decodes)
+    async _cover(deck) {
+        const info = deck.trackInfo;
+        if (!info || !deck.artwork) return null;
+        try {
+            const image = await this.artwork.get(info.id, { source: info.source });
+            if (image.type === 'image/jpeg') return image;
+            const thumbnail = await this.artwork.get(info.id, { source: info.source, size: ARTWORK_SIZE });
+            return thumbnail.type === 'image/jpeg' ? thumbnail : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    _removeArtwork(dir) {
+        try { fs.unlinkSync(path.join(dir, 'nowplaying.jpg')); } catch (_) { }
+    }
+
+    /**
+     * Re-evaluate after a settings change (enabled, rule, template...).
+     */
+    refresh() {
+        this._pendingKey = null;
+        this._writtenKey = null;
+        this._onChange();
+    }
+
+    stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+}
+
+NowPlayingFileWriter.DEFAULTS = DEFAULTS;
+
+module.exports = NowPlayingFileWriter;
@@ -0,0 +1,98 @@
+/**
+ * Now-Playing Tracker
+ * Picks "the" current track out of the on-air decks, under each selection rule:
+ *   master  — the sync master deck (falls back to the loudest deck)
+ *   loudest — the on-air deck with the highest fader level
+ *   last    — the deck that most recently went on air
+ */
+
+const EventEmitter = require('events');
+const { isOnAir, deckLevel } = require('./on-air');
+
+const RULES = ['master', 'loudest', 'last'];
+
+function trackKey(deck) {
+    return deck.trackPath || deck.trackNetworkPath || `${deck.artistName}|${deck.trackName || deck.songName}`;
+}
+
+function describeDeck(state, deckNum) {
+    const deck = state.decks[deckNum];
+    return {
+        deck: deckNum,
+        key: trackKey(deck),
+        title: deck.trackName || deck.songName || '',
+        artist: deck.artistName || '',
+        bpm: deck.currentBPM || deck.trackBPM || 0,
+        musicalKey: deck.currentKey || '',
+        trackLength: deck.trackLength || 0,
+        dbSourceName: deck.dbSourceName || '',
+        trackPath: deck.trackPath || '',
+        trackNetworkPath: deck.trackNetworkPath || '',
+        // Cover URL, which shows up once the Engine DB is in (see ArtworkService.urlFor)
+        artwork: deck.artwork || null,
+    };
+}
+
+class NowPlaying extends EventEmitter {
+    constructor() {
+        super();
+        // deckNum -> timestamp the deck last went on air
+        this._onAirSince = {};
+        this.snapshot = { master: null, loudest: null, last: null };
+    }
+
+    /**
+     * Feed a state snapshot; emits 'change' with the new per-rule snapshot
+     * whenever the selected deck, its track or the track's cover changes under any rule.
+     */
+    update(state) {
+        if (!state || !state.decks) return;
+        const now = Date.now();
+        const onAir = [];
+        for (let n = 1; n <= 4; n++) {
+            if (state.decks[n] && isOnAir(state, n)) {
+                onAir.push(n);
+                if (!this._onAirSince[n]) this._onAirSince[n] = now;
+            } else {
+                delete this._onAirSince[n];
+            }
+        }
+
+        let loudest = null;
+        let best = -1;
+        for (const n of onAir) {
+            const level = deckLevel(state, n);
+            if (level > best) { best = level; loudest = n; }
+        }
+        const master = onAir.find(n => state.decks[n].deckIsMaster) || loudest;
+        let last = null;
+        for (const n of onAir) {
+            if (last === null || this._onAirSince[n] > this._onAirSince[last]) last = n;
+        }
+
+        const next = {
+            master: master ? describeDeck(state, master) : null,
+            loudest: loudest ? describeDeck(state, loudest) : null,
+            last: last ? describeDeck(state, last) : null,
+        };
+        const changed = RULES.some(rule => {
+            const a = this.snapshot[rule];
+            const b = next[rule];
+            return (a && a.deck) !== (b && b.deck) || (a && a.key) !== (b && b.key) || (a && a.artwork) !== (b && b.artwork);
+        });
+        this.snapshot = next;
+        if (changed) this.emit('change', next);
+    }
+
+    /**
+     * Current track under a rule (or all rules when omitted).
+     */
+    get(rule) {
+        return rule ? this.snapshot[rule] || null : this.snapshot;
+    }
+}
+
+NowPlaying.RULES = RULES;
+NowPlaying.describeDeck = describeDeck;
+
+module.exports = NowPlaying;
@@ -0,0 +1,60 @@
+/**
+ * On-Air Detection
+ * Decides which decks are actually audible in the room, from deck play state
+ * and the mixer levels reported over StagelinQ.
+ */
+
+// Default level (0..1) above which a playing deck counts as on air
+const DEFAULT_THRESHOLD = 0.05;
+
+// Crossfader side per deck — Prime 4 / X1800 default assignment (odd decks left, even decks right)
+const CROSSFADER_SIDE = { 1: 'A', 2: 'B', 3: 'A', 4: 'B' };
+
+/**
+ * Constant-power-ish crossfader curve: both sides are at full level in the
+ * centre, a side only fades out once the crossfader moves past the middle.
+ */
+function crossfaderGain(deckNum, crossfader) {
+    const cf = typeof crossfader === 'number' ? Math.min(1, Math.max(0, crossfader)) : 0.5;
+    return CROSSFADER_SIDE[deckNum] === 'B'
+        ? Math.min(1, cf * 2)
+        : Math.min(1, (1 - cf) * 2);
+}
+
+/**
+ * Whether any level information has arrived at all. Standalone players
+ * without a StagelinQ mixer never report faders, so we must not treat
+ * "all zero" as "all muted" in that case.
+ */
+function hasLevelData(state) {
+    const mixer = state.mixer || {};
+    for (let i = 1; i <= 4; i++) {
+        if (mixer[`ch${i}Fader`] > 0) return true;
+        if (state.decks[i] && state.decks[i].externalMixerVolume > 0) return true;
+    }
+    return false;
+}
+
+/**
+ * Audible level of a deck (0..1): channel fader or external mixer volume,
+ * whichever is higher, attenuated by the crossfader.
+ */
+function deckLevel(state, deckNum) {
+    const deck = state.decks[deckNum];
+    if (!deck) return 0;
+    if (!hasLevelData(state)) return 1;
+    const fader = (state.mixer && state.mixer[`ch${deckNum}Fader`]) || 0;
+    const volume = Math.max(fader, deck.externalMixerVolume || 0);
+    return volume * crossfaderGain(deckNum, state.mixer && state.mixer.crossfader);
+}
+
+/**
+ * A deck is on air when it has a track loaded, is playing, and is audible.
+ */
+function isOnAir(state, deckNum, threshold = DEFAULT_THRESHOLD) {
+    const deck = state.decks[deckNum];
+    if (!deck || !deck.songLoaded || !deck.play) return false;
+    return deckLevel(state, deckNum) >= threshold;
+}
+
+module.exports = { DEFAULT_THRESHOLD, crossfaderGain, deckLevel, isOnAir };
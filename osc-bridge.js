@@ -0,0 +1,217 @@
+/**
+ * OSC Bridge
+ * Sends deck state and beats as OSC over UDP for lighting desks and VJ software
+ * (Resolume, QLC+, grandMA...). Changed deck values go out as single messages;
+ * every beat sends a bundle with the beat and the full state of that deck.
+ *
+ * Configured through `osc` in data/settings.json. Addresses are templates:
+ *   deckAddress  '/mixboard/deck/{deck}/{field}'  → /mixboard/deck/1/bpm
+ *   beatAddress  '/mixboard/beat'                 → [deck, beat, beatInBar, bpm, master]
+ */
+
+const dgram = require('dgram');
+
+const DEFAULTS = {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 9000,
+    deckAddress: '/mixboard/deck/{deck}/{field}',
+    beatAddress: '/mixboard/beat',
+};
+
+// field → [OSC type tag, value from (deck state, mixer, deck number)]
+const FIELDS = {
+    bpm: ['f', (d) => d.currentBPM || 0],
+    beat: ['f', (d) => d.beatPosition || 0],
+    play: ['i', (d) => (d.playState ? 1 : 0)],
+    master: ['i', (d) => (d.deckIsMaster ? 1 : 0)],
+    key: ['s', (d) => d.currentKey || ''],
+    fader: ['f', (d, mixer, n) => mixer[`ch${n}Fader`] || 0],
+    title: ['s', (d) => d.songName || d.trackName || ''],
+    artist: ['s', (d) => d.artistName || ''],
+};
+// Sent only inside beat bundles — it changes on every BeatInfo message
+const BEAT_ONLY_FIELDS = ['beat'];
+const BEATS_PER_BAR = 4;
+
+// ─── OSC encoding (OSC 1.0: 4-byte aligned, big-endian) ─────────────────────
+
+function oscString(value) {
+    const bytes = Buffer.from(String(value), 'utf-8');
+    const out = Buffer.alloc((bytes.length + 4) & ~3);
+    bytes.copy(out);
+    return out;
+}
+
+function oscArg(type, value) {
+    const buf = Buffer.alloc(4);
+    if (type === 'i') buf.writeInt32BE(Math.round(value) | 0);
+    else if (type === 'f') buf.writeFloatBE(Number(value) || 0);
+    else return oscString(value);
+    return buf;
+}
+
+/**
+ * @param {string} address
+ * @param {Array<[string, *]>} args [type tag, value] pairs — 'i', 'f' or 's'
+ */
+function encodeMessage(address, args) {
+    const tags = ',' + args.map(([type]) => type).join('');
+    return Buffer.concat([oscString(address), oscString(tags), ...args.map(([type, value]) => oscArg(type, value))]);
+}
+
+function encodeBundle(messages) {
+    // Timetag 1 means "immediately"
+    const timetag = Buffer.alloc(8);
+    timetag.writeUInt32BE(1, 4);
+    const parts = [oscString('#bundle'), timetag];
+    for (const msg of messages) {
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(msg.length);
+        parts.push(size, msg);
+    }
+    return Buffer.concat(parts);
+}
+
+function renderAddress(template, deck, field) {
+    return String(template).replace(/\{deck\}/g, deck).replace(/\{field\}/g, field);
+}
+
+class OscBridge {
+    /**
+     * @param {object} options
+     * @param {StagelinqManager} options.manager emits 'stateUpdate' and 'beatInfo'
+     * @param {function(): object} options.getSettings returns the current settings object
+     */
+    constructor({ manager, getSettings }) {
+        this.manager = manager;
+        this.getSettings = getSettings;
+        this.socket = null;
+        this._sent = {};        // `${deck}/${field}` → last value sent
+        this._lastBeat = {};    // deck → last whole beat
+        this._lastError = '';
+        this.manager.on('stateUpdate', (state) => this._onState(state));
+        this.manager.on('beatInfo', (beatInfo) => this._onBeat(beatInfo));
+    }
+
+    get config() {
+        return { ...DEFAULTS, ...(this.getSettings().osc || {}) };
+    }
+
+    _ensureSocket() {
+        if (this.socket) return this.socket;
+        this.socket = dgram.createSocket('udp4');
+        this.socket.on('error', (err) => this._reportError(err));
+        // Allow broadcast targets such as 192.168.1.255
+        this.socket.bind(() => { try { this.socket.setBroadcast(true); } catch (_) { } });
+        return this.socket;
+    }
+
+    _reportError(err) {
+        // One line per distinct error, not one per packet
+        if (err.message === this._lastError) return;
+        this._lastError = err.message;
+        console.warn('[OSC] Send failed:', err.message);
+    }
+
+    _send(buffer, config = this.config) {
+        return new Promise((resolve, reject) => {
+            this._ensureSocket().send(buffer, Number(config.port), config.host, (err) => {
+                if (err) { this._reportError(err); reject(err); return; }
+                this._lastError = '';
+                resolve();
+            });
+        });
+    }
+
+    _deckMessages(state, n, config, fields = Object.keys(FIELDS)) {
+        const deck = state.decks[n] || {};
+        const mixer = state.mixer || {};
+        return fields.map((field) => {
+            const [type, read] = FIELDS[field];
+            return encodeMessage(renderAddress(config.deckAddress, n, field), [[type, read(deck, mixer, n)]]);
+        });
+    }
+
+    _onState(state) {
+        const config = this.config;
+        if (!config.enabled) return;
+        const messages = [];
+        for (let n = 1; n <= 4; n++) {
+            const deck = state.decks[n] || {};
+            for (const [field, [type, read]] of Object.entries(FIELDS)) {
+                if (BEAT_ONLY_FIELDS.includes(field)) continue;
+                const value = read(deck, state.mixer || {}, n);
+                const key = `${n}/${field}`;
+                const last = this._sent[key];
+                if (last === value || (type === 'f' && last !== undefined && Math.abs(last - value) < 0.01)) continue;
+                this._sent[key] = value;
+                messages.push(encodeMessage(renderAddress(config.deckAddress, n, field), [[type, value]]));
+            }
+        }
+        if (messages.length) this._send(messages.length === 1 ? messages[0] : encodeBundle(messages)).catch(() => { });
+    }
+
+    _onBeat({ decks }) {
+        const config = this.config;
+        if (!config.enabled) return;
+        const state = this.manager.getState();
+        for (const { deck: n, beat, bpm } of decks) {
+            const whole = Math.floor(beat);
+            const last = this._lastBeat[n];
+            this._lastBeat[n] = whole;
+            // Only on a new beat while playing; seeks and loops jump, which also counts
+            if (last === undefined || whole === last || !(state.decks[n] && state.decks[n].playState)) continue;
+            const beatInBar = (((whole % BEATS_PER_BAR) + BEATS_PER_BAR) % BEATS_PER_BAR) + 1;
+            const master = state.decks[n].deckIsMaster ? 1 : 0;
+            const messages = [
+                encodeMessage(renderAddress(config.beatAddress, n, 'beat'), [['i', n], ['i', whole], ['i', beatInBar], ['f', bpm], ['i', master]]),
+                ...this._deckMessages(state, n, config),
+            ];
+            this._send(encodeBundle(messages)).catch(() => { });
+        }
+    }
+
+    /**
+     * Send the current state of all decks once, optionally to an unsaved target.
+     * @returns {Promise<{ host: string, port: number, messages: number }>}
+     */
+    async test(overrides = {}) {
+        const config = { ...this.config, ...overrides };
+        const port = parseInt(config.port);
+        if (!config.host || !(port > 0 && port < 65536)) throw new Error('无效的 OSC 目标地址');
+        const state = this.manager.getState();
+        const messages = [];
+        for (let n = 1; n <= 4; n++) messages.push(...this._deckMessages(state, n, config));
+        await this._send(encodeBundle(messages), { ...config, port });
+        console.log(`[OSC] 🧪 Test bundle (${messages.length} messages) → ${config.host}:${port}`);
+        return { host: config.host, port, messages: messages.length };
+    }
+
+    /**
+     * Re-send everything after a settings change (target, templates, enabled).
+     */
+    refresh() {
+        this._sent = {};
+        this._lastError = '';
+        if (!this.config.enabled) {
+            this.stop();
+            return;
+        }
+        this._onState(this.manager.getState());
+    }
+
+    stop() {
+        if (this.socket) {
+            try { this.socket.close(); } catch (_) { }
+            this.socket = null;
+        }
+    }
+}
+
+OscBridge.DEFAULTS = DEFAULTS;
+OscBridge.FIELDS = Object.keys(FIELDS);
+OscBridge.encodeMessage = encodeMessage;
+OscBridge.encodeBundle = encodeBundle;
+
+module.exports = OscBridge;
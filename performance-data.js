@@ -0,0 +1,210 @@
+/**
+ * Performance Data
+ * Decoders for the analysis blobs Engine stores per track (PerformanceData
+ * table, or columns on Track in newer databases). Plain JavaScript over
+ * Buffers — zlib is the only dependency, and it ships with Node.
+ *
+ * Blobs are Qt-style compressed: a big-endian uint32 with the uncompressed
+ * size, then a zlib stream. Some older files store them uncompressed, and
+ * loops are never compressed. Most fields are big-endian; loops and beat grid
+ * markers are little-endian.
+ *
+ * Positions come out in samples; divide by the sample rate from
+ * decodeBeatData() or decodeTrackData() for seconds.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * @returns {Buffer|null} the uncompressed blob, null for empty or corrupt data
+ */
+function uncompress(blob) {
+    if (!blob || blob.length < 4) return null;
+    const buf = Buffer.from(blob);
+    // zlib header: CMF 0x78, and (CMF << 8 | FLG) divisible by 31
+    const zlibAt = (pos) => buf.length > pos + 2 && buf[pos] === 0x78 && ((buf[pos] << 8) | buf[pos + 1]) % 31 === 0;
+    if (!zlibAt(4)) return buf;
+    try {
+        return zlib.inflateSync(buf.subarray(4));
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Sequential reader over a blob. Reading past the end throws a RangeError,
+ * which the decoders turn into null.
+ */
+function reader(buf) {
+    let pos = 0;
+    const take = (bytes) => {
+        if (pos + bytes > buf.length) throw new RangeError('truncated blob');
+        const at = pos;
+        pos += bytes;
+        return at;
+    };
+    return {
+        remaining: () => buf.length - pos,
+        u8: () => buf[take(1)],
+        i32le: () => buf.readInt32LE(take(4)),
+        i64be: () => Number(buf.readBigInt64BE(take(8))),
+        i64le: () => Number(buf.readBigInt64LE(take(8))),
+        f64be: () => buf.readDoubleBE(take(8)),
+        f64le: () => buf.readDoubleLE(take(8)),
+        // uint8 length, then UTF-8
+        label: () => {
+            const bytes = buf[take(1)];
+            const at = take(bytes);
+            return buf.toString('utf8', at, at + bytes);
+        },
+        // A, R, G, B → '#rrggbb'
+        colour: () => {
+            const at = take(4);
+            return '#' + buf.subarray(at + 1, at + 4).toString('hex');
+        },
+    };
+}
+
+function count(n, max) {
+    if (!Number.isInteger(n) || n < 0 || n > max) throw new RangeError(`bad count ${n}`);
+    return n;
+}
+
+/**
+ * Track data: float64 sample rate, int64 sample count, then loudness and key.
+ * @returns {{ sampleRate: number, samples: number } | null}
+ */
+function decodeTrackData(blob) {
+    const buf = uncompress(blob);
+    if (!buf) return null;
+    try {
+        const r = reader(buf);
+        const sampleRate = r.f64be();
+        const samples = r.i64be();
+        return sampleRate > 0 ? { sampleRate, samples } : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Beat grid: float64 sample rate, float64 sample count, uint8 "grid set", then
+ * the analysed grid and the user-adjusted grid, each an int64 count of markers
+ * { float64 sample, int64 beat number, int32 beats to next marker, int32 unknown }.
+ * Beat numbers are aligned so multiples of 4 are downbeats.
+ * @returns {{ sampleRate: number, samples: number, markers: Array<{ sample, beat }> } | null}
+ *          markers from the adjusted grid when there is one
+ */
+function decodeBeatData(blob) {
+    const buf = uncompress(blob);
+    if (!buf) return null;
+    try {
+        const r = reader(buf);
+        const sampleRate = r.f64be();
+        const samples = r.f64be();
+        r.u8();
+        const grid = () => {
+            const markers = [];
+            for (let i = count(r.i64be(), 100000); i > 0; i--) {
+                const sample = r.f64le();
+                const beat = r.i64le();
+                r.i32le();
+                r.i32le();
+                markers.push({ sample, beat });
+            }
+            return markers;
+        };
+        const analysed = grid();
+        const adjusted = r.remaining() >= 8 ? grid() : [];
+        return { sampleRate, samples, markers: adjusted.length >= 2 ? adjusted : analysed };
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Quick cues (hotcues): int64 count, then per cue a label, float64 sample
+ * offset (-1 when unset) and colour; then the main cue as float64 adjusted
+ * position, uint8 "adjusted" flag, float64 analysed position.
+ * @returns {{ cues: Array<{ num, label, sample, color }>, mainCue: number|null } | null}
+ *          only cues that are set, numbered from 1
+ */
+function decodeQuickCues(blob) {
+    const buf = uncompress(blob);
+    if (!buf) return null;
+    try {
+        const r = reader(buf);
+        const cues = [];
+        for (let i = 0, n = count(r.i64be(), 64); i < n; i++) {
+            const label = r.label();
+            const sample = r.f64be();
+            const color = r.colour();
+            if (sample >= 0) cues.push({ num: i + 1, label, sample, color });
+        }
+        let mainCue = null;
+        if (r.remaining() >= 17) {
+            const adjusted = r.f64be();
+            const isAdjusted = r.u8();
+            const analysed = r.f64be();
+            mainCue = isAdjusted ? adjusted : analysed;
+        }
+        return { cues, mainCue: mainCue >= 0 ? mainCue : null };
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Saved loops: int64 count (little-endian), then per loop a label, float64 start
+ * and end, uint8 "start set" and "end set" flags and a colour.
+ * @returns {Array<{ num, label, start, end, color }> | null} only complete loops, numbered from 1
+ */
+function decodeLoops(blob) {
+    const buf = uncompress(blob);
+    if (!buf) return null;
+    try {
+        const r = reader(buf);
+        const loops = [];
+        for (let i = 0, n = count(r.i64le(), 64); i < n; i++) {
+            const label = r.label();
+            const start = r.f64le();
+            const end = r.f64le();
+            const startSet = r.u8();
+            const endSet = r.u8();
+            const color = r.colour();
+            if (startSet && endSet && end > start) loops.push({ num: i + 1, label, start, end, color });
+        }
+        return loops;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Overview waveform: int64 entry count (twice), float64 samples per entry, then
+ * one { low, mid, high } byte triple per entry and a final triple with the
+ * maximum of each band.
+ * @returns {{ samplesPerEntry: number, low: number[], mid: number[], high: number[], max: { low, mid, high } } | null}
+ */
+function decodeOverviewWaveform(blob) {
+    const buf = uncompress(blob);
+    if (!buf || buf.length < 24) return null;
+    const count = Number(buf.readBigUInt64BE(0));
+    if (!count || buf.length < 24 + count * 3) return null;
+    const samplesPerEntry = buf.readDoubleBE(16);
+    const low = new Array(count);
+    const mid = new Array(count);
+    const high = new Array(count);
+    for (let i = 0, pos = 24; i < count; i++, pos += 3) {
+        low[i] = buf[pos];
+        mid[i] = buf[pos + 1];
+        high[i] = buf[pos + 2];
+    }
+    const end = 24 + count * 3;
+    const max = buf.length >= end + 3
+        ? { low: buf[end], mid: buf[end + 1], high: buf[end + 2] }
+        : { low: Math.max(...low), mid: Math.max(...mid), high: Math.max(...high) };
+    return { samplesPerEntry, low, mid, high, max };
+}
+
+module.exports = { uncompress, decodeOverviewWaveform, decodeTrackData, decodeBeatData, decodeQuickCues, decodeLoops };
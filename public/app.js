@@ -10,6 +10,17 @@
     let devicePollTimer = null;
     let settingsPanelOpen = false;
     const WS_URL = `ws://${location.host}`;
+    // Dashboard opened with ?token=...: exchanged for the cookie by the first loadAuth()
+    let pageToken = new URLSearchParams(location.search).get('token');
+    // Socket protocol (see ws-protocol.js). The dashboard has no use for beat ticks;
+    // the StateMap topic is only subscribed while the inspector is open
+    const WS_PROTOCOL = 1;
+    const DASHBOARD_TOPICS = ['deck:*', 'mixer', 'device', 'notifications', 'history', 'setlist', 'nowPlaying', 'webhooks'];
+    const ADMIN_TOPICS = ['webhooks'];
+    // Server state mirror, kept current with versioned patches (see state-sync.js)
+    let serverState = null;
+    let stateVersion = 0;
+    let resyncPending = false;
 
     // SMPTE Timer state
     let smpteState = 'stopped';
@@ -18,28 +29,61 @@
 
     // Client-side position tracking per deck
     const deckPlayback = { 1: { lastPos: 0, lastUpdate: 0, playing: false }, 2: { lastPos: 0, lastUpdate: 0, playing: false }, 3: { lastPos: 0, lastUpdate: 0, playing: false }, 4: { lastPos: 0, lastUpdate: 0, playing: false } };
-    // Track artwork state per deck
-    const lastTrackPath = { 1: '', 2: '', 3: '', 4: '' };
+    // Artwork URL shown per deck (deck.artwork from the server)
+    const artworkUrl = { 1: '', 2: '', 3: '', 4: '' };
+    // Set-list history: session currently expanded in the settings panel
+    let expandedSessionId = null;
+    const EXPORT_FORMATS = ['cue', 'm3u8', 'csv', 'json', 'txt'];
 
     // ─── WebSocket ─────────
     function connectWebSocket() {
         ws = new WebSocket(WS_URL);
-        ws.onopen = () => { clearReconnectTimer(); };
+        ws.onopen = () => { clearReconnectTimer(); sendMessage({ type: 'hello', protocol: WS_PROTOCOL, client: 'mixboard-dashboard', topics: dashboardTopics() }); };
         ws.onmessage = (e) => { try { handleMessage(JSON.parse(e.data)); } catch (err) { } };
-        ws.onclose = () => scheduleReconnect();
+        // 4401: not allowed in (anonymous viewers off, or our token was revoked)
+        ws.onclose = (e) => { if (e.code === 4401) loadAuth().then(() => { if (authRole) scheduleReconnect(); }); else scheduleReconnect(); };
         ws.onerror = () => ws.close();
     }
+    function reconnectWebSocket() { clearReconnectTimer(); if (ws) { ws.onclose = null; ws.close(); } connectWebSocket(); }
+    function dashboardTopics() {
+        const topics = authRole === 'admin' ? DASHBOARD_TOPICS : DASHBOARD_TOPICS.filter(t => !ADMIN_TOPICS.includes(t));
+        return inspectorOpen ? topics.concat('statemap') : topics;
+    }
+    function sendMessage(msg) { if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg)); }
+
+    // ─── State Patches ─────────
+    function handlePatch(patch) {
+        if (!patch || resyncPending) return;
+        // Missed a version (or never got a snapshot): ask for a fresh one
+        if (!serverState || patch.from !== stateVersion) { resyncPending = true; sendMessage({ type: 'resync' }); return; }
+        try { patch.ops.forEach(op => applyPatchOp(serverState, op)); } catch (e) { resyncPending = true; sendMessage({ type: 'resync' }); return; }
+        stateVersion = patch.to;
+        updateUI(serverState);
+    }
+    function applyPatchOp(root, op) {
+        const keys = op.path.split('/').slice(1).map(k => k.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const last = keys.pop();
+        const parent = keys.reduce((obj, k) => { if (obj[k] === null || typeof obj[k] !== 'object') throw new Error(`bad path ${op.path}`); return obj[k]; }, root);
+        if (op.op === 'remove') delete parent[last]; else parent[last] = op.value;
+    }
     function scheduleReconnect() { if (reconnectTimer) return; reconnectTimer = setTimeout(() => { reconnectTimer = null; connectWebSocket(); }, 2000); }
     function clearReconnectTimer() { if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; } }
 
     // ─── Message Handler ─────────
     function handleMessage(msg) {
         switch (msg.type) {
-            case 'state': updateUI(msg.data); break;
+            case 'state': serverState = msg.data; stateVersion = msg.version || 0; resyncPending = false; updateUI(serverState); break;
+            case 'patch': handlePatch(msg.data); break;
+            case 'error': console.warn('[WS]', msg.data && msg.data.message); break;
             case 'info': updateServerInfo(msg.data); break;
             case 'history': updateHistoryList(msg.data); break;
             case 'notification': handleNotification(msg.data); break;
             case 'modeChanged': handleModeChanged(msg.data); break;
+            case 'setlist': if (settingsPanelOpen) loadSessions(); break;
+            case 'statemap': handleStatemap(msg.data); break;
+            case 'replay': updateReplayStatus(msg.data); break;
+            case 'recording': updateRecordingStatus(msg.data); break;
+            case 'webhook': handleWebhookDelivery(); break;
         }
     }
 
@@ -50,15 +94,29 @@
         showToast({ type: data.type || 'info', icon: data.icon || 'ℹ️', title: data.title || '', message: data.body || '' });
         if ('Notification' in window && Notification.permission === 'granted') { try { new Notification(data.title, { body: data.body, tag: 'mixboard-' + Date.now() }); } catch (e) { } }
     }
-    function handleModeChanged(data) {
-        if (!data) return;
+    const MODE_LABELS = { demo: 'Demo', live: 'Live', replay: 'Replay' };
+    const MODE_ICONS = { demo: '🎭', live: '📡', replay: '📼' };
+    let currentMode = 'live';
+    function applyMode(data) {
+        currentMode = data.mode || (data.demoMode ? 'demo' : 'live');
         const demoBadge = document.getElementById('demo-badge');
         const modeSelect = document.getElementById('mode-select');
         const modeInfo = document.getElementById('current-mode-info');
-        demoBadge.style.display = data.demoMode ? 'inline-flex' : 'none';
-        if (modeSelect) modeSelect.value = data.demoMode ? 'demo' : 'live';
-        if (modeInfo) modeInfo.textContent = `当前: ${data.demoMode ? 'Demo' : 'Live'} 模式`;
-        showToast({ type: 'info', icon: data.demoMode ? '🎭' : '📡', title: '模式已切换', message: data.demoMode ? 'Demo 模式' : 'Live 模式' });
+        demoBadge.style.display = currentMode === 'live' ? 'none' : 'inline-flex';
+        demoBadge.textContent = currentMode === 'replay' ? 'REPLAY' : 'DEMO';
+        if (data.demo) document.getElementById('demo-scenario-select').dataset.current = data.demo.scenario;
+        if (modeSelect) { modeSelect.value = currentMode; updateReplayFileRow(); }
+        const detail = currentMode === 'replay' && data.replay ? ` • ${data.replay.file}` : currentMode === 'demo' && data.demo ? ` • ${data.demo.name}` : '';
+        if (modeInfo) modeInfo.textContent = `当前: ${MODE_LABELS[currentMode]} 模式${detail}`;
+        document.getElementById('record-controls').style.display = currentMode === 'live' ? 'flex' : 'none';
+        document.getElementById('replay-controls').style.display = currentMode === 'replay' ? 'block' : 'none';
+        if (data.replay) updateReplayStatus(data.replay);
+        if (data.recording) updateRecordingStatus(data.recording);
+    }
+    function handleModeChanged(data) {
+        if (!data) return;
+        applyMode(data);
+        showToast({ type: 'info', icon: MODE_ICONS[currentMode], title: '模式已切换', message: `${MODE_LABELS[currentMode]} 模式` });
     }
 
     // ─── Toast ─────────
@@ -75,20 +133,26 @@
     // ─── UI Updates ─────────
     function updateUI(state) {
         if (!state) return;
-        updateDeviceInfo(state.device);
-        updateSettingsStatus(state.device);
+        updateDeviceInfo(state.device, state.devices);
+        updateSettingsStatus(state.device, state.devices);
         for (let i = 1; i <= 4; i++) updateDeck(i, state.decks[i], state.device);
         updateMixer(state.mixer);
     }
 
-    function updateDeviceInfo(device) {
+    function connectedDevices(devices) {
+        return Object.values(devices || {}).filter(d => d.connectionState === 'connected');
+    }
+
+    function updateDeviceInfo(device, devices) {
         if (!device) return;
+        const connected = connectedDevices(devices);
         const badge = document.getElementById('connection-badge');
         const text = document.getElementById('connection-text');
         badge.className = device.connectionState === 'connected' ? 'badge badge-connected' : 'badge badge-disconnected';
         text.textContent = device.connectionState === 'connected' ? '已连接' : '未连接';
         setText('device-name', device.name || '等待设备...');
-        setText('device-ip', device.ip ? `${device.ip} • ${device.softwareName} ${device.softwareVersion}` : '');
+        if (connected.length > 1) setText('device-ip', `${connected.length} 台设备 • ${connected.map(d => d.ip).join(', ')}`);
+        else setText('device-ip', device.ip ? `${device.ip} • ${device.softwareName} ${device.softwareVersion}` : '');
 
         const sdBadge = document.getElementById('sd-badge');
         const usbBadge = document.getElementById('usb-badge');
@@ -102,28 +166,81 @@
         setText('settings-device-name', device.name || '—');
         setText('settings-device-ip', device.ip || '—');
         setText('settings-device-sw', device.softwareName && device.softwareVersion ? `${device.softwareName} ${device.softwareVersion}` : '—');
+        renderConnectedDevices(devices);
+        renderDeckMapping(devices);
+    }
+
+    let lastDevicesHtml = '';
+    function renderConnectedDevices(devices) {
+        const c = document.getElementById('settings-devices-list');
+        if (!c) return;
+        const list = Object.values(devices || {}).filter(d => d.connectionState !== 'disconnected');
+        const stateText = { connected: '已连接', connecting: '连接中', reconnecting: '重连中', error: '错误' };
+        const html = !list.length ? '' : list.map(d => {
+            const dot = d.connectionState === 'connected' ? 'connected' : d.connectionState === 'error' ? 'error' : 'discovered';
+            const retry = d.reconnect ? ` #${d.reconnect.attempt}${d.reconnect.nextAt ? ` · ${formatClock(d.reconnect.nextAt)}` : ''}` : '';
+            const decks = d.decks && d.decks.length ? `Deck ${d.decks.map(n => 'ABCD'[n - 1]).join('/')}` : '';
+            const storage = [d.hasSDCard ? 'SD' : '', d.hasUsb ? 'USB' : ''].filter(Boolean).join(' ');
+            const detail = [d.ip, `${d.softwareName || ''} ${d.softwareVersion || ''}`.trim(), decks, storage].filter(Boolean).join(' • ');
+            const colour = d.color ? ` style="border-left: 3px solid ${escapeHtml(d.color)}"` : '';
+            return `<div class="device-item ${d.connectionState === 'connected' ? 'is-connected' : ''}" title="${escapeHtml(d.error || '')}"${colour}><div class="device-status-dot ${dot}"></div><div class="device-item-info"><div class="device-item-name">${escapeHtml(d.alias || d.name || d.ip)}</div><div class="device-item-detail">${escapeHtml(detail)}</div></div><span class="history-item-time">${stateText[d.connectionState] || ''}${retry}</span></div>`;
+        }).join('');
+        if (html === lastDevicesHtml) return;
+        lastDevicesHtml = html;
+        c.innerHTML = html;
     }
 
     function updateServerInfo(info) {
         if (!info) return;
-        const demoBadge = document.getElementById('demo-badge');
-        const modeSelect = document.getElementById('mode-select');
-        const modeInfo = document.getElementById('current-mode-info');
-        demoBadge.style.display = info.demoMode ? 'inline-flex' : 'none';
-        if (modeSelect) modeSelect.value = info.demoMode ? 'demo' : 'live';
-        if (modeInfo) modeInfo.textContent = `当前: ${info.demoMode ? 'Demo' : 'Live'} 模式`;
+        applyMode(info);
+        if (info.discovery) discoveryStatus = info.discovery;
         if (info.settings) applySettingsToUI(info.settings);
     }
 
+    // Extended metadata line under the artist; which fields show is the trackInfo setting
+    let trackInfoFields = { album: true, genre: true, year: true, rating: true };
+    const TRACK_INFO_LABELS = { album: '专辑', genre: '流派', label: '厂牌', year: '年份', comment: '备注', rating: '评分', playCount: '播放', format: '格式', dateAdded: '添加于' };
+    function trackInfoParts(info) {
+        const value = {
+            album: info.album, genre: info.genre, label: info.label, year: info.year ? String(info.year) : '', comment: info.comment,
+            rating: info.rating ? '★'.repeat(info.rating) + '☆'.repeat(5 - info.rating) : '',
+            playCount: info.playCount !== null && info.playCount !== undefined ? `${info.playCount} 次` : '',
+            format: [info.format.toUpperCase(), info.bitrate ? `${info.bitrate} kbps` : ''].filter(Boolean).join(' '),
+            dateAdded: info.dateAdded ? info.dateAdded.slice(0, 10) : '',
+        };
+        return Object.keys(TRACK_INFO_LABELS).filter(k => trackInfoFields[k] && value[k]).map(k => [k, value[k]]);
+    }
+    function renderTrackDetails(num, info) {
+        const el = document.getElementById(`deck-${num}-details`);
+        if (!el) return;
+        const parts = info ? trackInfoParts(info) : [];
+        el.textContent = parts.map(([k, v]) => k === 'playCount' || k === 'dateAdded' ? `${TRACK_INFO_LABELS[k]} ${v}` : v).join(' • ');
+        el.title = parts.map(([k, v]) => `${TRACK_INFO_LABELS[k]}: ${v}`).join('\n');
+    }
+
+    let savedInterface = 'auto', discoveryStatus = null, interfacesLoaded = false;
     function applySettingsToUI(settings) {
+        if (settings.trackInfo) { trackInfoFields = settings.trackInfo; if (serverState) for (let n = 1; n <= 4; n++) renderTrackDetails(n, serverState.decks[n] && serverState.decks[n].songLoaded ? serverState.decks[n].trackInfo : null); }
         const select = document.getElementById('interface-select');
-        const toggle = document.getElementById('auto-reconnect-toggle');
-        const infoEl = document.getElementById('current-interface-info');
         if (settings.networkInterface && select) {
+            savedInterface = settings.networkInterface;
             for (let i = 0; i < select.options.length; i++) { if (select.options[i].value === settings.networkInterface) { select.selectedIndex = i; break; } }
-            if (infoEl) infoEl.textContent = settings.networkInterface === 'auto' ? '当前: 自动选择' : `当前: ${settings.networkInterface}`;
+            renderInterfaceInfo();
         }
-        if (toggle && settings.autoReconnect !== undefined) toggle.checked = settings.autoReconnect;
+        applySchemaSettings(settings);
+    }
+
+    // Missing = the server fell back to all interfaces, or the list we fetched no longer has it
+    function renderInterfaceInfo() {
+        const select = document.getElementById('interface-select'); const infoEl = document.getElementById('current-interface-info');
+        if (!infoEl) return;
+        const listed = Array.from(select.options).some(o => o.value === savedInterface);
+        const missing = savedInterface !== 'auto' && ((discoveryStatus && discoveryStatus.interfaceMissing && discoveryStatus.networkInterface === savedInterface) || (interfacesLoaded && !listed));
+        const bound = discoveryStatus && discoveryStatus.boundTo && discoveryStatus.boundTo.address === savedInterface ? discoveryStatus.boundTo : null;
+        infoEl.classList.toggle('is-warning', !!missing);
+        infoEl.textContent = missing ? `⚠️ 已保存的接口 ${savedInterface} 不存在，正在所有接口上发现设备`
+            : savedInterface === 'auto' ? '当前: 自动选择（所有接口）'
+                : bound ? `当前: ${bound.name} — ${bound.address}（广播 ${bound.broadcast}）` : `当前: ${savedInterface}`;
     }
 
     function updateDeck(num, deck, device) {
@@ -136,16 +253,14 @@
         // Track info
         setText(`deck-${num}-title`, deck.songLoaded ? (deck.trackName || deck.songName || '—') : '—');
         setText(`deck-${num}-artist`, deck.songLoaded ? (deck.artistName || '未知艺术家') : '未加载曲目');
+        renderTrackDetails(num, deck.songLoaded ? deck.trackInfo : null);
 
-        // Artwork — clear immediately on track change, then fetch new
-        const currentPath = deck.trackNetworkPath || deck.trackPath || '';
-        if (currentPath && currentPath !== lastTrackPath[num]) {
-            lastTrackPath[num] = currentPath;
+        // Artwork — the server sets deck.artwork once the Engine DB has the cover
+        const url = deck.songLoaded && deck.artwork ? deck.artwork : '';
+        if (url !== artworkUrl[num]) {
+            artworkUrl[num] = url;
             clearArtwork(num); // clear old artwork immediately
-            loadArtwork(num);  // fetch new (with debounce to allow DB update)
-        } else if (!currentPath && lastTrackPath[num]) {
-            lastTrackPath[num] = '';
-            clearArtwork(num);
+            if (url) loadArtwork(num, url);
         }
 
         // Play/CUE detection/sync/master
@@ -215,16 +330,28 @@
             const pct = Math.min(100, Math.max(0, (elapsed / totalLen) * 100));
             const progressFill = document.getElementById(`deck-${num}-progress-fill`);
             if (progressFill) progressFill.style.width = `${pct}%`;
+            placeMarker(`deck-${num}-progress-head`, elapsed, null, totalLen);
+            placeMarker(`deck-${num}-progress-cue`, deck.cuePosition > 0 ? deck.cuePosition : null, null, totalLen);
+            const loopOn = deck.loopEnableState && deck.currentLoopOutPosition > deck.currentLoopInPosition;
+            placeMarker(`deck-${num}-progress-loop`, loopOn ? deck.currentLoopInPosition : null, deck.currentLoopOutPosition, totalLen);
         } else {
+            for (const marker of ['head', 'cue', 'loop']) placeMarker(`deck-${num}-progress-${marker}`, null);
             setText(`deck-${num}-elapsed`, '--:--');
             setText(`deck-${num}-total`, '--:--');
             const progressFill = document.getElementById(`deck-${num}-progress-fill`);
             if (progressFill) progressFill.style.width = '0%';
         }
 
+        updateWaveform(num, deck);
+
         // CUE
         setText(`deck-${num}-cue`, deck.songLoaded && deck.cuePosition > 0 ? formatTime(deck.cuePosition) : '—');
 
+        // Stored cues from the Engine DB: markers, bar.beat and distance to the next hotcue
+        const cues = deck.songLoaded ? deck.cues : null;
+        updateCueMarkers(num, cues, totalLen);
+        updateBeatPosition(num, cues, deck.songLoaded ? elapsed : null);
+
         // Loop
         const loopBadge = document.getElementById(`deck-${num}-loop-state`);
         loopBadge.textContent = deck.loopEnableState ? 'ON' : 'OFF';
@@ -233,32 +360,40 @@
         setText(`deck-${num}-loop-out`, deck.currentLoopOutPosition > 0 ? formatTime(deck.currentLoopOutPosition) : '—');
         setText(`deck-${num}-loop-beats`, deck.currentLoopSizeInBeats > 0 ? formatBeats(deck.currentLoopSizeInBeats) : '—');
 
-        // Hotcues
-        if (deck.hotcues) {
-            for (let i = 1; i <= 8; i++) {
-                const hc = deck.hotcues[i];
-                const padEl = document.getElementById(`deck-${num}-hc-${i}`);
-                if (!padEl) continue;
-
-                if (hc && hc.state) {
-                    padEl.classList.add('active');
-                    // StageLinq provides color as ARGB integer (usually)
-                    // If it's a number, we can convert it to hex. Sometimes it's a string #RRGGBB.
-                    let colorStr = 'rgba(255,255,255,0.8)';
-                    if (hc.color) {
-                        if (typeof hc.color === 'number') {
-                            const hex = (hc.color >>> 0).toString(16).padStart(8, '0');
-                            // ARGB -> RGBA
-                            colorStr = `#${hex.substring(2)}${hex.substring(0, 2)}`;
-                        } else {
-                            colorStr = hc.color;
-                        }
+        // Hotcues — live state when the player sends it, else the cues stored in the Engine DB
+        for (let i = 1; i <= 8; i++) {
+            const hc = deck.hotcues && deck.hotcues[i];
+            const stored = storedHotcue(cues, i);
+            const padEl = document.getElementById(`deck-${num}-hc-${i}`);
+            if (!padEl) continue;
+
+            const active = hc ? !!hc.state : !!stored;
+            const label = active && stored ? stored.label : '';
+            if (padEl.dataset.label !== label) {
+                padEl.dataset.label = label;
+                padEl.innerHTML = label ? `<span class="hotcue-label">${escapeHtml(label)}</span>` : '';
+            }
+            padEl.title = active && stored ? `${label || `Hotcue ${i}`} · ${formatTime(stored.position)}` : '';
+            if (active) {
+                padEl.classList.add('active');
+                // StageLinq provides color as ARGB integer (usually)
+                // If it's a number, we can convert it to hex. Sometimes it's a string #RRGGBB.
+                let colorStr = 'rgba(255,255,255,0.8)';
+                if (hc && hc.color) {
+                    if (typeof hc.color === 'number') {
+                        const hex = (hc.color >>> 0).toString(16).padStart(8, '0');
+                        // ARGB -> RGBA
+                        colorStr = `#${hex.substring(2)}${hex.substring(0, 2)}`;
+                    } else {
+                        colorStr = hc.color;
                     }
-                    padEl.style.color = colorStr;
-                } else {
-                    padEl.classList.remove('active');
-                    padEl.style.color = '';
+                } else if (stored && stored.color) {
+                    colorStr = stored.color;
                 }
+                padEl.style.color = colorStr;
+            } else {
+                padEl.classList.remove('active');
+                padEl.style.color = '';
             }
         }
 
@@ -328,37 +463,445 @@
         setInterval(() => { updateSystemClock(); updateSmpteDisplay(); }, 50);
     }
 
+    // ─── Webhooks ─────────
+    const WEBHOOK_EVENT_LABELS = { deviceReady: '设备连接', deviceDisconnected: '设备断开', trackLoaded: '加载曲目', nowPlaying: '正在播放', masterChanged: 'Master 切换', mediaInserted: '插入 USB/SD', mediaRemoved: '移除 USB/SD' };
+    const WEBHOOK_STATUS_ICONS = { success: '✓', failed: '✗', retrying: '↻', pending: '…' };
+    async function loadWebhooks() {
+        try {
+            const { endpoints, events } = await (await fetch('/api/webhooks')).json();
+            const box = document.getElementById('webhook-events');
+            if (!box.children.length) box.innerHTML = events.map(e => `<label><input type="checkbox" value="${e}"> ${WEBHOOK_EVENT_LABELS[e] || e}</label>`).join('');
+            renderWebhooks(endpoints);
+        } catch (e) { }
+        loadWebhookLog();
+    }
+    function renderWebhooks(endpoints) {
+        const c = document.getElementById('webhook-list');
+        c.innerHTML = endpoints.map(w => `<div class="history-item"><div class="history-item-info"><div class="history-item-name">${w.enabled ? '🟢' : '⚪'} ${escapeHtml(w.name || w.url)}</div><div class="history-item-ip">${escapeHtml(w.events.length ? w.events.map(e => WEBHOOK_EVENT_LABELS[e] || e).join(' • ') : '全部事件')}</div></div><div class="history-item-actions"><button class="btn-connect" onclick="window.__testWebhook('${w.id}')">测试</button><button class="btn-connect" onclick="window.__toggleWebhook('${w.id}', ${!w.enabled})">${w.enabled ? '停用' : '启用'}</button><button class="history-delete-btn" onclick="window.__deleteWebhook('${w.id}')" title="删除">✕</button></div></div>`).join('');
+    }
+    async function loadWebhookLog() {
+        try {
+            const deliveries = await (await fetch('/api/webhooks/deliveries?limit=20')).json();
+            const c = document.getElementById('webhook-log');
+            c.innerHTML = deliveries.length ? deliveries.map(d => `<div class="history-item"><div class="history-item-info"><div class="history-item-name"><span class="webhook-status-${d.status}">${WEBHOOK_STATUS_ICONS[d.status] || ''}</span> ${escapeHtml(d.event)} <span class="history-item-time">${formatDate(d.createdAt)}</span></div><div class="history-item-ip">${escapeHtml(d.url)} • ${d.attempts} 次${d.responseStatus ? ` • HTTP ${d.responseStatus}` : ''}${d.error && d.status !== 'success' ? ` • ${escapeHtml(d.error)}` : ''}</div></div><div class="history-item-actions"><button class="btn-connect" onclick="window.__resendWebhook('${d.id}')">重发</button></div></div>`).join('') : '<div class="empty-state">暂无投递</div>';
+        } catch (e) { }
+    }
+    async function webhookRequest(url, body) {
+        try { const r = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) }); const res = await r.json(); if (!res.ok) setText('webhook-status', `✗ ${res.error}`); return res; } catch (e) { setText('webhook-status', '✗ 网络错误'); return { ok: false }; }
+    }
+    async function addWebhook() {
+        const input = document.getElementById('webhook-url');
+        const url = input.value.trim();
+        if (!url) return;
+        const events = Array.from(document.querySelectorAll('#webhook-events input:checked')).map(i => i.value);
+        const res = await webhookRequest('/api/webhooks', { url, events });
+        if (!res.ok) return;
+        input.value = '';
+        // The secret is only ever shown here
+        setText('webhook-status', `✓ 已添加 • 签名密钥: ${res.endpoint.secret}`);
+        loadWebhooks();
+    }
+    window.__testWebhook = async function (id) { const res = await webhookRequest(`/api/webhooks/${id}/test`); if (res.ok) setText('webhook-status', '✓ 测试已发送'); loadWebhookLog(); };
+    window.__toggleWebhook = async function (id, enabled) { const res = await webhookRequest(`/api/webhooks/${id}`, { enabled }); if (res.ok) loadWebhooks(); };
+    window.__deleteWebhook = async function (id) { if (!confirm('删除这个 Webhook?')) return; try { await fetch(`/api/webhooks/${id}`, { method: 'DELETE' }); } catch (e) { } loadWebhooks(); };
+    window.__resendWebhook = async function (id) { await webhookRequest(`/api/webhooks/deliveries/${id}/resend`); loadWebhookLog(); };
+    let webhookLogTimer = null;
+    function handleWebhookDelivery() {
+        // Deliveries can come in bursts (one per endpoint); refresh the log once
+        if (!settingsPanelOpen || webhookLogTimer) return;
+        webhookLogTimer = setTimeout(() => { webhookLogTimer = null; loadWebhookLog(); }, 500);
+    }
+
+    // ─── Access Control ─────────
+    const ROLE_LABELS = { admin: '管理员', viewer: '查看者' };
+    let authRole = 'admin';
+    let authTokenId = null;
+    async function loadAuth() {
+        try {
+            const auth = await (await fetch(pageToken ? `/api/auth?token=${encodeURIComponent(pageToken)}` : '/api/auth')).json();
+            // The server has swapped ?token= for the cookie; keep it out of the address bar
+            if (pageToken) { pageToken = null; const url = new URL(location.href); url.searchParams.delete('token'); history.replaceState(null, '', url); }
+            authRole = auth.role;
+            authTokenId = auth.tokenId;
+            // Controls the role cannot use are marked .admin-only and hidden by CSS
+            document.body.classList.toggle('is-viewer', authRole !== 'admin');
+            setText('auth-status', auth.authEnabled ? `当前: ${ROLE_LABELS[authRole] || '未登录'}` : '未设置 PIN，所有人都有管理员权限');
+            document.getElementById('auth-login-row').style.display = auth.authEnabled && authRole !== 'admin' ? 'flex' : 'none';
+            document.getElementById('auth-logout-btn').style.display = auth.tokenId ? '' : 'none';
+            document.getElementById('auth-anonymous-toggle').checked = auth.anonymousViewer;
+            setText('auth-set-pin-btn', auth.authEnabled ? '修改 PIN' : '设置 PIN');
+            if (authRole === 'admin') loadTokens();
+        } catch (e) { }
+    }
+    async function authRequest(url, body) {
+        try { const r = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) }); const res = await r.json(); if (!res.ok) setText('auth-status', `✗ ${res.error}`); return res; } catch (e) { setText('auth-status', '✗ 网络错误'); return { ok: false }; }
+    }
+    async function loadTokens() { try { renderTokens(await (await fetch('/api/auth/tokens')).json()); } catch (e) { } }
+    function renderTokens(tokens) {
+        const c = document.getElementById('auth-token-list');
+        c.innerHTML = tokens.map(t => `<div class="history-item"><div class="history-item-info"><div class="history-item-name">${escapeHtml(t.label || t.id.slice(0, 8))}${t.id === authTokenId ? ' (本机)' : ''}</div><div class="history-item-ip">${ROLE_LABELS[t.role] || t.role} • ${t.lastUsedAt ? `最近使用 ${formatDate(t.lastUsedAt)}` : '未使用'}</div></div><div class="history-item-actions"><button class="history-delete-btn" onclick="window.__revokeToken('${t.id}')" title="吊销">✕</button></div></div>`).join('');
+    }
+    // Cookie and role changed: reload what depends on them
+    function onAuthChanged() { loadAuth().then(() => { reconnectWebSocket(); if (settingsPanelOpen) { loadSettings(); if (authRole === 'admin') loadWebhooks(); } }); }
+    function initAuthControls() {
+        const pinInput = document.getElementById('auth-pin-input');
+        async function login() { const res = await authRequest('/api/auth/login', { pin: pinInput.value }); pinInput.value = ''; if (res.ok) onAuthChanged(); }
+        document.getElementById('auth-login-btn').addEventListener('click', login);
+        pinInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') login(); });
+        document.getElementById('auth-logout-btn').addEventListener('click', async () => { await authRequest('/api/auth/logout'); onAuthChanged(); });
+        document.getElementById('auth-set-pin-btn').addEventListener('click', async () => {
+            const input = document.getElementById('auth-new-pin');
+            const res = await authRequest('/api/auth/pin', { pin: input.value });
+            if (!res.ok) return;
+            input.value = '';
+            showToast({ type: 'info', icon: '🔒', title: '访问控制', message: 'PIN 已更新' });
+            onAuthChanged();
+        });
+        document.getElementById('auth-anonymous-toggle').addEventListener('change', async function () { await authRequest('/api/auth/anonymous', { allowed: this.checked }); });
+        document.getElementById('auth-issue-btn').addEventListener('click', async () => {
+            const label = document.getElementById('auth-token-label');
+            const res = await authRequest('/api/auth/tokens', { role: document.getElementById('auth-token-role').value, label: label.value.trim() });
+            if (!res.ok) return;
+            label.value = '';
+            // The token is only ever shown here; append ?token=... to the dashboard, overlay or WebSocket URL
+            setText('auth-new-token', `✓ ${res.token}`);
+            loadTokens();
+        });
+    }
+    window.__revokeToken = async function (id) {
+        if (!confirm('吊销这个令牌? 使用它的设备会立即断开。')) return;
+        try { await fetch(`/api/auth/tokens/${id}`, { method: 'DELETE' }); } catch (e) { }
+        if (id === authTokenId) onAuthChanged(); else loadTokens();
+    };
+
+    // ─── Schema-rendered Settings ─────────
+    // Sections come from GET /api/settings/schema (see settings-schema.js), so a new
+    // option only needs a `ui` entry there
+    let settingsSchema = null;
+    let lastSettings = null;
+    // Extra buttons per section: run(unsaved partial settings, section element)
+    const GROUP_ACTIONS = { osc: [{ label: '📤 测试发送', run: testOsc }] };
+    async function loadSettingsSchema() {
+        try { settingsSchema = await (await fetch('/api/settings/schema')).json(); renderSchemaSettings(); if (lastSettings) applySchemaSettings(lastSettings); } catch (e) { }
+    }
+    function schemaFields(group) {
+        const list = [];
+        for (const [key, spec] of Object.entries(settingsSchema.fields)) {
+            if (spec.ui && spec.ui.group === group) list.push([key, spec]);
+            for (const [sub, subSpec] of Object.entries(spec.fields || {})) { if (subSpec.ui && subSpec.ui.group === group) list.push([`${key}.${sub}`, subSpec]); }
+        }
+        return list;
+    }
+    function renderSchemaField(path, spec) {
+        const ui = spec.ui;
+        if (spec.type === 'boolean') return `<label class="toggle-row schema-wide"><span>${escapeHtml(ui.label)}</span><input type="checkbox" data-path="${path}"><span class="toggle-slider"></span></label>`;
+        const choices = ui.choices || (spec.type === 'enum' ? spec.values.map(v => [v, (ui.labels && ui.labels[v]) || String(v)]) : null);
+        const control = choices
+            ? `<select data-path="${path}">${choices.map(([v, label]) => `<option value="${escapeHtml(String(v))}">${escapeHtml(label)}</option>`).join('')}</select>`
+            : `<input type="${ui.input || 'text'}" data-path="${path}" placeholder="${escapeHtml(ui.placeholder || String(spec.default !== undefined ? spec.default : ''))}" autocomplete="off"${spec.type === 'integer' || spec.type === 'number' ? ' inputmode="numeric"' : ''}>`;
+        return `<label class="${ui.wide ? 'schema-wide' : ''}">${escapeHtml(ui.label)}${control}<span class="schema-field-error" data-error-for="${path}"></span></label>`;
+    }
+    function renderSchemaSettings() {
+        const c = document.getElementById('schema-settings');
+        c.innerHTML = settingsSchema.groups.map(g => {
+            const fields = schemaFields(g.id);
+            if (!fields.length) return '';
+            // Single-field sections save on change, the others with a button
+            const instant = fields.length === 1;
+            const actions = (GROUP_ACTIONS[g.id] || []).map((a, i) => `<button class="btn btn-sm" data-action="${i}">${a.label}</button>`).join('');
+            const buttons = actions || !instant ? `<div class="settings-btn-row">${actions}${instant ? '' : '<button class="btn btn-sm btn-primary" data-save>✓ 保存</button>'}</div>` : '';
+            return `<div class="settings-section admin-only" data-group="${g.id}"><h3>${escapeHtml(g.title)}</h3><div class="schema-fields">${fields.map(([path, spec]) => renderSchemaField(path, spec)).join('')}</div>${buttons}<div class="settings-current" data-status></div></div>`;
+        }).join('');
+        c.querySelectorAll('[data-group]').forEach(section => {
+            const group = section.dataset.group;
+            const save = section.querySelector('[data-save]');
+            if (save) save.addEventListener('click', () => saveSchemaGroup(group));
+            else section.querySelectorAll('[data-path]').forEach(el => el.addEventListener('change', () => saveSchemaGroup(group)));
+            section.querySelectorAll('[data-action]').forEach(btn => btn.addEventListener('click', () => GROUP_ACTIONS[group][btn.dataset.action].run(readSchemaGroup(group), section)));
+        });
+    }
+    function settingAt(settings, path) { return path.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), settings); }
+    function applySchemaSettings(settings) {
+        lastSettings = settings;
+        document.querySelectorAll('#schema-settings [data-path]').forEach(el => {
+            const value = settingAt(settings, el.dataset.path);
+            if (value === undefined) return;
+            if (el.type === 'checkbox') { el.checked = !!value; return; }
+            // Values set through the API may not be one of the panel's choices
+            if (el.tagName === 'SELECT' && !Array.from(el.options).some(o => o.value === String(value))) el.add(new Option(String(value), String(value)));
+            el.value = String(value);
+        });
+    }
+    // Partial settings for one section, e.g. { osc: { enabled, host, port, ... } }
+    function readSchemaGroup(group) {
+        const patch = {};
+        schemaFields(group).forEach(([path, spec]) => {
+            const el = document.querySelector(`#schema-settings [data-path="${path}"]`);
+            let value = el.type === 'checkbox' ? el.checked : el.value.trim();
+            const numeric = spec.type === 'integer' || spec.type === 'number' || (spec.type === 'enum' && typeof spec.values[0] === 'number') || (spec.ui.choices && typeof spec.ui.choices[0][0] === 'number');
+            // Empty inputs fall back to the default shown as placeholder
+            if (value === '' && (numeric || spec.required)) value = spec.default;
+            else if (numeric) value = Number(value);
+            const [key, sub] = path.split('.');
+            if (sub) (patch[key] = patch[key] || {})[sub] = value; else patch[key] = value;
+        });
+        return patch;
+    }
+    async function saveSchemaGroup(group) {
+        const section = document.querySelector(`#schema-settings [data-group="${group}"]`);
+        const status = section.querySelector('[data-status]');
+        section.querySelectorAll('.schema-field-error').forEach(el => { el.textContent = ''; });
+        try {
+            const r = await fetch('/api/settings', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(readSchemaGroup(group)) });
+            const res = await r.json();
+            if (res.ok) { lastSettings = res.settings; status.textContent = '✓ 已保存'; return; }
+            (res.errors || []).forEach(e => { const el = section.querySelector(`[data-error-for="${e.field}"]`); if (el) el.textContent = e.message; });
+            status.textContent = `✗ ${res.error}`;
+        } catch (e) { status.textContent = '✗ 网络错误'; }
+    }
+    async function testOsc(patch, section) {
+        const status = section.querySelector('[data-status]');
+        try { const r = await fetch('/api/osc/test', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(patch.osc) }); const res = await r.json(); status.textContent = res.ok ? `✓ 已发送 ${res.messages} 条消息 → ${res.host}:${res.port}` : `✗ ${res.error}`; } catch (e) { status.textContent = '✗ 网络错误'; }
+    }
+
+    // ─── Record & Replay ─────────
+    let replaySeeking = false;
+    function updateReplayFileRow() {
+        const mode = document.getElementById('mode-select').value;
+        document.getElementById('replay-file-row').style.display = mode === 'replay' ? 'flex' : 'none';
+        document.getElementById('demo-scenario-row').style.display = mode === 'demo' ? 'flex' : 'none';
+        if (mode === 'replay') loadRecordings();
+        if (mode === 'demo') loadScenarios();
+    }
+    async function loadScenarios() {
+        try {
+            const scenarios = await (await fetch('/api/scenarios')).json();
+            const select = document.getElementById('demo-scenario-select');
+            const selected = select.value || select.dataset.current;
+            select.innerHTML = scenarios.map(s => `<option value="${escapeHtml(s.id)}" title="${escapeHtml(s.description)}">${escapeHtml(s.name)} (${formatTime(s.duration)})</option>`).join('');
+            if (selected) select.value = selected;
+        } catch (e) { }
+    }
+    async function loadRecordings() {
+        try {
+            const { recordings, status } = await (await fetch('/api/recordings')).json();
+            const select = document.getElementById('replay-file-select');
+            const selected = select.value;
+            select.innerHTML = recordings.length ? recordings.map(r => `<option value="${escapeHtml(r.name)}">${escapeHtml(r.name.replace('.ndjson', ''))} (${(r.size / 1048576).toFixed(1)} MB)</option>`).join('') : '<option value="">暂无录制</option>';
+            if (selected) select.value = selected;
+            updateRecordingStatus(status);
+        } catch (e) { }
+    }
+    function updateRecordingStatus(status) {
+        if (!status) return;
+        const btn = document.getElementById('record-toggle');
+        btn.textContent = status.recording ? '⏹ 停止录制' : '⏺ 开始录制';
+        btn.classList.toggle('is-recording', !!status.recording);
+        setText('record-status', status.recording ? `● ${status.name}` : '');
+    }
+    function updateReplayStatus(status) {
+        if (!status) return;
+        const seek = document.getElementById('replay-seek');
+        seek.max = status.duration;
+        if (!replaySeeking) seek.value = status.position;
+        setText('replay-time', `${formatTime(status.position / 1000)} / ${formatTime(status.duration / 1000)}`);
+        setText('replay-play', status.playing ? '⏸' : '▶');
+        document.getElementById('replay-speed').value = String(status.speed);
+        document.getElementById('replay-loop').checked = !!status.loop;
+    }
+    async function controlReplay(body) {
+        try { const r = await fetch('/api/replay', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }); const res = await r.json(); if (res.ok) updateReplayStatus(res.status); } catch (e) { }
+    }
+    function initReplayControls() {
+        document.getElementById('mode-select').addEventListener('change', updateReplayFileRow);
+        document.getElementById('delete-recording-btn').addEventListener('click', async () => {
+            const name = document.getElementById('replay-file-select').value;
+            if (!name || !confirm(`删除录制 ${name}?`)) return;
+            try { await fetch(`/api/recordings/${encodeURIComponent(name)}`, { method: 'DELETE' }); } catch (e) { }
+            loadRecordings();
+        });
+        document.getElementById('record-toggle').addEventListener('click', async function () {
+            const recording = this.classList.contains('is-recording');
+            try { const r = await fetch(`/api/recordings/${recording ? 'stop' : 'start'}`, { method: 'POST' }); const res = await r.json(); if (!res.ok) showToast({ type: 'error', icon: '⚠️', title: '录制', message: res.error || '失败' }); } catch (e) { }
+        });
+        document.getElementById('replay-play').addEventListener('click', function () { controlReplay({ playing: this.textContent === '▶' }); });
+        const seek = document.getElementById('replay-seek');
+        seek.addEventListener('input', () => { replaySeeking = true; setText('replay-time', `${formatTime(seek.value / 1000)} / ${formatTime(seek.max / 1000)}`); });
+        seek.addEventListener('change', () => { replaySeeking = false; controlReplay({ position: Number(seek.value) }); });
+        document.getElementById('replay-speed').addEventListener('change', function () { controlReplay({ speed: Number(this.value) }); });
+        document.getElementById('replay-loop').addEventListener('change', function () { controlReplay({ loop: this.checked }); });
+    }
+
+    // ─── StateMap Inspector ─────────
+    const statemap = new Map();
+    let inspectorOpen = false, inspectorPaused = false, inspectorPending = [], inspectorRenderQueued = false;
+    const INSPECTOR_MAX_ROWS = 500;
+    function handleStatemap(changes) {
+        if (!Array.isArray(changes)) return;
+        if (inspectorPaused) { inspectorPending.push(...changes); return; }
+        for (const e of changes) statemap.set(e.path, e);
+        if (inspectorOpen) queueInspectorRender();
+    }
+    function queueInspectorRender() { if (inspectorRenderQueued) return; inspectorRenderQueued = true; requestAnimationFrame(() => { inspectorRenderQueued = false; renderInspector(); }); }
+    function formatStateValue(v) { const s = typeof v === 'string' ? v : JSON.stringify(v); return s === undefined ? '' : s.length > 120 ? s.slice(0, 117) + '...' : s; }
+    function renderInspector() {
+        const tbody = document.getElementById('inspector-rows');
+        if (!tbody) return;
+        const q = document.getElementById('inspector-search').value.trim().toLowerCase();
+        const unmappedOnly = document.getElementById('inspector-unmapped').checked;
+        const all = Array.from(statemap.values());
+        const rows = all.filter(e => (!unmappedOnly || !e.mapped) && (!q || e.path.toLowerCase().includes(q) || formatStateValue(e.value).toLowerCase().includes(q))).sort((a, b) => a.path.localeCompare(b.path));
+        const now = Date.now();
+        tbody.innerHTML = rows.slice(0, INSPECTOR_MAX_ROWS).map(e => { const changed = e.lastChange ? new Date(e.lastChange) : null; return `<tr class="${e.mapped ? '' : 'is-unmapped'} ${changed && now - changed.getTime() < 1000 ? 'is-fresh' : ''}" title="${escapeHtml(e.device || '')}"><td class="mono">${escapeHtml(e.path)}</td><td class="mono">${escapeHtml(formatStateValue(e.value))}</td><td>${e.type}</td><td>${e.count}</td><td>${changed ? `${p2(changed.getHours())}:${p2(changed.getMinutes())}:${p2(changed.getSeconds())}` : '—'}</td></tr>`; }).join('');
+        const unmapped = all.filter(e => !e.mapped).length;
+        setText('inspector-summary', `${all.length} 条路径 • ${unmapped} 条未映射 • 显示 ${Math.min(rows.length, INSPECTOR_MAX_ROWS)}/${rows.length}${inspectorPaused ? ` • 已暂停 (${inspectorPending.length} 条待更新)` : ''}`);
+    }
+    async function loadStatemap() { try { const list = await (await fetch('/api/statemap')).json(); statemap.clear(); for (const e of list) statemap.set(e.path, e); renderInspector(); } catch (e) { } }
+    function initInspector() {
+        const panel = document.getElementById('inspector-panel');
+        const overlay = document.getElementById('settings-overlay');
+        const pauseBtn = document.getElementById('inspector-pause');
+        function openInspector() { panel.classList.add('open'); overlay.classList.add('open'); inspectorOpen = true; sendMessage({ type: 'subscribe', topics: ['statemap'] }); loadStatemap(); }
+        function closeInspector() { panel.classList.remove('open'); if (!settingsPanelOpen) overlay.classList.remove('open'); inspectorOpen = false; sendMessage({ type: 'unsubscribe', topics: ['statemap'] }); }
+        document.getElementById('inspector-btn').addEventListener('click', openInspector);
+        document.getElementById('inspector-close').addEventListener('click', closeInspector);
+        overlay.addEventListener('click', closeInspector);
+        document.getElementById('inspector-search').addEventListener('input', queueInspectorRender);
+        document.getElementById('inspector-unmapped').addEventListener('change', queueInspectorRender);
+        pauseBtn.addEventListener('click', () => {
+            inspectorPaused = !inspectorPaused;
+            pauseBtn.textContent = inspectorPaused ? '▶ 继续' : '⏸ 暂停';
+            if (!inspectorPaused) { const pending = inspectorPending; inspectorPending = []; handleStatemap(pending); }
+            renderInspector();
+        });
+        document.getElementById('inspector-clear').addEventListener('click', async () => { try { await fetch('/api/statemap', { method: 'DELETE' }); } catch (e) { } statemap.clear(); inspectorPending = []; renderInspector(); });
+    }
+
+    // ─── Engine Library ─────────
+    const library = { tab: 'tracks', list: null, lists: [], tracks: [], total: 0, next: 0, request: 0 };
+    const LIBRARY_PAGE = 50;
+    let librarySearchTimer = null;
+    // The source the DJ is playing from: master deck first, then any deck with a track from the library
+    function playingSource() { const decks = serverState ? Object.values(serverState.decks || {}) : []; const d = decks.find(x => x.deckIsMaster && x.dbSourceName) || decks.find(x => x.play && x.dbSourceName) || decks.find(x => x.dbSourceName); return d ? d.dbSourceName : ''; }
+    async function loadLibrarySources() {
+        const select = document.getElementById('library-source');
+        try {
+            const { sources } = await (await fetch('/api/library/sources')).json();
+            const usable = (sources || []).filter(s => !s.error);
+            if (!usable.length) { select.innerHTML = ''; document.getElementById('library-body').innerHTML = ''; setText('library-summary', '还没有可浏览的曲库（连接设备后自动下载）'); return false; }
+            const keep = select.value, playing = playingSource();
+            select.innerHTML = usable.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.id)} (${s.tracks} 首)</option>`).join('');
+            select.value = usable.some(s => s.id === keep) ? keep : usable.some(s => s.id === playing) ? playing : usable[0].id;
+            return true;
+        } catch (e) { return false; }
+    }
+    function libraryUrl(path, params) { return `${path}?${new URLSearchParams({ source: document.getElementById('library-source').value, limit: LIBRARY_PAGE, ...params })}`; }
+    async function loadLibraryTracks(append) {
+        const request = ++library.request;
+        const params = { offset: append ? library.next : 0 };
+        let url;
+        if (library.list) url = libraryUrl(`/api/library/playlists/${encodeURIComponent(library.list.id)}`, params);
+        else { for (const [k, id] of [['q', 'library-search'], ['bpm', 'library-bpm'], ['key', 'library-key']]) { const v = document.getElementById(id).value.trim(); if (v) params[k] = v; } url = libraryUrl('/api/library/tracks', params); }
+        try {
+            const res = await (await fetch(url)).json();
+            if (request !== library.request) return;
+            if (!res.ok) { setText('library-summary', res.error); if (!append) { library.tracks = []; library.total = library.next = 0; document.getElementById('library-body').innerHTML = ''; } return; }
+            library.tracks = append ? library.tracks.concat(res.tracks) : res.tracks;
+            library.total = res.total; library.next = res.offset + res.limit;
+            renderLibrary();
+        } catch (e) { }
+    }
+    // Depth-first, children under their parent; lists whose parent is missing go to the top level
+    function flattenLists(lists) {
+        const ids = new Set(lists.map(l => l.id)), children = new Map(), out = [], seen = new Set();
+        for (const l of lists) { const k = l.parentId && ids.has(l.parentId) ? l.parentId : ''; if (!children.has(k)) children.set(k, []); children.get(k).push(l); }
+        const walk = (k, depth) => (children.get(k) || []).forEach(l => { if (seen.has(l.id)) return; seen.add(l.id); out.push({ ...l, depth }); walk(l.id, depth + 1); });
+        walk('', 0);
+        return out;
+    }
+    async function loadLibraryLists() {
+        const request = ++library.request;
+        try {
+            const res = await (await fetch(libraryUrl('/api/library/playlists', {}))).json();
+            if (request !== library.request) return;
+            if (!res.ok) { setText('library-summary', res.error); return; }
+            library.lists = flattenLists(res.lists);
+            renderLibrary();
+        } catch (e) { }
+    }
+    function renderLibrary() {
+        const body = document.getElementById('library-body');
+        document.getElementById('library-filters').style.display = library.tab === 'tracks' ? '' : 'none';
+        document.querySelectorAll('[data-library-tab]').forEach(b => b.classList.toggle('is-selected', b.dataset.libraryTab === library.tab));
+        if (library.tab === 'lists' && !library.list) {
+            setText('library-summary', `${library.lists.length} 个列表`);
+            body.innerHTML = library.lists.length ? library.lists.map((l, i) => `<div class="library-list-item" style="padding-left:${8 + l.depth * 14}px" onclick="window.__openLibraryList(${i})"><span>${l.kind === 'crate' ? '📦' : '📃'} ${escapeHtml(l.title)}</span><span class="history-item-time">${l.tracks} 首</span></div>`).join('') : '<div class="empty-state">没有播放列表</div>';
+            return;
+        }
+        setText('library-summary', `${library.list ? `${library.list.title} • ` : ''}共 ${library.total} 首 • 已显示 ${library.tracks.length}`);
+        const back = library.list ? `<button class="btn btn-sm library-back" onclick="window.__closeLibraryList()">← 返回列表</button>` : '';
+        const rows = library.tracks.map(t => `<tr title="${escapeHtml(t.path)}"><td>${escapeHtml(t.title)}</td><td>${escapeHtml(t.artist)}</td><td class="mono">${t.bpm ? t.bpm.toFixed(1) : '—'}</td><td>${escapeHtml(t.key || '—')}</td><td class="mono">${formatTime(t.length)}</td></tr>`).join('');
+        body.innerHTML = `${back}<table class="inspector-table library-table"><thead><tr><th>标题</th><th>艺术家</th><th>BPM</th><th>调性</th><th>时长</th></tr></thead><tbody>${rows}</tbody></table>${library.tracks.length ? '' : '<div class="empty-state">没有匹配的曲目</div>'}${library.next < library.total ? '<button class="btn btn-sm btn-full" onclick="window.__loadMoreLibrary()">加载更多</button>' : ''}`;
+    }
+    function reloadLibrary() { if (library.tab === 'lists' && !library.list) loadLibraryLists(); else loadLibraryTracks(false); }
+    window.__openLibraryList = function (i) { library.list = library.lists[i] || null; library.tracks = []; loadLibraryTracks(false); };
+    window.__closeLibraryList = function () { library.list = null; renderLibrary(); };
+    window.__loadMoreLibrary = function () { loadLibraryTracks(true); };
+    function initLibrary() {
+        const panel = document.getElementById('library-panel');
+        const overlay = document.getElementById('settings-overlay');
+        function openLibrary() { panel.classList.add('open'); overlay.classList.add('open'); loadLibrarySources().then(ok => { if (ok) reloadLibrary(); }); }
+        function closeLibrary() { panel.classList.remove('open'); if (!settingsPanelOpen && !inspectorOpen) overlay.classList.remove('open'); }
+        document.getElementById('library-btn').addEventListener('click', openLibrary);
+        document.getElementById('library-close').addEventListener('click', closeLibrary);
+        overlay.addEventListener('click', closeLibrary);
+        document.getElementById('library-source').addEventListener('change', () => { library.list = null; reloadLibrary(); });
+        document.querySelectorAll('[data-library-tab]').forEach(b => b.addEventListener('click', () => { library.tab = b.dataset.libraryTab; library.list = null; reloadLibrary(); }));
+        for (const id of ['library-search', 'library-bpm', 'library-key']) document.getElementById(id).addEventListener('input', () => { clearTimeout(librarySearchTimer); librarySearchTimer = setTimeout(() => loadLibraryTracks(false), 250); });
+    }
+
     // ─── Settings Panel (unchanged logic) ─────────
     function initSettings() {
         const btn = document.getElementById('settings-btn');
         const panel = document.getElementById('settings-panel');
         const overlay = document.getElementById('settings-overlay');
         const closeBtn = document.getElementById('settings-close');
-        function openSettings() { panel.classList.add('open'); overlay.classList.add('open'); settingsPanelOpen = true; loadNetworkInterfaces(); loadHistory(); loadSettings(); refreshDiscoveredDevices(); startDevicePolling(); }
+        function openSettings() { panel.classList.add('open'); overlay.classList.add('open'); settingsPanelOpen = true; loadNetworkInterfaces(); loadHistory(); loadSessions(); loadOverlayPresets(); loadAuth(); if (authRole === 'admin') loadWebhooks(); loadDeckProfiles(); loadSettings(); refreshDiscoveredDevices(); startDevicePolling(); }
         function closeSettings() { panel.classList.remove('open'); overlay.classList.remove('open'); settingsPanelOpen = false; stopDevicePolling(); }
         btn.addEventListener('click', openSettings);
         closeBtn.addEventListener('click', closeSettings);
         overlay.addEventListener('click', closeSettings);
         document.getElementById('refresh-interfaces').addEventListener('click', loadNetworkInterfaces);
-        document.getElementById('apply-interface').addEventListener('click', async () => { const s = document.getElementById('interface-select'); await saveSettingsToServer({ networkInterface: s.value }); setText('current-interface-info', s.value === 'auto' ? '✓ 已保存' : `✓ ${s.value}`); });
-        document.getElementById('auto-reconnect-toggle').addEventListener('change', async function () { await saveSettingsToServer({ autoReconnect: this.checked }); });
+        document.getElementById('apply-interface').addEventListener('click', async () => { const s = document.getElementById('interface-select'); setText('current-interface-info', '⏳ 正在重新绑定...'); await saveSettingsToServer({ networkInterface: s.value }); await loadSettings(); });
+        document.getElementById('webhook-add').addEventListener('click', addWebhook);
+        document.getElementById('refresh-webhook-log-btn').addEventListener('click', loadWebhookLog);
         document.getElementById('apply-mode').addEventListener('click', async function () {
             const ms = document.getElementById('mode-select'); this.disabled = true; this.textContent = '切换中...';
-            try { const r = await fetch('/api/mode', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ mode: ms.value }) }); const result = await r.json(); setText('current-mode-info', result.ok ? `✓ ${result.demoMode ? 'Demo' : 'Live'}` : '✗'); } catch (e) { setText('current-mode-info', '✗'); }
+            const body = { mode: ms.value };
+            if (ms.value === 'replay') body.file = document.getElementById('replay-file-select').value;
+            if (ms.value === 'demo') body.scenario = document.getElementById('demo-scenario-select').value;
+            try { const r = await fetch('/api/mode', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }); const result = await r.json(); setText('current-mode-info', result.ok ? `✓ ${MODE_LABELS[result.mode]}` : `✗ ${result.error || ''}`); } catch (e) { setText('current-mode-info', '✗'); }
             this.disabled = false; this.textContent = '切换模式';
         });
         document.getElementById('manual-connect-btn').addEventListener('click', manualConnect);
         document.getElementById('manual-ip-input').addEventListener('keydown', (e) => { if (e.key === 'Enter') manualConnect(); });
+        document.getElementById('manual-port-input').addEventListener('keydown', (e) => { if (e.key === 'Enter') manualConnect(); });
         document.getElementById('refresh-devices-btn').addEventListener('click', refreshDiscoveredDevices);
+        document.getElementById('refresh-sessions-btn').addEventListener('click', loadSessions);
+        initOverlaySettings();
+        initAuthControls();
         initRestartButton();
+        loadSettingsSchema();
     }
 
     async function manualConnect() {
         const input = document.getElementById('manual-ip-input'); const statusEl = document.getElementById('manual-connect-status'); const ip = input.value.trim();
+        const port = document.getElementById('manual-port-input').value.trim();
         if (!ip) { statusEl.textContent = '请输入 IP'; return; }
         if (!/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(ip)) { statusEl.textContent = '✗ IP 格式无效'; return; }
+        if (port && !/^\d{1,5}$/.test(port)) { statusEl.textContent = '✗ 端口格式无效'; return; }
         statusEl.textContent = '⏳ 连接中...';
-        try { const r = await fetch('/api/connect', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ip }) }); const result = await r.json(); statusEl.textContent = result.ok ? `✓ ${result.message}` : `✗ ${result.error}`; refreshDiscoveredDevices(); } catch (e) { statusEl.textContent = '✗ 网络错误'; }
+        try { const r = await fetch('/api/connect', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(port ? { ip, port: Number(port) } : { ip }) }); const result = await r.json(); statusEl.textContent = result.ok ? `✓ ${result.message}` : `✗ ${result.error}`; refreshDiscoveredDevices(); } catch (e) { statusEl.textContent = '✗ 网络错误'; }
     }
 
     function startDevicePolling() { stopDevicePolling(); devicePollTimer = setInterval(refreshDiscoveredDevices, 1000); }
@@ -369,7 +912,7 @@
         if (!devices || !devices.length) { c.innerHTML = '<div class="empty-state">未发现设备</div>'; return; }
         c.innerHTML = devices.map(d => { const ic = d.status === 'connected'; return `<div class="device-item ${ic ? 'is-connected' : ''}"><div class="device-status-dot ${ic ? 'connected' : 'discovered'}"></div><div class="device-item-info"><div class="device-item-name">${escapeHtml(d.name)}</div><div class="device-item-detail">${escapeHtml(d.ip)} • ${escapeHtml(d.software || '')} ${escapeHtml(d.version || '')}</div></div><div class="device-item-action">${ic ? `<button class="btn-disconnect" onclick="window.__disconnectDevice('${escapeHtml(d.ip)}')">断开</button>` : `<button class="btn-connect" onclick="window.__connectDevice('${escapeHtml(d.ip)}')">连接</button>`}</div></div>`; }).join('');
     }
-    window.__connectDevice = async function (ip) { try { const r = await fetch('/api/connect', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ip }) }); const res = await r.json(); if (res.ok) showToast({ type: 'connected', icon: '🟢', title: '已连接', message: res.message }); refreshDiscoveredDevices(); } catch (e) { showToast({ type: 'disconnected', icon: '❌', title: '失败', message: e.message }); } };
+    window.__connectDevice = async function (ip) { try { const r = await fetch('/api/connect', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ip }) }); const res = await r.json(); if (res.ok) showToast({ type: 'connected', icon: '🟢', title: '已连接', message: res.message }); else showToast({ type: 'disconnected', icon: '❌', title: '连接失败', message: res.error }); refreshDiscoveredDevices(); } catch (e) { showToast({ type: 'disconnected', icon: '❌', title: '失败', message: e.message }); } };
     window.__disconnectDevice = async function (ip) { try { const r = await fetch('/api/disconnect', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ip }) }); const res = await r.json(); if (res.ok) showToast({ type: 'disconnected', icon: '🔴', title: '已断开', message: res.message }); refreshDiscoveredDevices(); } catch (e) { } };
 
     function initRestartButton() {
@@ -383,34 +926,138 @@
 
     async function loadSettings() { try { applySettingsToUI(await (await fetch('/api/settings')).json()); } catch (e) { } }
     async function saveSettingsToServer(partial) { try { await fetch('/api/settings', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(partial) }); } catch (e) { } }
-    async function loadNetworkInterfaces() { try { const ifs = await (await fetch('/api/network-interfaces')).json(); const s = document.getElementById('interface-select'); while (s.options.length > 1) s.remove(1); ifs.forEach(i => { if (i.internal) return; const o = document.createElement('option'); o.value = i.address; o.textContent = `${i.name} — ${i.address}`; s.appendChild(o); }); await loadSettings(); } catch (e) { } }
+    async function loadNetworkInterfaces() { try { const ifs = await (await fetch('/api/network-interfaces')).json(); const s = document.getElementById('interface-select'); while (s.options.length > 1) s.remove(1); ifs.forEach(i => { if (i.internal) return; const o = document.createElement('option'); o.value = i.address; o.textContent = `${i.name} — ${i.address}`; s.appendChild(o); }); interfacesLoaded = true; await loadSettings(); } catch (e) { } }
     async function loadHistory() { try { updateHistoryList(await (await fetch('/api/history')).json()); } catch (e) { } }
-    function updateHistoryList(devices) { const c = document.getElementById('history-list'); if (!devices || !devices.length) { c.innerHTML = '<div class="empty-state">暂无历史设备</div>'; return; } c.innerHTML = devices.map(d => `<div class="history-item"><div class="history-item-info"><div class="history-item-name">${escapeHtml(d.deviceName)}</div><div class="history-item-ip">${escapeHtml(d.ip)}</div></div><div class="history-item-time">${formatDate(d.lastSeen)}</div><div class="history-item-actions"><button class="history-delete-btn" onclick="window.__deleteHistoryDevice('${escapeHtml(d.ip)}','${escapeHtml(d.deviceName)}')" title="删">✕</button></div></div>`).join(''); }
-    window.__deleteHistoryDevice = async function (ip, name) { try { const r = await fetch('/api/history', { method: 'DELETE', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ip, deviceName: name }) }); const res = await r.json(); if (res.ok) updateHistoryList(res.devices); } catch (e) { } };
+    // Device history — entries expand to alias/colour editing and the connection timeline
+    let historyDevices = [], expandedHistoryId = null;
+    const DISCONNECT_REASONS = { user: '手动断开', lost: '连接丢失', stopped: '服务停止', replaced: '重新连接' };
+    function updateHistoryList(devices) {
+        const c = document.getElementById('history-list');
+        historyDevices = devices || [];
+        if (!historyDevices.length) { c.innerHTML = '<div class="empty-state">暂无历史设备</div>'; return; }
+        c.innerHTML = historyDevices.map((d, i) => { const st = d.stats || {}; const more = (d.addresses || []).length > 1 ? ` (+${d.addresses.length - 1} 个地址)` : ''; return `<div class="session-item ${d.id === expandedHistoryId ? 'expanded' : ''}"><div class="history-item" onclick="window.__toggleHistoryDevice(${i})"><span class="device-color-dot" style="background:${escapeHtml(d.color || 'transparent')}"></span><div class="history-item-info"><div class="history-item-name">${st.connected ? '<span class="session-live">●</span> ' : ''}${escapeHtml(d.alias || d.deviceName)}${d.alias ? ` <span class="history-item-time">${escapeHtml(d.deviceName)}</span>` : ''}</div><div class="history-item-ip">${escapeHtml(d.ip)}${more} • ${st.connects || 0} 次连接${st.drops ? ` • ${st.drops} 次掉线` : ''}</div></div><div class="history-item-time">${formatDate(d.lastSeen)}</div><div class="history-item-actions admin-only" onclick="event.stopPropagation()"><label class="toggle-row" title="自动连接"><input type="checkbox" ${d.autoConnect ? 'checked' : ''} onchange="window.__setHistoryAutoConnect(${i},this.checked)"><span class="toggle-slider"></span></label><button class="history-delete-btn" onclick="window.__deleteHistoryDevice(${i})" title="删">✕</button></div></div><div class="session-tracks"></div></div>`; }).join('');
+        if (expandedHistoryId) loadHistoryTimeline(expandedHistoryId);
+    }
+    async function loadHistoryTimeline(id) {
+        const c = document.querySelector('#history-list .session-item.expanded .session-tracks'); const d = historyDevices.find(x => x.id === id);
+        if (!c || !d) return;
+        try {
+            const { timeline, stats } = await (await fetch(`/api/history/${encodeURIComponent(id)}/timeline`)).json();
+            const edit = `<div class="history-edit-row admin-only"><input type="text" class="history-alias-input" maxlength="40" placeholder="别名" value="${escapeHtml(d.alias || '')}"><input type="color" class="history-color-input" value="${escapeHtml(d.color || '#3b82f6')}" oninput="this.dataset.touched = '1'"><button class="btn btn-sm btn-primary" onclick="window.__saveHistoryLabel(false)">保存</button>${d.color ? '<button class="btn btn-sm" onclick="window.__saveHistoryLabel(true)">清除颜色</button>' : ''}</div>`;
+            const summary = `<div class="history-item-ip history-stats">累计在线 ${formatSpan(stats.connectedMs)} • ${stats.connects} 次连接 • ${stats.drops} 次掉线</div>`;
+            const rows = timeline.map(t => `<div class="session-track"><span class="session-track-time">${formatDate(t.connectedAt)}</span><span class="session-track-info"><span class="session-track-title">${t.disconnectedAt ? formatSpan(t.durationMs) : '在线中'}</span><span class="session-track-meta">${escapeHtml(t.ip)}${t.disconnectedAt ? ` • ${DISCONNECT_REASONS[t.reason] || escapeHtml(t.reason)}` : ''}</span></span>${t.reason === 'lost' ? '<span class="session-track-deck timeline-lost" title="连接丢失">⚠</span>' : ''}</div>`).join('');
+            c.innerHTML = edit + summary + (rows || '<div class="empty-state">暂无连接记录</div>');
+        } catch (e) { c.innerHTML = '<div class="empty-state">加载失败</div>'; }
+    }
+    async function updateHistoryDevice(id, changes) { try { const r = await fetch(`/api/history/${encodeURIComponent(id)}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(changes) }); const res = await r.json(); if (res.ok) updateHistoryList(res.devices); else showToast({ type: 'disconnected', icon: '❌', title: '失败', message: res.error }); } catch (e) { } }
+    window.__toggleHistoryDevice = function (i) { const d = historyDevices[i]; if (!d) return; expandedHistoryId = expandedHistoryId === d.id ? null : d.id; updateHistoryList(historyDevices); };
+    window.__setHistoryAutoConnect = function (i, autoConnect) { if (historyDevices[i]) updateHistoryDevice(historyDevices[i].id, { autoConnect }); };
+    window.__saveHistoryLabel = function (clearColor) {
+        const c = document.querySelector('#history-list .session-item.expanded .session-tracks'); if (!c || !expandedHistoryId) return;
+        const colorInput = c.querySelector('.history-color-input'); const d = historyDevices.find(x => x.id === expandedHistoryId);
+        const changes = { alias: c.querySelector('.history-alias-input').value.trim() };
+        if (clearColor) changes.color = ''; else if (colorInput.dataset.touched || (d && d.color)) changes.color = colorInput.value;
+        updateHistoryDevice(expandedHistoryId, changes);
+    };
+    window.__deleteHistoryDevice = async function (i) { const d = historyDevices[i]; if (!d) return; try { const r = await fetch(`/api/history/${encodeURIComponent(d.id)}`, { method: 'DELETE' }); const res = await r.json(); if (res.ok) updateHistoryList(res.devices); } catch (e) { } };
 
+    // ─── Set-list History ─────────
+    async function loadSessions() { try { renderSessions(await (await fetch('/api/sessions')).json()); } catch (e) { } }
+    function renderSessions(sessions) {
+        const c = document.getElementById('session-list');
+        if (!sessions || !sessions.length) { c.innerHTML = '<div class="empty-state">暂无演出记录</div>'; return; }
+        c.innerHTML = sessions.map(s => `<div class="session-item ${s.id === expandedSessionId ? 'expanded' : ''}"><div class="history-item" onclick="window.__toggleSession(${s.id})"><div class="history-item-info"><div class="history-item-name">${s.live ? '<span class="session-live">● LIVE</span> ' : ''}${escapeHtml(s.deviceName || '未知设备')}${s.demo ? ' 🎭' : ''}</div><div class="history-item-ip">${s.trackCount} 首 • ${formatDuration(s.startedAt, s.endedAt)}</div></div><div class="history-item-time">${formatDate(s.startedAt)}</div></div><div class="session-tracks" id="session-${s.id}-tracks"></div></div>`).join('');
+        if (expandedSessionId) loadSessionTracks(expandedSessionId);
+    }
+    async function loadSessionTracks(id) {
+        const c = document.getElementById(`session-${id}-tracks`);
+        if (!c) return;
+        try {
+            const tracks = await (await fetch(`/api/sessions/${id}/tracks`)).json();
+            if (!tracks.length) { c.innerHTML = '<div class="empty-state">无曲目</div>'; return; }
+            const start = new Date(tracks[0].startedAt).getTime();
+            const exportRow = `<div class="session-export-row">${EXPORT_FORMATS.map(f => `<a class="btn btn-sm" href="/api/sessions/${id}/export?format=${f}" download>⬇ ${f.toUpperCase()}</a>`).join('')}</div>`;
+            c.innerHTML = exportRow + tracks.map((t, i) => `<div class="session-track"><span class="session-track-no">${p2(i + 1)}</span><span class="session-track-time">${formatTime((new Date(t.startedAt).getTime() - start) / 1000)}</span><span class="session-track-info"><span class="session-track-title">${escapeHtml(t.title || '—')}</span><span class="session-track-meta">${escapeHtml(t.artist || '未知艺术家')}${t.bpm > 0 ? ` • ${t.bpm.toFixed(1)} BPM` : ''}${t.key ? ` • ${escapeHtml(t.key)}` : ''}</span></span><span class="session-track-deck">${'ABCD'[t.deck - 1] || t.deck}</span></div>`).join('');
+        } catch (e) { c.innerHTML = '<div class="empty-state">加载失败</div>'; }
+    }
+    window.__toggleSession = function (id) { expandedSessionId = expandedSessionId === id ? null : id; loadSessions(); };
+
+    // ─── Streaming Overlay ─────────
+    function initOverlaySettings() {
+        ['overlay-rule', 'overlay-layout', 'overlay-position'].forEach(id => document.getElementById(id).addEventListener('change', updateOverlayUrl));
+        document.getElementById('overlay-preset-save').addEventListener('click', saveOverlayPreset);
+        document.getElementById('overlay-copy').addEventListener('click', async () => { try { await navigator.clipboard.writeText(document.getElementById('overlay-url').textContent); showToast({ type: 'info', icon: '📋', title: '已复制', message: '叠加层链接已复制' }); } catch (e) { } });
+        updateOverlayUrl();
+    }
+    function currentOverlayOptions() { return { rule: document.getElementById('overlay-rule').value, layout: document.getElementById('overlay-layout').value, position: document.getElementById('overlay-position').value }; }
+    function updateOverlayUrl(preset) {
+        const query = typeof preset === 'string' ? `preset=${encodeURIComponent(preset)}` : new URLSearchParams(currentOverlayOptions()).toString();
+        const url = `${location.origin}/overlay?${query}`;
+        setText('overlay-url', url);
+        document.getElementById('overlay-open').href = url;
+    }
+    async function loadOverlayPresets() { try { renderOverlayPresets(await (await fetch('/api/overlay/presets')).json()); } catch (e) { } }
+    // Handlers get an index into overlayPresetNames: preset names are user text and never go into inline JS
+    let overlayPresetNames = [];
+    function renderOverlayPresets(presets) {
+        const c = document.getElementById('overlay-preset-list');
+        overlayPresetNames = Object.keys(presets || {});
+        c.innerHTML = overlayPresetNames.map((n, i) => `<div class="history-item"><div class="history-item-info" onclick="window.__useOverlayPreset(${i})"><div class="history-item-name">${escapeHtml(n)}</div><div class="history-item-ip">${escapeHtml(Object.values(presets[n]).join(' • '))}</div></div><div class="history-item-actions admin-only"><button class="history-delete-btn" onclick="window.__deleteOverlayPreset(${i})" title="删">✕</button></div></div>`).join('');
+    }
+    async function saveOverlayPreset() {
+        const name = document.getElementById('overlay-preset-name').value.trim();
+        if (!name) return;
+        try { const r = await fetch('/api/overlay/presets', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, options: currentOverlayOptions() }) }); const res = await r.json(); if (res.ok) { renderOverlayPresets(res.presets); updateOverlayUrl(name); } } catch (e) { }
+    }
+    // ─── Deck Mapping ─────────
+    let deckProfiles = null;
+    let lastMappingSig = '';
+    let lastMappingDevices = {};
+    async function loadDeckProfiles() { if (deckProfiles) return; try { deckProfiles = await (await fetch('/api/deck-mapping/profiles')).json(); lastMappingSig = ''; renderDeckMapping(lastMappingDevices); } catch (e) { } }
+    function renderDeckMapping(devices) {
+        lastMappingDevices = devices || {};
+        const c = document.getElementById('deck-mapping-list');
+        if (!c) return;
+        const list = connectedDevices(devices);
+        const sig = JSON.stringify(list.map(d => [d.ip, d.model, d.player, d.mapping, d.deckMapping, d.mappingWarning])) + !!deckProfiles;
+        if (sig === lastMappingSig) return;
+        lastMappingSig = sig;
+        if (!list.length) { c.innerHTML = '<div class="empty-state">暂无已连接设备</div>'; return; }
+        c.innerHTML = list.map(d => {
+            const profile = (deckProfiles && deckProfiles[d.model]) || { name: d.model, layers: Object.keys(d.mapping || {}) };
+            const selects = profile.layers.map(layer => `<label class="deck-mapping-layer">${d.model === 'sc6000' ? `P${d.player}` : ''}${layer}<select data-ip="${escapeHtml(d.ip)}" data-layer="${layer}">${d.mapping && d.mapping[layer] === null ? '<option value="" selected>—</option>' : ''}${[1, 2, 3, 4].map(n => `<option value="${n}" ${d.mapping && d.mapping[layer] === n ? 'selected' : ''}>DECK ${'ABCD'[n - 1]}</option>`).join('')}</select></label>`).join('');
+            return `<div class="history-item deck-mapping-item"><div class="history-item-info"><div class="history-item-name">${escapeHtml(d.name || d.ip)}</div><div class="history-item-ip">${escapeHtml(profile.name)}${d.deckMapping ? ' • 自定义' : ' • 自动'}${d.mappingWarning ? ` • ⚠️ ${escapeHtml(d.mappingWarning)}` : ''}</div><div class="deck-mapping-layers">${selects}</div></div><div class="history-item-actions"><button class="btn btn-sm btn-primary" onclick="window.__saveDeckMapping('${escapeHtml(d.ip)}')">保存</button>${d.deckMapping ? `<button class="btn btn-sm" onclick="window.__resetDeckMapping('${escapeHtml(d.ip)}')">默认</button>` : ''}</div></div>`;
+        }).join('');
+    }
+    async function postDeckMapping(ip, mapping) {
+        try { const r = await fetch('/api/deck-mapping', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ip, mapping }) }); const res = await r.json(); if (!res.ok) showToast({ type: 'error', icon: '⚠️', title: 'Deck 映射', message: res.error || '保存失败' }); } catch (e) { }
+    }
+    window.__saveDeckMapping = function (ip) {
+        const mapping = {};
+        document.querySelectorAll('#deck-mapping-list select').forEach(sel => { if (sel.dataset.ip === ip) mapping[sel.dataset.layer] = parseInt(sel.value); });
+        postDeckMapping(ip, mapping);
+    };
+    window.__resetDeckMapping = function (ip) { postDeckMapping(ip, null); };
+
+    window.__useOverlayPreset = function (i) { const name = overlayPresetNames[i]; if (name !== undefined) updateOverlayUrl(name); };
+    window.__deleteOverlayPreset = async function (i) { const name = overlayPresetNames[i]; if (name === undefined) return; try { const r = await fetch(`/api/overlay/presets/${encodeURIComponent(name)}`, { method: 'DELETE' }); const res = await r.json(); if (res.ok) renderOverlayPresets(res.presets); } catch (e) { } };
 
     // ─── Artwork Loading ─────────
     const artworkRequestId = { 1: 0, 2: 0, 3: 0, 4: 0 };
-    function loadArtwork(deckNum) {
+    // 64px cards: 128px thumbnails stay sharp on HiDPI screens
+    const ARTWORK_SIZE = 128;
+    function loadArtwork(deckNum, url) {
         const container = document.getElementById(`deck-${deckNum}-artwork`);
         if (!container) return;
         const reqId = ++artworkRequestId[deckNum];
-        // Delay to let DB catch up after track load
-        setTimeout(() => {
-            if (artworkRequestId[deckNum] !== reqId) return; // stale request
-            const img = new Image();
-            img.onload = () => {
-                if (artworkRequestId[deckNum] !== reqId) return; // stale
-                container.innerHTML = '';
-                img.style.width = '100%';
-                img.style.height = '100%';
-                img.style.objectFit = 'cover';
-                img.style.borderRadius = 'inherit';
-                container.appendChild(img);
-            };
-            img.onerror = () => { /* keep placeholder */ };
-            img.src = `/api/artwork/${deckNum}?t=${Date.now()}`;
-        }, 800);
+        const img = new Image();
+        img.onload = () => {
+            if (artworkRequestId[deckNum] !== reqId) return; // stale
+            container.innerHTML = '';
+            container.appendChild(img);
+        };
+        img.onerror = () => { /* keep placeholder */ };
+        img.src = `${url}&size=${ARTWORK_SIZE}`;
     }
     function clearArtwork(deckNum) {
         const container = document.getElementById(`deck-${deckNum}-artwork`);
@@ -419,6 +1066,100 @@
         container.innerHTML = '<div class="artwork-placeholder"><svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" opacity="0.3"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="3"/></svg></div>';
     }
 
+    // ─── Overview Waveform ─────────
+    // Fetched once per track (Engine DB source + track id) and drawn into the canvas behind the progress fill
+    const waveforms = { 1: null, 2: null, 3: null, 4: null };
+    const waveformKey = { 1: '', 2: '', 3: '', 4: '' };
+    const WAVEFORM_BANDS = [['low', '--accent-blue', 1, 0.9], ['mid', '--accent-orange', 0.75, 0.8], ['high', '--accent-cyan', 0.5, 0.8]];
+    function updateWaveform(num, deck) {
+        const info = deck.songLoaded ? deck.trackInfo : null;
+        const key = info ? `${info.source}|${info.id}` : '';
+        if (key === waveformKey[num]) return;
+        waveformKey[num] = key; waveforms[num] = null; drawWaveform(num);
+        if (key) loadWaveform(num, key);
+    }
+    async function loadWaveform(num, key) { try { const res = await (await fetch(`/api/waveform/${num}`)).json(); if (waveformKey[num] !== key || !res.ok) return; waveforms[num] = res; drawWaveform(num); } catch (e) { } }
+    function drawWaveform(num) {
+        const canvas = document.getElementById(`deck-${num}-waveform`);
+        if (!canvas) return;
+        const wf = waveforms[num];
+        canvas.parentElement.classList.toggle('has-waveform', !!wf);
+        if (!wf) return;
+        const dpr = window.devicePixelRatio || 1;
+        const w = canvas.width = Math.max(1, Math.round(canvas.clientWidth * dpr));
+        const h = canvas.height = Math.max(1, Math.round(canvas.clientHeight * dpr));
+        const ctx = canvas.getContext('2d');
+        const css = getComputedStyle(document.documentElement);
+        const n = wf.low.length;
+        ctx.clearRect(0, 0, w, h);
+        // Bands stacked low → high, each column the loudest entry it covers, mirrored around the centre
+        for (const [band, color, scale, alpha] of WAVEFORM_BANDS) {
+            const values = wf[band], max = wf.max[band] || 1;
+            ctx.fillStyle = css.getPropertyValue(color).trim();
+            ctx.globalAlpha = alpha;
+            for (let x = 0; x < w; x++) {
+                const from = Math.floor(x * n / w), to = Math.max(from + 1, Math.floor((x + 1) * n / w));
+                let v = 0;
+                for (let i = from; i < to && i < n; i++) if (values[i] > v) v = values[i];
+                const bar = Math.min(1, v / max) * h * scale;
+                ctx.fillRect(x, (h - bar) / 2, 1, bar);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+    function redrawWaveforms() { for (let n = 1; n <= 4; n++) if (waveforms[n]) drawWaveform(n); }
+    // Position a progress-bar overlay in seconds; from = null hides it, to gives it a width
+    function placeMarker(id, from, to, total) {
+        const el = document.getElementById(id);
+        if (!el) return;
+        const show = from !== null && total > 0 && from >= 0 && from <= total;
+        el.style.visibility = show ? 'visible' : 'hidden';
+        if (!show) return;
+        el.style.left = `${(from / total) * 100}%`;
+        if (to !== null && to !== undefined) el.style.width = `${((Math.min(to, total) - from) / total) * 100}%`;
+    }
+
+    // ─── Stored Cues & Beat Grid ─────────
+    // Hotcue markers and saved-loop regions are rebuilt only when the track's cues change
+    const cueMarkersKey = { 1: '', 2: '', 3: '', 4: '' };
+    function storedHotcue(cues, i) { return cues ? cues.hotcues.find(c => c.num === i) || null : null; }
+    function updateCueMarkers(num, cues, total) {
+        const el = document.getElementById(`deck-${num}-progress-cues`);
+        if (!el) return;
+        const key = cues && total > 0 ? `${cues.source}|${cues.trackId}|${total}` : '';
+        if (key === cueMarkersKey[num]) return;
+        cueMarkersKey[num] = key;
+        if (!key) { el.innerHTML = ''; return; }
+        const pct = (sec) => `${Math.min(100, Math.max(0, (sec / total) * 100))}%`;
+        const loops = cues.loops.filter(l => l.start < total).map(l => `<div class="progress-saved-loop" style="left:${pct(l.start)};width:calc(${pct(l.end)} - ${pct(l.start)});border-color:${escapeHtml(l.color)}" title="${escapeHtml(l.label || `Loop ${l.num}`)} · ${formatTime(l.start)}–${formatTime(l.end)}"></div>`);
+        const hotcues = cues.hotcues.filter(c => c.position <= total).map(c => `<div class="progress-hotcue" style="left:${pct(c.position)};background:${escapeHtml(c.color)}" title="${c.num} · ${escapeHtml(c.label || `Hotcue ${c.num}`)} · ${formatTime(c.position)}"></div>`);
+        el.innerHTML = loops.join('') + hotcues.join('');
+    }
+    // Beat number at a position (seconds), interpolated between grid markers and extrapolated past the ends
+    function beatAt(grid, sec) {
+        let i = 0;
+        while (i < grid.length - 2 && sec >= grid[i + 1].position) i++;
+        const a = grid[i], b = grid[i + 1];
+        return a.beat + (sec - a.position) * (b.beat - a.beat) / (b.position - a.position);
+    }
+    function updateBeatPosition(num, cues, sec) {
+        const grid = cues && cues.beatGrid;
+        const hasGrid = grid && grid.length >= 2 && sec !== null;
+        const now = hasGrid ? beatAt(grid, sec) : 0;
+        // Grid beats count from 0 on a downbeat: bar 1 beat 1
+        setText(`deck-${num}-bar`, hasGrid ? `${Math.floor(now / 4) + 1}.${Math.floor(((now % 4) + 4) % 4) + 1}` : '—');
+        const next = cues && sec !== null ? cues.hotcues.filter(c => c.position > sec + 0.05).sort((a, b) => a.position - b.position)[0] : null;
+        if (!next) { setText(`deck-${num}-next-cue`, '—'); return; }
+        const name = next.label || `HC ${next.num}`;
+        setText(`deck-${num}-next-cue`, hasGrid ? `${((beatAt(grid, next.position) - now) / 4).toFixed(1)} 小节 → ${name}` : `${formatTime(next.position - sec)} → ${name}`);
+    }
+    function initWaveforms() {
+        // Cards change width with the layout (2/4 decks, window size) — redraw at the new size
+        if (!window.ResizeObserver) return;
+        const observer = new ResizeObserver(entries => entries.forEach(e => { const num = Number(e.target.id.split('-')[1]); if (waveforms[num]) drawWaveform(num); }));
+        for (let n = 1; n <= 4; n++) { const canvas = document.getElementById(`deck-${n}-waveform`); if (canvas) observer.observe(canvas); }
+    }
+
     // ─── Utilities ─────────
     function setText(id, text) { const el = document.getElementById(id); if (el) el.textContent = text; }
     function p2(n) { return n.toString().padStart(2, '0'); }
@@ -431,6 +1172,9 @@
         for (const f of fracs) { const d = Math.abs(beats - f[0]); if (d < minD) { minD = d; best = f; } }
         return `${best[1]} 拍`;
     }
+    function formatSpan(ms) { const sec = Math.round((Number(ms) || 0) / 1000); if (sec < 60) return `${sec}s`; const m = Math.floor(sec / 60); return m >= 60 ? `${Math.floor(m / 60)}h${p2(m % 60)}m` : `${m}m${p2(sec % 60)}s`; }
+    function formatDuration(startIso, endIso) { const ms = (endIso ? new Date(endIso) : new Date()) - new Date(startIso); if (isNaN(ms) || ms < 0) return '--:--'; const m = Math.floor(ms / 60000); return m >= 60 ? `${Math.floor(m / 60)}h${p2(m % 60)}m` : `${m}m`; }
+    function formatClock(iso) { const d = new Date(iso); return isNaN(d) ? '' : `${d.getHours()}:${p2(d.getMinutes())}:${p2(d.getSeconds())}`; }
     function formatDate(iso) { if (!iso) return ''; try { const d = new Date(iso); return `${d.getMonth() + 1}/${d.getDate()} ${d.getHours()}:${p2(d.getMinutes())}`; } catch { return ''; } }
     function escapeHtml(s) { return s ? s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;') : ''; }
 
@@ -443,6 +1187,7 @@
             const next = document.documentElement.getAttribute('data-theme') === 'light' ? 'dark' : 'light';
             applyTheme(next);
             localStorage.setItem('mixboard-theme', next);
+            redrawWaveforms();
         });
     }
     function applyTheme(theme) {
@@ -454,6 +1199,6 @@
     }
 
     // ─── Init ─────────
-    function init() { initSettings(); initSmpteTimer(); initThemeToggle(); connectWebSocket(); requestNotificationPermission(); startClockLoop(); }
+    function init() { initSettings(); initInspector(); initLibrary(); initWaveforms(); initReplayControls(); initSmpteTimer(); initThemeToggle(); loadAuth().then(connectWebSocket); requestNotificationPermission(); startClockLoop(); }
     if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init); else init();
 })();
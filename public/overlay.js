@@ -0,0 +1,119 @@
+/**
+ * Mixboard — Now Playing Overlay
+ * Shows only the current on-air track. Options come from the query string,
+ * optionally layered on top of a saved preset (?preset=name):
+ *   layout=card|bar|minimal  position=top-left|top-right|bottom-left|bottom-right|top|bottom|center
+ *   rule=master|loudest|last  font=Inter  size=28  fade=600  artwork=1|0  accent=3b82f6
+ */
+(function () {
+    'use strict';
+
+    const DEFAULTS = { layout: 'card', position: 'bottom-left', rule: 'master', font: '', size: 28, fade: 600, artwork: true, accent: '' };
+    // ?token=... for when anonymous viewers are switched off; passed on to every server request
+    const TOKEN = new URLSearchParams(location.search).get('token');
+    const WS_URL = `ws://${location.host}${withToken('/')}`;
+    // Edge length of the cover thumbnail (see ArtworkService.SIZES)
+    const ARTWORK_SIZE = 256;
+
+    let options = { ...DEFAULTS };
+    let currentKey = null;
+    let currentTrack = null;
+    let currentArtwork = null;
+    let swapTimer = null;
+    let reconnectTimer = null;
+
+    function withToken(url) {
+        return TOKEN ? `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(TOKEN)}` : url;
+    }
+
+    // ─── Options ─────────
+    function parseQuery() {
+        const params = new URLSearchParams(location.search);
+        const result = {};
+        for (const key of Object.keys(DEFAULTS)) {
+            if (params.has(key)) result[key] = params.get(key);
+        }
+        return { preset: params.get('preset'), query: result };
+    }
+
+    function normalize(opts) {
+        return {
+            ...opts,
+            size: parseInt(opts.size) || DEFAULTS.size,
+            fade: Math.max(0, parseInt(opts.fade) || 0),
+            artwork: !(opts.artwork === false || opts.artwork === '0' || opts.artwork === 'false'),
+        };
+    }
+
+    async function loadOptions() {
+        const { preset, query } = parseQuery();
+        let presetOptions = {};
+        if (preset) {
+            try { presetOptions = (await (await fetch(withToken('/api/overlay/presets'))).json())[preset] || {}; } catch (e) { }
+        }
+        options = normalize({ ...DEFAULTS, ...presetOptions, ...query });
+    }
+
+    function applyOptions() {
+        const root = document.documentElement.style;
+        if (options.font) root.setProperty('--np-font', `'${options.font}', -apple-system, sans-serif`);
+        root.setProperty('--np-size', `${options.size}px`);
+        root.setProperty('--np-fade', `${options.fade}ms`);
+        if (options.accent) root.setProperty('--np-accent', `#${String(options.accent).replace(/^#/, '')}`);
+        const box = document.getElementById('np');
+        box.className = `np layout-${options.layout} pos-${options.position}${options.artwork ? '' : ' no-artwork'}`;
+    }
+
+    // ─── WebSocket ─────────
+    function connectWebSocket() {
+        const ws = new WebSocket(WS_URL);
+        ws.onmessage = (e) => { try { const msg = JSON.parse(e.data); if (msg.type === 'nowPlaying') showTrack(msg.data && msg.data[options.rule]); } catch (err) { } };
+        ws.onclose = () => { if (!reconnectTimer) reconnectTimer = setTimeout(() => { reconnectTimer = null; connectWebSocket(); }, 2000); };
+        ws.onerror = () => ws.close();
+    }
+
+    // ─── Rendering ─────────
+    function showTrack(track) {
+        const key = track ? `${track.deck}|${track.key}` : null;
+        if (key === currentKey) {
+            // Same track, cover just arrived (the Engine DB loads after the track)
+            currentTrack = track;
+            if (track && !swapTimer && track.artwork !== currentArtwork) loadArtwork(track, key);
+            return;
+        }
+        currentKey = key;
+        currentTrack = track;
+        const box = document.getElementById('np');
+        const wasVisible = box.classList.contains('visible');
+        box.classList.remove('visible');
+        clearTimeout(swapTimer);
+        if (!track) return;
+        // Fade the old track out completely before swapping in the new one
+        swapTimer = setTimeout(() => {
+            swapTimer = null;
+            document.getElementById('np-title').textContent = track.title || '—';
+            document.getElementById('np-artist').textContent = track.artist || '';
+            loadArtwork(currentTrack, key);
+            box.classList.add('visible');
+        }, wasVisible ? options.fade : 0);
+    }
+
+    function loadArtwork(track, key) {
+        const el = document.getElementById('np-artwork');
+        currentArtwork = track.artwork;
+        el.classList.add('empty');
+        el.style.backgroundImage = '';
+        if (!options.artwork || !track.artwork) return;
+        const img = new Image();
+        img.onload = () => {
+            if (key !== currentKey || track.artwork !== currentArtwork) return;
+            el.style.backgroundImage = `url("${img.src}")`;
+            el.classList.remove('empty');
+        };
+        img.src = withToken(`${track.artwork}&size=${ARTWORK_SIZE}`);
+    }
+
+    // ─── Init ─────────
+    async function init() { await loadOptions(); applyOptions(); connectWebSocket(); }
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init); else init();
+})();
@@ -0,0 +1,183 @@
+/**
+ * Replay Player
+ * Plays back a recording made by event-recorder.js on the original timeline,
+ * with speed control, seeking and looping.
+ *
+ * Events:
+ *   'event'  ({ t, type, args })  — dispatch one recorded event
+ *   'reset'                       — state must be cleared before a seek fast-forwards
+ *   'seeked' (positionMs)         — fast-forward done, resume normal dispatch
+ *   'status' (status)             — play/pause/seek/speed changes, and once a second while playing
+ *   'end'                         — reached the end without looping
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const EventRecorder = require('./event-recorder');
+
+const TICK_MS = 20;
+const STATUS_INTERVAL_MS = 1000;
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 16;
+
+class ReplayPlayer extends EventEmitter {
+    constructor(file, options = {}) {
+        super();
+        this.file = file;
+        this.name = path.basename(file);
+        this.events = [];
+        this.header = null;
+        this.duration = 0;
+        this.speed = this._clampSpeed(options.speed || 1);
+        this.loop = !!options.loop;
+        this.playing = false;
+        this._index = 0;
+        this._basePos = 0;   // timeline position (ms) at _baseWall
+        this._baseWall = 0;  // wall clock when playback (re)started
+        this._timer = null;
+        this._lastStatus = 0;
+    }
+
+    /**
+     * Read and parse the recording, a line at a time (recordings of long sets run
+     * to hundreds of MB). Rejects if the file is not a recording.
+     * @returns {Promise<ReplayPlayer>}
+     */
+    async load() {
+        const input = fs.createReadStream(this.file, { encoding: 'utf-8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        let header = null;
+        const events = [];
+        let lineNumber = 0;
+        try {
+            for await (const line of lines) {
+                lineNumber++;
+                if (!line) continue;
+                if (!header) {
+                    try { header = JSON.parse(line); } catch (_) { }
+                    if (!header || header.format !== EventRecorder.FORMAT) break;
+                    continue;
+                }
+                try {
+                    events.push(JSON.parse(line));
+                } catch (_) {
+                    // A crash mid-write can leave a truncated last line
+                    console.warn(`[Replay] Skipping malformed line ${lineNumber} in ${this.name}`);
+                }
+            }
+        } finally {
+            input.destroy();
+        }
+        if (!header || header.format !== EventRecorder.FORMAT) {
+            throw new Error(`${this.name} is not a Mixboard recording`);
+        }
+        this.header = header;
+        this.events = events.sort((a, b) => a.t - b.t);
+        this.duration = this.events.length ? this.events[this.events.length - 1].t : 0;
+        console.log(`[Replay] 📼 Loaded ${this.name}: ${this.events.length} events, ${(this.duration / 1000).toFixed(1)}s`);
+        return this;
+    }
+
+    position() {
+        if (!this.playing) return this._basePos;
+        return Math.min(this.duration, this._basePos + (Date.now() - this._baseWall) * this.speed);
+    }
+
+    play() {
+        if (this.playing) return;
+        if (this._basePos >= this.duration && this.events.length) this.seek(0);
+        this.playing = true;
+        this._baseWall = Date.now();
+        this._timer = setInterval(() => this._tick(), TICK_MS);
+        this._tick();
+        this._emitStatus();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this._basePos = this.position();
+        this.playing = false;
+        clearInterval(this._timer);
+        this._timer = null;
+        this._emitStatus();
+    }
+
+    /**
+     * Jump to a timeline position. State is rebuilt by replaying every event up
+     * to the target, so seeking backwards gives the same result as playing there.
+     */
+    seek(positionMs) {
+        const target = Math.max(0, Math.min(this.duration, Number(positionMs) || 0));
+        this.emit('reset');
+        this._index = 0;
+        while (this._index < this.events.length && this.events[this._index].t <= target) {
+            this.emit('event', this.events[this._index++]);
+        }
+        this._basePos = target;
+        this._baseWall = Date.now();
+        this.emit('seeked', target);
+        this._emitStatus();
+    }
+
+    setSpeed(speed) {
+        this._basePos = this.position();
+        this._baseWall = Date.now();
+        this.speed = this._clampSpeed(speed);
+        this._emitStatus();
+    }
+
+    setLoop(loop) {
+        this.loop = !!loop;
+        this._emitStatus();
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        this.playing = false;
+    }
+
+    status() {
+        return {
+            file: this.name,
+            playing: this.playing,
+            position: Math.round(this.position()),
+            duration: this.duration,
+            speed: this.speed,
+            loop: this.loop,
+            events: this.events.length,
+            recordedAt: this.header ? this.header.startedAt : null,
+        };
+    }
+
+    _clampSpeed(speed) {
+        const s = Number(speed) || 1;
+        return Math.max(MIN_SPEED, Math.min(MAX_SPEED, s));
+    }
+
+    _tick() {
+        const pos = this.position();
+        while (this._index < this.events.length && this.events[this._index].t <= pos) {
+            this.emit('event', this.events[this._index++]);
+        }
+        if (this._index >= this.events.length && pos >= this.duration) {
+            if (this.loop && this.duration > 0) {
+                this.seek(0);
+            } else {
+                this.pause();
+                this.emit('end');
+                return;
+            }
+        }
+        if (Date.now() - this._lastStatus >= STATUS_INTERVAL_MS) this._emitStatus();
+    }
+
+    _emitStatus() {
+        this._lastStatus = Date.now();
+        this.emit('status', this.status());
+    }
+}
+
+module.exports = ReplayPlayer;
@@ -7,12 +7,31 @@ const express = require('express');
 const http = require('http');
 const { WebSocketServer } = require('ws');
 const path = require('path');
+const net = require('net');
 const os = require('os');
 const fs = require('fs');
 const { spawn } = require('child_process');
 
 const StagelinqManager = require('./stagelinq-manager');
 const DeviceHistory = require('./device-history');
+const SessionRecorder = require('./session-recorder');
+const EngineLibrary = require('./engine-library');
+const ArtworkService = require('./artwork-service');
+const { exportSession, EXPORT_FORMATS } = require('./setlist-export');
+const NowPlaying = require('./now-playing');
+const NowPlayingFileWriter = require('./now-playing-file');
+const OscBridge = require('./osc-bridge');
+const DeckEvents = require('./deck-events');
+const MqttPublisher = require('./mqtt-publisher');
+const Webhooks = require('./webhooks');
+const AccessControl = require('./access-control');
+const SettingsSchema = require('./settings-schema');
+const { PROFILES: DECK_PROFILES } = require('./deck-mapping');
+const StateMapInspector = require('./statemap-inspector');
+const EventRecorder = require('./event-recorder');
+const DemoSimulator = require('./demo-simulator');
+const StateSync = require('./state-sync');
+const wsProtocol = require('./ws-protocol');
 
 // ─── Prevent stagelinq library unhandled errors from crashing the process ────
 process.on('unhandledRejection', (reason, promise) => {
@@ -31,14 +50,16 @@ process.on('uncaughtException', (err) => {
 // Config
 const PORT = process.env.PORT || 3000;
 const IS_DEMO = process.argv.includes('--demo');
+// --replay <recording.ndjson> starts in replay mode
+const REPLAY_FILE = process.argv.includes('--replay') ? process.argv[process.argv.indexOf('--replay') + 1] : null;
+// --scenario <id> picks the demo scenario (see scenarios/)
+const DEMO_SCENARIO = process.argv.includes('--scenario') ? process.argv[process.argv.indexOf('--scenario') + 1] : null;
+const START_MODE = REPLAY_FILE ? 'replay' : IS_DEMO || DEMO_SCENARIO ? 'demo' : 'live';
 const DATA_DIR = path.join(__dirname, 'data');
 const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
 
-const DEFAULT_SETTINGS = {
-    networkInterface: 'auto',
-    autoReconnect: true,
-    refreshInterval: 500,
-};
+// Options an overlay preset may carry (everything else in the body is ignored)
+const OVERLAY_OPTIONS = ['layout', 'position', 'font', 'size', 'fade', 'rule', 'artwork', 'accent'];
 
 // ─── Settings Persistence ────────────────────────────────────────────────────
 
@@ -50,16 +71,19 @@ function loadSettings() {
     ensureDataDir();
     try {
         if (fs.existsSync(SETTINGS_FILE)) {
-            return { ...DEFAULT_SETTINGS, ...JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8')) };
+            const { settings, changed, warnings } = SettingsSchema.load(JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8')));
+            warnings.forEach(w => console.warn(`[Settings] ${w}`));
+            if (changed) saveSettings(settings);
+            return settings;
         }
     } catch (e) { console.warn('[Settings] Load failed:', e.message); }
-    return { ...DEFAULT_SETTINGS };
+    return SettingsSchema.defaults();
 }
 
 function saveSettings(settings) {
     ensureDataDir();
     try {
-        fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2), 'utf-8');
+        fs.writeFileSync(SETTINGS_FILE, JSON.stringify(SettingsSchema.stored(settings), null, 2), 'utf-8');
     } catch (e) { console.error('[Settings] Save failed:', e.message); }
 }
 
@@ -69,11 +93,117 @@ let currentSettings = loadSettings();
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
-const manager = new StagelinqManager({ demo: IS_DEMO });
+const manager = new StagelinqManager({
+    mode: START_MODE, replayFile: REPLAY_FILE, scenario: DEMO_SCENARIO,
+    networkInterface: currentSettings.networkInterface,
+    shouldReconnect: (device) => currentSettings.autoReconnect
+        && history.shouldAutoConnect({ tokenId: device.tokenId, ip: device.ip, deviceName: device.name }),
+});
 const history = new DeviceHistory();
+const recorder = new SessionRecorder();
+const library = new EngineLibrary({ manager });
+const artwork = new ArtworkService({ library, getSettings: () => currentSettings });
+const nowPlaying = new NowPlaying();
+const nowPlayingFile = new NowPlayingFileWriter({ nowPlaying, manager, artwork, getSettings: () => currentSettings });
+const oscBridge = new OscBridge({ manager, getSettings: () => currentSettings });
+const deckEvents = new DeckEvents(manager);
+const mqttPublisher = new MqttPublisher({ manager, deckEvents, getSettings: () => currentSettings });
+const webhooks = new Webhooks({ manager, deckEvents, nowPlaying });
+const inspector = new StateMapInspector();
+const stateSync = new StateSync({ interval: currentSettings.refreshInterval });
+const access = new AccessControl();
 
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
+app.use(access.middleware());
+
+// Reading needs at least a viewer, anything that changes something needs an admin.
+// /api/auth routes check roles themselves (login must work for viewers).
+app.use('/api', (req, res, next) => {
+    if (req.path === '/auth' || req.path.startsWith('/auth/')) return next();
+    access.requireRole(req.method === 'GET' ? 'viewer' : 'admin')(req, res, next);
+});
+
+// Streaming overlay — transparent now-playing page for OBS browser sources
+app.get('/overlay', (req, res) => res.sendFile(path.join(__dirname, 'public', 'overlay.html')));
+
+// ─── Access Control ──────────────────────────────────────────────────────────
+
+/**
+ * GET /api/auth — Current role. A dashboard opened with ?token=... swaps it for the
+ * cookie here, so later requests and the WebSocket carry it without the query string.
+ */
+app.get('/api/auth', (req, res) => {
+    const exchanged = typeof req.query.token === 'string' ? access.identifyToken(req.query.token) : null;
+    if (exchanged) res.setHeader('Set-Cookie', access.cookieHeader(req.query.token));
+    const { role, tokenId } = exchanged || req;
+    res.json({ role, tokenId, authEnabled: access.enabled, anonymousViewer: access.anonymousViewer });
+});
+
+/**
+ * POST /api/auth/login — Exchange the admin PIN for a token (also set as cookie)
+ * Body: { pin, label? }
+ */
+app.post('/api/auth/login', (req, res) => {
+    try {
+        const { pin, label } = req.body || {};
+        const { token, entry } = access.login(pin, req.socket.remoteAddress, label);
+        res.setHeader('Set-Cookie', access.cookieHeader(token));
+        res.json({ ok: true, role: entry.role, token });
+    } catch (err) {
+        res.status(401).json({ ok: false, error: err.message });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    if (req.tokenId) access.revoke(req.tokenId);
+    res.setHeader('Set-Cookie', access.cookieHeader(null));
+    res.json({ ok: true });
+});
+
+/**
+ * POST /api/auth/pin — Set or change the admin PIN. Setting the first PIN turns access control on.
+ */
+app.post('/api/auth/pin', access.requireRole('admin'), (req, res) => {
+    try {
+        access.setPin((req.body || {}).pin);
+        if (req.tokenId) return res.json({ ok: true });
+        // Whoever set the first PIN stays admin in this browser
+        const { token } = access.issueToken('admin', `登录 ${req.socket.remoteAddress}`);
+        res.setHeader('Set-Cookie', access.cookieHeader(token));
+        res.json({ ok: true, token });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+    }
+});
+
+app.post('/api/auth/anonymous', access.requireRole('admin'), (req, res) => {
+    const { allowed } = req.body || {};
+    if (typeof allowed !== 'boolean') return res.status(400).json({ ok: false, error: 'allowed 应为布尔值' });
+    access.setAnonymousViewer(allowed);
+    res.json({ ok: true, anonymousViewer: access.anonymousViewer });
+});
+
+app.get('/api/auth/tokens', access.requireRole('admin'), (req, res) => res.json(access.listTokens()));
+
+/**
+ * POST /api/auth/tokens — Issue a per-device token. Body: { role: 'viewer' | 'admin', label }
+ * The plain token is only returned here.
+ */
+app.post('/api/auth/tokens', access.requireRole('admin'), (req, res) => {
+    try {
+        const { role, label } = req.body || {};
+        const { token, entry } = access.issueToken(role, label);
+        res.json({ ok: true, token, entry });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+    }
+});
+
+app.delete('/api/auth/tokens/:id', access.requireRole('admin'), (req, res) => {
+    if (!access.revoke(req.params.id)) return res.status(404).json({ ok: false, error: '令牌不存在' });
+    res.json({ ok: true });
+});
 
 // ─── REST API ────────────────────────────────────────────────────────────────
 
@@ -100,67 +230,397 @@ app.get('/api/network-interfaces', (req, res) => {
     res.json(result);
 });
 
-app.get('/api/settings', (req, res) => res.json(currentSettings));
+function settingsFor(role) {
+    // Viewers see the settings without credentials
+    return role === 'admin' ? currentSettings : SettingsSchema.redact(currentSettings);
+}
 
-app.post('/api/settings', (req, res) => {
-    currentSettings = { ...currentSettings, ...req.body };
+/**
+ * Validate and store a partial settings update, then let every integration pick it up.
+ * @returns {Array<{ field: string, message: string }>} field errors; nothing is saved if any
+ */
+function applySettings(patch) {
+    const { ok, settings, errors } = SettingsSchema.validate(patch, currentSettings);
+    if (!ok) return errors;
+    const interfaceChanged = settings.networkInterface !== currentSettings.networkInterface;
+    const trackInfoChanged = JSON.stringify(settings.trackInfo) !== JSON.stringify(currentSettings.trackInfo);
+    currentSettings = settings;
     saveSettings(currentSettings);
+    if (interfaceChanged) rebindDiscovery();
+    // Every dashboard shows the deck fields, not just the one that changed them
+    else if (trackInfoChanged) broadcast('info', { ...modeInfo(), settings: settingsFor('viewer') });
+    nowPlayingFile.refresh();
+    oscBridge.refresh();
+    mqttPublisher.refresh();
+    stateSync.setInterval(currentSettings.refreshInterval);
+    return [];
+}
+
+/**
+ * Move StagelinQ discovery to the newly selected interface without restarting the process.
+ */
+function rebindDiscovery() {
+    console.log(`[Server] Network interface → ${currentSettings.networkInterface}`);
+    manager.setNetworkInterface(currentSettings.networkInterface)
+        .then(() => {
+            connectManualDevices();
+            broadcast('info', { ...modeInfo(), settings: settingsFor('viewer') });
+        })
+        .catch(err => console.error('[Server] Rebind failed:', err.message));
+}
+
+function modeInfo() {
+    return {
+        demoMode: manager.isDemoMode(),
+        mode: manager.getMode(),
+        demo: manager.getDemoStatus(),
+        replay: manager.getReplayStatus(),
+        discovery: manager.getDiscoveryStatus(),
+    };
+}
+
+app.get('/api/settings', (req, res) => res.json(settingsFor(req.role)));
+
+/**
+ * GET /api/settings/schema — Types, ranges, defaults and panel layout of every setting
+ */
+app.get('/api/settings/schema', (req, res) => res.json(SettingsSchema.describe()));
+
+/**
+ * POST /api/settings — Partial update, e.g. { osc: { port: 9001 } }
+ * Invalid payloads are rejected as a whole: { ok: false, error, errors: [{ field, message }] }
+ */
+app.post('/api/settings', (req, res) => {
+    const errors = applySettings(req.body);
+    if (errors.length) return res.status(400).json({ ok: false, error: '设置无效', errors });
     res.json({ ok: true, settings: currentSettings });
 });
 
+// Device history — keyed by StagelinQ token (see device-history.js)
 app.get('/api/history', (req, res) => res.json(history.getAll()));
 
+// Older clients address entries by { ip, deviceName }
 app.delete('/api/history', (req, res) => {
-    const { ip, deviceName } = req.body;
-    history.remove(ip, deviceName);
+    const entry = history.find(req.body || {});
+    if (entry) history.remove(entry.id);
     res.json({ ok: true, devices: history.getAll() });
 });
 
 app.post('/api/history/auto-connect', (req, res) => {
-    const { ip, deviceName, autoConnect } = req.body;
-    history.setAutoConnect(ip, deviceName, autoConnect);
+    const body = req.body || {};
+    const entry = history.find(body);
+    if (!entry) return res.status(404).json({ ok: false, error: '历史中没有该设备' });
+    try {
+        updateHistoryEntry(entry.id, { autoConnect: body.autoConnect });
+        res.json({ ok: true, devices: history.getAll() });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+    }
+});
+
+/**
+ * Apply alias / color / autoConnect to a history entry and the live device record.
+ * @returns {object|null} the entry, null if unknown
+ */
+function updateHistoryEntry(id, changes) {
+    const entry = history.update(id, changes);
+    if (!entry) return null;
+    const device = manager.getState().devices[entry.ip];
+    if (device && history.find({ tokenId: device.tokenId, ip: device.ip, deviceName: device.name }) === entry) {
+        manager.setDeviceLabel(entry.ip, entry);
+    }
+    if (changes.autoConnect === false) manager.cancelReconnect(entry.ip);
+    broadcast('history', history.getAll());
+    return entry;
+}
+
+/**
+ * GET /api/history/:id/timeline — Connect/disconnect entries (newest first) and counters
+ */
+app.get('/api/history/:id/timeline', (req, res) => {
+    const timeline = history.getTimeline(req.params.id);
+    if (!timeline) return res.status(404).json({ ok: false, error: '历史中没有该设备' });
+    res.json(timeline);
+});
+
+/**
+ * POST /api/history/:id — Update a device: { alias?, color?: '#rrggbb' | '', autoConnect? }
+ */
+app.post('/api/history/:id', (req, res) => {
+    const { alias, color, autoConnect } = req.body || {};
+    try {
+        const entry = updateHistoryEntry(req.params.id, { alias, color, autoConnect });
+        if (!entry) return res.status(404).json({ ok: false, error: '历史中没有该设备' });
+        res.json({ ok: true, devices: history.getAll() });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+    }
+});
+
+app.delete('/api/history/:id', (req, res) => {
+    if (!history.remove(req.params.id)) return res.status(404).json({ ok: false, error: '历史中没有该设备' });
+    broadcast('history', history.getAll());
+    res.json({ ok: true, devices: history.getAll() });
+});
+
+// Deck slot mapping — hardware profiles and per-device overrides
+app.get('/api/deck-mapping/profiles', (req, res) => {
+    const profiles = {};
+    for (const [key, p] of Object.entries(DECK_PROFILES)) profiles[key] = { name: p.name, layers: p.layers };
+    res.json(profiles);
+});
+
+/**
+ * POST /api/deck-mapping — Override a device's layer → slot mapping: { ip, mapping: { A: 1, ... } | null }
+ */
+app.post('/api/deck-mapping', (req, res) => {
+    const { ip, mapping } = req.body || {};
+    const device = manager.getState().devices[ip];
+    if (!device) return res.status(404).json({ ok: false, error: '设备未连接' });
+    const effective = manager.setDeckMapping(ip, mapping || null);
+    history.setDeckMapping({ tokenId: device.tokenId, ip, deviceName: device.name }, device.deckMapping);
+    res.json({ ok: true, mapping: effective, override: device.deckMapping });
+});
+
+/**
+ * GET /api/statemap?prefix=/Engine/Deck1 — Every raw StateMap path seen, with last value and counters
+ */
+app.get('/api/statemap', (req, res) => res.json(inspector.list(String(req.query.prefix || ''))));
+
+app.delete('/api/statemap', (req, res) => {
+    inspector.clear();
     res.json({ ok: true });
 });
 
+// Set-list history — sessions and the tracks that went on air
+app.get('/api/sessions', (req, res) => res.json(recorder.listSessions()));
+
+app.get('/api/sessions/:id/tracks', (req, res) => {
+    const session = recorder.getSession(parseInt(req.params.id));
+    if (!session) return res.status(404).json({ error: '未找到该场次' });
+    res.json(recorder.getTracks(session.id));
+});
+
+/**
+ * GET /api/sessions/:id/export?format=cue|m3u8|csv|json|txt — Download a set-list
+ */
+app.get('/api/sessions/:id/export', (req, res) => {
+    const session = recorder.getSession(parseInt(req.params.id));
+    if (!session) return res.status(404).json({ error: '未找到该场次' });
+    const result = exportSession(session, recorder.getTracks(session.id), req.query.format || 'txt');
+    if (!result) return res.status(400).json({ error: `不支持的格式，可选: ${EXPORT_FORMATS.join(', ')}` });
+    res.set({
+        'Content-Type': result.contentType,
+        'Content-Disposition': `attachment; filename="${result.filename}"`,
+    });
+    res.send(result.body);
+});
+
+/**
+ * GET /api/now-playing — Current on-air track under each selection rule
+ */
+app.get('/api/now-playing', (req, res) => res.json(nowPlaying.get()));
+
+app.get('/api/overlay/presets', (req, res) => res.json(currentSettings.overlayPresets || {}));
+
+/**
+ * POST /api/overlay/presets — Save an overlay preset: { name, options }
+ */
+app.post('/api/overlay/presets', (req, res) => {
+    const body = req.body || {};
+    const name = String(body.name || '').trim();
+    if (!name) return res.status(400).json({ ok: false, error: '缺少预设名称' });
+    const options = {};
+    for (const key of OVERLAY_OPTIONS) {
+        if (body.options && body.options[key] !== undefined) options[key] = body.options[key];
+    }
+    const errors = applySettings({ overlayPresets: { ...currentSettings.overlayPresets, [name]: options } });
+    if (errors.length) return res.status(400).json({ ok: false, error: '预设无效', errors });
+    res.json({ ok: true, presets: currentSettings.overlayPresets });
+});
+
+/**
+ * DELETE /api/overlay/presets/:name — Remove an overlay preset
+ */
+app.delete('/api/overlay/presets/:name', (req, res) => {
+    const presets = { ...currentSettings.overlayPresets };
+    if (!Object.prototype.hasOwnProperty.call(presets, req.params.name)) return res.status(404).json({ ok: false, error: '未找到该预设' });
+    delete presets[req.params.name];
+    const errors = applySettings({ overlayPresets: presets });
+    if (errors.length) return res.status(400).json({ ok: false, error: '预设无效', errors });
+    res.json({ ok: true, presets: currentSettings.overlayPresets });
+});
+
 app.get('/api/info', (req, res) => {
     res.json({
         version: '1.0.0',
         demoMode: manager.isDemoMode(),
+        mode: manager.getMode(),
+        demo: manager.getDemoStatus(),
+        replay: manager.getReplayStatus(),
+        discovery: manager.getDiscoveryStatus(),
+        recording: manager.getRecordingStatus(),
+        mqtt: mqttPublisher.status(),
         uptime: process.uptime(),
-        settings: currentSettings,
+        settings: settingsFor(req.role),
     });
 });
 
-// Artwork API — serve album art from Engine Library DB
-app.get('/api/artwork/:deckNum', async (req, res) => {
+// Artwork API — album art from the Engine Library DB, cached by ArtworkService
+
+/**
+ * GET /api/artwork/track/:id?source=&size=64|128|256 — Cover of a library track (stored image without size)
+ */
+app.get('/api/artwork/track/:id', artwork.route(req => artwork.get(trackIdParam(req), req.query)));
+
+/**
+ * GET /api/artwork/:deckNum?size= — Cover of the track loaded on a deck
+ */
+app.get('/api/artwork/:deckNum', artwork.route(req => {
     const deckNum = parseInt(req.params.deckNum);
-    if (deckNum < 1 || deckNum > 4) return res.status(400).json({ error: 'Invalid deck' });
-    try {
-        const buffer = await manager.getArtworkBuffer(deckNum);
-        if (buffer) {
-            res.set({ 'Content-Type': 'image/jpeg', 'Cache-Control': 'no-cache' });
-            return res.send(buffer);
+    const deck = manager.state.decks[deckNum];
+    if (!deck) throw Object.assign(new Error('Invalid deck'), { status: 400 });
+    const info = deck.trackInfo || (deck.songLoaded ? library.trackInfo(deck) : null);
+    if (!info) throw Object.assign(new Error('曲库中找不到该曲目'), { status: 404 });
+    return artwork.get(info.id, { source: info.source, size: req.query.size });
+}));
+
+// Engine Library — browse and search the databases downloaded from each source.
+// Errors from the library carry an HTTP status (404 unknown source/list, 400 bad filter).
+function libraryRoute(handler) {
+    return (req, res) => {
+        try {
+            res.json({ ok: true, ...handler(req) });
+        } catch (err) {
+            res.status(err.status || 500).json({ ok: false, error: err.message });
         }
-        res.status(404).json({ error: 'No artwork available' });
+    };
+}
+
+// Library ids from the URL are checked before the database is queried
+function trackIdParam(req) {
+    if (!/^\d+$/.test(req.params.id)) throw Object.assign(new Error(`无效的曲目 ID: ${req.params.id}`), { status: 400 });
+    return Number(req.params.id);
+}
+
+function playlistIdParam(req) {
+    // 'p<n>' for playlists, 'c<n>' for crates (see EngineLibrary.listPlaylists)
+    if (!/^[pc]\d+$/.test(req.params.id)) throw Object.assign(new Error(`无效的播放列表 ID: ${req.params.id}`), { status: 400 });
+    return req.params.id;
+}
+
+/**
+ * GET /api/library/sources — Sources (USB, SD, ...) with their schema and track count
+ */
+app.get('/api/library/sources', libraryRoute(() => ({ sources: library.listSources() })));
+
+/**
+ * GET /api/library/tracks?source=&q=&bpm=124|120-128&key=8A|Am&offset=&limit= — Search tracks
+ */
+app.get('/api/library/tracks', libraryRoute(req => library.searchTracks(req.query)));
+
+/**
+ * GET /api/library/tracks/:id/waveform?source= — Decoded overview waveform of a track
+ */
+app.get('/api/library/tracks/:id/waveform', libraryRoute(req => library.waveform(trackIdParam(req), req.query)));
+
+/**
+ * GET /api/library/tracks/:id/cues?source= — Stored hotcues, loops and beat grid of a track
+ */
+app.get('/api/library/tracks/:id/cues', libraryRoute(req => library.trackCues(trackIdParam(req), req.query)));
+
+/**
+ * GET /api/library/playlists?source= — Playlists and crates
+ */
+app.get('/api/library/playlists', libraryRoute(req => library.listPlaylists(req.query)));
+
+/**
+ * GET /api/library/playlists/:id?source=&offset=&limit= — One list and a page of its tracks
+ */
+app.get('/api/library/playlists/:id', libraryRoute(req => library.getPlaylist(playlistIdParam(req), req.query)));
+
+/**
+ * GET /api/waveform/:deckNum — Overview waveform of the track loaded on a deck
+ */
+app.get('/api/waveform/:deckNum', libraryRoute(req => {
+    const deckNum = parseInt(req.params.deckNum);
+    const deck = manager.state.decks[deckNum];
+    if (!deck) throw Object.assign(new Error('Invalid deck'), { status: 400 });
+    const info = deck.trackInfo || (deck.songLoaded ? library.trackInfo(deck) : null);
+    if (!info) throw Object.assign(new Error('曲库中找不到该曲目'), { status: 404 });
+    return { deck: deckNum, ...library.waveform(info.id, { source: info.source }) };
+}));
+
+/**
+ * GET /api/scenarios — Built-in demo scenarios
+ */
+app.get('/api/scenarios', (req, res) => res.json(DemoSimulator.listScenarios()));
+
+/**
+ * POST /api/mode — Switch between Demo, Live and Replay mode without restart
+ * Body: { mode: 'demo' | 'live' | 'replay', scenario?: '<id>', file?: '<recording>.ndjson' }
+ */
+app.post('/api/mode', async (req, res) => {
+    const { mode, file, scenario } = req.body || {};
+    try {
+        await manager.restart(mode, { replayFile: file, scenario });
+        connectManualDevices();
+        const info = modeInfo();
+        broadcast('modeChanged', info);
+        broadcast('info', { ...info, settings: settingsFor('viewer') });
+        res.json({ ok: true, ...info });
+    } catch (err) {
+        console.error('[Server] Mode switch error:', err.message);
+        res.status(err.status || 500).json({ ok: false, error: err.message });
+    }
+});
+
+// Recordings of raw StagelinQ events, for replay mode
+app.get('/api/recordings', (req, res) => {
+    res.json({ recordings: EventRecorder.list(), status: manager.getRecordingStatus() });
+});
+
+app.post('/api/recordings/start', (req, res) => {
+    try {
+        const name = manager.startRecording();
+        broadcast('recording', manager.getRecordingStatus());
+        res.json({ ok: true, name });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+    }
+});
+
+app.post('/api/recordings/stop', (req, res) => {
+    const result = manager.stopRecording();
+    broadcast('recording', manager.getRecordingStatus());
+    res.json({ ok: true, recording: result });
+});
+
+app.delete('/api/recordings/:name', (req, res) => {
+    const file = EventRecorder.resolve(req.params.name);
+    if (!file) return res.status(404).json({ ok: false, error: '找不到录制文件' });
+    if (manager.getRecordingStatus().name === req.params.name) {
+        return res.status(409).json({ ok: false, error: '正在录制，无法删除' });
+    }
+    try {
+        fs.unlinkSync(file);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        if (err.code === 'ENOENT') return res.status(404).json({ ok: false, error: '找不到录制文件' });
+        return res.status(500).json({ ok: false, error: err.message });
     }
+    res.json({ ok: true, recordings: EventRecorder.list() });
 });
 
+app.get('/api/replay', (req, res) => res.json(manager.getReplayStatus()));
+
 /**
- * POST /api/mode — Switch between Demo and Live mode without restart
+ * POST /api/replay — Replay transport: { playing?, position? (ms), speed?, loop? }
  */
-app.post('/api/mode', async (req, res) => {
-    const { mode } = req.body;
-    const newDemoMode = mode === 'demo';
+app.post('/api/replay', (req, res) => {
     try {
-        await manager.restart(newDemoMode);
-        broadcast('modeChanged', { demoMode: newDemoMode });
-        broadcast('info', { demoMode: newDemoMode, settings: currentSettings });
-        res.json({ ok: true, demoMode: newDemoMode });
+        res.json({ ok: true, status: manager.controlReplay(req.body || {}) });
     } catch (err) {
-        console.error('[Server] Mode switch error:', err.message);
-        res.status(500).json({ ok: false, error: err.message });
+        res.status(400).json({ ok: false, error: err.message });
     }
 });
 
@@ -173,13 +633,26 @@ app.get('/api/discovered-devices', (req, res) => {
 
 /**
  * POST /api/connect — Manually connect to a device by IP
+ * Body: { ip, port? } — the port defaults to the one remembered in history
  */
 app.post('/api/connect', async (req, res) => {
-    const { ip } = req.body;
+    const body = req.body || {};
+    const { ip } = body;
     if (!ip) return res.status(400).json({ ok: false, error: '缺少 IP 地址' });
+    if (!net.isIPv4(String(ip))) return res.status(400).json({ ok: false, error: `无效的 IP 地址: ${ip}` });
+    const known = history.findByIp(ip);
+    const port = body.port !== undefined && body.port !== '' ? Number(body.port) : known?.port;
+    if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+        return res.status(400).json({ ok: false, error: `无效的端口: ${body.port}` });
+    }
     try {
-        const result = await manager.connectToDevice(ip);
-        res.json(result);
+        const result = await manager.connectToDevice(ip, {
+            port,
+            name: known?.deviceName,
+            softwareName: known?.softwareName,
+            softwareVersion: known?.softwareVersion,
+        });
+        res.status(result.ok ? 200 : result.reason === 'port' ? 400 : 502).json(result);
     } catch (err) {
         res.status(500).json({ ok: false, error: err.message });
     }
@@ -189,7 +662,7 @@ app.post('/api/connect', async (req, res) => {
  * POST /api/disconnect — Disconnect from a device by IP
  */
 app.post('/api/disconnect', async (req, res) => {
-    const { ip } = req.body;
+    const { ip } = req.body || {};
     if (!ip) return res.status(400).json({ ok: false, error: '缺少 IP 地址' });
     try {
         const result = await manager.disconnectDevice(ip);
@@ -199,14 +672,79 @@ app.post('/api/disconnect', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/osc/test — Send the current deck state once as an OSC bundle
+ * Body: optional unsaved { host, port, deckAddress } to test before saving
+ */
+app.post('/api/osc/test', async (req, res) => {
+    try {
+        const result = await oscBridge.test(req.body || {});
+        res.json({ ok: true, ...result });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+    }
+});
+
+// ─── Webhooks ────────────────────────────────────────────────────────────────
+
+app.get('/api/webhooks', access.requireRole('admin'), (req, res) => res.json({ endpoints: webhooks.list(), events: Webhooks.EVENTS }));
+
+/**
+ * POST /api/webhooks — Add an endpoint
+ * Body: { url, name?, secret?, events?: [...], enabled? } — the response carries the secret once
+ */
+app.post('/api/webhooks', (req, res) => {
+    try {
+        res.json({ ok: true, endpoint: webhooks.add(req.body || {}) });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+    }
+});
+
+app.get('/api/webhooks/deliveries', access.requireRole('admin'), (req, res) => res.json(webhooks.listDeliveries(parseInt(req.query.limit) || 50)));
+
+app.post('/api/webhooks/deliveries/:id/resend', (req, res) => {
+    try {
+        res.json({ ok: true, delivery: webhooks.resend(req.params.id) });
+    } catch (err) {
+        res.status(404).json({ ok: false, error: err.message });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id — Update an endpoint (any of url, name, secret, events, enabled)
+ */
+app.post('/api/webhooks/:id', (req, res) => {
+    try {
+        res.json({ ok: true, endpoint: webhooks.update(req.params.id, req.body || {}) });
+    } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+    }
+});
+
+app.post('/api/webhooks/:id/test', (req, res) => {
+    try {
+        res.json({ ok: true, delivery: webhooks.test(req.params.id) });
+    } catch (err) {
+        res.status(404).json({ ok: false, error: err.message });
+    }
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+    if (!webhooks.remove(req.params.id)) return res.status(404).json({ ok: false, error: 'Webhook 不存在' });
+    res.json({ ok: true });
+});
+
 /**
  * POST /api/restart — Save settings and restart the entire server process
  */
 app.post('/api/restart', async (req, res) => {
     // Save any incoming settings first
-    if (req.body.settings) {
-        currentSettings = { ...currentSettings, ...req.body.settings };
-        saveSettings(currentSettings);
+    const { settings } = req.body || {};
+    if (settings) {
+        const errors = SettingsSchema.validate(settings, currentSettings).errors;
+        if (errors.length) return res.status(400).json({ ok: false, error: '设置无效', errors });
+        applySettings(settings);
     }
 
     console.log('[Server] Restart requested by user. Saving and restarting...');
@@ -231,47 +769,219 @@ app.post('/api/restart', async (req, res) => {
 
 // ─── WebSocket ───────────────────────────────────────────────────────────────
 
-wss.on('connection', (ws) => {
-    console.log('[WS] Client connected');
-    ws.send(JSON.stringify({ type: 'state', data: manager.getState() }));
-    ws.send(JSON.stringify({ type: 'info', data: { demoMode: manager.isDemoMode(), settings: currentSettings } }));
-    ws.on('close', () => console.log('[WS] Client disconnected'));
+// Per-client subscriptions: ws -> { topics: Set, client, protocol } (see ws-protocol.js)
+const wsClients = new Map();
+
+function sendTo(ws, type, data) {
+    if (ws.readyState === 1) ws.send(JSON.stringify({ type, data }));
+}
+
+function setTopics(ws, topics) {
+    const info = wsClients.get(ws);
+    info.topics = new Set(topics);
+    stateSync.setFilter(ws, wsProtocol.stateFilter(info.topics));
+}
+
+function reportTopicErrors(ws, unknown, forbidden) {
+    if (unknown.length) sendTo(ws, 'error', { code: 'unknown-topic', message: `Unknown topics: ${unknown.join(', ')}` });
+    if (forbidden.length) sendTo(ws, 'error', { code: 'forbidden-topic', message: `Admin only: ${forbidden.join(', ')}` });
+}
+
+function handleClientMessage(ws, msg) {
+    const info = wsClients.get(ws);
+    if (!info || !msg || typeof msg !== 'object') return;
+    switch (msg.type) {
+        case 'hello': {
+            if (msg.protocol !== wsProtocol.PROTOCOL_VERSION) {
+                sendTo(ws, 'error', { code: 'protocol', message: `Unsupported protocol ${msg.protocol}, server speaks ${wsProtocol.PROTOCOL_VERSION}` });
+                ws.close(4000, 'Unsupported protocol');
+                return;
+            }
+            info.protocol = msg.protocol;
+            info.client = String(msg.client || '').slice(0, 64);
+            if (msg.topics !== undefined) {
+                const { valid, unknown, forbidden } = wsProtocol.parseTopics(msg.topics, info.role);
+                reportTopicErrors(ws, unknown, forbidden);
+                setTopics(ws, valid);
+            }
+            sendTo(ws, 'welcome', { protocol: wsProtocol.PROTOCOL_VERSION, server: 'mixboard/1.0.0', topics: wsProtocol.topicsForRole(wsProtocol.TOPICS, info.role), subscribed: Array.from(info.topics) });
+            if (info.client) console.log(`[WS] Hello from ${info.client}`);
+            break;
+        }
+        case 'subscribe':
+        case 'unsubscribe': {
+            const { valid, unknown, forbidden } = wsProtocol.parseTopics(msg.topics, info.role);
+            reportTopicErrors(ws, unknown, forbidden);
+            const topics = new Set(info.topics);
+            valid.forEach(t => (msg.type === 'subscribe' ? topics.add(t) : topics.delete(t)));
+            setTopics(ws, topics);
+            sendTo(ws, 'subscribed', { topics: Array.from(info.topics) });
+            // Newly subscribed event topics start from the current value
+            if (msg.type === 'subscribe' && valid.includes('nowPlaying')) sendTo(ws, 'nowPlaying', nowPlaying.get());
+            if (msg.type === 'subscribe' && valid.includes('history')) sendTo(ws, 'history', history.getAll());
+            break;
+        }
+        case 'resync':
+            stateSync.resync(ws);
+            break;
+        default:
+            sendTo(ws, 'error', { code: 'unknown-type', message: `Unknown message type ${msg.type}` });
+    }
+}
+
+wss.on('connection', (ws, req) => {
+    const { role, tokenId } = access.identify(req);
+    if (!role) {
+        ws.close(4401, 'Unauthorized');
+        return;
+    }
+    console.log(`[WS] Client connected (${role})`);
+    // Topics can also be given up front (ws://host/?topics=beat,deck:3) to skip the initial full state
+    let query = null;
+    try { query = new URL(req.url, 'http://localhost').searchParams.get('topics'); } catch (_) { }
+    const topics = query ? wsProtocol.parseTopics(query.split(','), role).valid : wsProtocol.topicsForRole(wsProtocol.DEFAULT_TOPICS, role);
+    const info = { topics: new Set(topics), client: '', protocol: null, role, tokenId };
+    wsClients.set(ws, info);
+    stateSync.update(manager.getState());
+    stateSync.addClient(ws, wsProtocol.stateFilter(info.topics));
+    sendTo(ws, 'info', { ...modeInfo(), settings: settingsFor(role) });
+    if (info.topics.has('nowPlaying')) sendTo(ws, 'nowPlaying', nowPlaying.get());
+    ws.on('message', (raw) => {
+        let msg;
+        try { msg = JSON.parse(raw); } catch (_) {
+            sendTo(ws, 'error', { code: 'bad-json', message: 'Messages must be JSON' });
+            return;
+        }
+        handleClientMessage(ws, msg);
+    });
+    ws.on('close', () => {
+        wsClients.delete(ws);
+        stateSync.removeClient(ws);
+        console.log('[WS] Client disconnected');
+    });
     ws.on('error', (err) => console.error('[WS] Error:', err.message));
 });
 
+// A revoked token loses its live connections too
+access.on('revoked', (tokenId) => {
+    for (const [ws, info] of wsClients) {
+        if (info.tokenId === tokenId) ws.close(4401, 'Token revoked');
+    }
+});
+
 function broadcast(type, data) {
     const msg = JSON.stringify({ type, data });
+    const topic = wsProtocol.topicForMessage(type);
     wss.clients.forEach((client) => {
-        if (client.readyState === 1) client.send(msg);
+        if (client.readyState !== 1) return;
+        const info = wsClients.get(client);
+        if (topic && info && !info.topics.has(topic)) return;
+        client.send(msg);
     });
 }
 
 // ─── StagelinQ Events → WebSocket ────────────────────────────────────────────
 
-manager.on('stateUpdate', (state) => broadcast('state', state));
+manager.on('stateUpdate', (state) => {
+    // Coalesced and sent as deltas at refreshInterval (see state-sync.js)
+    stateSync.update(state);
+    // Demo and replayed sessions are flagged so they can be told apart from real gigs
+    recorder.update(state, { demo: manager.getMode() !== 'live' });
+    nowPlaying.update(state);
+});
 manager.on('beatInfo', (beatData) => broadcast('beat', beatData));
 
+// Extended track metadata, stored cues and the cover URL from the Engine DB (see
+// EngineLibrary.trackInfo / trackCues, ArtworkService.urlFor). Deferred:
+// trackChanged fires from inside a state update.
+function refreshTrackInfo(deckNum) {
+    const deck = manager.state.decks[deckNum];
+    const loaded = deck && (deck.songLoaded || deck.trackName);
+    const trackInfo = loaded ? library.trackInfo(deck) : null;
+    const fields = { trackInfo };
+    if (trackInfo) {
+        const query = { source: trackInfo.source };
+        try {
+            fields.cues = library.trackCues(trackInfo.id, query);
+        } catch (err) {
+            // Not analysed yet: the deck just shows no stored cues
+            if (!err.status) console.error(`[Library] Cues for deck ${deckNum} failed:`, err.message);
+        }
+        try {
+            fields.artwork = artwork.urlFor(trackInfo.id, query);
+        } catch (err) {
+            console.error(`[Artwork] Lookup for deck ${deckNum} failed:`, err.message);
+        }
+    }
+    manager.setTrackInfo(deckNum, fields);
+}
+deckEvents.on('trackChanged', ({ deck }) => setImmediate(() => refreshTrackInfo(deck)));
+manager.on('databaseReady', () => {
+    library.invalidate();
+    artwork.invalidate();
+    for (let n = 1; n <= 4; n++) refreshTrackInfo(n);
+});
+manager.on('rawState', (entry) => inspector.record(entry));
+manager.on('replayStatus', (status) => broadcast('replay', status));
+inspector.on('changes', (changes) => broadcast('statemap', changes));
+
 manager.on('deviceReady', (deviceInfo) => {
-    history.upsert(deviceInfo);
+    const entry = history.upsert(deviceInfo);
+    if (entry.deckMapping) manager.setDeckMapping(deviceInfo.ip, entry.deckMapping);
+    if (entry.alias || entry.color) manager.setDeviceLabel(deviceInfo.ip, entry);
     broadcast('deviceReady', deviceInfo);
     broadcast('history', history.getAll());
     broadcast('notification', {
         type: 'connected',
         title: '设备已连接',
-        body: `${deviceInfo.deviceName} (${deviceInfo.ip})`,
+        body: `${entry.alias || deviceInfo.deviceName} (${deviceInfo.ip})`,
         icon: '🟢',
     });
 });
 
 manager.on('deviceDisconnected', (deviceInfo) => {
+    // Other devices' decks keep playing
+    recorder.endAll(deviceInfo.decks || []);
+    const entry = history.recordDisconnect(deviceInfo, deviceInfo.reason);
+    if (entry) broadcast('history', history.getAll());
     broadcast('notification', {
         type: 'disconnected',
-        title: '设备已断开',
-        body: `${deviceInfo.deviceName} (${deviceInfo.ip})`,
+        title: deviceInfo.reason === 'lost' ? '设备连接丢失' : '设备已断开',
+        body: `${entry?.alias || deviceInfo.deviceName} (${deviceInfo.ip})`,
         icon: '🔴',
     });
 });
 
+// ─── Set-list Recorder / Now Playing → WebSocket ─────────────────────────────
+
+nowPlaying.on('change', (snapshot) => broadcast('nowPlaying', snapshot));
+
+webhooks.on('delivery', (delivery) => broadcast('webhook', delivery));
+
+recorder.on('trackStarted', (track) => broadcast('setlist', { sessionId: track.sessionId, track }));
+recorder.on('sessionEnded', (session) => broadcast('setlist', { sessionId: session.id, session }));
+
+/**
+ * Devices added by address never announce themselves to us, so reconnect them
+ * from history whenever live mode starts.
+ */
+function connectManualDevices() {
+    if (manager.getMode() !== 'live' || !currentSettings.autoReconnect) return;
+    for (const entry of history.getManualAutoConnect()) {
+        manager.connectToDevice(entry.ip, {
+            port: entry.port,
+            name: entry.deviceName,
+            softwareName: entry.softwareName,
+            softwareVersion: entry.softwareVersion,
+        }).then((result) => {
+            if (result.ok) return;
+            console.warn(`[Server] Manual device ${entry.deviceName} @ ${entry.ip} not reachable: ${result.error}`);
+            // Keep trying in the background, like a device lost mid-set
+            manager.scheduleReconnect(entry.ip);
+        }).catch(err => console.error('[Server] Manual reconnect error:', err.message));
+    }
+}
+
 // ─── Start ───────────────────────────────────────────────────────────────────
 
 server.listen(PORT, () => {
@@ -280,18 +990,30 @@ server.listen(PORT, () => {
     console.log('  ║         MIXBOARD — StagelinQ Monitor         ║');
     console.log('  ╠══════════════════════════════════════════════╣');
     console.log(`  ║  🌐 http://localhost:${PORT}                   ║`);
-    console.log(`  ║  📡 Mode: ${IS_DEMO ? 'DEMO (simulated data)     ' : 'LIVE (StagelinQ listen)   '}  ║`);
+    const modeLabel = { demo: 'DEMO (simulated data)', live: 'LIVE (StagelinQ listen)', replay: 'REPLAY (recorded data)' }[START_MODE];
+    console.log(`  ║  📡 Mode: ${modeLabel.padEnd(26)}  ║`);
     if (currentSettings.networkInterface !== 'auto') {
         console.log(`  ║  🔌 Interface: ${currentSettings.networkInterface.padEnd(24)}  ║`);
     }
     console.log('  ╚══════════════════════════════════════════════╝');
     console.log('');
-    manager.start();
+    manager.start()
+        .then(connectManualDevices)
+        .catch(err => console.error('[Server] Failed to start:', err.message));
+    mqttPublisher.start();
 });
 
 process.on('SIGINT', async () => {
     console.log('\n[Server] Shutting down...');
     await manager.stop();
+    history.closeAll('stopped');
+    nowPlayingFile.stop();
+    oscBridge.stop();
+    await mqttPublisher.stop();
+    webhooks.stop();
+    await artwork.stop();
+    recorder.close();
+    library.close();
     server.close();
     process.exit(0);
 });
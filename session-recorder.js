@@ -0,0 +1,267 @@
+/**
+ * Session Recorder
+ * Persists a set-list of every track that actually went out to the room.
+ * Fed with `stateUpdate` snapshots; stores sessions and on-air tracks in SQLite.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const { isOnAir } = require('./on-air');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const DB_FILE = path.join(DATA_DIR, 'sessions.db');
+
+// A new session starts when nothing has been on air for this long
+const SESSION_GAP_MS = 30 * 60 * 1000;
+// A track that comes back on air within this window continues its previous entry
+const RESUME_GRACE_MS = 15 * 1000;
+// While something is on air, the session's last_seen is saved this often, so
+// entries left open by a crash can be closed at about the right time
+const LAST_SEEN_INTERVAL_MS = 10 * 1000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        device_name TEXT NOT NULL DEFAULT '',
+        demo INTEGER NOT NULL DEFAULT 0,
+        last_seen TEXT
+    );
+    CREATE TABLE IF NOT EXISTS session_tracks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        deck INTEGER NOT NULL,
+        title TEXT NOT NULL DEFAULT '',
+        artist TEXT NOT NULL DEFAULT '',
+        bpm REAL NOT NULL DEFAULT 0,
+        key TEXT NOT NULL DEFAULT '',
+        db_source_name TEXT NOT NULL DEFAULT '',
+        track_path TEXT NOT NULL DEFAULT '',
+        track_network_path TEXT NOT NULL DEFAULT '',
+        started_at TEXT NOT NULL,
+        ended_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_session_tracks_session ON session_tracks(session_id);
+`;
+
+const SESSION_COLUMNS = 's.id, s.started_at AS startedAt, s.ended_at AS endedAt, s.device_name AS deviceName, s.demo';
+const TRACK_COLUMNS = `id, session_id AS sessionId, deck, title, artist, bpm, key,
+    db_source_name AS dbSourceName, track_path AS trackPath, track_network_path AS trackNetworkPath,
+    started_at AS startedAt, ended_at AS endedAt`;
+
+class SessionRecorder extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dbFile = options.dbFile || DB_FILE;
+        this.sessionGapMs = options.sessionGapMs || SESSION_GAP_MS;
+        this.resumeGraceMs = options.resumeGraceMs || RESUME_GRACE_MS;
+        this.lastSeenIntervalMs = options.lastSeenIntervalMs || LAST_SEEN_INTERVAL_MS;
+        this.db = null;
+        this.currentSessionId = null;
+        this.lastActivity = 0;
+        this._lastSeenSaved = 0;
+        // deckNum -> { id, key, endedAt } for the entry currently (or just) on air
+        this.active = {};
+        this._open();
+    }
+
+    _open() {
+        try {
+            const Database = require('better-sqlite3');
+            fs.mkdirSync(path.dirname(this.dbFile), { recursive: true });
+            this.db = new Database(this.dbFile);
+            this.db.pragma('journal_mode = WAL');
+            this.db.pragma('foreign_keys = ON');
+            this.db.exec(SCHEMA);
+            // Databases from before last_seen existed
+            const columns = this.db.prepare('PRAGMA table_info(sessions)').all().map(c => c.name);
+            if (!columns.includes('last_seen')) this.db.exec('ALTER TABLE sessions ADD COLUMN last_seen TEXT');
+            this._closeDanglingSessions();
+        } catch (err) {
+            console.error('[SessionRecorder] Failed to open database, set-list logging disabled:', err.message);
+            this.db = null;
+        }
+    }
+
+    /**
+     * Sessions left open by a crash or hard stop end at their last track activity:
+     * open tracks end when the session was last seen (never before they started).
+     */
+    _closeDanglingSessions() {
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            UPDATE session_tracks SET ended_at = MAX(started_at, COALESCE(
+                (SELECT last_seen FROM sessions WHERE id = session_tracks.session_id), started_at
+            )) WHERE ended_at IS NULL
+        `).run();
+        this.db.prepare(`
+            UPDATE sessions SET ended_at = COALESCE(
+                (SELECT MAX(ended_at) FROM session_tracks WHERE session_id = sessions.id), last_seen, started_at, ?
+            ) WHERE ended_at IS NULL
+        `).run(now);
+    }
+
+    _trackKey(deck) {
+        return deck.trackPath || deck.trackNetworkPath || `${deck.artistName}|${deck.trackName || deck.songName}`;
+    }
+
+    /**
+     * Feed a state snapshot. Opens/closes track entries on on-air transitions.
+     */
+    update(state, { demo = false } = {}) {
+        if (!this.db || !state || !state.decks) return;
+        const now = Date.now();
+        if (this.currentSessionId && this._idleFor(now) > this.sessionGapMs) this._endSession();
+
+        for (let n = 1; n <= 4; n++) {
+            const deck = state.decks[n];
+            if (!deck) continue;
+            const entry = this.active[n];
+            const onAir = isOnAir(state, n);
+
+            if (onAir) {
+                const key = this._trackKey(deck);
+                this.lastActivity = now;
+                if (entry && entry.key === key) {
+                    if (entry.endedAt) this._resumeTrack(n, entry);
+                    continue;
+                }
+                if (entry && !entry.endedAt) this._endTrack(n, entry, now);
+                this._startTrack(n, deck, key, state, demo, now);
+            } else if (entry) {
+                if (!entry.endedAt) {
+                    this._endTrack(n, entry, now);
+                } else if (now - entry.endedAt > this.resumeGraceMs) {
+                    delete this.active[n];
+                }
+            }
+        }
+        if (this.currentSessionId && this._idleFor(now) === 0 && now - this._lastSeenSaved >= this.lastSeenIntervalMs) {
+            this.db.prepare('UPDATE sessions SET last_seen = ? WHERE id = ?').run(new Date(now).toISOString(), this.currentSessionId);
+            this._lastSeenSaved = now;
+        }
+    }
+
+    _ensureSession(state, demo, now) {
+        if (!this.currentSessionId) {
+            const info = this.db.prepare(
+                'INSERT INTO sessions (started_at, device_name, demo) VALUES (?, ?, ?)'
+            ).run(new Date(now).toISOString(), (state.device && state.device.name) || '', demo ? 1 : 0);
+            this.currentSessionId = info.lastInsertRowid;
+            console.log(`[SessionRecorder] 📝 Session #${this.currentSessionId} started`);
+            this.emit('sessionStarted', this.getSession(this.currentSessionId));
+        }
+        return this.currentSessionId;
+    }
+
+    _idleFor(now) {
+        const stillOnAir = Object.values(this.active).some(e => !e.endedAt);
+        return stillOnAir ? 0 : now - this.lastActivity;
+    }
+
+    _startTrack(deckNum, deck, key, state, demo, now) {
+        const sessionId = this._ensureSession(state, demo, now);
+        const info = this.db.prepare(`
+            INSERT INTO session_tracks (session_id, deck, title, artist, bpm, key, db_source_name,
+                track_path, track_network_path, started_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            sessionId, deckNum,
+            deck.trackName || deck.songName || '', deck.artistName || '',
+            deck.currentBPM || deck.trackBPM || 0, deck.currentKey || '',
+            deck.dbSourceName || '', deck.trackPath || '', deck.trackNetworkPath || '',
+            new Date(now).toISOString()
+        );
+        this.active[deckNum] = { id: info.lastInsertRowid, key, endedAt: 0 };
+        const track = this.db.prepare(`SELECT ${TRACK_COLUMNS} FROM session_tracks WHERE id = ?`).get(info.lastInsertRowid);
+        console.log(`[SessionRecorder] 🎵 On air (deck ${deckNum}): ${track.artist} - ${track.title}`);
+        this.emit('trackStarted', track);
+    }
+
+    _endTrack(deckNum, entry, now) {
+        this.db.prepare('UPDATE session_tracks SET ended_at = ? WHERE id = ?').run(new Date(now).toISOString(), entry.id);
+        entry.endedAt = now;
+        this.emit('trackEnded', { id: entry.id, deck: deckNum, sessionId: this.currentSessionId });
+    }
+
+    _resumeTrack(deckNum, entry) {
+        this.db.prepare('UPDATE session_tracks SET ended_at = NULL WHERE id = ?').run(entry.id);
+        entry.endedAt = 0;
+    }
+
+    _endSession() {
+        if (!this.currentSessionId) return;
+        const id = this.currentSessionId;
+        this.db.prepare(`
+            UPDATE sessions SET ended_at = COALESCE(
+                (SELECT MAX(ended_at) FROM session_tracks WHERE session_id = ?), ?
+            ) WHERE id = ?
+        `).run(id, new Date().toISOString(), id);
+        this.currentSessionId = null;
+        this.active = {};
+        console.log(`[SessionRecorder] 📝 Session #${id} ended`);
+        this.emit('sessionEnded', this.getSession(id));
+    }
+
+    /**
+     * End the tracks still on air on some decks (all of them when omitted), e.g.
+     * the decks of a device that dropped off. The session itself stays open until
+     * the idle gap expires.
+     * @param {number[]} [deckNums]
+     */
+    endAll(deckNums) {
+        if (!this.db) return;
+        const now = Date.now();
+        for (const [deckNum, entry] of Object.entries(this.active)) {
+            if (deckNums && !deckNums.includes(parseInt(deckNum))) continue;
+            if (!entry.endedAt) this._endTrack(parseInt(deckNum), entry, now);
+        }
+    }
+
+    /**
+     * Close the running session and the database.
+     */
+    close() {
+        if (!this.db) return;
+        this.endAll();
+        this._endSession();
+        this.db.close();
+        this.db = null;
+    }
+
+    /**
+     * List sessions, newest first, with their track counts.
+     */
+    listSessions(limit = 100) {
+        if (!this.db) return [];
+        return this.db.prepare(`
+            SELECT ${SESSION_COLUMNS}, COUNT(t.id) AS trackCount
+            FROM sessions s LEFT JOIN session_tracks t ON t.session_id = s.id
+            GROUP BY s.id ORDER BY s.started_at DESC LIMIT ?
+        `).all(limit).map(row => ({ ...row, demo: !!row.demo, live: row.id === this.currentSessionId }));
+    }
+
+    getSession(id) {
+        if (!this.db) return null;
+        const row = this.db.prepare(`
+            SELECT ${SESSION_COLUMNS}, COUNT(t.id) AS trackCount
+            FROM sessions s LEFT JOIN session_tracks t ON t.session_id = s.id
+            WHERE s.id = ? GROUP BY s.id
+        `).get(id);
+        return row ? { ...row, demo: !!row.demo, live: row.id === this.currentSessionId } : null;
+    }
+
+    /**
+     * Tracks of a session in play order.
+     */
+    getTracks(sessionId) {
+        if (!this.db) return [];
+        return this.db.prepare(
+            `SELECT ${TRACK_COLUMNS} FROM session_tracks WHERE session_id = ? ORDER BY started_at, id`
+        ).all(sessionId);
+    }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,134 @@
+/**
+ * Set-list Export
+ * Renders a recorded session into the tracklist formats radio shows and mix uploads expect.
+ */
+
+const FORMATS = {
+    cue: { ext: 'cue', contentType: 'application/x-cue; charset=utf-8', render: toCue },
+    m3u8: { ext: 'm3u8', contentType: 'audio/x-mpegurl; charset=utf-8', render: toM3u8 },
+    csv: { ext: 'csv', contentType: 'text/csv; charset=utf-8', render: toCsv },
+    json: { ext: 'json', contentType: 'application/json; charset=utf-8', render: toJson },
+    txt: { ext: 'txt', contentType: 'text/plain; charset=utf-8', render: toTxt },
+};
+
+// Seconds between the session start and an ISO timestamp (never negative)
+function offsetSeconds(session, iso) {
+    const ms = new Date(iso).getTime() - new Date(session.startedAt).getTime();
+    return isNaN(ms) ? 0 : Math.max(0, ms / 1000);
+}
+
+function durationSeconds(track) {
+    if (!track.endedAt) return 0;
+    const ms = new Date(track.endedAt).getTime() - new Date(track.startedAt).getTime();
+    return isNaN(ms) ? 0 : Math.max(0, ms / 1000);
+}
+
+function pad(n, width = 2) {
+    return String(n).padStart(width, '0');
+}
+
+function clock(seconds) {
+    const t = Math.floor(seconds);
+    const h = Math.floor(t / 3600);
+    const m = Math.floor((t % 3600) / 60);
+    return h > 0 ? `${h}:${pad(m)}:${pad(t % 60)}` : `${m}:${pad(t % 60)}`;
+}
+
+function sessionTitle(session) {
+    return `Mixboard Session #${session.id} — ${session.startedAt.slice(0, 16).replace('T', ' ')}`;
+}
+
+function trackLocation(track) {
+    return track.trackPath || track.trackNetworkPath || '';
+}
+
+/**
+ * CUE sheet. INDEX uses MM:SS:FF (75 frames per second); minutes may exceed 99.
+ */
+function toCue(session, tracks) {
+    const q = (s) => `"${String(s || '').replace(/"/g, "'")}"`;
+    const cueTime = (seconds) => {
+        const frames = Math.round(seconds * 75);
+        return `${pad(Math.floor(frames / 4500))}:${pad(Math.floor(frames / 75) % 60)}:${pad(frames % 75)}`;
+    };
+    const lines = [
+        `REM DATE ${session.startedAt.slice(0, 10)}`,
+        'REM COMMENT "Mixboard"',
+        `PERFORMER ${q(session.deviceName || 'Mixboard')}`,
+        `TITLE ${q(sessionTitle(session))}`,
+        `FILE ${q(`mixboard-session-${session.id}.wav`)} WAVE`,
+    ];
+    tracks.forEach((t, i) => {
+        lines.push(`  TRACK ${pad(i + 1)} AUDIO`);
+        lines.push(`    TITLE ${q(t.title)}`);
+        lines.push(`    PERFORMER ${q(t.artist)}`);
+        lines.push(`    INDEX 01 ${cueTime(offsetSeconds(session, t.startedAt))}`);
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Extended M3U playlist pointing at the files on the player's media.
+ */
+function toM3u8(session, tracks) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${sessionTitle(session)}`];
+    for (const t of tracks) {
+        const duration = Math.round(durationSeconds(t)) || -1;
+        lines.push(`#EXTINF:${duration},${t.artist ? `${t.artist} - ` : ''}${t.title}`);
+        const location = trackLocation(t);
+        lines.push(location || `# (no file path for "${t.title}")`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function toCsv(session, tracks) {
+    const cell = (v) => {
+        const s = v === null || v === undefined ? '' : String(v);
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const rows = [['#', 'startedAt', 'offset', 'endedAt', 'duration', 'deck', 'artist', 'title', 'bpm', 'key', 'source', 'path']];
+    tracks.forEach((t, i) => rows.push([
+        i + 1, t.startedAt, clock(offsetSeconds(session, t.startedAt)), t.endedAt || '',
+        clock(durationSeconds(t)), 'ABCD'[t.deck - 1] || t.deck, t.artist, t.title,
+        t.bpm ? t.bpm.toFixed(2) : '', t.key, t.dbSourceName, trackLocation(t),
+    ]));
+    // BOM so spreadsheet apps pick up UTF-8 (CJK titles)
+    return '\uFEFF' + rows.map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+function toJson(session, tracks) {
+    return JSON.stringify({
+        session,
+        tracks: tracks.map((t, i) => ({
+            position: i + 1,
+            offset: offsetSeconds(session, t.startedAt),
+            duration: durationSeconds(t),
+            ...t,
+        })),
+    }, null, 2);
+}
+
+function toTxt(session, tracks) {
+    const lines = [sessionTitle(session), ''];
+    tracks.forEach((t, i) => {
+        lines.push(`${pad(i + 1)}. [${clock(offsetSeconds(session, t.startedAt))}] ${t.artist ? `${t.artist} - ` : ''}${t.title}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a session in the given format.
+ * @returns {{ body: string, contentType: string, filename: string } | null} null for unknown formats
+ */
+function exportSession(session, tracks, format) {
+    const fmt = FORMATS[String(format || '').toLowerCase()];
+    if (!fmt) return null;
+    const date = session.startedAt.slice(0, 10).replace(/-/g, '');
+    return {
+        body: fmt.render(session, tracks),
+        contentType: fmt.contentType,
+        filename: `mixboard-session-${session.id}-${date}.${fmt.ext}`,
+    };
+}
+
+module.exports = { exportSession, EXPORT_FORMATS: Object.keys(FORMATS) };
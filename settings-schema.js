@@ -0,0 +1,327 @@
+/**
+ * Settings Schema
+ * Declares every option in data/settings.json: type, range or allowed values,
+ * default, and how the settings panel shows it. POST /api/settings is checked
+ * against it, and older files are brought up to date by MIGRATIONS on load.
+ *
+ * Field descriptors:
+ *   type      'boolean' | 'integer' | 'number' | 'string' | 'enum' | 'object' | 'map'
+ *   default   (objects take their defaults from `defaults`, usually a module's DEFAULTS)
+ *   min, max, values (enum), pattern, maxLength, required (non-empty string)
+ *   fields    (object) nested descriptors; values (map) descriptor for every entry
+ *   secret    hidden from viewers (see redact)
+ *   ui        { group, label, placeholder?, labels?, choices?, wide?, input? } —
+ *             fields with a ui group are rendered by the settings panel
+ */
+
+const NowPlayingFileWriter = require('./now-playing-file');
+const OscBridge = require('./osc-bridge');
+const MqttPublisher = require('./mqtt-publisher');
+const EngineLibrary = require('./engine-library');
+const ArtworkService = require('./artwork-service');
+
+const SCHEMA_VERSION = 2;
+
+// Settings panel sections, in display order
+const GROUPS = [
+    { id: 'reconnect', title: '自动重连' },
+    { id: 'refresh', title: '刷新间隔' },
+    { id: 'trackInfo', title: 'Deck 曲目信息' },
+    { id: 'artworkCache', title: '封面缓存' },
+    { id: 'nowPlayingFile', title: '正在播放文件' },
+    { id: 'osc', title: 'OSC 输出' },
+    { id: 'mqtt', title: 'MQTT' },
+];
+
+const RULE_LABELS = { master: 'Master 主控', loudest: '推子最大', last: '最后启动' };
+
+const SCHEMA = {
+    networkInterface: { type: 'string', default: 'auto', pattern: /^(auto|\d{1,3}(\.\d{1,3}){3})$/ },
+    autoReconnect: { type: 'boolean', default: true, ui: { group: 'reconnect', label: '断线后自动重连历史设备' } },
+    refreshInterval: {
+        type: 'integer', default: 500, min: 50, max: 10000,
+        ui: { group: 'refresh', label: '状态推送间隔', choices: [[100, '100 ms'], [250, '250 ms'], [500, '500 ms'], [1000, '1 s (弱网)'], [2000, '2 s (弱网)']] },
+    },
+    trackInfo: {
+        type: 'object', defaults: EngineLibrary.TRACK_INFO_DEFAULTS,
+        fields: {
+            album: { type: 'boolean', ui: { group: 'trackInfo', label: '专辑' } },
+            genre: { type: 'boolean', ui: { group: 'trackInfo', label: '流派' } },
+            label: { type: 'boolean', ui: { group: 'trackInfo', label: '厂牌' } },
+            year: { type: 'boolean', ui: { group: 'trackInfo', label: '年份' } },
+            comment: { type: 'boolean', ui: { group: 'trackInfo', label: '备注' } },
+            rating: { type: 'boolean', ui: { group: 'trackInfo', label: '评分' } },
+            playCount: { type: 'boolean', ui: { group: 'trackInfo', label: '播放次数' } },
+            format: { type: 'boolean', ui: { group: 'trackInfo', label: '文件格式与码率' } },
+            dateAdded: { type: 'boolean', ui: { group: 'trackInfo', label: '添加日期' } },
+        },
+    },
+    artworkCache: {
+        type: 'object', defaults: ArtworkService.DEFAULTS,
+        fields: {
+            diskCache: { type: 'boolean', ui: { group: 'artworkCache', label: '保存到 data/artwork/（重启后无需重新生成）' } },
+        },
+    },
+    overlayPresets: {
+        type: 'map', default: {}, maxLength: 64,
+        values: {
+            type: 'object', partial: true,
+            fields: {
+                layout: { type: 'enum', values: ['card', 'bar', 'minimal'] },
+                position: { type: 'enum', values: ['bottom-left', 'bottom-right', 'top-left', 'top-right', 'bottom', 'top', 'center'] },
+                rule: { type: 'enum', values: ['master', 'loudest', 'last'] },
+                font: { type: 'string', maxLength: 64 },
+                size: { type: 'number', min: 8, max: 200 },
+                fade: { type: 'integer', min: 0, max: 10000 },
+                artwork: { type: 'boolean' },
+                accent: { type: 'string', pattern: /^#?([0-9a-f]{3}|[0-9a-f]{6})?$/i },
+            },
+        },
+    },
+    nowPlayingFile: {
+        type: 'object', defaults: NowPlayingFileWriter.DEFAULTS,
+        fields: {
+            enabled: { type: 'boolean', ui: { group: 'nowPlayingFile', label: '写入 nowplaying.txt / .json' } },
+            directory: { type: 'string', required: true, ui: { group: 'nowPlayingFile', label: '目录', wide: true } },
+            template: { type: 'string', required: true, ui: { group: 'nowPlayingFile', label: '文本模板', placeholder: '{artist} - {title}', wide: true } },
+            rule: { type: 'enum', values: ['master', 'loudest', 'last'], ui: { group: 'nowPlayingFile', label: '规则', labels: RULE_LABELS } },
+            minPlaySeconds: { type: 'integer', min: 0, max: 600, ui: { group: 'nowPlayingFile', label: '最短播放 (秒)' } },
+            artwork: { type: 'boolean', ui: { group: 'nowPlayingFile', label: '同时写入 nowplaying.jpg' } },
+            clearWhenIdle: { type: 'boolean', ui: { group: 'nowPlayingFile', label: '无播放时清空文件' } },
+        },
+    },
+    osc: {
+        type: 'object', defaults: OscBridge.DEFAULTS,
+        fields: {
+            enabled: { type: 'boolean', ui: { group: 'osc', label: '发送 Deck 数据与节拍' } },
+            host: { type: 'string', required: true, ui: { group: 'osc', label: '目标主机' } },
+            port: { type: 'integer', min: 1, max: 65535, ui: { group: 'osc', label: '端口' } },
+            deckAddress: { type: 'string', required: true, pattern: /^\//, ui: { group: 'osc', label: 'Deck 地址模板', wide: true } },
+            beatAddress: { type: 'string', required: true, pattern: /^\//, ui: { group: 'osc', label: '节拍地址', wide: true } },
+        },
+    },
+    mqtt: {
+        type: 'object', defaults: MqttPublisher.DEFAULTS,
+        fields: {
+            enabled: { type: 'boolean', ui: { group: 'mqtt', label: '发布到 MQTT broker' } },
+            url: { type: 'string', required: true, pattern: /^(mqtts?|wss?|tcp|ssl):\/\/\S+$/, ui: { group: 'mqtt', label: 'Broker 地址', placeholder: 'mqtt://localhost:1883', wide: true } },
+            username: { type: 'string', ui: { group: 'mqtt', label: '用户名' } },
+            password: { type: 'string', secret: true, ui: { group: 'mqtt', label: '密码', input: 'password' } },
+            topicPrefix: { type: 'string', required: true, pattern: /^[^#+]+$/, ui: { group: 'mqtt', label: '主题前缀' } },
+            qos: { type: 'enum', values: [0, 1, 2], ui: { group: 'mqtt', label: 'QoS' } },
+            clientId: { type: 'string', ui: { group: 'mqtt', label: 'Client ID', placeholder: '自动' } },
+        },
+    },
+};
+
+/**
+ * MIGRATIONS[n] upgrades a version-n file to version n + 1.
+ * Files written before the schema existed have no schemaVersion and count as 1.
+ */
+const MIGRATIONS = {
+    // Older panels and hand edits stored numbers as strings
+    1: (settings) => {
+        const toNumber = (obj, key) => {
+            if (obj && typeof obj[key] === 'string' && obj[key].trim() !== '' && !isNaN(obj[key])) obj[key] = Number(obj[key]);
+        };
+        toNumber(settings, 'refreshInterval');
+        toNumber(settings.osc, 'port');
+        toNumber(settings.mqtt, 'qos');
+        toNumber(settings.nowPlayingFile, 'minPlaySeconds');
+        return settings;
+    },
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function defaultOf(spec) {
+    if (spec.type === 'object') return { ...spec.defaults };
+    if (spec.type === 'map') return { ...spec.default };
+    return spec.default;
+}
+
+/**
+ * Check one value against its descriptor. Pushes { field, message } to errors.
+ * @returns {*} the value (objects and maps rebuilt from their valid entries)
+ */
+function check(spec, value, field, errors) {
+    const fail = (message) => { errors.push({ field, message }); return undefined; };
+    switch (spec.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? value : fail('应为 true 或 false');
+        case 'integer':
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+                return fail(spec.type === 'integer' ? '应为整数' : '应为数字');
+            }
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                return fail(`应在 ${spec.min} 到 ${spec.max} 之间`);
+            }
+            return value;
+        }
+        case 'string': {
+            if (typeof value !== 'string') return fail('应为文本');
+            if (spec.required && !value.trim()) return fail('不能为空');
+            if (value.length > (spec.maxLength || 512)) return fail(`不能超过 ${spec.maxLength || 512} 个字符`);
+            if (spec.pattern && value && !spec.pattern.test(value)) return fail('格式无效');
+            return value;
+        }
+        case 'enum':
+            return spec.values.includes(value) ? value : fail(`应为 ${spec.values.join(' / ')} 之一`);
+        case 'object': {
+            if (!isPlainObject(value)) return fail('应为对象');
+            const result = {};
+            for (const key of Object.keys(value)) {
+                if (!spec.fields[key]) errors.push({ field: `${field}.${key}`, message: '未知设置项' });
+            }
+            for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+                if (value[key] === undefined) {
+                    if (!spec.partial) result[key] = spec.defaults[key];
+                    continue;
+                }
+                const checked = check(fieldSpec, value[key], `${field}.${key}`, errors);
+                if (checked !== undefined) result[key] = checked;
+            }
+            return result;
+        }
+        case 'map': {
+            if (!isPlainObject(value)) return fail('应为对象');
+            const result = {};
+            for (const [key, entry] of Object.entries(value)) {
+                if (!key.trim() || key.length > spec.maxLength) { errors.push({ field: `${field}.${key}`, message: '名称无效' }); continue; }
+                const checked = check(spec.values, entry, `${field}.${key}`, errors);
+                if (checked !== undefined) result[key] = checked;
+            }
+            return result;
+        }
+    }
+    return fail('未知类型');
+}
+
+/**
+ * A complete settings object with every default.
+ */
+function defaults() {
+    const settings = { schemaVersion: SCHEMA_VERSION };
+    for (const [key, spec] of Object.entries(SCHEMA)) settings[key] = defaultOf(spec);
+    return settings;
+}
+
+/**
+ * Apply a partial update to the current settings. Objects (osc, mqtt...) are
+ * merged one level deep, so { osc: { port: 9001 } } keeps the other OSC options.
+ * @returns {{ ok: boolean, settings: object, errors: Array<{ field: string, message: string }> }}
+ *          settings is the merged result, only meaningful when ok
+ */
+function validate(patch, current) {
+    const errors = [];
+    if (!isPlainObject(patch)) return { ok: false, settings: current, errors: [{ field: '', message: '应为对象' }] };
+    const settings = { ...current };
+    for (const [key, value] of Object.entries(patch)) {
+        // Clients may send back what GET /api/settings returned
+        if (key === 'schemaVersion') continue;
+        const spec = SCHEMA[key];
+        if (!spec) { errors.push({ field: key, message: '未知设置项' }); continue; }
+        const merged = spec.type === 'object' && isPlainObject(value) ? { ...current[key], ...value } : value;
+        const checked = check(spec, merged, key, errors);
+        if (checked !== undefined) settings[key] = checked;
+    }
+    return { ok: errors.length === 0, settings, errors };
+}
+
+/**
+ * Bring a settings file up to the current version and drop what doesn't fit the
+ * schema, falling back to defaults field by field.
+ * @returns {{ settings: object, changed: boolean, warnings: string[] }} changed
+ *          when a migration rewrote stored values, i.e. the file is worth saving;
+ *          a missing schemaVersion alone or invalid entries don't count
+ */
+function load(raw) {
+    const warnings = [];
+    // Migrations edit nested objects in place; work on a copy to see what they changed
+    let data = isPlainObject(raw) ? JSON.parse(JSON.stringify(raw)) : {};
+    const from = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+    const before = JSON.stringify({ ...data, schemaVersion: undefined });
+    for (let version = from; version < SCHEMA_VERSION; version++) {
+        if (MIGRATIONS[version]) data = MIGRATIONS[version](data);
+    }
+    const migrated = JSON.stringify({ ...data, schemaVersion: undefined }) !== before;
+
+    const settings = defaults();
+    for (const [key, value] of Object.entries(data)) {
+        if (key === 'schemaVersion') continue;
+        const spec = SCHEMA[key];
+        if (!spec) { warnings.push(`${key}: 未知设置项，已忽略`); continue; }
+        const errors = [];
+        const checked = check(spec, value, key, errors);
+        // Keep the valid parts of objects and maps; the rest falls back to defaults
+        if (checked !== undefined) settings[key] = spec.type === 'object' ? { ...defaultOf(spec), ...checked } : checked;
+        errors.forEach(e => warnings.push(`${e.field}: ${e.message}，已使用默认值`));
+    }
+    return { settings, changed: migrated, warnings };
+}
+
+/**
+ * What data/settings.json stores: the schema version plus the values that differ
+ * from their defaults (object fields one by one), so the file only holds what the
+ * user actually changed and later default changes still reach everyone else.
+ */
+function stored(settings) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const result = { schemaVersion: SCHEMA_VERSION };
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const value = settings[key];
+        if (value === undefined) continue;
+        if (spec.type === 'object' && isPlainObject(value)) {
+            const changed = {};
+            for (const [field, fieldValue] of Object.entries(value)) {
+                if (!same(fieldValue, spec.defaults[field])) changed[field] = fieldValue;
+            }
+            if (Object.keys(changed).length) result[key] = changed;
+        } else if (!same(value, defaultOf(spec))) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Copy of the settings with secret fields blanked, for viewers.
+ */
+function redact(settings) {
+    const result = { ...settings };
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (spec.type !== 'object' || !isPlainObject(result[key])) continue;
+        for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+            if (fieldSpec.secret && result[key][field]) result[key] = { ...result[key], [field]: '' };
+        }
+    }
+    return result;
+}
+
+/**
+ * JSON-safe description for GET /api/settings/schema and the settings panel.
+ */
+function describe() {
+    const convert = (spec, defaultValue) => {
+        const out = { type: spec.type };
+        if (defaultValue !== undefined) out.default = defaultValue;
+        for (const key of ['min', 'max', 'values', 'maxLength', 'required', 'secret', 'partial', 'ui']) {
+            if (spec[key] !== undefined) out[key] = spec[key];
+        }
+        if (spec.pattern) out.pattern = spec.pattern.source;
+        if (spec.fields) {
+            out.fields = {};
+            for (const [key, fieldSpec] of Object.entries(spec.fields)) out.fields[key] = convert(fieldSpec, spec.defaults && spec.defaults[key]);
+        }
+        if (spec.type === 'map') out.values = convert(spec.values);
+        return out;
+    };
+    const fields = {};
+    for (const [key, spec] of Object.entries(SCHEMA)) fields[key] = convert(spec, spec.type === 'object' ? undefined : spec.default);
+    return { version: SCHEMA_VERSION, groups: GROUPS, fields };
+}
+
+module.exports = { SCHEMA_VERSION, SCHEMA, MIGRATIONS, defaults, validate, load, stored, redact, describe };
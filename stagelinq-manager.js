@@ -4,6 +4,27 @@
  */
 
 const EventEmitter = require('events');
+const fs = require('fs');
+const deckMapping = require('./deck-mapping');
+const EventRecorder = require('./event-recorder');
+const ReplayPlayer = require('./replay-player');
+const DemoSimulator = require('./demo-simulator');
+const DeviceProbe = require('./device-probe');
+const DeviceDiscovery = require('./device-discovery');
+
+const MODES = ['live', 'demo', 'replay'];
+// Directed connections: how long the library gets to open the session after a good probe
+const MANUAL_CONNECT_TIMEOUT_MS = 15000;
+// Reconnect supervisor: a connected device that has been silent this long is probed,
+// and one that fails the probe is retried with exponential backoff ± jitter.
+const WATCHDOG_INTERVAL_MS = 5000;
+const SILENCE_MS = 10000;
+// A device that answers probes but stays quiet (idle, nothing loaded) is probed
+// less and less often, up to this interval, until it sends something again
+const PROBE_BACKOFF_MAX_MS = 60000;
+const RECONNECT_BASE_MS = 2000;
+const RECONNECT_MAX_MS = 60000;
+const RECONNECT_JITTER = 0.3;
 
 // Key index to musical key mapping (Camelot / Open Key notation)
 const KEY_MAP = {
@@ -15,18 +36,48 @@ const KEY_MAP = {
     20: '11A (F♯m)', 21: '11B (A)', 22: '12A (D♭m)', 23: '12B (E)',
 };
 
+/**
+ * Stable device id from a StagelinQ token (Uint8Array, or a plain array in recordings).
+ * @returns {string|null} 32 hex chars, null when there is no usable token
+ */
+function tokenHex(token) {
+    const bytes = token ? Array.from(token) : [];
+    if (bytes.length !== 16 || bytes.every(b => !b)) return null;
+    return Buffer.from(bytes).toString('hex');
+}
+
 class StagelinqManager extends EventEmitter {
     constructor(options = {}) {
         super();
         this.stagelinqInstance = null;
         this.connected = false;
-        this.demoMode = options.demo || false;
+        // 'live' | 'demo' | 'replay'
+        this.mode = MODES.includes(options.mode) ? options.mode : options.demo ? 'demo' : 'live';
+        this.demoMode = this.mode === 'demo';
+        this.replayFile = options.replayFile || null;
+        this.replay = null;
+        this.eventRecorder = new EventRecorder();
+        // Set while a replay seek rebuilds state, to hold back per-event updates
+        this._quiet = false;
         this.state = this._createEmptyState();
-        this._demoInterval = null;
+        this.scenario = options.scenario || null;
+        this.simulator = null;
         // Track discovered devices on the network: Map<ip, { ip, name, software, version, port, status, lastSeen }>
         this.discoveredDevices = new Map();
-        this._connectedIp = null;
+        // IPs connected by address rather than discovery (kept in history for startup retries)
+        this._manualDevices = new Set();
+        // Whether a lost device may be retried — the server checks history + settings
+        this.shouldReconnect = options.shouldReconnect || (() => false);
+        this._reconnects = new Map(); // ip -> { attempt, timer }
+        this._watchdog = null;
+        this._probeBackoff = new Map(); // ip -> { delay, nextAt } for quiet devices that answer probes
         this._dbPaths = new Map(); // sourceId -> dbPath
+        this._messageCount = 0;
+        // Network-level state while no device is connected: 'disconnected' | 'discovering' | 'error'
+        this._networkState = 'disconnected';
+        // Interface address discovery is bound to, or 'auto' for the library's all-interface discovery
+        this.networkInterface = options.networkInterface || 'auto';
+        this.discovery = null;
     }
 
     _createEmptyState() {
@@ -34,6 +85,7 @@ class StagelinqManager extends EventEmitter {
             trackName: '', artistName: '', songName: '',
             trackLength: 0, trackUri: '', trackNetworkPath: '',
             sampleRate: 0, songLoaded: false, songAnalyzed: false,
+            // Cover URL from the Engine DB (see ArtworkService.urlFor), null when there is none
             artwork: null,
             play: false, playState: false, currentPosition: 0,
             currentBPM: 0, trackBPM: 0,
@@ -46,6 +98,11 @@ class StagelinqManager extends EventEmitter {
             trackLengthRaw: 0, loopInRaw: 0, loopOutRaw: 0,
             beatPosition: 0, totalBeats: 0,
             dbSourceName: '', trackPath: '', jogColor: null,
+            // Extended metadata from the Engine DB (see EngineLibrary.trackInfo), null until looked up
+            trackInfo: null,
+            // Stored hotcues, loops and beat grid (see EngineLibrary.trackCues), null until looked up
+            cues: null,
+            deviceId: null,
         });
         return {
             decks: {
@@ -55,23 +112,198 @@ class StagelinqManager extends EventEmitter {
                 ch1Fader: 0, ch2Fader: 0, ch3Fader: 0, ch4Fader: 0,
                 crossfader: 0.5,
             },
+            // Per-device records keyed by device id (IP address)
+            devices: {},
+            // Aggregate over `devices`, kept for clients that predate multi-device support
             device: {
                 name: '', ip: '', softwareName: '', softwareVersion: '',
                 connectionState: 'disconnected', deckCount: 2,
-                hasSDCard: false, hasUsb: false, activeDeck: 1
+                hasSDCard: false, hasUsb: false, activeDeck: 1,
+                deviceCount: 0,
             }
         };
     }
 
+    _createDeviceRecord(ip) {
+        return {
+            id: ip, ip, name: '', port: 0,
+            // StagelinQ token as hex — stable across IP changes (see device-history.js)
+            tokenId: null, alias: '', color: '',
+            softwareName: '', softwareVersion: '',
+            connectionState: 'connecting', error: '',
+            hasSDCard: false, hasUsb: false,
+            deckCount: 0, activeDeck: 1,
+            decks: [],
+            // Deck slot mapping — see deck-mapping.js
+            model: 'default', player: 1, deckMapping: null,
+            mapping: deckMapping.defaultMapping('default', 1),
+            // Set when a layer has no free slot and stays off the dashboard
+            mappingWarning: '',
+            connectedAt: null, lastSeen: null,
+            // { attempt, nextAt } while the reconnect supervisor is retrying this device
+            reconnect: null,
+        };
+    }
+
+    /**
+     * Re-detect the hardware model and recompute the device's layer → slot table.
+     * Decks already shown for this device move to their new slots. Other standalone
+     * players are recomputed too, as their free slots depend on this one.
+     * All-in-one units take the lowest slots no other connected device sits on, so
+     * whichever connected first keeps its slots.
+     */
+    _refreshDeckMapping(device) {
+        device.model = deckMapping.detectModel(device.name);
+        if (!this._isStandalonePlayer(device)) this._applyDeckMapping(device, this._slotsOf(this._connectedDevices(device).filter(d => d !== device)));
+        this._refreshPlayerMappings(device);
+    }
+
+    // Connected devices, plus `including` even if it is not connected yet
+    _connectedDevices(including = null) {
+        return Object.values(this.state.devices).filter(d => d === including || d.connectionState === 'connected');
+    }
+
+    // Slots the given devices sit on; unknown hardware and mixers do not count
+    _slotsOf(devices) {
+        return devices.filter(d => deckMapping.takesSlots(d.model)).flatMap(d => Object.values(d.mapping || {}).filter(Boolean));
+    }
+
+    _isStandalonePlayer(device) {
+        const profile = deckMapping.PROFILES[device.model];
+        return !!(profile && profile.perPlayer);
+    }
+
+    /**
+     * Lay out the standalone players together, lowest player number first: each one
+     * keeps its own slot, and its other layers avoid the others' own slots, the
+     * all-in-one units' slots and the slots already given out.
+     * @param {object} [including] a device to lay out even if not connected yet
+     */
+    _refreshPlayerMappings(including = null) {
+        const devices = this._connectedDevices(including);
+        const players = devices
+            .filter(d => this._isStandalonePlayer(d))
+            .sort((a, b) => a.player - b.player || a.ip.localeCompare(b.ip));
+        const ownSlots = new Map(players.map(d => [d, deckMapping.resolveMapping(d).A]));
+        const given = this._slotsOf(devices.filter(d => !this._isStandalonePlayer(d)));
+        for (const device of players) {
+            const reserved = players.filter(d => d !== device).map(d => ownSlots.get(d));
+            this._applyDeckMapping(device, [...reserved, ...given]);
+            given.push(...Object.values(device.mapping).filter(Boolean));
+        }
+    }
+
+    _applyDeckMapping(device, reserved = []) {
+        const previous = device.mapping || {};
+        device.mapping = deckMapping.resolveMapping(device, reserved);
+        const unmapped = deckMapping.unmappedLayers(device.mapping);
+        const warning = unmapped.length ? `没有空闲的 Deck 槽位，${unmapped.join('/')} 层未显示` : '';
+        if (warning && warning !== device.mappingWarning) console.warn(`[StagelinQ] ⚠️  ${device.name || device.ip}: ${warning}`);
+        device.mappingWarning = warning;
+
+        const emptyDecks = this._createEmptyState().decks;
+        for (const slot of unmapped.map(layer => previous[layer]).filter(slot => device.decks.includes(slot))) {
+            if (this.state.decks[slot].deviceId === device.id) this.state.decks[slot] = emptyDecks[slot];
+            device.decks = device.decks.filter(n => n !== slot);
+        }
+        const moves = Object.entries(previous)
+            .filter(([layer, slot]) => device.mapping[layer] && device.mapping[layer] !== slot && device.decks.includes(slot));
+        if (!moves.length) return;
+        const moved = moves.map(([layer, slot]) => [device.mapping[layer], this.state.decks[slot]]);
+        for (const [, slot] of moves) {
+            this.state.decks[slot] = emptyDecks[slot];
+            device.decks = device.decks.filter(n => n !== slot);
+        }
+        for (const [slot, deck] of moved) {
+            this.state.decks[slot] = deck;
+            this._claimDeck(slot, device.ip);
+        }
+    }
+
+    /**
+     * Apply a user override ({ A: 1, B: 3, ... }) for one device; null restores the defaults.
+     */
+    setDeckMapping(ip, mapping) {
+        const device = this.state.devices[ip];
+        if (!device) return null;
+        device.deckMapping = deckMapping.normalizeMapping(mapping);
+        this._refreshDeckMapping(device);
+        this._emitState();
+        return device.mapping;
+    }
+
+    /**
+     * Show a user-chosen alias and colour (from device history) on a device record.
+     */
+    setDeviceLabel(ip, { alias = '', color = '' } = {}) {
+        const device = this.state.devices[ip];
+        if (!device) return false;
+        Object.assign(device, { alias, color });
+        this._emitState();
+        return true;
+    }
+
+    /**
+     * Get (or create) the record for a device.
+     */
+    _getDevice(ip) {
+        if (!ip) return null;
+        if (!this.state.devices[ip]) this.state.devices[ip] = this._createDeviceRecord(ip);
+        return this.state.devices[ip];
+    }
+
+    /**
+     * Mark a deck slot as owned by a device (a slot belongs to one device at a time).
+     */
+    _claimDeck(deckNum, ip) {
+        const device = this._getDevice(ip);
+        if (!device || !this.state.decks[deckNum]) return;
+        this.state.decks[deckNum].deviceId = ip;
+        for (const other of Object.values(this.state.devices)) {
+            if (other !== device) other.decks = other.decks.filter(n => n !== deckNum);
+        }
+        if (!device.decks.includes(deckNum)) {
+            device.decks.push(deckNum);
+            device.decks.sort();
+        }
+    }
+
+    /**
+     * Recompute the aggregate `state.device` from the per-device records.
+     */
+    _updateDeviceSummary() {
+        const all = Object.values(this.state.devices);
+        const connected = all.filter(d => d.connectionState === 'connected');
+        const primary = connected[0] || all[0];
+        const summary = this.state.device;
+        summary.name = connected.map(d => d.name).join(' + ') || (primary ? primary.name : '');
+        summary.ip = primary ? primary.ip : '';
+        summary.softwareName = primary ? primary.softwareName : '';
+        summary.softwareVersion = primary ? primary.softwareVersion : '';
+        summary.connectionState = connected.length ? 'connected'
+            : all.some(d => d.connectionState === 'connecting' || d.connectionState === 'reconnecting') ? 'connecting'
+                : this._networkState;
+        summary.deckCount = Math.max(2, ...connected.map(d => d.deckCount || 0), ...connected.map(d => d.decks.length));
+        summary.hasSDCard = connected.some(d => d.hasSDCard);
+        summary.hasUsb = connected.some(d => d.hasUsb);
+        summary.deviceCount = connected.length;
+        this.connected = connected.length > 0;
+    }
+
     /**
      * Start the StagelinQ listener.
      */
     async start() {
-        if (this.demoMode) {
+        if (this.mode === 'demo') {
             console.log('[StagelinqManager] Starting in DEMO mode');
             this._startDemo();
             return;
         }
+        if (this.mode === 'replay') {
+            console.log('[StagelinqManager] Starting in REPLAY mode');
+            await this._startReplay();
+            return;
+        }
 
         try {
             const stagelinqLib = require('stagelinq');
@@ -81,6 +313,7 @@ class StagelinqManager extends EventEmitter {
                 throw new Error('StageLinqInstance class not found in stagelinq module');
             }
 
+            this._messageCount = 0;
             this.stagelinqInstance = new StageLinqInstance({
                 downloadDbSources: true,
                 enableFileTranfer: true,
@@ -88,119 +321,60 @@ class StagelinqManager extends EventEmitter {
             });
 
             const devices = this.stagelinqInstance.devices;
-            let messageCount = 0;
 
             // Catch errors emitted by the devices EventEmitter to prevent crash
-            devices.on('error', (err) => {
-                console.error('[StagelinQ] ❌ Device error (caught):', err?.message || err);
-            });
+            devices.on('error', (err) => this._onDeviceError(err));
 
             // When all devices are ready (StateMap initialized)
             devices.on('ready', () => {
                 console.log('[StagelinQ] ✅ All devices ready — StateMap active, data should flow now');
-                this.state.device.connectionState = 'connected';
-                this.connected = true;
-                this.emit('stateUpdate', this.state);
+                this._updateDeviceSummary();
+                this._emitState();
             });
 
             // When a device connects (TCP connection established)
             devices.on('connected', (connInfo) => {
-                const ip = connInfo.address || '';
-                const name = connInfo.source || 'Unknown';
-                const sw = connInfo.software?.name || '';
-                const ver = connInfo.software?.version || '';
-                console.log(`[StagelinQ] 🔗 Device TCP connected: ${name} @ ${ip} [${sw}/${ver}]`);
-
-                // Track in discovered devices
-                this.discoveredDevices.set(ip, {
-                    ip, name, software: sw, version: ver,
-                    port: connInfo.port || 0,
-                    status: 'connected',
-                    lastSeen: new Date().toISOString(),
-                });
-
-                this.state.device.name = name;
-                this.state.device.ip = ip;
-                this.state.device.softwareName = sw;
-                this.state.device.softwareVersion = ver;
-                this.state.device.connectionState = 'connected';
-                this.connected = true;
-                this._connectedIp = ip;
-                this.emit('deviceReady', { ip, deviceName: name, softwareName: sw, softwareVersion: ver });
-                this.emit('stateUpdate', this.state);
+                this._record('connected', [connInfo]);
+                this._onDeviceConnected(connInfo);
             });
 
             // Track loaded
             devices.on('trackLoaded', (status) => {
+                this._record('trackLoaded', [status]);
                 console.log(`[StagelinQ] 🎵 Track loaded on deck ${status.deck || status.player}: ${status.artist} - ${status.title}`);
-                this._applyPlayerStatus(status);
-                this.emit('stateUpdate', this.state);
+                this._onPlayerStatus(status);
             });
 
             // Now playing
             devices.on('nowPlaying', (status) => {
+                this._record('nowPlaying', [status]);
                 console.log(`[StagelinQ] ▶️  Now playing on deck ${status.deck || status.player}: ${status.artist} - ${status.title}`);
-                this._applyPlayerStatus(status);
-                this.emit('stateUpdate', this.state);
+                this._onPlayerStatus(status);
             });
 
             // State changed — the main real-time update event
             devices.on('stateChanged', (status) => {
-                this._applyPlayerStatus(status);
-                this.emit('stateUpdate', this.state);
+                this._record('stateChanged', [status]);
+                this._onPlayerStatus(status);
             });
 
             // Raw messages for additional data
             devices.on('message', (connInfo, serviceMessage) => {
-                if (serviceMessage && serviceMessage.message) {
-                    const data = serviceMessage.message;
-                    messageCount++;
-                    // Log first 20 messages to help debug data flow
-                    if (messageCount <= 20) {
-                        const val = data.json ? JSON.stringify(data.json) : data.interval;
-                        console.log(`[StagelinQ] 📨 Message #${messageCount}: ${data.name} => ${val}`);
-                    } else if (messageCount === 21) {
-                        console.log('[StagelinQ] 📨 (further messages suppressed, data is flowing)');
-                    }
-                    if (data.name) {
-                        // Extract value from json payload
-                        const json = data.json;
-                        const value = json
-                            ? (json.value !== undefined ? json.value
-                                : json.state !== undefined ? json.state
-                                    : json.string !== undefined ? json.string
-                                        : json.color !== undefined ? json.color
-                                            : json)
-                            : data.value;
-                        this._processRawStateChange(data.name, value);
-                        this.emit('stateUpdate', this.state);
-                    }
-                }
+                this._record('message', [connInfo, serviceMessage]);
+                this._onRawMessage(connInfo, serviceMessage);
             });
 
             // BeatInfo — real-time beat/sample position per deck
             this.stagelinqInstance.on('beatMessage', (beatData) => {
-                if (beatData && beatData.decks) {
-                    beatData.decks.forEach((deckBeat, idx) => {
-                        const deckNum = idx + 1;
-                        if (this.state.decks[deckNum]) {
-                            const deck = this.state.decks[deckNum];
-                            deck.beatPosition = deckBeat.beat || 0;
-                            deck.totalBeats = deckBeat.totalBeats || 0;
-                            // Calculate current position from samples
-                            if (deckBeat.samples && deck.sampleRate > 0) {
-                                deck.currentPosition = deckBeat.samples / deck.sampleRate;
-                            }
-                        }
-                    });
-                    this.emit('stateUpdate', this.state);
-                }
+                this._record('beatMessage', [beatData]);
+                this._onBeatMessage(beatData);
             });
 
-            // Database downloaded — store path for artwork queries
+            // Database downloaded — store path for library and artwork queries
             this.stagelinqInstance.on('dbDownloaded', (sourceId, dbPath) => {
                 console.log(`[StagelinQ] 💾 Database downloaded: ${sourceId} → ${dbPath}`);
                 this._dbPaths.set(sourceId, dbPath);
+                this.emit('databaseReady', sourceId);
             });
 
             this.stagelinqInstance.on('dbProgress', (sourceId, total, downloaded, percent) => {
@@ -212,19 +386,283 @@ class StagelinqManager extends EventEmitter {
             // Listen for the 'listening' event from the instance
             this.stagelinqInstance.on('listening', () => {
                 console.log('[StagelinQ] 📡 Listening for devices on the network...');
-                this.state.device.connectionState = 'discovering';
-                this.emit('stateUpdate', this.state);
+                this._networkState = 'discovering';
+                this._updateDeviceSummary();
+                this._emitState();
             });
 
-            console.log('[StagelinQ] Connecting to StagelinQ network...');
-            await this.stagelinqInstance.connect();
+            const iface = this._resolveInterface();
+            if (iface) {
+                await this._startDiscovery(stagelinqLib, iface);
+            } else {
+                console.log('[StagelinQ] Connecting to StagelinQ network...');
+                await this.stagelinqInstance.connect();
+            }
             console.log('[StagelinQ] ✅ StagelinQ listener started — waiting for device discovery');
+            this._startWatchdog();
 
         } catch (err) {
             console.error('[StagelinQ] ❌ Failed to start:', err.message);
-            this.state.device.connectionState = 'error';
-            this.emit('stateUpdate', this.state);
+            this._networkState = 'error';
+            this._updateDeviceSummary();
+            this._emitState();
+        }
+    }
+
+    /**
+     * The interface selected in settings, or null for all interfaces — also when
+     * the saved interface has disappeared (unplugged adapter, VPN down).
+     */
+    _resolveInterface() {
+        if (this.networkInterface === 'auto') return null;
+        const iface = DeviceDiscovery.findInterface(this.networkInterface);
+        if (!iface) {
+            console.warn(`[StagelinQ] ⚠️  Interface ${this.networkInterface} not found — discovering on all interfaces`);
+        }
+        return iface;
+    }
+
+    /**
+     * Discovery on one interface. The library instance is used for everything
+     * after discovery; only its all-interface listener and announcer are replaced.
+     */
+    async _startDiscovery(stagelinqLib, iface) {
+        const actingAs = this.stagelinqInstance.options?.actingAs || stagelinqLib.ActingAsDevice?.NowPlaying;
+        if (!actingAs) throw new Error('stagelinq ActingAsDevice not found');
+        this.discovery = new DeviceDiscovery({ iface, actingAs });
+        this.discovery.on('device', (connectionInfo) => {
+            Promise.resolve(this.stagelinqInstance?.devices.handleDevice(connectionInfo)).catch((err) => this._onDeviceError(err));
+        });
+        this.discovery.on('error', (err) => console.warn('[Discovery] ⚠️ ', err.message));
+        await this.discovery.start();
+        this._networkState = 'discovering';
+        this._updateDeviceSummary();
+        this._emitState();
+    }
+
+    /**
+     * Where discovery is running: the saved setting, the interface actually bound
+     * (null = all interfaces) and whether the saved interface is missing.
+     */
+    getDiscoveryStatus() {
+        return {
+            networkInterface: this.networkInterface,
+            boundTo: this.discovery ? { ...this.discovery.iface, broadcast: this.discovery.broadcastAddress } : null,
+            interfaceMissing: this.networkInterface !== 'auto' && !DeviceDiscovery.findInterface(this.networkInterface),
+        };
+    }
+
+    /**
+     * Change the discovery interface. In live mode the StagelinQ session is
+     * restarted in-process so the listener and announcer rebind.
+     */
+    async setNetworkInterface(address) {
+        if (address === this.networkInterface) return;
+        this.networkInterface = address || 'auto';
+        if (this.mode === 'live') await this.restart('live');
+    }
+
+    _emitState() {
+        if (!this._quiet) this.emit('stateUpdate', this.state);
+    }
+
+    _record(type, args) {
+        if (this.eventRecorder.active) this.eventRecorder.write(type, args);
+    }
+
+    /**
+     * Start writing raw library events to a recording file (live mode only).
+     */
+    startRecording() {
+        if (this.mode !== 'live') throw new Error('只能在 Live 模式下录制');
+        return this.eventRecorder.start();
+    }
+
+    stopRecording() {
+        return this.eventRecorder.stop();
+    }
+
+    getRecordingStatus() {
+        return this.eventRecorder.status();
+    }
+
+    // ─── Replay ─────────────────────────────────────────────────────────────
+
+    /**
+     * Play a recording through the same handlers live events use.
+     */
+    async _startReplay() {
+        const file = EventRecorder.resolve(this.replayFile);
+        if (!file) throw new Error(`找不到录制文件: ${this.replayFile}`);
+        const player = new ReplayPlayer(file, { loop: true });
+        // Set before loading, so a stop() meanwhile can tell it was superseded
+        this.replay = player;
+        try {
+            await player.load();
+        } catch (err) {
+            if (this.replay === player) this.replay = null;
+            throw err;
         }
+        if (this.replay !== player) return;
+        this._messageCount = 0;
+        player.on('event', (evt) => this._dispatchRecorded(evt));
+        player.on('reset', () => {
+            this._quiet = true;
+            this.state = this._createEmptyState();
+            this.discoveredDevices.clear();
+        });
+        player.on('seeked', () => {
+            this._quiet = false;
+            this._updateDeviceSummary();
+            this._emitState();
+        });
+        player.on('status', (status) => this.emit('replayStatus', status));
+        player.on('end', () => console.log('[Replay] ⏹️  End of recording'));
+        player.play();
+    }
+
+    _dispatchRecorded({ type, args = [] }) {
+        switch (type) {
+            case 'connected': this._onDeviceConnected(args[0]); break;
+            case 'message': this._onRawMessage(args[0], args[1]); break;
+            case 'stateChanged':
+            case 'trackLoaded':
+            case 'nowPlaying': this._onPlayerStatus(args[0]); break;
+            case 'beatMessage': this._onBeatMessage(args[0]); break;
+        }
+    }
+
+    /**
+     * Replay transport: { playing, position (ms), speed, loop } — any subset.
+     */
+    controlReplay({ playing, position, speed, loop } = {}) {
+        if (!this.replay) throw new Error('当前不在回放模式');
+        if (speed !== undefined) this.replay.setSpeed(speed);
+        if (loop !== undefined) this.replay.setLoop(loop);
+        if (position !== undefined) this.replay.seek(position);
+        if (playing === true) this.replay.play();
+        if (playing === false) this.replay.pause();
+        return this.replay.status();
+    }
+
+    getReplayStatus() {
+        return this.replay ? this.replay.status() : null;
+    }
+
+    /**
+     * A device finished its TCP handshake. Each device gets its own record;
+     * other connected devices are left untouched.
+     */
+    _onDeviceConnected(connInfo) {
+        const ip = connInfo.address || '';
+        const name = connInfo.source || 'Unknown';
+        const sw = connInfo.software?.name || '';
+        const ver = connInfo.software?.version || '';
+        console.log(`[StagelinQ] 🔗 Device TCP connected: ${name} @ ${ip} [${sw}/${ver}]`);
+
+        // Track in discovered devices
+        this.discoveredDevices.set(ip, {
+            ip, name, software: sw, version: ver,
+            port: connInfo.port || 0,
+            status: 'connected',
+            lastSeen: new Date().toISOString(),
+        });
+
+        this._cancelReconnect(ip);
+        const device = this._getDevice(ip);
+        Object.assign(device, {
+            name, port: connInfo.port || 0,
+            tokenId: tokenHex(connInfo.token) || device.tokenId,
+            softwareName: sw, softwareVersion: ver,
+            connectionState: 'connected', error: '', reconnect: null,
+            connectedAt: new Date().toISOString(),
+            lastSeen: new Date().toISOString(),
+        });
+        this._refreshDeckMapping(device);
+        this._updateDeviceSummary();
+        if (!this._quiet) {
+            this.emit('deviceReady', {
+                ip, deviceName: name, softwareName: sw, softwareVersion: ver,
+                tokenId: device.tokenId, port: connInfo.port || 0, manual: this._manualDevices.has(ip),
+            });
+        }
+        this._emitState();
+    }
+
+    /**
+     * Errors from the library carry no device object; attribute them by the
+     * address mentioned in the message when possible.
+     */
+    _onDeviceError(err) {
+        const message = err?.message || String(err);
+        console.error('[StagelinQ] ❌ Device error (caught):', message);
+        const device = Object.values(this.state.devices).find(d => d.ip && message.includes(d.ip));
+        if (device) {
+            device.error = message;
+            if (device.connectionState !== 'connected') device.connectionState = 'error';
+            this._updateDeviceSummary();
+            this._emitState();
+        }
+    }
+
+    _onPlayerStatus(status) {
+        this._applyPlayerStatus(status);
+        this._emitState();
+    }
+
+    _onRawMessage(connInfo, serviceMessage) {
+        // Every message is a sign of life, directory timestamps included
+        this._markSeen(connInfo?.address);
+        if (!serviceMessage || !serviceMessage.message) return;
+        const data = serviceMessage.message;
+        this._messageCount = (this._messageCount || 0) + 1;
+        // Log first 20 messages to help debug data flow
+        if (this._messageCount <= 20) {
+            const val = data.json ? JSON.stringify(data.json) : data.interval;
+            console.log(`[StagelinQ] 📨 Message #${this._messageCount}: ${data.name} => ${val}`);
+        } else if (this._messageCount === 21) {
+            console.log('[StagelinQ] 📨 (further messages suppressed, data is flowing)');
+        }
+        if (!data.name) return;
+        // Extract value from json payload
+        const json = data.json;
+        const value = json
+            ? (json.value !== undefined ? json.value
+                : json.state !== undefined ? json.state
+                    : json.string !== undefined ? json.string
+                        : json.color !== undefined ? json.color
+                            : json)
+            : data.value;
+        const ip = connInfo?.address || '';
+        const mapped = this._processRawStateChange(data.name, value, ip);
+        this.emit('rawState', { path: data.name, value, device: ip, mapped });
+        this._emitState();
+    }
+
+    /**
+     * BeatInfo — beat/sample position per deck. Re-emitted as 'beatInfo' keyed by deck number.
+     */
+    _onBeatMessage(beatData) {
+        if (!beatData || !beatData.decks) return;
+        const decks = [];
+        beatData.decks.forEach((deckBeat, idx) => {
+            const deckNum = idx + 1;
+            if (this.state.decks[deckNum]) {
+                const deck = this.state.decks[deckNum];
+                deck.beatPosition = deckBeat.beat || 0;
+                deck.totalBeats = deckBeat.totalBeats || 0;
+                // Calculate current position from samples
+                if (deckBeat.samples && deck.sampleRate > 0) {
+                    deck.currentPosition = deckBeat.samples / deck.sampleRate;
+                }
+                decks.push({
+                    deck: deckNum, beat: deck.beatPosition, totalBeats: deck.totalBeats,
+                    bpm: deckBeat.bpm || 0, position: deck.currentPosition,
+                });
+            }
+        });
+        if (!this._quiet) this.emit('beatInfo', { clock: Number(beatData.clock) || 0, decks });
+        this._emitState();
     }
 
     /**
@@ -279,14 +717,26 @@ class StagelinqManager extends EventEmitter {
             }
         }
 
-        // Update device info from status
-        if (status.address) this.state.device.ip = status.address;
-        if (status.source) this.state.device.name = status.source;
+        // The reporting device owns this deck slot
+        if (status.address) {
+            this._claimDeck(deckNum, status.address);
+            this._markSeen(status.address);
+        }
     }
 
     _resolveDeckNumber(status) {
         // status.deck could be '1A', '2B', 'A','B','C','D' or '1','2','3','4'
         // status.player could be 1,2,3,4
+        const device = this.state.devices[status.address];
+        const layerMatch = String(status.layer || status.deck || '').match(/[A-D]/i);
+        if (device && layerMatch) {
+            const player = parseInt(status.player);
+            if (player > 0 && player !== device.player) {
+                device.player = player;
+                this._refreshDeckMapping(device);
+            }
+            return deckMapping.slotFor(device, layerMatch[0]);
+        }
         if (status.deck) {
             const d = String(status.deck);
             // Handle composite strings like "1A", "2B" by extracting the letter
@@ -304,29 +754,21 @@ class StagelinqManager extends EventEmitter {
 
     /**
      * Process raw StateMap path/value changes (from raw 'message' events).
+     * @returns {boolean} true when the path feeds Mixboard state, false when it is ignored
      */
-    _processRawStateChange(path, value) {
-        if (!path) return;
-
-        // DEBUG: Catch exact string paths for SD / USB / Hotcue
-        if (path.toLowerCase().includes('sdcard') ||
-            path.toLowerCase().includes('usb') ||
-            path.toLowerCase().includes('hotcue') ||
-            path.toLowerCase().includes('activedeck')) {
-            console.log(`[STATE DEBUG] ${path} = ${value !== undefined ? typeof value + ' ' + value : 'undefined'}`);
-        }
+    _processRawStateChange(path, value, ip = '') {
+        if (!path) return false;
+        const device = this.state.devices[ip] || null;
 
         // Deck states: /Engine/DeckN/...
         const deckMatch = path.match(/\/Engine\/Deck(\d)\/(.*)/);
         if (deckMatch) {
-            const deckNum = parseInt(deckMatch[1]);
+            // DeckN is the device's layer N; map it like PlayerStatus decks
+            const deckNum = device
+                ? deckMapping.slotFor(device, deckMapping.LAYERS[parseInt(deckMatch[1]) - 1])
+                : parseInt(deckMatch[1]);
             let key = deckMatch[2];
 
-            // LOG BPM paths to figure out where Track BPM comes from
-            if (key.toLowerCase().includes('bpm')) {
-                console.log(`[BPM Debug] Deck ${deckNum} ${key}: ${value}`);
-            }
-
             // Handle Track/ sub-paths: strip prefix except when we need to distinguish
             // Track/CurrentBPM (original BPM) vs CurrentBPM (playing BPM)
             if (key === 'Track/CurrentBPM') {
@@ -336,10 +778,9 @@ class StagelinqManager extends EventEmitter {
             }
 
             // Route standard deck properties
-            if (this.state.decks[deckNum]) {
-                this._applyRawDeckState(deckNum, key, value);
-            }
-            return;
+            if (!this.state.decks[deckNum]) return false;
+            if (device) this._claimDeck(deckNum, ip);
+            return this._applyRawDeckState(deckNum, key, value);
         }
 
         // Sync network master status: /Engine/Sync/Network/MasterStatus
@@ -348,56 +789,74 @@ class StagelinqManager extends EventEmitter {
             // or we might need to rely on the PlayerStatus events which have the deck context.
             // The value is just a boolean. We will ignore the raw message here and prefer
             // the 'masterStatus' from PlayerStatus which correctly attributes to a deck.
-            return;
+            return false;
         }
 
         // Mixer states: /Mixer/...
         const mixerMatch = path.match(/\/Mixer\/(.*)/);
         if (mixerMatch) {
-            this._applyMixerState(mixerMatch[1], value);
-            return;
+            return this._applyMixerState(mixerMatch[1], value);
+        }
+
+        // Player number configured on the unit (standalone players)
+        if (path === '/Client/Preferences/Player') {
+            const player = parseInt(value);
+            if (device && player > 0 && player !== device.player) {
+                device.player = player;
+                this._refreshDeckMapping(device);
+            }
+            return true;
         }
 
         if (path.includes('DeckCount')) {
-            this.state.device.deckCount = parseInt(value) || 2;
+            if (device) device.deckCount = parseInt(value) || 2;
+            this._updateDeviceSummary();
+            return true;
         }
 
         // Client paths: /Client/DeckN/DeckIsMaster, /Client/Preferences/...
         const clientDeckMatch = path.match(/\/Client\/Deck(\d)\/(.*)/);
         if (clientDeckMatch) {
-            const deckNum = parseInt(clientDeckMatch[1]);
+            const deckNum = device
+                ? deckMapping.slotFor(device, deckMapping.LAYERS[parseInt(clientDeckMatch[1]) - 1])
+                : parseInt(clientDeckMatch[1]);
             const key = clientDeckMatch[2];
-            if (this.state.decks[deckNum]) {
-                this._applyRawDeckState(deckNum, key, value);
-            }
-            return;
+            if (!this.state.decks[deckNum]) return false;
+            return this._applyRawDeckState(deckNum, key, value);
         }
 
-        // Librarian USB/SD card state
+        // Librarian USB/SD card state (per device)
         if (path === '/Client/Librarian/DevicesController/HasSDCardConnected') {
-            this.state.device.hasSDCard = !!value;
-            return;
+            if (device) device.hasSDCard = !!value;
+            this._updateDeviceSummary();
+            return true;
         }
         if (path === '/Client/Librarian/DevicesController/HasUsbDeviceConnected') {
-            this.state.device.hasUsb = !!value;
-            return;
+            if (device) device.hasUsb = !!value;
+            this._updateDeviceSummary();
+            return true;
         }
 
         // Active Deck (GUI state)
         if (path === '/GUI/Decks/Deck/ActiveDeck') {
             // value is usually an integer representation or 'Deck1', 'DeckA', etc.
             const strVal = String(value);
-            if (strVal.includes('Deck')) {
-                this.state.device.activeDeck = parseInt(strVal.replace('Deck', '')) || 1;
-            } else {
-                this.state.device.activeDeck = parseInt(strVal) || 1;
-            }
-            return;
+            const activeDeck = strVal.includes('Deck')
+                ? parseInt(strVal.replace('Deck', '')) || 1
+                : parseInt(strVal) || 1;
+            if (device) device.activeDeck = activeDeck;
+            this.state.device.activeDeck = activeDeck;
+            return true;
         }
+        return false;
     }
 
+    /**
+     * @returns {boolean} whether the key is one Mixboard understands
+     */
     _applyRawDeckState(deckNum, key, value) {
         const deck = this.state.decks[deckNum];
+        let handled = true;
         switch (key) {
             case 'ArtistName': deck.artistName = String(value || ''); break;
             case 'SongName':
@@ -463,6 +922,7 @@ class StagelinqManager extends EventEmitter {
                 deck.currentLoopOutPosition = deck.sampleRate > 0 ? deck.loopOutRaw / deck.sampleRate : 0;
                 break;
             case 'CurrentLoopSizeInBeats': deck.currentLoopSizeInBeats = parseFloat(value) || 0; break;
+            default: handled = false;
         }
 
         // Handle Hotcue1-8
@@ -475,7 +935,9 @@ class StagelinqManager extends EventEmitter {
                 if (!deck.hotcues[num]) deck.hotcues[num] = {};
                 deck.hotcues[num].state = !!value;
             }
+            handled = true;
         }
+        return handled;
     }
 
     _applyMixerState(key, value) {
@@ -485,117 +947,24 @@ class StagelinqManager extends EventEmitter {
             case 'CH3faderPosition': this.state.mixer.ch3Fader = parseFloat(value) || 0; break;
             case 'CH4faderPosition': this.state.mixer.ch4Fader = parseFloat(value) || 0; break;
             case 'CrossfaderPosition': this.state.mixer.crossfader = parseFloat(value) || 0; break;
+            default: return false;
         }
+        return true;
     }
 
     /**
-     * Start demo mode with simulated data.
+     * Start demo mode: run the selected scenario through the simulator.
      */
     _startDemo() {
-        this.state.device.name = 'Denon Prime 4 (Demo)';
-        this.state.device.ip = '169.254.13.37';
-        this.state.device.softwareName = 'JP11';
-        this.state.device.softwareVersion = '3.4.0';
-        this.state.device.connectionState = 'connected';
-        this._connectedIp = '169.254.13.37';
-
-        // Populate demo discovered devices
-        this.discoveredDevices.set('169.254.13.37', {
-            ip: '169.254.13.37', name: 'Denon Prime 4', software: 'JP11', version: '3.4.0',
-            port: 50000, status: 'connected', lastSeen: new Date().toISOString(),
-        });
-        this.discoveredDevices.set('169.254.13.38', {
-            ip: '169.254.13.38', name: 'Denon SC6000M', software: 'JP11', version: '3.3.1',
-            port: 50001, status: 'discovered', lastSeen: new Date().toISOString(),
-        });
-        this.discoveredDevices.set('169.254.13.39', {
-            ip: '169.254.13.39', name: 'Denon X1850', software: 'JP11', version: '2.1.0',
-            port: 50002, status: 'discovered', lastSeen: new Date().toISOString(),
-        });
-        this.state.device.deckCount = 4;
-        this.state.device.hasSDCard = true;
-        this.state.device.hasUsb = true;
-
-        // Deck 1 - Playing
-        Object.assign(this.state.decks[1], {
-            trackName: 'Strobe',
-            artistName: 'deadmau5',
-            songName: 'Strobe',
-            trackLength: 637.8,
-            songLoaded: true, songAnalyzed: true,
-            play: true, playState: true,
-            currentBPM: 128.00, trackBPM: 128.00,
-            speed: 0, speedRange: 0.08,
-            syncMode: 1, deckIsMaster: true, masterTempo: 1,
-            currentKeyIndex: 14, currentKey: '8A (Am)', keyLock: true,
-            externalScratchWheelTouch: false, externalMixerVolume: 0.8,
-            cuePosition: 32.5,
-            loopEnableState: false, currentLoopInPosition: 0, currentLoopOutPosition: 0, currentLoopSizeInBeats: 4,
-            hotcues: {
-                1: { state: true, color: 0xFF22C55E }, // Green
-                2: { state: true, color: 0xFF3B82F6 }, // Blue
-                3: { state: false },
-                4: { state: false },
-                5: { state: true, color: 0xFFEF4444 }, // Red
-                6: { state: false },
-                7: { state: false },
-                8: { state: false },
-            }
-        });
-
-        // Deck 2 - Cued
-        Object.assign(this.state.decks[2], {
-            trackName: 'Opus',
-            artistName: 'Eric Prydz',
-            songName: 'Opus',
-            trackLength: 540.2,
-            songLoaded: true, songAnalyzed: true,
-            play: false, playState: false,
-            currentBPM: 126.50, trackBPM: 126.00,
-            speed: 0.004, speedRange: 0.08,
-            syncMode: 1, deckIsMaster: false, masterTempo: 0,
-            currentKeyIndex: 8, currentKey: '5A (Cm)', keyLock: false,
-            externalScratchWheelTouch: false, externalMixerVolume: 0,
-            cuePosition: 16.0,
-            loopEnableState: true, currentLoopInPosition: 64.0, currentLoopOutPosition: 80.0, currentLoopSizeInBeats: 8,
-            hotcues: {
-                1: { state: true, color: 0xFF8B5CF6 }, // Purple
-                2: { state: false },
-                3: { state: false },
-                4: { state: false },
-                5: { state: false },
-                6: { state: false },
-                7: { state: false },
-                8: { state: true, color: 0xFFF59E0B }, // Orange
-            }
-        });
-
-        Object.assign(this.state.decks[3], { songLoaded: false });
-        Object.assign(this.state.decks[4], { songLoaded: false });
-
-        Object.assign(this.state.mixer, {
-            ch1Fader: 0.85, ch2Fader: 0.0, ch3Fader: 0.0, ch4Fader: 0.0,
-            crossfader: 0.5,
-        });
-
-        this.connected = true;
-        this.emit('deviceReady', {
-            ip: this.state.device.ip,
-            deviceName: this.state.device.name,
-            softwareName: this.state.device.softwareName,
-            softwareVersion: this.state.device.softwareVersion,
-        });
-        this.emit('stateUpdate', this.state);
+        const scenario = DemoSimulator.loadScenario(this.scenario || DemoSimulator.DEFAULT_SCENARIO);
+        console.log(`[StagelinqManager] 🎭 Demo scenario: ${scenario.name}`);
+        this.simulator = new DemoSimulator(this, scenario);
+        this.simulator.start();
+        this._emitState();
+    }
 
-        // Simulate periodic state changes
-        let tick = 0;
-        this._demoInterval = setInterval(() => {
-            tick++;
-            this.state.decks[1].currentBPM = 128.00 + Math.sin(tick * 0.1) * 0.02;
-            this.state.mixer.crossfader = 0.5 + Math.sin(tick * 0.05) * 0.1;
-            this.state.decks[1].externalMixerVolume = 0.78 + Math.random() * 0.04;
-            this.emit('stateUpdate', this.state);
-        }, 500);
+    getDemoStatus() {
+        return this.simulator ? this.simulator.status() : null;
     }
 
     getState() {
@@ -606,6 +975,10 @@ class StagelinqManager extends EventEmitter {
         return this.demoMode;
     }
 
+    getMode() {
+        return this.mode;
+    }
+
     /**
      * Return the list of discovered devices.
      */
@@ -615,80 +988,326 @@ class StagelinqManager extends EventEmitter {
 
     /**
      * Manually attempt to connect to a device by IP.
-     * In demo mode this simulates a connection test.
+     * In demo mode this simulates a connection test; in live mode the address
+     * is probed and a StagelinQ session is opened without waiting for discovery.
+     * @param {object} [options] { port, name, softwareName, softwareVersion } — from history when known;
+     *   `manual: false` for supervisor retries, which should not mark the device as added by address
+     * @returns {Promise<{ ok: boolean, message?: string, reason?: string, error?: string, port?: number }>}
      */
-    async connectToDevice(ip) {
+    async connectToDevice(ip, options = {}) {
         console.log(`[StagelinqManager] Manual connect request to ${ip}`);
 
         if (this.demoMode) {
+            // Scenario devices come back with their decks
+            if (this.simulator && this.simulator.connect(ip)) {
+                this._emitState();
+                return { ok: true, message: `已连接到 ${this.state.devices[ip].name}` };
+            }
             // Simulate a connection test in demo mode
-            const existing = this.discoveredDevices.get(ip);
-            if (existing) {
-                existing.status = 'connected';
-                existing.lastSeen = new Date().toISOString();
-                this.state.device.name = existing.name;
-                this.state.device.ip = ip;
-                this.state.device.connectionState = 'connected';
-                this._connectedIp = ip;
-                this.connected = true;
-                this.emit('deviceReady', { ip, deviceName: existing.name, softwareName: existing.software, softwareVersion: existing.version });
-                this.emit('stateUpdate', this.state);
-                return { ok: true, message: `已连接到 ${existing.name}` };
+            let dev = this.discoveredDevices.get(ip);
+            if (!dev) {
+                // Simulate a new device found at this IP
+                dev = {
+                    ip,
+                    name: `Manual Device @ ${ip}`,
+                    software: 'StagelinQ',
+                    version: '1.0.0',
+                    port: options.port || 0,
+                };
+                this.discoveredDevices.set(ip, dev);
             }
-            // Simulate a new device found at this IP
-            const newDev = {
-                ip,
-                name: `Manual Device @ ${ip}`,
-                software: 'StagelinQ',
-                version: '1.0.0',
-                port: 0,
-                status: 'connected',
-                lastSeen: new Date().toISOString(),
-            };
-            this.discoveredDevices.set(ip, newDev);
-            this.state.device.name = newDev.name;
-            this.state.device.ip = ip;
-            this.state.device.connectionState = 'connected';
-            this._connectedIp = ip;
-            this.connected = true;
-            this.emit('deviceReady', { ip, deviceName: newDev.name, softwareName: newDev.software, softwareVersion: newDev.version });
-            this.emit('stateUpdate', this.state);
-            return { ok: true, message: `已连接到 ${newDev.name}` };
+            dev.status = 'connected';
+            dev.lastSeen = new Date().toISOString();
+            this._manualDevices.add(ip);
+            this._onDeviceConnected({
+                address: ip, port: dev.port, source: dev.name,
+                software: { name: dev.software, version: dev.version },
+            });
+            return { ok: true, message: `已连接到 ${dev.name}` };
+        }
+
+        if (this.mode !== 'live' || !this.stagelinqInstance) {
+            return { ok: false, reason: 'unavailable', error: 'StagelinQ 未启动' };
+        }
+        if (this.state.devices[ip]?.connectionState === 'connected') {
+            return { ok: true, message: `${this.state.devices[ip].name} 已连接` };
+        }
+
+        const known = this.discoveredDevices.get(ip) || {};
+        const port = Number(options.port) || known.port;
+        if (!port) {
+            return { ok: false, reason: 'port', error: `未知 ${ip} 的 StagelinQ 端口，请手动填写` };
+        }
+
+        const device = this._getDevice(ip);
+        Object.assign(device, {
+            name: device.name || options.name || known.name || '',
+            softwareName: device.softwareName || options.softwareName || known.software || '',
+            port, connectionState: 'connecting', error: '',
+        });
+        this._updateDeviceSummary();
+        this._emitState();
+
+        let token;
+        try {
+            ({ token } = await DeviceProbe.probe(ip, port));
+        } catch (err) {
+            console.warn(`[StagelinqManager] ❌ Probe ${ip}:${port} failed (${err.code}): ${err.message}`);
+            this._markDeviceDisconnected(device, err.message);
+            this._emitState();
+            return { ok: false, reason: err.code, error: err.message, port };
         }
 
-        // Live mode: try to connect via stagelinq library
-        // Note: The stagelinq library handles device discovery automatically.
-        // Manual IP connection is a feature request — mark as pending for real device testing.
-        return { ok: true, message: `已发送连接请求到 ${ip}，等待设备响应...` };
+        const connectionInfo = {
+            token,
+            address: ip,
+            port,
+            source: options.name || known.name || `Manual @ ${ip}`,
+            action: 'DISCOVERER_HOWDY_',
+            software: {
+                name: options.softwareName || known.software || 'Unknown',
+                version: options.softwareVersion || known.version || '',
+            },
+        };
+        if (options.manual !== false) this._manualDevices.add(ip);
+
+        // The library reports success through the same 'connected' event discovery uses
+        const ready = new Promise((resolve) => {
+            const onReady = (info) => {
+                if (info.ip !== ip) return;
+                clearTimeout(timer);
+                this.removeListener('deviceReady', onReady);
+                resolve(true);
+            };
+            const timer = setTimeout(() => {
+                this.removeListener('deviceReady', onReady);
+                resolve(false);
+            }, MANUAL_CONNECT_TIMEOUT_MS);
+            this.on('deviceReady', onReady);
+        });
+        Promise.resolve(this.stagelinqInstance.devices.handleDevice(connectionInfo)).catch((err) => this._onDeviceError(err));
+
+        if (!(await ready)) {
+            const error = `${ip}:${port} 响应了 StagelinQ，但 ${MANUAL_CONNECT_TIMEOUT_MS / 1000} 秒内未建立会话`;
+            console.warn(`[StagelinqManager] ❌ ${error}`);
+            if (device.connectionState !== 'connected') this._markDeviceDisconnected(device, error);
+            this._emitState();
+            return { ok: false, reason: 'timeout', error, port };
+        }
+        return { ok: true, message: `已连接到 ${this.state.devices[ip].name}`, port };
     }
 
     /**
-     * Disconnect from a specific device by IP.
+     * Disconnect from a specific device by IP. Other devices stay connected;
+     * the deck slots this device owned are cleared.
      */
     async disconnectDevice(ip) {
         console.log(`[StagelinqManager] Disconnect request for ${ip}`);
+        // A deliberate disconnect is not a lost device
+        this._cancelReconnect(ip);
         const dev = this.discoveredDevices.get(ip);
         if (dev) {
             dev.status = 'discovered';
         }
-        if (this._connectedIp === ip || this.state.device.ip === ip) {
-            const prevName = this.state.device.name;
-            this.state.device.connectionState = 'disconnected';
-            this.connected = false;
-            this._connectedIp = null;
-            this.emit('deviceDisconnected', { deviceName: prevName, ip });
-            this.emit('stateUpdate', this.state);
+        this._closeLibraryConnection(ip);
+        const device = this.state.devices[ip];
+        if (device && device.connectionState !== 'disconnected') {
+            const decks = [...device.decks];
+            this._markDeviceDisconnected(device);
+            this.emit('deviceDisconnected', { deviceName: device.name, ip, tokenId: device.tokenId, decks, reason: 'user' });
+            this._emitState();
         }
         return { ok: true, message: `已断开 ${ip}` };
     }
 
+    _markDeviceDisconnected(device, error = '') {
+        device.connectionState = error ? 'error' : 'disconnected';
+        device.error = error;
+        const emptyDecks = this._createEmptyState().decks;
+        for (const n of device.decks) {
+            if (this.state.decks[n] && this.state.decks[n].deviceId === device.id) {
+                this.state.decks[n] = emptyDecks[n];
+            }
+        }
+        device.decks = [];
+        // Slots this player sat on are free again for the others' B layers
+        if (this._isStandalonePlayer(device)) this._refreshPlayerMappings();
+        this._updateDeviceSummary();
+    }
+
+    // ─── Reconnect supervisor ──────────────────────────────────────────────────
+
+    /**
+     * The library does not report lost devices, so devices that have gone quiet
+     * are probed on their directory port; a failed probe means the device is gone.
+     */
+    _startWatchdog() {
+        this._stopWatchdog();
+        this._watchdog = setInterval(() => this._checkDevices(), WATCHDOG_INTERVAL_MS);
+    }
+
+    _stopWatchdog() {
+        if (this._watchdog) clearInterval(this._watchdog);
+        this._watchdog = null;
+        this._probeBackoff.clear();
+    }
+
+    _markSeen(ip) {
+        const device = ip && this.state.devices[ip];
+        if (!device) return;
+        device.lastSeen = new Date().toISOString();
+        this._probeBackoff.delete(ip);
+    }
+
+    async _checkDevices() {
+        if (this._checking) return;
+        this._checking = true;
+        try {
+            const now = Date.now();
+            const silent = Object.values(this.state.devices).filter(d => d.connectionState === 'connected'
+                && d.port && now - Date.parse(d.lastSeen || 0) > SILENCE_MS
+                && now >= (this._probeBackoff.get(d.ip)?.nextAt || 0));
+            for (const device of silent) {
+                try {
+                    await DeviceProbe.probe(device.ip, device.port);
+                    const delay = Math.min(PROBE_BACKOFF_MAX_MS, (this._probeBackoff.get(device.ip)?.delay || SILENCE_MS) * 2);
+                    this._probeBackoff.set(device.ip, { delay, nextAt: Date.now() + delay });
+                } catch (err) {
+                    if (device.connectionState === 'connected') this._onDeviceLost(device, err.message);
+                }
+            }
+        } finally {
+            this._checking = false;
+        }
+    }
+
+    _onDeviceLost(device, reason) {
+        console.warn(`[StagelinQ] ⚠️  Lost ${device.name} @ ${device.ip}: ${reason}`);
+        this._probeBackoff.delete(device.ip);
+        this._closeLibraryConnection(device.ip, { forget: true });
+        const dev = this.discoveredDevices.get(device.ip);
+        if (dev) dev.status = 'lost';
+        const decks = [...device.decks];
+        this._markDeviceDisconnected(device, `连接丢失: ${reason}`);
+        this.emit('deviceDisconnected', { deviceName: device.name, ip: device.ip, tokenId: device.tokenId, decks, reason: 'lost' });
+        this.scheduleReconnect(device.ip);
+        this._emitState();
+    }
+
+    /**
+     * Retry a device after a backoff, if `shouldReconnect` allows it.
+     * Each failed attempt schedules the next one; a connect from any source ends the cycle.
+     * @returns {boolean} whether a retry was scheduled
+     */
+    scheduleReconnect(ip) {
+        const device = this.state.devices[ip];
+        if (this.mode !== 'live' || !device || device.connectionState === 'connected') return false;
+        if (!this.shouldReconnect(device)) {
+            this._cancelReconnect(ip);
+            return false;
+        }
+        const entry = this._reconnects.get(ip) || { attempt: 0, timer: null };
+        clearTimeout(entry.timer);
+        entry.attempt++;
+        const backoff = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (entry.attempt - 1));
+        const delay = Math.round(backoff * (1 + (Math.random() * 2 - 1) * RECONNECT_JITTER));
+        entry.timer = setTimeout(() => this._attemptReconnect(ip), delay);
+        this._reconnects.set(ip, entry);
+
+        device.connectionState = 'reconnecting';
+        device.reconnect = { attempt: entry.attempt, nextAt: new Date(Date.now() + delay).toISOString() };
+        console.log(`[StagelinQ] 🔁 Reconnect ${device.name || ip} — attempt ${entry.attempt} in ${(delay / 1000).toFixed(1)}s`);
+        this._updateDeviceSummary();
+        this._emitState();
+        return true;
+    }
+
+    async _attemptReconnect(ip) {
+        const device = this.state.devices[ip];
+        if (!device || !this._reconnects.has(ip)) return;
+        if (device.reconnect) device.reconnect.nextAt = null;
+        const result = await this.connectToDevice(ip, {
+            port: device.port, name: device.name,
+            softwareName: device.softwareName, softwareVersion: device.softwareVersion,
+            manual: false,
+        });
+        // Cancelled (deliberate disconnect, mode switch) while the attempt was running
+        if (!this._reconnects.has(ip)) return;
+        if (!result.ok) this.scheduleReconnect(ip);
+    }
+
+    _cancelReconnect(ip) {
+        const entry = this._reconnects.get(ip);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        this._reconnects.delete(ip);
+        const device = this.state.devices[ip];
+        if (device) {
+            device.reconnect = null;
+            if (device.connectionState === 'reconnecting') device.connectionState = 'disconnected';
+        }
+    }
+
+    /**
+     * Stop retrying a device (e.g. auto-connect switched off in history).
+     */
+    cancelReconnect(ip) {
+        if (!this._reconnects.has(ip)) return;
+        this._cancelReconnect(ip);
+        this._updateDeviceSummary();
+        this._emitState();
+    }
+
+    /**
+     * Close the library's TCP session(s) for one device, leaving the others up.
+     * With `forget`, the library also drops its connection status for the device,
+     * so a later discovery broadcast or directed connect is not ignored as a duplicate.
+     */
+    _closeLibraryConnection(ip, { forget = false } = {}) {
+        const devices = this.stagelinqInstance?.devices;
+        const registry = devices?.devices;
+        if (!registry || typeof registry.forEach !== 'function') return;
+        registry.forEach((entry, key) => {
+            const nd = entry?.networkDevice;
+            const address = nd?.connectionInfo?.address || entry?.connectionInfo?.address;
+            if (nd && address === ip) {
+                try { nd.disconnect(); } catch (e) {
+                    console.warn(`[StagelinqManager] Disconnect ${ip} failed:`, e.message);
+                }
+                if (forget) registry.delete(key);
+            }
+        });
+        // Library device ids are "<address>:<port>:[<source>/<software>]"
+        const status = devices.discoveryStatus;
+        if (forget && status && typeof status.keys === 'function') {
+            for (const key of Array.from(status.keys())) {
+                if (String(key).startsWith(`${ip}:`)) status.delete(key);
+            }
+        }
+    }
+
     /**
      * Stop the current connection (demo or live).
      */
     async stop() {
-        if (this._demoInterval) {
-            clearInterval(this._demoInterval);
-            this._demoInterval = null;
+        if (this.simulator) {
+            this.simulator.stop();
+            this.simulator = null;
+        }
+        if (this.replay) {
+            this.replay.stop();
+            this.replay = null;
+        }
+        this.stopRecording();
+        this._stopWatchdog();
+        for (const ip of Array.from(this._reconnects.keys())) this._cancelReconnect(ip);
+        if (this.discovery) {
+            // The instance never ran its own discovery, so its disconnect() would do nothing
+            try {
+                this.stagelinqInstance?.devices.disconnectAll?.();
+                await this.discovery.stop();
+            } catch (e) { /* ignore */ }
+            this.discovery = null;
         }
         if (this.stagelinqInstance) {
             try {
@@ -696,119 +1315,70 @@ class StagelinqManager extends EventEmitter {
             } catch (e) { /* ignore */ }
             this.stagelinqInstance = null;
         }
-        const wasConnected = this.connected;
-        const prevDevice = { ...this.state.device };
+        const prevDevices = Object.values(this.state.devices).filter(d => d.connectionState === 'connected');
         this.connected = false;
-        this._connectedIp = null;
+        this._networkState = 'disconnected';
         this.state = this._createEmptyState();
         this.discoveredDevices.clear();
 
-        if (wasConnected) {
+        for (const device of prevDevices) {
             this.emit('deviceDisconnected', {
-                deviceName: prevDevice.name,
-                ip: prevDevice.ip,
+                deviceName: device.name,
+                ip: device.ip,
+                tokenId: device.tokenId,
+                decks: device.decks,
+                reason: 'stopped',
             });
         }
-        this.emit('stateUpdate', this.state);
+        this._emitState();
     }
 
     /**
-     * Get artwork image buffer for a deck.
-     * Auto-detects Engine Library DB schema (varies across firmware versions).
+     * Attach what the Engine DB knows about the track on a deck; omitted fields are cleared.
+     * @param {{ trackInfo?, cues?, artwork? }} fields
      */
-    async getArtworkBuffer(deckNum) {
+    setTrackInfo(deckNum, { trackInfo = null, cues = null, artwork = null } = {}) {
         const deck = this.state.decks[deckNum];
-        if (!deck || this._dbPaths.size === 0) return null;
-        const trackPath = deck.trackPath || deck.trackUri || '';
-        if (!trackPath && !deck.trackName) return null;
-
-        try {
-            const Database = require('better-sqlite3');
-            const dbPathsToTry = [];
-            if (deck.dbSourceName && this._dbPaths.has(deck.dbSourceName)) {
-                dbPathsToTry.push(this._dbPaths.get(deck.dbSourceName));
-            }
-            for (const [, p] of this._dbPaths) {
-                if (!dbPathsToTry.includes(p)) dbPathsToTry.push(p);
-            }
+        if (!deck) return;
+        deck.trackInfo = trackInfo;
+        deck.cues = cues;
+        deck.artwork = artwork;
+        this._emitState();
+    }
 
-            for (const dbPath of dbPathsToTry) {
-                let db;
-                try {
-                    db = new Database(dbPath, { readonly: true });
-                    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map(r => r.name);
-                    const trackCols = db.prepare("PRAGMA table_info(Track)").all().map(r => r.name);
-
-                    if (!this._schemaLogged) {
-                        this._schemaLogged = true;
-                        console.log(`[Artwork] DB tables: ${tables.join(', ')}`);
-                        console.log(`[Artwork] Track cols: ${trackCols.join(', ')}`);
-                        for (const t of ['AlbumArt', 'Artwork', 'ArtworkData']) {
-                            if (tables.includes(t)) {
-                                const cols = db.prepare(`PRAGMA table_info(${t})`).all().map(r => r.name);
-                                console.log(`[Artwork] ${t} cols: ${cols.join(', ')}`);
-                            }
-                        }
-                    }
-
-                    let trackRow = null;
-                    if (trackPath) trackRow = db.prepare('SELECT * FROM Track WHERE path = ? LIMIT 1').get(trackPath);
-                    if (!trackRow && trackPath) {
-                        const fn = trackPath.split('/').pop();
-                        if (fn) trackRow = db.prepare("SELECT * FROM Track WHERE path LIKE ? LIMIT 1").get('%' + fn);
-                    }
-                    if (!trackRow && deck.trackName) {
-                        try { trackRow = db.prepare("SELECT * FROM Track WHERE filename LIKE ? LIMIT 1").get('%' + deck.trackName + '%'); } catch (_) { }
-                        if (!trackRow) try { trackRow = db.prepare("SELECT * FROM Track WHERE title LIKE ? LIMIT 1").get('%' + deck.trackName + '%'); } catch (_) { }
-                    }
-                    if (!trackRow) { db.close(); continue; }
-
-                    const fkCandidates = ['idAlbumArt', 'idArtwork', 'artworkId', 'albumArtId'];
-                    let artId = null;
-                    for (const col of fkCandidates) {
-                        if (trackCols.includes(col) && trackRow[col]) { artId = trackRow[col]; break; }
-                    }
-                    if (!artId) { db.close(); continue; }
-
-                    for (const artTable of ['AlbumArt', 'Artwork', 'ArtworkData']) {
-                        if (!tables.includes(artTable)) continue;
-                        const artCols = db.prepare(`PRAGMA table_info("${artTable}")`).all().map(r => r.name);
-                        for (const blobCol of ['bitmap', 'albumArt', 'data', 'image', 'artwork']) {
-                            if (!artCols.includes(blobCol)) continue;
-                            const row = db.prepare(`SELECT "${blobCol}" FROM "${artTable}" WHERE id = ?`).get(artId);
-                            if (row && row[blobCol]) {
-                                const buf = Buffer.from(row[blobCol]);
-                                db.close();
-                                console.log('[Artwork] Found for deck ' + deckNum + ': ' + buf.length + ' bytes');
-                                return buf;
-                            }
-                        }
-                        if (artCols.includes('hash')) {
-                            const hRow = db.prepare(`SELECT hash FROM "${artTable}" WHERE id = ?`).get(artId);
-                            if (hRow) console.log('[Artwork] hash=' + hRow.hash + ' but no blob in ' + artTable);
-                        }
-                    }
-                    db.close();
-                } catch (dbErr) {
-                    console.error('[Artwork] DB error:', dbErr.message);
-                    try { db?.close(); } catch (_) { }
-                }
-            }
-        } catch (err) {
-            console.error('[Artwork] Error:', err.message);
-        }
-        return null;
+    /**
+     * Engine databases downloaded so far, one per source (see engine-library.js).
+     * @returns {Array<{ id: string, path: string }>}
+     */
+    getDatabases() {
+        return Array.from(this._dbPaths, ([id, dbPath]) => ({ id, path: dbPath }))
+            .filter(({ path: dbPath }) => fs.existsSync(dbPath));
     }
 
     /**
-     * Hot-swap between Demo and Live modes without restarting the server process.
+     * Switch mode without restarting the process.
+     * @param {string|boolean} mode 'live' | 'demo' | 'replay' (true/false for demo/live)
+     * @param {{ replayFile?: string, scenario?: string }} options replayFile is required for 'replay';
+     *   scenario picks the demo scenario (defaults to the built-in Prime 4 one)
+     * @throws {Error} with .status 400 (unknown mode or invalid scenario) or 404 (missing
+     *   recording or scenario), before the current mode is stopped
      */
-    async restart(newDemoMode) {
-        console.log(`[StagelinqManager] Switching to ${newDemoMode ? 'DEMO' : 'LIVE'} mode...`);
+    async restart(mode, options = {}) {
+        const next = typeof mode === 'boolean' ? (mode ? 'demo' : 'live') : mode;
+        if (!MODES.includes(next)) throw Object.assign(new Error(`未知模式: ${mode}`), { status: 400 });
+        if (next === 'replay' && !EventRecorder.resolve(options.replayFile)) {
+            throw Object.assign(new Error(`找不到录制文件: ${options.replayFile || ''}`), { status: 404 });
+        }
+        // Validate the scenario before tearing down the current mode
+        if (next === 'demo' && options.scenario) DemoSimulator.loadScenario(options.scenario);
+        console.log(`[StagelinqManager] Switching to ${next.toUpperCase()} mode...`);
         await this.stop();
-        this.demoMode = newDemoMode;
+        this.mode = next;
+        this.demoMode = next === 'demo';
+        this.replayFile = next === 'replay' ? options.replayFile : null;
+        this.scenario = next === 'demo' ? options.scenario || null : null;
         await this.start();
-        console.log(`[StagelinqManager] Now running in ${newDemoMode ? 'DEMO' : 'LIVE'} mode`);
+        console.log(`[StagelinqManager] Now running in ${next.toUpperCase()} mode`);
     }
 }
 
@@ -0,0 +1,219 @@
+/**
+ * State Sync
+ * Pushes the manager state to WebSocket clients as JSON-patch deltas against a
+ * versioned snapshot instead of the full object on every StagelinQ message.
+ * Changes are coalesced to at most one message per client per refreshInterval.
+ * Each client may carry a path filter so it only sees the parts it subscribed
+ * to (see ws-protocol.js).
+ *
+ * Server → client:
+ *   { type: 'state', version, data }          — full snapshot
+ *   { type: 'patch', data: { from, to, ops } } — ops: [{ op: 'add'|'replace'|'remove', path, value }]
+ * Client → server:
+ *   { type: 'resync' }                         — client missed a version, send a snapshot
+ */
+
+const DEFAULT_INTERVAL_MS = 500;
+const MIN_INTERVAL_MS = 50;
+const MAX_INTERVAL_MS = 10000;
+// Versions kept for clients that skipped a few flushes
+const HISTORY_SIZE = 20;
+// A client with more than this queued is on a slow link: skip it this round and
+// send the combined patch once its socket has drained
+const MAX_BUFFERED_BYTES = 256 * 1024;
+
+function escapeKey(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * JSON-patch operations turning `prev` into `next`. Objects are diffed key by
+ * key; arrays are small in the state (hotcues, beat lists) and are replaced whole.
+ */
+function diff(prev, next, path = '', ops = []) {
+    for (const key of Object.keys(prev)) {
+        if (!Object.prototype.hasOwnProperty.call(next, key)) ops.push({ op: 'remove', path: `${path}/${escapeKey(key)}` });
+    }
+    for (const key of Object.keys(next)) {
+        const p = `${path}/${escapeKey(key)}`;
+        if (!Object.prototype.hasOwnProperty.call(prev, key)) {
+            ops.push({ op: 'add', path: p, value: next[key] });
+        } else if (isPlainObject(prev[key]) && isPlainObject(next[key])) {
+            diff(prev[key], next[key], p, ops);
+        } else if (!sameValue(prev[key], next[key])) {
+            ops.push({ op: 'replace', path: p, value: next[key] });
+        }
+    }
+    return ops;
+}
+
+/**
+ * Copy of `value` without the subtrees `accept` rejects.
+ * accept(path) returns true (keep), false (drop) or null (look deeper).
+ */
+function filterTree(value, accept, path = '') {
+    if (!isPlainObject(value)) return value;
+    const result = {};
+    for (const key of Object.keys(value)) {
+        const p = `${path}/${escapeKey(key)}`;
+        const verdict = accept(p);
+        if (verdict === true) result[key] = value[key];
+        else if (verdict !== false) result[key] = filterTree(value[key], accept, p);
+    }
+    return result;
+}
+
+function filterOps(ops, accept) {
+    const result = [];
+    for (const op of ops) {
+        const verdict = accept(op.path);
+        if (verdict === false) continue;
+        result.push(verdict === true || op.op === 'remove' ? op : { ...op, value: filterTree(op.value, accept, op.path) });
+    }
+    return result;
+}
+
+class StateSync {
+    constructor(options = {}) {
+        this.interval = this._clampInterval(options.interval);
+        this.version = 0;
+        this.snapshot = {};
+        this.history = [];   // [{ version, ops }], oldest first
+        // ws -> { version, sent, accept }: `version` is how far the client has been
+        // diffed, `sent` the version it was last told about (filtered-out changes
+        // advance the former without a message)
+        this.clients = new Map();
+        this._latest = null;
+        this._dirty = false;
+        this._timer = null;
+    }
+
+    /**
+     * Note a new state; it is diffed and sent on the next flush.
+     */
+    update(state) {
+        this._latest = state;
+        this._dirty = true;
+        if (!this._timer) this._timer = setInterval(() => this._flush(), this.interval);
+    }
+
+    /**
+     * @param {Function} [accept] path filter, see filterTree()
+     */
+    addClient(ws, accept = null) {
+        this._commit();
+        this.clients.set(ws, { version: this.version, sent: this.version, accept });
+        this._sendSnapshot(ws);
+    }
+
+    /**
+     * Change a client's filter; it gets a fresh snapshot of its new view.
+     */
+    setFilter(ws, accept) {
+        const client = this.clients.get(ws);
+        if (!client) return;
+        client.accept = accept;
+        this.resync(ws);
+    }
+
+    removeClient(ws) {
+        this.clients.delete(ws);
+    }
+
+    resync(ws) {
+        if (!this.clients.has(ws)) return;
+        this._commit();
+        this._sendSnapshot(ws);
+    }
+
+    setInterval(ms) {
+        const interval = this._clampInterval(ms);
+        if (interval === this.interval) return;
+        this.interval = interval;
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = setInterval(() => this._flush(), this.interval);
+        }
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    _clampInterval(ms) {
+        const n = parseInt(ms) || DEFAULT_INTERVAL_MS;
+        return Math.max(MIN_INTERVAL_MS, Math.min(MAX_INTERVAL_MS, n));
+    }
+
+    /**
+     * Diff the latest state against the snapshot and store the result as a new version.
+     */
+    _commit() {
+        if (!this._dirty) return;
+        this._dirty = false;
+        const next = JSON.parse(JSON.stringify(this._latest || {}));
+        const ops = diff(this.snapshot, next);
+        this.snapshot = next;
+        if (!ops.length) return;
+        this.version++;
+        this.history.push({ version: this.version, ops });
+        if (this.history.length > HISTORY_SIZE) this.history.shift();
+    }
+
+    _flush() {
+        this._commit();
+        for (const [ws, client] of this.clients) {
+            if (client.version === this.version || ws.readyState !== 1) continue;
+            if (ws.bufferedAmount > MAX_BUFFERED_BYTES) continue;
+            let ops = this._opsSince(client.version);
+            if (ops) {
+                if (client.accept) ops = filterOps(ops, client.accept);
+                if (ops.length) {
+                    ws.send(JSON.stringify({ type: 'patch', data: { from: client.sent, to: this.version, ops } }));
+                    client.sent = this.version;
+                }
+                client.version = this.version;
+            } else {
+                this._sendSnapshot(ws);
+            }
+        }
+        // Idle until the next update once every client has caught up
+        const behind = Array.from(this.clients.values()).some(c => c.version !== this.version);
+        if (!this._dirty && !behind) this.stop();
+    }
+
+    /**
+     * Combined ops from `version` to the current one, or null when the history
+     * no longer reaches back that far.
+     */
+    _opsSince(version) {
+        if (!this.history.length || version < this.history[0].version - 1) return null;
+        const ops = [];
+        for (const entry of this.history) {
+            if (entry.version > version) ops.push(...entry.ops);
+        }
+        return ops;
+    }
+
+    _sendSnapshot(ws) {
+        const client = this.clients.get(ws);
+        if (client) client.version = client.sent = this.version;
+        const data = client && client.accept ? filterTree(this.snapshot, client.accept) : this.snapshot;
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'state', version: this.version, data }));
+    }
+}
+
+StateSync.diff = diff;
+
+module.exports = StateSync;
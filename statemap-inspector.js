@@ -0,0 +1,83 @@
+/**
+ * StateMap Inspector
+ * Keeps the last value of every raw StateMap path seen on the network, so
+ * firmware changes can be debugged from the dashboard instead of console logs.
+ * Changes are batched and emitted as 'changes' for the WebSocket stream.
+ */
+
+const EventEmitter = require('events');
+
+const FLUSH_INTERVAL_MS = 250;
+// Hard cap so a misbehaving device cannot grow the table forever
+const MAX_PATHS = 5000;
+
+function typeOf(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+class StateMapInspector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.flushInterval = options.flushInterval || FLUSH_INTERVAL_MS;
+        this.maxPaths = options.maxPaths || MAX_PATHS;
+        // path -> { path, value, type, count, lastChange, device, mapped }
+        this.paths = new Map();
+        this._pending = new Map();
+        this._timer = null;
+    }
+
+    /**
+     * Record one raw StateMap message.
+     * @param {{ path: string, value: *, device: string, mapped: boolean }} entry
+     */
+    record({ path, value, device, mapped }) {
+        if (!path) return;
+        let entry = this.paths.get(path);
+        if (!entry) {
+            if (this.paths.size >= this.maxPaths) return;
+            entry = { path, value: undefined, type: 'null', count: 0, lastChange: null, device: '', mapped: false };
+            this.paths.set(path, entry);
+        }
+        entry.count++;
+        entry.device = device || entry.device;
+        entry.mapped = !!mapped;
+        if (entry.count === 1 || JSON.stringify(entry.value) !== JSON.stringify(value)) {
+            entry.value = value;
+            entry.type = typeOf(value);
+            entry.lastChange = new Date().toISOString();
+        }
+        this._pending.set(path, entry);
+        if (!this._timer) this._timer = setTimeout(() => this._flush(), this.flushInterval);
+    }
+
+    _flush() {
+        this._timer = null;
+        if (!this._pending.size) return;
+        const changes = Array.from(this._pending.values(), e => ({ ...e }));
+        this._pending.clear();
+        this.emit('changes', changes);
+    }
+
+    /**
+     * All known paths under a prefix, sorted by path.
+     */
+    list(prefix = '') {
+        const result = [];
+        for (const entry of this.paths.values()) {
+            if (!prefix || entry.path.startsWith(prefix)) result.push(entry);
+        }
+        return result.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    clear() {
+        this.paths.clear();
+        this._pending.clear();
+        clearTimeout(this._timer);
+        this._timer = null;
+        this.emit('cleared');
+    }
+}
+
+module.exports = StateMapInspector;
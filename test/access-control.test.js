@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccessControl = require('../access-control');
+
+function createAccess(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-auth-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return { access: new AccessControl({ dataDir }), dataDir };
+}
+
+function request({ authorization, cookie, url = '/' } = {}) {
+    const headers = {};
+    if (authorization) headers.authorization = authorization;
+    if (cookie) headers.cookie = cookie;
+    return { headers, url };
+}
+
+test('the PIN is stored as a salted scrypt hash and survives a reload', (t) => {
+    const { access, dataDir } = createAccess(t);
+    assert.equal(access.enabled, false);
+    assert.throws(() => access.setPin('12'), /PIN/);
+
+    access.setPin('4321');
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'auth.json'), 'utf-8')).pinHash;
+    assert.match(stored, /^[0-9a-f]{32}:[0-9a-f]{64}$/);
+    assert.ok(!stored.includes('4321'));
+
+    const reloaded = new AccessControl({ dataDir });
+    assert.equal(reloaded.enabled, true);
+    assert.equal(reloaded._pinMatches('4321'), true);
+    assert.equal(reloaded._pinMatches('1234'), false);
+
+    // Same PIN, different salt
+    access.setPin('4321');
+    assert.notEqual(access.pinHash, stored);
+    assert.equal(access._pinMatches('4321'), true);
+});
+
+test('login locks an address out after repeated failures', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    const { access } = createAccess(t);
+    assert.throws(() => access.login('0000', '10.0.0.2'), /尚未设置 PIN/);
+    access.setPin('4321');
+
+    for (let i = 0; i < 5; i++) assert.throws(() => access.login('0000', '10.0.0.2'), /PIN 错误/);
+    // Locked out, even with the right PIN; other addresses are unaffected
+    assert.throws(() => access.login('4321', '10.0.0.2'), /尝试次数过多/);
+    assert.equal(access.login('4321', '10.0.0.3').entry.role, 'admin');
+
+    t.mock.timers.tick(59 * 1000);
+    assert.throws(() => access.login('4321', '10.0.0.2'), /尝试次数过多/);
+    t.mock.timers.tick(1000);
+    const { token, entry } = access.login('4321', '10.0.0.2');
+    assert.equal(entry.role, 'admin');
+    assert.equal(entry.label, '登录 10.0.0.2');
+    assert.equal(access.identify(request({ authorization: `Bearer ${token}` })).tokenId, entry.id);
+});
+
+test('a successful login resets the failure count', (t) => {
+    const { access } = createAccess(t);
+    access.setPin('4321');
+    for (let i = 0; i < 4; i++) assert.throws(() => access.login('0000', '10.0.0.2'), /PIN 错误/);
+    access.login('4321', '10.0.0.2');
+    for (let i = 0; i < 4; i++) assert.throws(() => access.login('0000', '10.0.0.2'), /PIN 错误/);
+    assert.equal(access.login('4321', '10.0.0.2').entry.role, 'admin');
+});
+
+test('requireRole lets higher roles through and tells 401 from 403', () => {
+    const access = Object.create(AccessControl.prototype);
+    const run = (role, needed) => {
+        let next = false;
+        const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; } };
+        access.requireRole(needed)({ role }, res, () => { next = true; });
+        return next ? 'next' : res.code;
+    };
+    assert.equal(run('admin', 'admin'), 'next');
+    assert.equal(run('admin', 'viewer'), 'next');
+    assert.equal(run('viewer', 'viewer'), 'next');
+    assert.equal(run('viewer', 'admin'), 403);
+    assert.equal(run(null, 'viewer'), 401);
+    assert.equal(run(null, 'admin'), 401);
+});
+
+test('identify checks the header, then the cookie, then the query string', (t) => {
+    const { access } = createAccess(t);
+    // No PIN yet: everyone is admin
+    assert.deepEqual(access.identify(request()), { role: 'admin', tokenId: null });
+
+    access.setPin('4321');
+    const admin = access.issueToken('admin', 'desk');
+    const viewer = access.issueToken('viewer', 'booth');
+    const stranger = 'f'.repeat(64);
+
+    const header = `Bearer ${admin.token}`;
+    const cookie = `theme=dark; mixboard_token=${viewer.token}`;
+    const url = `/?token=${admin.token}`;
+    assert.equal(access.identify(request({ authorization: header, cookie: `mixboard_token=${viewer.token}`, url: `/?token=${viewer.token}` })).tokenId, admin.entry.id);
+    assert.equal(access.identify(request({ cookie, url })).tokenId, viewer.entry.id);
+    assert.equal(access.identify(request({ url })).tokenId, admin.entry.id);
+    // An unknown token in front does not fall through to the next source
+    assert.deepEqual(access.identify(request({ authorization: `Bearer ${stranger}`, url })), { role: 'viewer', tokenId: null });
+
+    access.setAnonymousViewer(false);
+    assert.deepEqual(access.identify(request()), { role: null, tokenId: null });
+    assert.equal(access.identify(request({ cookie })).role, 'viewer');
+    assert.ok(access.listTokens().every(entry => !('hash' in entry)));
+});
+
+test('malformed cookies and URLs do not break identification', (t) => {
+    const { access } = createAccess(t);
+    access.setPin('4321');
+    const { token, entry } = access.issueToken('admin');
+
+    assert.deepEqual(access.identify(request({ cookie: 'other=%E0%A4%A' })), { role: 'viewer', tokenId: null });
+    assert.equal(access.identify(request({ cookie: `other=%E0%A4%A; mixboard_token=${token}` })).tokenId, entry.id);
+    assert.equal(access.identify(request({ cookie: 'mixboard_token=%zz', url: `/?token=${token}` })).tokenId, entry.id);
+    assert.deepEqual(access.identify(request({ url: '//host:port/' })), { role: 'viewer', tokenId: null });
+
+    let status = null;
+    const req = request({ cookie: 'mixboard_token=%' });
+    access.middleware()(req, { status(code) { status = code; } }, () => { status = 'next'; });
+    assert.equal(status, 'next');
+    assert.equal(req.role, 'viewer');
+});
+
+test('revoking a token announces it so its live sockets can be closed', (t) => {
+    const { access, dataDir } = createAccess(t);
+    access.setPin('4321');
+    const kept = access.issueToken('viewer', 'booth');
+    const revoked = access.issueToken('admin', 'laptop');
+
+    // Wired up the same way as the server's WebSocket clients
+    const sockets = new Map([kept, revoked, revoked].map(({ entry }) => [{ closed: null, close(code, reason) { this.closed = [code, reason]; } }, { tokenId: entry.id }]));
+    access.on('revoked', (tokenId) => {
+        for (const [ws, info] of sockets) {
+            if (info.tokenId === tokenId) ws.close(4401, 'Token revoked');
+        }
+    });
+
+    assert.equal(access.revoke('no-such-id'), false);
+    assert.equal(access.revoke(revoked.entry.id), true);
+    assert.deepEqual([...sockets.keys()].map(ws => ws.closed), [null, [4401, 'Token revoked'], [4401, 'Token revoked']]);
+    assert.equal(access.identify(request({ authorization: `Bearer ${revoked.token}` })).tokenId, null);
+    assert.deepEqual(new AccessControl({ dataDir }).listTokens().map(entry => entry.id), [kept.entry.id]);
+});
+
+test('cookie header sets and clears the token', (t) => {
+    const { access } = createAccess(t);
+    assert.match(access.cookieHeader('abc'), /^mixboard_token=abc; Path=\/; HttpOnly; SameSite=Strict; Max-Age=\d+$/);
+    assert.match(access.cookieHeader(null), /Max-Age=0$/);
+    assert.throws(() => access.issueToken('root'), /无效的角色/);
+});
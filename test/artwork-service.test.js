@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const ArtworkService = require('../artwork-service');
+const ArtworkRenderer = require('../artwork-renderer');
+
+function pixels(width, height, alpha = 255) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) data.set([200, 40, 90, alpha], i);
+    return { width, height, data };
+}
+
+const jpegOf = (width, height) => Buffer.from(jpeg.encode(pixels(width, height), 90).data);
+const pngOf = (width, height) => PNG.sync.write(Object.assign(new PNG({ width, height }), { data: pixels(width, height, 128).data }));
+
+// Stands in for EngineLibrary.albumArt: one cover per track id, hashed by id
+function fakeLibrary(covers) {
+    const library = {
+        lookups: 0,
+        albumArt(trackId, { source } = {}) {
+            library.lookups++;
+            const data = covers[trackId];
+            return data ? { source: source || 'usb', trackId: Number(trackId), hash: `cover${trackId}`, data } : null;
+        },
+    };
+    return library;
+}
+
+// Waits for the background work, but not forever
+async function until(condition) {
+    for (let i = 0; i < 400 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 5));
+    assert.ok(condition(), 'timed out');
+}
+
+// fetch() adds Cache-Control: no-cache to conditional requests, which defeats them
+function get(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get(url, { headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        }).on('error', reject);
+    });
+}
+
+function createService(t, covers, { diskCache = false, ...options } = {}) {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-artwork-'));
+    const library = fakeLibrary(covers);
+    const service = new ArtworkService({ library, getSettings: () => ({ artworkCache: { diskCache } }), cacheDir, ...options });
+    t.after(async () => {
+        await service.stop();
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+    return { service, library, cacheDir };
+}
+
+test('thumbnails are JPEG and never larger than the cover', async (t) => {
+    const { service } = createService(t, { 1: jpegOf(400, 300), 2: jpegOf(50, 40), 3: pngOf(50, 40), 4: Buffer.from('not an image') });
+
+    const big = await service.get(1, { size: '64' });
+    assert.equal(big.type, 'image/jpeg');
+    const decoded = jpeg.decode(big.data);
+    assert.deepEqual([decoded.width, decoded.height], [64, 48]);
+
+    // A small JPEG is served as stored; a small PNG is re-encoded at its own size
+    const stored = await service.get(2);
+    assert.equal(await service.get(2, { size: 64 }).then(image => image.data), stored.data);
+    const png = await service.get(3, { size: 64 });
+    assert.equal(png.type, 'image/jpeg');
+    assert.equal(jpeg.decode(png.data).width, 50);
+    assert.equal((await service.get(3)).type, 'image/png');
+    assert.equal((await service.get(4, { size: 64 })).type, 'application/octet-stream');
+
+    await assert.rejects(service.get(1, { size: 100 }), { status: 400 });
+    await assert.rejects(service.get(9), { status: 404 });
+});
+
+test('thumbnail() works the same off the worker', () => {
+    assert.equal(ArtworkRenderer.thumbnail(jpegOf(30, 30), 64), null);
+    assert.equal(jpeg.decode(ArtworkRenderer.thumbnail(jpegOf(300, 100), 128)).height, 43);
+    assert.equal(ArtworkRenderer.thumbnail(Buffer.from([0xff, 0xd8, 0, 0]), 64), null);
+});
+
+test('concurrent requests for a size share one render', async (t) => {
+    const { service } = createService(t, { 1: jpegOf(400, 400) });
+    const thumbnail = t.mock.method(service.renderer, 'thumbnail');
+    const [a, b] = await Promise.all([service.get(1, { size: 128 }), service.get(1, { size: 128 })]);
+    assert.equal(a, b);
+    assert.equal(thumbnail.mock.callCount(), 1);
+    await service.get(1, { size: 128 });
+    assert.equal(thumbnail.mock.callCount(), 1);
+});
+
+test('urlFor renders every size in the background, one after the other', async (t) => {
+    const { service } = createService(t, { 1: jpegOf(400, 400) });
+    const sizes = [];
+    let running = 0;
+    const thumbnail = service.renderer.thumbnail.bind(service.renderer);
+    t.mock.method(service.renderer, 'thumbnail', async (data, size) => {
+        sizes.push([size, running++]);
+        try { return await thumbnail(data, size); } finally { running--; }
+    });
+    assert.equal(service.urlFor(1), '/api/artwork/track/1?source=usb&v=cover1');
+    assert.deepEqual(sizes, []);
+    await until(() => service._memory.has('cover1-256'));
+    assert.deepEqual(sizes, ArtworkService.SIZES.map(size => [size, 0]));
+    // Handed out once: the next call does not start over
+    service.urlFor(1);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(sizes.length, 3);
+});
+
+test('the memory cache keeps the 64 most recently used images', async (t) => {
+    const covers = {};
+    for (let id = 1; id <= 70; id++) covers[id] = jpegOf(8, 8);
+    const { service, library } = createService(t, covers);
+    for (let id = 1; id <= 64; id++) await service.get(id);
+    // Touch the oldest so it survives
+    await service.get(1);
+    for (let id = 65; id <= 70; id++) await service.get(id);
+    assert.equal(service._memory.size, 64);
+    assert.ok(service._memory.has('cover1-full'));
+    assert.ok(!service._memory.has('cover2-full'));
+    assert.ok(service._memory.has('cover8-full'));
+    assert.ok(!service._memory.has('cover7-full'));
+
+    // An evicted image is read from the library again
+    service.invalidate();
+    const before = library.lookups;
+    await service.get(2);
+    assert.equal(library.lookups - before, 1);
+    assert.ok(service._memory.has('cover2-full'));
+});
+
+test('the disk cache survives a restart and drops the least recently used files', async (t) => {
+    // Undecodable covers are their own thumbnails: 1000 bytes each on disk
+    const covers = {};
+    for (let id = 1; id <= 4; id++) covers[id] = Buffer.concat([Buffer.from([0xff, 0xd8]), Buffer.alloc(998, id)]);
+    const { service, cacheDir } = createService(t, covers, { diskCache: true, maxDiskBytes: 3500 });
+    t.mock.method(console, 'log', () => { });
+    const age = (name, seconds) => {
+        const at = new Date(Date.now() - seconds * 1000);
+        fs.utimesSync(path.join(cacheDir, name), at, at);
+    };
+
+    for (let id = 1; id <= 3; id++) await service.get(id, { size: 64 });
+    age('cover1-64.jpg', 30);
+    age('cover2-64.jpg', 20);
+    age('cover3-64.jpg', 10);
+
+    // Read back from disk by a fresh instance: the read counts as a use
+    const { service: restarted } = createService(t, covers, { diskCache: true, cacheDir, maxDiskBytes: 3500 });
+    t.mock.method(restarted, '_render', () => assert.fail('rendered instead of read from disk'));
+    assert.deepEqual((await restarted.get(1, { size: 64 })).data, covers[1]);
+
+    // The fourth file goes over 3500 bytes: trimmed to 3/4 of it, oldest first
+    await service.get(4, { size: 64 });
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), ['cover1-64.jpg', 'cover4-64.jpg']);
+    assert.equal(service._diskBytes, 2000);
+});
+
+test('the route answers 304 to a matching ETag and lets versioned URLs be cached', async (t) => {
+    const { service } = createService(t, { 1: jpegOf(100, 100) });
+    const app = express();
+    app.get('/art/:id', service.route(req => service.get(req.params.id, req.query)));
+    const server = app.listen(0, '127.0.0.1');
+    t.after(() => server.close());
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const first = await get(`${base}/art/1?size=64`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['content-type'], 'image/jpeg');
+    assert.equal(first.headers.etag, '"cover1-64"');
+    assert.equal(first.headers['cache-control'], 'no-cache');
+
+    assert.equal((await get(`${base}/art/1?size=64`, { 'If-None-Match': '"cover1-64"' })).status, 304);
+    assert.equal((await get(`${base}/art/1`, { 'If-None-Match': '"cover1-64"' })).status, 200);
+
+    assert.match((await get(`${base}/art/1?size=64&v=cover1`)).headers['cache-control'], /immutable/);
+    assert.equal((await get(`${base}/art/1?v=0ld`)).headers['cache-control'], 'no-cache');
+
+    const missing = await get(`${base}/art/2`);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(JSON.parse(missing.body), { ok: false, error: '该曲目没有封面' });
+});
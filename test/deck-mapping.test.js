@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const deckMapping = require('../deck-mapping');
+
+test('models are detected from the device name', () => {
+    assert.equal(deckMapping.detectModel('PRIME 4'), 'prime4');
+    assert.equal(deckMapping.detectModel('Prime2'), 'prime2');
+    assert.equal(deckMapping.detectModel('Prime GO'), 'primego');
+    assert.equal(deckMapping.detectModel('SC6000M'), 'sc6000');
+    assert.equal(deckMapping.detectModel('SC5000 Prime'), 'sc6000');
+    assert.equal(deckMapping.detectModel('X1850'), 'default');
+    assert.equal(deckMapping.detectModel(undefined), 'default');
+});
+
+test('all-in-one units put their layers on consecutive slots', () => {
+    assert.deepEqual(deckMapping.defaultMapping('prime4'), { A: 1, B: 2, C: 3, D: 4 });
+    assert.deepEqual(deckMapping.defaultMapping('primego', 3), { A: 1, B: 2 });
+    assert.deepEqual(deckMapping.defaultMapping('unknown'), { A: 1, B: 2, C: 3, D: 4 });
+});
+
+test('all-in-one units take the lowest slots other devices leave free', () => {
+    assert.deepEqual(deckMapping.defaultMapping('prime2', 1, [1, 2]), { A: 3, B: 4 });
+    assert.deepEqual(deckMapping.defaultMapping('primego', 1, [2]), { A: 1, B: 3 });
+    assert.deepEqual(deckMapping.defaultMapping('prime4', 1, [1, 2]), { A: 3, B: 4, C: null, D: null });
+    assert.deepEqual(deckMapping.unmappedLayers(deckMapping.defaultMapping('prime2', 1, [1, 2, 3, 4])), ['A', 'B']);
+    // Unknown hardware (mixers too) keeps the letter order and leaves the slots to others
+    assert.deepEqual(deckMapping.defaultMapping('default', 1, [1, 2]), { A: 1, B: 2, C: 3, D: 4 });
+    assert.equal(deckMapping.takesSlots('default'), false);
+    assert.equal(deckMapping.takesSlots('prime2'), true);
+    assert.equal(deckMapping.takesSlots('sc6000'), true);
+});
+
+test('standalone players sit on their player slot with layer B two slots on', () => {
+    assert.deepEqual(deckMapping.defaultMapping('sc6000', 1), { A: 1, B: 3 });
+    assert.deepEqual(deckMapping.defaultMapping('sc6000', 2), { A: 2, B: 4 });
+    // Wraps around past slot 4
+    assert.deepEqual(deckMapping.defaultMapping('sc6000', '3'), { A: 3, B: 1 });
+    assert.deepEqual(deckMapping.defaultMapping('sc6000', 'x'), { A: 1, B: 3 });
+});
+
+test('layer B moves off slots other players sit on, or is left unmapped', () => {
+    // Players 1 and 3: each one's B would land on the other's A
+    assert.deepEqual(deckMapping.defaultMapping('sc6000', 1, [3]), { A: 1, B: 4 });
+    assert.deepEqual(deckMapping.defaultMapping('sc6000', 3, [1, 4]), { A: 3, B: 2 });
+    const full = deckMapping.defaultMapping('sc6000', 1, [2, 3, 4]);
+    assert.deepEqual(full, { A: 1, B: null });
+    assert.deepEqual(deckMapping.unmappedLayers(full), ['B']);
+    assert.deepEqual(deckMapping.unmappedLayers({ A: 1, B: 3 }), []);
+    // Layer A keeps the player's own slot whatever the others do
+    assert.equal(deckMapping.defaultMapping('sc6000', 2, [2]).A, 2);
+});
+
+test('user overrides are cleaned and win over the defaults', () => {
+    assert.deepEqual(deckMapping.normalizeMapping({ A: '2', B: 7, C: 'x', E: 1 }), { A: 2 });
+    assert.equal(deckMapping.normalizeMapping({ B: 0 }), null);
+    assert.equal(deckMapping.normalizeMapping('A=1'), null);
+
+    const device = { model: 'sc6000', player: 1, deckMapping: { B: 2 } };
+    assert.deepEqual(deckMapping.resolveMapping(device), { A: 1, B: 2 });
+    // An override is taken as it is, even onto a reserved slot
+    assert.deepEqual(deckMapping.resolveMapping({ ...device, deckMapping: { B: 3 } }, [3]), { A: 1, B: 3 });
+});
+
+test('slotFor follows the mapping and falls back to the layer letter', () => {
+    const device = { model: 'sc6000', player: 2 };
+    assert.equal(deckMapping.slotFor(device, 'a'), 2);
+    assert.equal(deckMapping.slotFor(device, 'B'), 4);
+    // Not in the SC6000 profile: letter position
+    assert.equal(deckMapping.slotFor(device, 'C'), 3);
+    assert.equal(deckMapping.slotFor(device, '?'), null);
+    // Unmapped layers stay off the dashboard
+    assert.equal(deckMapping.slotFor({ mapping: { A: 1, B: null } }, 'B'), null);
+});
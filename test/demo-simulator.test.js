@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DemoSimulator = require('../demo-simulator');
+const StagelinqManager = require('../stagelinq-manager');
+
+const SCENARIO = {
+    id: 'test', name: 'Test', duration: '0:08', loop: false,
+    devices: [{ ip: '10.0.0.1', name: 'PRIME 4', software: 'JP11', version: '4.0.0', decks: [1, 2], hasUsb: true }],
+    tracks: {
+        a: { title: 'Alpha', artist: 'Artist', bpm: 120, length: '0:30', cue: '0:01', path: '/m/alpha.mp3', hotcues: { 1: { at: '0:20', color: '#FF0000' } } },
+    },
+    mixer: { ch1Fader: 1 },
+    timeline: [
+        { at: '0:04', action: 'disconnect', device: '10.0.0.1' },
+        { at: 0, action: 'load', deck: 1, track: 'a' },
+        { at: '0:01', action: 'play', deck: 1 },
+        { at: '0:01', action: 'master', deck: 1 },
+        { at: '0:02', action: 'fader', channel: 2, to: 1, seconds: 2 },
+        { at: '0:03', action: 'seek', deck: 1, hotcue: 1 },
+        { at: '0:05', action: 'connect', device: '10.0.0.1' },
+        { at: '0:06', action: 'loop', deck: 1, beats: 4, repeat: 2 },
+    ],
+};
+
+// Simulated time moves in 0.1 s ticks, so positions are only that exact
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 0.15, `${actual} is not about ${expected}`);
+
+function run(t, scenario) {
+    t.mock.method(console, 'log', () => { });
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+    const manager = new StagelinqManager({ mode: 'demo' });
+    const simulator = new DemoSimulator(manager, scenario);
+    simulator.start();
+    t.after(() => simulator.stop());
+    // Advance in simulator ticks
+    const advance = (seconds) => { for (let i = 0; i < seconds * 10; i++) t.mock.timers.tick(100); };
+    return { manager, simulator, advance };
+}
+
+test('parseTime-style times put the timeline in order', () => {
+    const simulator = new DemoSimulator({}, SCENARIO);
+    assert.deepEqual(simulator.timeline.map(e => e.at), [0, 1, 1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(simulator.timeline.slice(1, 3).map(e => e.action), ['play', 'master']);
+    assert.equal(simulator.duration, 8);
+    // Without a duration: 30 s past the last event
+    assert.equal(new DemoSimulator({}, { timeline: [{ at: '1:00.5', action: 'stop' }] }).duration, 90.5);
+    assert.equal(new DemoSimulator({}, {}).duration, 60);
+});
+
+test('the scenario drives devices, decks and mixer through the manager', (t) => {
+    const { manager, simulator, advance } = run(t, SCENARIO);
+    const device = manager.state.devices['10.0.0.1'];
+    assert.equal(device.connectionState, 'connected');
+    assert.equal(device.hasUsb, true);
+    assert.deepEqual(device.decks, [1, 2]);
+    const deck = () => manager.state.decks[1];
+    assert.equal(deck().trackName, 'Alpha');
+    assert.equal(deck().songLoaded, true);
+    assert.equal(deck().play, false);
+    assert.equal(deck().currentPosition, 1);
+    assert.equal(deck().hotcues[1].color, '#FF0000');
+
+    advance(2);
+    assert.equal(deck().play, true);
+    assert.equal(deck().deckIsMaster, true);
+    assert.equal(deck().currentBPM, 120);
+    near(deck().currentPosition, 2);
+
+    advance(1);
+    near(manager.state.mixer.ch2Fader, 0.5);
+    near(deck().currentPosition, 20);
+
+    // Offline for a second: the slots empty, the player keeps going
+    advance(1.5);
+    assert.notEqual(device.connectionState, 'connected');
+    assert.equal(deck().songLoaded, false);
+    advance(1);
+    assert.equal(device.connectionState, 'connected');
+    assert.equal(deck().trackName, 'Alpha');
+    near(deck().currentPosition, 22.5);
+    assert.equal(manager.state.mixer.ch2Fader, 1);
+
+    // A 4-beat loop at 120 BPM (2 s), played twice: still on its second pass when
+    // the scenario ends, without looping
+    advance(1);
+    assert.equal(deck().loopEnableState, true);
+    assert.equal(deck().currentLoopSizeInBeats, 4);
+    const loopIn = deck().currentLoopInPosition;
+    advance(1.9);
+    assert.equal(simulator._timer, null);
+    assert.equal(deck().loopEnableState, true);
+    assert.equal(deck().currentLoopInPosition, loopIn);
+    assert.ok(deck().currentPosition >= loopIn && deck().currentPosition < deck().currentLoopOutPosition);
+});
+
+test('a looping scenario starts over without reconnecting its devices', (t) => {
+    const { manager, simulator, advance } = run(t, { ...SCENARIO, loop: true, timeline: SCENARIO.timeline.slice(1, 3) });
+    const connected = [];
+    manager.on('deviceReady', d => connected.push(d.ip));
+    advance(8.1);
+    assert.ok(simulator.time < 1);
+    assert.equal(manager.state.decks[1].play, false);
+    assert.deepEqual(connected, []);
+});
+
+test('every built-in scenario runs through without unknown actions', (t) => {
+    const scenarios = DemoSimulator.listScenarios();
+    assert.ok(scenarios.some(s => s.id === DemoSimulator.DEFAULT_SCENARIO));
+    t.mock.method(console, 'warn', () => { });
+    for (const { id, duration } of scenarios) {
+        const { simulator, advance } = run(t, { ...DemoSimulator.loadScenario(id), loop: false });
+        advance(duration + 1);
+        assert.equal(simulator._next, simulator.timeline.length, id);
+        t.mock.timers.reset();
+    }
+    assert.deepEqual(console.warn.mock.calls.map(c => c.arguments.join(' ')), []);
+});
+
+test('scenario ids are checked before any file is read', () => {
+    assert.throws(() => DemoSimulator.loadScenario('../package'), { status: 400 });
+    assert.throws(() => DemoSimulator.loadScenario('no-such-scenario'), { status: 404 });
+    assert.equal(DemoSimulator.loadScenario('house-2deck').id, 'house-2deck');
+});
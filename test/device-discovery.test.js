@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DeviceDiscovery = require('../device-discovery');
+
+const TOKEN = Uint8Array.from({ length: 16 }, (_, i) => i + 1);
+
+// UTF-16BE string with a byte-length prefix, as on the wire
+function wireString(value) {
+    const text = Buffer.from(value, 'utf16le').swap16();
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(text.length, 0);
+    return Buffer.concat([length, text]);
+}
+
+function announcement({ token = TOKEN, source = 'JP11S', action = DeviceDiscovery.ACTION_LOGIN, name = 'PRIME4', version = '3.4.0', port = 40412 } = {}) {
+    const portBuf = Buffer.alloc(2);
+    portBuf.writeUInt16BE(port, 0);
+    return Buffer.concat([Buffer.from('airD'), Buffer.from(token), wireString(source), wireString(action), wireString(name), wireString(version), portBuf]);
+}
+
+test('encode writes the marker, token, UTF-16 strings and port', () => {
+    const buf = DeviceDiscovery.encode({ token: TOKEN, source: 'JP11S', action: DeviceDiscovery.ACTION_LOGIN, software: { name: 'PRIME4', version: '3.4.0' }, port: 40412 });
+    assert.deepEqual(buf, announcement());
+    assert.equal(buf.toString('ascii', 0, 4), 'airD');
+    assert.equal(buf.readUInt32BE(20), 10);
+    assert.equal(buf.readUInt16BE(buf.length - 2), 40412);
+});
+
+test('decode reads a hand-built announcement', () => {
+    const info = DeviceDiscovery.decode(announcement(), '192.168.1.20');
+    assert.deepEqual(info, {
+        token: TOKEN,
+        source: 'JP11S',
+        action: 'DISCOVERER_HOWDY_',
+        software: { name: 'PRIME4', version: '3.4.0' },
+        port: 40412,
+        address: '192.168.1.20',
+    });
+    // Round trip
+    const again = DeviceDiscovery.decode(DeviceDiscovery.encode({ ...info, action: DeviceDiscovery.ACTION_LOGOUT }), '192.168.1.20');
+    assert.equal(again.action, 'DISCOVERER_EXIT_');
+    assert.equal(again.port, 40412);
+});
+
+test('decode rejects what is not a discovery message', () => {
+    assert.equal(DeviceDiscovery.decode(Buffer.from('hello world, not stagelinq'), '10.0.0.1'), null);
+    const good = announcement();
+    // Cut off in the middle of a string, and before the port
+    assert.equal(DeviceDiscovery.decode(good.subarray(0, 30), '10.0.0.1'), null);
+    assert.equal(DeviceDiscovery.decode(good.subarray(0, good.length - 1), '10.0.0.1'), null);
+    // Odd string length
+    const odd = Buffer.from(good);
+    odd.writeUInt32BE(9, 20);
+    assert.equal(DeviceDiscovery.decode(odd, '10.0.0.1'), null);
+});
+
+test('only announcements from other devices in the subnet are emitted', () => {
+    const discovery = new DeviceDiscovery({
+        iface: { address: '192.168.6.226', netmask: '255.255.252.0' },
+        actingAs: { name: 'Mixboard', version: '1.0.0', source: 'mixboard', token: Uint8Array.from({ length: 16 }, () => 9) },
+    });
+    assert.equal(discovery.broadcastAddress, '192.168.7.255');
+    const found = [];
+    discovery.on('device', (info) => found.push(info.address));
+
+    discovery._onMessage(announcement(), { address: '192.168.4.1' });
+    discovery._onMessage(announcement(), { address: '192.168.8.1' });
+    discovery._onMessage(announcement({ action: DeviceDiscovery.ACTION_LOGOUT }), { address: '192.168.5.1' });
+    discovery._onMessage(discovery._message(DeviceDiscovery.ACTION_LOGIN), { address: '192.168.6.226' });
+    discovery._onMessage(Buffer.from('garbage'), { address: '192.168.6.1' });
+    assert.deepEqual(found, ['192.168.4.1']);
+});
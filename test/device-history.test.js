@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeviceHistory = require('../device-history');
+
+const TOKEN_A = 'a'.repeat(32);
+const TOKEN_B = 'b'.repeat(32);
+
+function createHistory(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-history-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return { history: new DeviceHistory({ dataDir }), dataDir };
+}
+
+const prime4 = (extra = {}) => ({ ip: '169.254.1.10', deviceName: 'prime4', softwareName: 'JP11', softwareVersion: '4.0.0', port: 50010, ...extra });
+
+test('a device keeps its entry across address changes once its token is known', (t) => {
+    const { history } = createHistory(t);
+    // Seen before the token was reported: keyed by name and address
+    const legacy = history.upsert(prime4());
+    assert.equal(legacy.id, DeviceHistory.legacyId('169.254.1.10', 'prime4'));
+
+    // The token adopts the legacy entry
+    const adopted = history.upsert(prime4({ tokenId: TOKEN_A }));
+    assert.equal(adopted, legacy);
+    assert.equal(adopted.id, TOKEN_A);
+
+    // New link-local address, same token
+    const moved = history.upsert(prime4({ tokenId: TOKEN_A, ip: '169.254.7.7' }));
+    assert.equal(moved, legacy);
+    assert.deepEqual(moved.addresses, ['169.254.1.10', '169.254.7.7']);
+    assert.equal(history.devices.length, 1);
+});
+
+test('another device on a reused address gets its own entry', (t) => {
+    const { history } = createHistory(t);
+    history.upsert(prime4({ tokenId: TOKEN_A }));
+    const other = history.upsert(prime4({ tokenId: TOKEN_B }));
+    assert.equal(other.id, TOKEN_B);
+    assert.equal(history.devices.length, 2);
+    assert.equal(history.find(prime4({ tokenId: TOKEN_A })).id, TOKEN_A);
+    // Without a token the address and name still find something
+    assert.ok(history.find(prime4()));
+    assert.equal(history.find(prime4({ deviceName: 'sc6000' })), null);
+});
+
+test('the timeline records connects, drops and their durations', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T20:00:00Z') });
+    const { history } = createHistory(t);
+    const device = prime4({ tokenId: TOKEN_A });
+    history.upsert(device);
+    t.mock.timers.tick(60 * 1000);
+    history.recordDisconnect(device, 'lost');
+    // Nothing open: a second disconnect is ignored
+    assert.equal(history.recordDisconnect(device, 'user'), null);
+
+    history.upsert(device);
+    t.mock.timers.tick(30 * 1000);
+    // Reconnecting without a disconnect closes the open entry as replaced
+    history.upsert(device);
+    t.mock.timers.tick(10 * 1000);
+
+    const { timeline, stats } = history.getTimeline(TOKEN_A);
+    assert.deepEqual(timeline.map(e => e.reason), [null, 'replaced', 'lost']);
+    assert.deepEqual(timeline.map(e => e.durationMs), [null, 30 * 1000, 60 * 1000]);
+    assert.deepEqual(stats, { connects: 3, drops: 1, connectedMs: 100 * 1000, connected: true });
+    assert.equal(history.getTimeline('nope'), null);
+
+    history.closeAll('stopped');
+    assert.equal(history.getTimeline(TOKEN_A).stats.connected, false);
+    // The list view carries the counters but not the timeline
+    const [listed] = history.getAll();
+    assert.equal('timeline' in listed, false);
+    assert.equal(listed.stats.connects, 3);
+});
+
+test('the timeline is capped', (t) => {
+    const { history } = createHistory(t);
+    for (let i = 0; i < 105; i++) history.upsert(prime4({ tokenId: TOKEN_A }));
+    assert.equal(history.get(TOKEN_A).timeline.length, 100);
+});
+
+test('connections left open by a crash end when the device was last seen', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T20:00:00Z') });
+    const { history, dataDir } = createHistory(t);
+    history.upsert(prime4({ tokenId: TOKEN_A }));
+    t.mock.timers.tick(5 * 60 * 1000);
+    history.upsert(prime4({ tokenId: TOKEN_A }));
+    t.mock.timers.tick(60 * 60 * 1000);
+
+    const reloaded = new DeviceHistory({ dataDir });
+    const [last] = reloaded.getTimeline(TOKEN_A).timeline;
+    assert.equal(last.reason, 'stopped');
+    assert.equal(last.disconnectedAt, '2026-01-01T20:05:00.000Z');
+    assert.equal(last.durationMs, 0);
+});
+
+test('old history files are migrated', (t) => {
+    const { dataDir } = createHistory(t);
+    fs.writeFileSync(path.join(dataDir, 'device-history.json'), JSON.stringify([{ ip: '10.0.0.5', deviceName: 'sc6000', autoConnect: true }]));
+    const history = new DeviceHistory({ dataDir });
+    const [entry] = history.devices;
+    assert.equal(entry.id, 'sc6000@10.0.0.5');
+    assert.deepEqual(entry.addresses, ['10.0.0.5']);
+    assert.deepEqual(entry.timeline, []);
+    assert.equal(history.shouldAutoConnect({ ip: '10.0.0.5', deviceName: 'sc6000' }), true);
+
+    // A corrupt file starts an empty history
+    t.mock.method(console, 'warn', () => {});
+    fs.writeFileSync(path.join(dataDir, 'device-history.json'), '{');
+    assert.deepEqual(new DeviceHistory({ dataDir }).devices, []);
+});
+
+test('user-editable fields are validated', (t) => {
+    const { history, dataDir } = createHistory(t);
+    history.upsert(prime4({ tokenId: TOKEN_A }));
+    assert.throws(() => history.update(TOKEN_A, { alias: 'x'.repeat(41) }), /40/);
+    assert.throws(() => history.update(TOKEN_A, { color: 'red' }), /无效的颜色/);
+    assert.throws(() => history.update(TOKEN_A, { autoConnect: 'yes' }), /布尔值/);
+    assert.equal(history.update('nope', { alias: 'x' }), null);
+
+    history.update(TOKEN_A, { alias: '  Left deck  ', color: '#FF8800', autoConnect: false });
+    const saved = new DeviceHistory({ dataDir }).get(TOKEN_A);
+    assert.equal(saved.alias, 'Left deck');
+    assert.equal(saved.color, '#ff8800');
+    assert.equal(saved.autoConnect, false);
+
+    assert.equal(history.remove(TOKEN_A), true);
+    assert.equal(history.remove(TOKEN_A), false);
+});
+
+test('devices added by address are reconnected on startup until disabled', (t) => {
+    const { history } = createHistory(t);
+    history.upsert(prime4({ tokenId: TOKEN_A, manual: true }));
+    // Discovery later finds it: still manual
+    history.upsert(prime4({ tokenId: TOKEN_A }));
+    history.upsert(prime4({ tokenId: TOKEN_B, ip: '169.254.1.11' }));
+    assert.deepEqual(history.getManualAutoConnect().map(d => d.id), [TOKEN_A]);
+    history.update(TOKEN_A, { autoConnect: false });
+    assert.deepEqual(history.getManualAutoConnect(), []);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const net = require('net');
+const { probe } = require('../device-probe');
+
+// Replaces the TCP connection with a socket the test drives by hand
+function fakeConnection(t) {
+    const socket = new EventEmitter();
+    socket.destroyed = false;
+    socket.destroy = () => { socket.destroyed = true; };
+    const connect = t.mock.method(net, 'createConnection', () => socket);
+    return { socket, connect };
+}
+
+function systemError(code) {
+    return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+function header(id, token = Buffer.alloc(16, 7)) {
+    const id32 = Buffer.alloc(4);
+    id32.writeUInt32BE(id);
+    return Buffer.concat([id32, token]);
+}
+
+test('a device that greets with a services request resolves with its token', async (t) => {
+    const { socket, connect } = fakeConnection(t);
+    const result = probe('169.254.1.10', 50010);
+    assert.deepEqual(connect.mock.calls[0].arguments, [{ host: '169.254.1.10', port: 50010 }]);
+    socket.emit('connect');
+    // The greeting may arrive in pieces
+    const greeting = header(2, Buffer.from('0123456789abcdef'));
+    socket.emit('data', greeting.subarray(0, 6));
+    socket.emit('data', greeting.subarray(6));
+    const { token, latencyMs } = await result;
+    assert.equal(Buffer.from(token).toString(), '0123456789abcdef');
+    assert.equal(typeof latencyMs, 'number');
+    assert.equal(socket.destroyed, true);
+});
+
+test('connection errors are classified', async (t) => {
+    const cases = [
+        ['ECONNREFUSED', 'refused', /拒绝连接/],
+        ['EHOSTUNREACH', 'unreachable', /无法到达/],
+        ['ENETUNREACH', 'unreachable', /无法到达/],
+        ['ETIMEDOUT', 'timeout', /超时/],
+        ['EPIPE', 'unreachable', /失败: connect EPIPE/],
+    ];
+    for (const [errno, code, message] of cases) {
+        const { socket } = fakeConnection(t);
+        const result = probe('10.0.0.5', 50010);
+        socket.emit('error', systemError(errno));
+        await assert.rejects(result, (err) => err.code === code && message.test(err.message));
+        assert.equal(socket.destroyed, true);
+        t.mock.restoreAll();
+    }
+});
+
+test('silence times out before and after connecting', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let { socket } = fakeConnection(t);
+    let result = probe('10.0.0.5', 50010, { connectTimeout: 1000 });
+    t.mock.timers.tick(1000);
+    await assert.rejects(result, { code: 'timeout', message: /1 秒内无响应/ });
+    assert.equal(socket.destroyed, true);
+
+    // Connected, but the port never speaks
+    ({ socket } = fakeConnection(t));
+    result = probe('10.0.0.5', 8080, { connectTimeout: 1000, greetingTimeout: 2000 });
+    t.mock.timers.tick(500);
+    socket.emit('connect');
+    // The connect timer is gone: a late tick does not fire it
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(1000);
+    await assert.rejects(result, { code: 'protocol', message: /没有 StagelinQ 响应/ });
+});
+
+test('something else on the port is a protocol mismatch', async (t) => {
+    let { socket } = fakeConnection(t);
+    let result = probe('10.0.0.5', 80);
+    socket.emit('connect');
+    socket.emit('data', Buffer.from('HTTP/1.1 400 Bad Request\r\n'));
+    await assert.rejects(result, { code: 'protocol', message: /协议不匹配/ });
+
+    // Hanging up before the greeting
+    ({ socket } = fakeConnection(t));
+    result = probe('10.0.0.5', 22);
+    socket.emit('connect');
+    socket.emit('data', header(2).subarray(0, 10));
+    socket.emit('end');
+    await assert.rejects(result, { code: 'protocol', message: /握手前关闭/ });
+    // Only the first outcome counts
+    socket.emit('error', systemError('ECONNRESET'));
+});
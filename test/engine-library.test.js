@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const EngineLibrary = require('../engine-library');
+const { compress, f64be, f64le, i64be, i64le, label, colour } = require('./fixtures/engine-blobs');
+
+const COVER = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4]);
+
+// Engine Prime 1.x: metadata in MetaData / MetaDataInteger, playlists and crates
+function createV1(file) {
+    const db = new Database(file);
+    db.exec(`CREATE TABLE Track (id INTEGER PRIMARY KEY, path TEXT, filename TEXT, length INTEGER, bpm INTEGER, year INTEGER, bpmAnalyzed REAL, idAlbumArt INTEGER);
+        CREATE TABLE MetaData (id INTEGER, type INTEGER, text TEXT, PRIMARY KEY (id, type));
+        CREATE TABLE MetaDataInteger (id INTEGER, type INTEGER, value INTEGER, PRIMARY KEY (id, type));
+        CREATE TABLE AlbumArt (id INTEGER PRIMARY KEY, hash TEXT, albumArt BLOB);
+        CREATE TABLE PerformanceData (id INTEGER PRIMARY KEY, trackData BLOB, overviewWaveFormData BLOB, beatData BLOB, quickCues BLOB, loops BLOB);
+        CREATE TABLE Playlist (id INTEGER PRIMARY KEY, title TEXT);
+        CREATE TABLE PlaylistTrackList (playlistId INTEGER, trackId INTEGER, trackNumber INTEGER);
+        CREATE TABLE Crate (id INTEGER PRIMARY KEY, title TEXT, path TEXT);
+        CREATE TABLE CrateParentList (crateOriginId INTEGER, crateParentId INTEGER);
+        CREATE TABLE CrateTrackList (crateId INTEGER, trackId INTEGER);`);
+    const tracks = [
+        [1, 'Strobe', 'deadmau5', 128, 128.02, 1],
+        [2, 'Opus', 'Eric Prydz', 126, 126, 19],
+        [3, 'Levels', 'Avicii', 126, 126, 10],
+        [4, '100%_done', 'Test', 124, 0, null],
+        [5, 'Track 1000', 'Zed', 90, 90, null],
+    ];
+    for (const [id, title, artist, bpm, bpmAnalyzed, key] of tracks) {
+        db.prepare('INSERT INTO Track VALUES (?, ?, ?, 300, ?, 2009, ?, ?)').run(id, `Music/${title}.mp3`, `${title}.mp3`, bpm, bpmAnalyzed, id === 1 ? 1 : 0);
+        db.prepare('INSERT INTO MetaData VALUES (?, 1, ?), (?, 2, ?)').run(id, title, id, artist);
+        if (key !== null) db.prepare('INSERT INTO MetaDataInteger VALUES (?, 4, ?)').run(id, key);
+    }
+    db.exec(`INSERT INTO MetaData VALUES (1, 3, 'For Lack of a Better Name'), (1, 4, 'Progressive'), (1, 5, 'tune'), (1, 6, 'mau5trap'), (1, 13, 'mp3');
+        INSERT INTO MetaDataInteger VALUES (1, 5, 80);
+        INSERT INTO Playlist VALUES (1, 'Peak');
+        INSERT INTO PlaylistTrackList VALUES (1, 3, 1), (1, 1, 2);
+        INSERT INTO Crate VALUES (1, 'House', 'House;'), (2, 'Prog', 'House;Prog;');
+        INSERT INTO CrateParentList VALUES (1, 1), (2, 1);
+        INSERT INTO CrateTrackList VALUES (2, 2), (2, 1);`);
+    db.prepare('INSERT INTO AlbumArt VALUES (1, ?, ?)').run('abc123', COVER);
+
+    // Track 1 analysed at 44.1 kHz
+    const grid = Buffer.concat([i64be(2), ...[[0, -4], [176400, 4]].map(([sample, beat]) => Buffer.concat([f64le(sample), i64le(beat), Buffer.alloc(8)]))]);
+    db.prepare('INSERT INTO PerformanceData VALUES (1, ?, ?, ?, ?, ?)').run(
+        compress(f64be(44100), i64be(44100 * 300)),
+        compress(i64be(2), i64be(2), f64be(1024), Buffer.from([1, 2, 3, 4, 5, 6])),
+        compress(f64be(44100), f64be(44100 * 300), Buffer.from([1]), grid),
+        compress(i64be(2), label('Drop'), f64be(88200), colour('ff0000'), label(''), f64be(-1), colour('000000'),
+            f64be(22050), Buffer.from([1]), f64be(0)),
+        Buffer.concat([i64le(1), label('Loop'), f64le(44100), f64le(88200), Buffer.from([1, 1]), colour('00ff00')]),
+    );
+    db.close();
+}
+
+// Engine DJ 2.x: everything on Track, linked-list playlists
+function createV2(file) {
+    const db = new Database(file);
+    db.exec(`CREATE TABLE Track (id INTEGER PRIMARY KEY, title TEXT, artist TEXT, album TEXT, genre TEXT, label TEXT, comment TEXT, rating INTEGER,
+            fileType TEXT, bitrate INTEGER, dateAdded INTEGER, bpm INTEGER, bpmAnalyzed REAL, key INTEGER, length INTEGER, year INTEGER,
+            filename TEXT, path TEXT, albumArtId INTEGER);
+        CREATE TABLE AlbumArt (id INTEGER PRIMARY KEY, albumArt BLOB);
+        CREATE TABLE Playlist (id INTEGER PRIMARY KEY, title TEXT, parentListId INTEGER, isPersisted BOOLEAN, nextListId INTEGER);
+        CREATE TABLE PlaylistEntity (id INTEGER PRIMARY KEY, listId INTEGER, trackId INTEGER, databaseUuid TEXT, nextEntityId INTEGER, membershipReference INTEGER);
+        CREATE TABLE HistorylistEntity (id INTEGER PRIMARY KEY, trackId INTEGER);`);
+    const insert = db.prepare('INSERT INTO Track VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+    for (let id = 1; id <= 3; id++) {
+        insert.run(id, `Track ${id}`, 'Alpha', 'Album', 'House', null, null, 0, 'mp3', 320, 0, 120, 120.4, 0, 240, 2020, `t${id}.mp3`, `../Music/t${id}.mp3`, 0);
+    }
+    insert.run(4, null, 'Beta', null, null, null, null, null, 'wav', null, 0, 100, 100, null, 200, null, 'untitled-mix.wav', '../Music/untitled-mix.wav', 0);
+    insert.run(5, 'Strobe', 'deadmau5', 'For Lack', 'Progressive', 'mau5trap', 'tune', 80, 'flac', 1411, 1684000000, 128, 128.02, 1, 600, 2009,
+        'Strobe.flac', '../Music/Strobe.flac', 1);
+    insert.run(6, 'Ghosts', 'deadmau5', '4x4=12', 'Progressive', null, null, 0, 'flac', 1411, 0, 128, 0, 14, 400, 2010, 'Ghosts.flac', '../Music/Ghosts.flac', 0);
+    db.prepare('INSERT INTO AlbumArt VALUES (1, ?)').run(COVER);
+    // Root lists stored A then B, linked B → A; A has a child
+    db.exec(`INSERT INTO Playlist VALUES (1, 'A', 0, 1, 0), (2, 'B', 0, 1, 1), (3, 'A-child', 1, 1, 0);
+        INSERT INTO PlaylistEntity VALUES (10, 1, 3, 'x', 0, 0), (11, 1, 5, 'x', 12, 0), (12, 1, 999, 'other', 10, 0), (20, 3, 6, 'x', 0, 0);
+        INSERT INTO HistorylistEntity (trackId) VALUES (5), (5), (3);`);
+    db.close();
+}
+
+function createLibrary(t, extraSources = () => []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-library-'));
+    createV1(path.join(dir, 'v1.db'));
+    createV2(path.join(dir, 'v2.db'));
+    const sources = [{ id: 'USB 1', path: path.join(dir, 'v1.db') }, { id: 'SD', path: path.join(dir, 'v2.db') }, ...extraSources(dir)];
+    const library = new EngineLibrary({ manager: { getDatabases: () => sources.slice() } });
+    t.after(() => {
+        library.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { library, dir };
+}
+
+test('sources report their schema, and unreadable ones an error', (t) => {
+    const { library } = createLibrary(t, (dir) => {
+        new Database(path.join(dir, 'other.db')).exec('CREATE TABLE Songs (id INTEGER)').close();
+        return [{ id: 'Other', path: path.join(dir, 'other.db') }, { id: 'Gone', path: path.join(dir, 'gone.db') }];
+    });
+    const sources = library.listSources();
+    assert.deepEqual(sources.slice(0, 3), [
+        { id: 'USB 1', schema: 'v1', tracks: 5, lists: 3 },
+        { id: 'SD', schema: 'v2', tracks: 6, lists: 3 },
+        { id: 'Other', error: '不是 Engine 曲库（缺少 Track 表）' },
+    ]);
+    assert.equal(sources[3].id, 'Gone');
+    assert.match(sources[3].error, /ENOENT/);
+
+    assert.throws(() => library.searchTracks({ source: 'USB 9' }), (err) => err.status === 404 && /未知的曲库来源/.test(err.message));
+    const empty = new EngineLibrary({ manager: { getDatabases: () => [] } });
+    assert.throws(() => empty.listPlaylists(), (err) => err.status === 404);
+});
+
+test('v1 search joins MetaData and filters by text, BPM and key', (t) => {
+    const { library } = createLibrary(t);
+    const all = library.searchTracks();
+    assert.equal(all.source, 'USB 1');
+    assert.equal(all.total, 5);
+    // Artist, then title, case-insensitive
+    assert.deepEqual(all.tracks.map(tr => tr.id), [3, 1, 2, 4, 5]);
+    assert.deepEqual(all.tracks[1], {
+        id: 1, title: 'Strobe', artist: 'deadmau5', album: 'For Lack of a Better Name', genre: 'Progressive',
+        bpm: 128.02, key: '8A (Am)', keyIndex: 1, length: 300, year: 2009, filename: 'Strobe.mp3', path: 'Music/Strobe.mp3',
+    });
+    // An unanalysed BPM falls back to the tagged one
+    assert.equal(all.tracks[3].bpm, 124);
+    assert.equal(all.tracks[3].key, '');
+
+    const page = library.searchTracks({ limit: '2', offset: '1' });
+    assert.deepEqual([page.total, page.offset, page.limit, page.tracks.map(tr => tr.id)], [5, 1, 2, [1, 2]]);
+    assert.equal(library.searchTracks({ limit: 1000 }).limit, 200);
+
+    assert.deepEqual(library.searchTracks({ q: 'prydz' }).tracks.map(tr => tr.id), [2]);
+    // % and _ are literal
+    assert.deepEqual(library.searchTracks({ q: '100%' }).tracks.map(tr => tr.id), [4]);
+    assert.deepEqual(library.searchTracks({ bpm: '126' }).tracks.map(tr => tr.id), [3, 2]);
+    assert.deepEqual(library.searchTracks({ bpm: '130-120' }).tracks.map(tr => tr.id), [3, 1, 2, 4]);
+    assert.deepEqual(library.searchTracks({ key: '8a' }).tracks.map(tr => tr.id), [1]);
+    assert.deepEqual(library.searchTracks({ key: 'Am' }).tracks.map(tr => tr.id), [1]);
+    assert.deepEqual(library.searchTracks({ key: 'Cm', q: 'opus' }).tracks.map(tr => tr.id), [2]);
+    assert.throws(() => library.searchTracks({ bpm: 'fast' }), (err) => err.status === 400);
+    assert.throws(() => library.searchTracks({ key: 'H' }), (err) => err.status === 400);
+});
+
+test('v1 playlists and crates', (t) => {
+    const { library } = createLibrary(t);
+    assert.deepEqual(library.listPlaylists().lists, [
+        { id: 'p1', kind: 'playlist', title: 'Peak', parentId: null, tracks: 2 },
+        { id: 'c1', kind: 'crate', title: 'House', parentId: null, tracks: 0 },
+        { id: 'c2', kind: 'crate', title: 'Prog', parentId: 'c1', tracks: 2 },
+    ]);
+    // Playlists in track number order, crates by artist
+    assert.deepEqual(library.getPlaylist('p1').tracks.map(tr => tr.id), [3, 1]);
+    assert.deepEqual(library.getPlaylist('c2').tracks.map(tr => tr.id), [1, 2]);
+    const page = library.getPlaylist('p1', { offset: 1, limit: 5 });
+    assert.deepEqual([page.total, page.tracks.map(tr => tr.id)], [2, [1]]);
+    assert.throws(() => library.getPlaylist('p9'), (err) => err.status === 404);
+});
+
+test('v2 lists follow the linked order and skip tracks on other drives', (t) => {
+    const { library } = createLibrary(t);
+    assert.deepEqual(library.listPlaylists({ source: 'SD' }).lists, [
+        { id: 'p2', kind: 'playlist', title: 'B', parentId: null, tracks: 0 },
+        { id: 'p1', kind: 'playlist', title: 'A', parentId: null, tracks: 3 },
+        { id: 'p3', kind: 'playlist', title: 'A-child', parentId: 'p1', tracks: 1 },
+    ]);
+    const list = library.getPlaylist('p1', { source: 'SD' });
+    assert.equal(list.total, 3);
+    assert.deepEqual(list.tracks.map(tr => tr.id), [5, 3]);
+
+    const search = library.searchTracks({ source: 'SD', bpm: '128' });
+    assert.deepEqual(search.tracks.map(tr => [tr.id, tr.bpm, tr.key]), [[6, 128, '3B (D♭)'], [5, 128.02, '8A (Am)']]);
+    // No title: the file name stands in
+    const untitled = library.searchTracks({ source: 'SD', q: 'untitled' }).tracks[0];
+    assert.deepEqual([untitled.title, untitled.album, untitled.keyIndex, untitled.year], ['untitled-mix', '', -1, null]);
+});
+
+test('trackInfo finds the loaded track by path, file name or title', (t) => {
+    const { library } = createLibrary(t);
+    assert.deepEqual(library.trackInfo({ dbSourceName: 'SD', trackPath: '../Music/Strobe.flac' }), {
+        source: 'SD', id: 5,
+        album: 'For Lack', genre: 'Progressive', label: 'mau5trap', year: 2009, comment: 'tune',
+        rating: 4, playCount: 2, bitrate: 1411, format: 'flac', dateAdded: new Date(1684000000 * 1000).toISOString(),
+    });
+    // The path on the player differs from the stored one: matched by file name
+    assert.deepEqual(library.trackInfo({ dbSourceName: 'USB 1', trackPath: '/media/usb/Music/Strobe.mp3' }), {
+        source: 'USB 1', id: 1,
+        album: 'For Lack of a Better Name', genre: 'Progressive', label: 'mau5trap', year: 2009, comment: 'tune',
+        rating: 4, playCount: null, bitrate: null, format: 'mp3', dateAdded: null,
+    });
+    assert.equal(library.trackInfo({ trackName: 'Ghosts' }).id, 6);
+    // LIKE wildcards in the path are literal
+    assert.equal(library.trackInfo({ trackPath: '/media/usb/Music/100%_done.mp3' }).id, 4);
+    assert.equal(library.trackInfo({ trackPath: '/media/usb/Music/%.mp3' }), null);
+    assert.equal(library.trackInfo({ trackPath: 'Music/nothing.mp3' }), null);
+    assert.equal(library.trackInfo({}), null);
+});
+
+test('album art comes with Engine\'s hash or a SHA-1 of the image', (t) => {
+    const { library } = createLibrary(t);
+    assert.deepEqual(library.albumArt(1), { source: 'USB 1', trackId: 1, hash: 'abc123', data: COVER });
+    assert.equal(library.albumArt(2), null);
+    const v2 = library.albumArt('5', { source: 'SD' });
+    assert.equal(v2.trackId, 5);
+    assert.equal(v2.hash, crypto.createHash('sha1').update(COVER).digest('hex'));
+    assert.equal(library.albumArt(6, { source: 'SD' }), null);
+});
+
+test('the overview waveform is decoded from PerformanceData', (t) => {
+    const { library } = createLibrary(t);
+    assert.deepEqual(library.waveform(1), {
+        source: 'USB 1', trackId: 1, samplesPerEntry: 1024, low: [1, 4], mid: [2, 5], high: [3, 6], max: { low: 4, mid: 5, high: 6 },
+    });
+    // Unanalysed, or a schema without analysis data
+    assert.throws(() => library.waveform(2), (err) => err.status === 404);
+    assert.throws(() => library.waveform(5, { source: 'SD' }), (err) => err.status === 404);
+});
+
+test('cues, loops and the beat grid are converted to seconds', (t) => {
+    const { library } = createLibrary(t);
+    assert.deepEqual(library.trackCues(1), {
+        source: 'USB 1',
+        trackId: 1,
+        sampleRate: 44100,
+        mainCue: 0.5,
+        hotcues: [{ num: 1, label: 'Drop', position: 2, color: '#ff0000' }],
+        loops: [{ num: 1, label: 'Loop', start: 1, end: 2, color: '#00ff00' }],
+        beatGrid: [{ position: 0, beat: -4 }, { position: 4, beat: 4 }],
+    });
+    assert.throws(() => library.trackCues(2), (err) => err.status === 404);
+    assert.throws(() => library.trackCues(5, { source: 'SD' }), (err) => err.status === 404);
+});
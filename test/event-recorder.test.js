@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventRecorder = require('../event-recorder');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-recordings-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+async function finish(recorder) {
+    const stream = recorder.stream;
+    const result = recorder.stop();
+    await once(stream, 'finish');
+    return result;
+}
+
+test('a recording is a header line followed by one event per line', async (t) => {
+    t.mock.method(console, 'log', () => { });
+    const dir = tempDir(t);
+    const recorder = new EventRecorder(dir);
+    assert.equal(recorder.status().recording, false);
+    const name = recorder.start();
+    assert.match(name, /^\d{4}-\d{2}-\d{2}T[\d-]+Z\.ndjson$/);
+    // A second start keeps the open file
+    assert.equal(recorder.start(), name);
+
+    recorder.write('connected', [{ address: '10.0.0.1', token: new Uint8Array([1, 2, 3]) }]);
+    recorder.write('beatMessage', [{ clock: 123n }]);
+    const circular = {};
+    circular.self = circular;
+    t.mock.method(console, 'warn', () => { });
+    recorder.write('message', [circular]);
+    assert.equal(recorder.status().events, 2);
+
+    const result = await finish(recorder);
+    assert.equal(result.name, name);
+    assert.equal(result.events, 2);
+    assert.equal(recorder.active, false);
+    assert.equal(recorder.stop(), null);
+
+    const [header, ...events] = fs.readFileSync(path.join(dir, name), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(header.format, EventRecorder.FORMAT);
+    assert.equal(header.version, 1);
+    assert.deepEqual(events.map(e => e.type), ['connected', 'beatMessage']);
+    assert.deepEqual(events[0].args[0].token, [1, 2, 3]);
+    assert.equal(events[1].args[0].clock, 123);
+    assert.ok(events.every(e => typeof e.t === 'number' && e.t >= 0));
+});
+
+test('writes outside a recording are ignored', (t) => {
+    const recorder = new EventRecorder(tempDir(t));
+    recorder.write('message', [{}]);
+    assert.equal(recorder.eventCount, 0);
+});
+
+test('recordings are listed newest first and resolved by plain name only', (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'old.ndjson'), '{}\n');
+    fs.writeFileSync(path.join(dir, 'new.ndjson'), '{}\n{}\n');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+    fs.utimesSync(path.join(dir, 'old.ndjson'), new Date('2026-01-01'), new Date('2026-01-01'));
+    assert.deepEqual(EventRecorder.list(dir).map(r => [r.name, r.size]), [['new.ndjson', 6], ['old.ndjson', 3]]);
+    assert.deepEqual(EventRecorder.list(path.join(dir, 'missing')), []);
+
+    assert.equal(EventRecorder.resolve('old.ndjson', dir), path.join(dir, 'old.ndjson'));
+    assert.equal(EventRecorder.resolve('gone.ndjson', dir), null);
+    assert.equal(EventRecorder.resolve('notes.txt', dir), null);
+    assert.equal(EventRecorder.resolve('../old.ndjson', dir), null);
+    assert.equal(EventRecorder.resolve('', dir), null);
+});
@@ -0,0 +1,27 @@
+/**
+ * Builders for Engine analysis blobs (see performance-data.js), shared by the
+ * decoder and library tests.
+ */
+const zlib = require('zlib');
+
+// Qt-style blob: big-endian uncompressed size, then a zlib stream
+function compress(...parts) {
+    const buf = Buffer.concat(parts);
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(buf.length, 0);
+    return Buffer.concat([size, zlib.deflateSync(buf)]);
+}
+
+function f64be(value) { const b = Buffer.alloc(8); b.writeDoubleBE(value, 0); return b; }
+function f64le(value) { const b = Buffer.alloc(8); b.writeDoubleLE(value, 0); return b; }
+function i64be(value) { const b = Buffer.alloc(8); b.writeBigInt64BE(BigInt(value), 0); return b; }
+function i64le(value) { const b = Buffer.alloc(8); b.writeBigInt64LE(BigInt(value), 0); return b; }
+function i32le(value) { const b = Buffer.alloc(4); b.writeInt32LE(value, 0); return b; }
+
+// uint8 byte length, then UTF-8
+function label(text) { return Buffer.concat([Buffer.from([Buffer.byteLength(text)]), Buffer.from(text)]); }
+
+// A, R, G, B from 'rrggbb', fully opaque
+function colour(hex) { return Buffer.from('ff' + hex, 'hex'); }
+
+module.exports = { compress, f64be, f64le, i64be, i64le, i32le, label, colour };
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const MqttPublisher = require('../mqtt-publisher');
+
+// Stands in for a connected mqtt.js client; `acks` false plays a broker that has gone away
+function fakeClient({ acks = true } = {}) {
+    return {
+        connected: true,
+        options: { will: { topic: 'mixboard/status', qos: 1 } },
+        published: [],
+        ended: null,
+        publish(topic, payload, options, callback) {
+            this.published.push({ topic, payload, retain: options.retain });
+            if (acks && callback) callback();
+        },
+        end(force, options, callback) {
+            this.ended = force ? 'forced' : 'pending';
+            if (!force && acks) {
+                this.ended = 'clean';
+                callback();
+            }
+        },
+    };
+}
+
+function createPublisher(state) {
+    const manager = new EventEmitter();
+    manager.getState = () => state;
+    const deckEvents = new EventEmitter();
+    const publisher = new MqttPublisher({ manager, deckEvents, getSettings: () => ({ mqtt: { topicPrefix: 'club/' } }) });
+    const client = fakeClient();
+    publisher.client = client;
+    return { publisher, manager, deckEvents, client };
+}
+
+function sampleState() {
+    return {
+        devices: {
+            '10.0.0.5': { id: 'tok-a', name: 'Prime 4', ip: '10.0.0.5', softwareName: 'JP11', softwareVersion: '4.0.0', connectionState: 'connected', deckCount: 4 },
+        },
+        decks: {
+            1: { deviceId: 'tok-a', songLoaded: true, trackName: 'Strobe', artistName: 'deadmau5', currentKey: 'F#m', trackLength: 634, trackPath: '/m/strobe.mp3', currentBPM: 128, playState: true, deckIsMaster: true },
+            2: { deviceId: 'tok-a', songLoaded: false, currentBPM: 0, playState: false },
+        },
+    };
+}
+
+const retained = (client) => Object.fromEntries(client.published.filter(p => p.retain).map(p => [p.topic, p.payload]));
+
+test('state is published as retained topics per device and deck', () => {
+    const { manager, client } = createPublisher(sampleState());
+    manager.emit('stateUpdate', sampleState());
+    const topics = retained(client);
+    assert.deepEqual(JSON.parse(topics['club/prime-4/status']), { name: 'Prime 4', ip: '10.0.0.5', softwareName: 'JP11', softwareVersion: '4.0.0', connectionState: 'connected', deckCount: 4 });
+    assert.deepEqual(JSON.parse(topics['club/prime-4/deck/1/track']), { title: 'Strobe', artist: 'deadmau5', key: 'F#m', trackLength: 634, trackPath: '/m/strobe.mp3' });
+    assert.equal(topics['club/prime-4/deck/1/bpm'], '128.0');
+    assert.equal(topics['club/prime-4/deck/1/playing'], 'true');
+    assert.equal(topics['club/prime-4/deck/1/master'], 'true');
+    assert.equal(topics['club/prime-4/deck/1/key'], 'F#m');
+    assert.equal(topics['club/prime-4/deck/2/track'], 'null');
+    assert.equal(client.published.every(p => p.retain), true);
+});
+
+test('unchanged retained values are not sent again', () => {
+    const state = sampleState();
+    const { manager, client } = createPublisher(state);
+    manager.emit('stateUpdate', state);
+    const count = client.published.length;
+    manager.emit('stateUpdate', state);
+    assert.equal(client.published.length, count);
+
+    state.decks[1].currentBPM = 130;
+    manager.emit('stateUpdate', state);
+    assert.deepEqual(client.published.slice(count), [{ topic: 'club/prime-4/deck/1/bpm', payload: '130.0', retain: true }]);
+});
+
+test('devices sharing a name get their IP in the topic', () => {
+    const state = sampleState();
+    state.devices['10.0.0.6'] = { ...state.devices['10.0.0.5'], id: 'tok-b', ip: '10.0.0.6' };
+    state.decks[3] = { deviceId: 'tok-b', currentBPM: 0 };
+    const { manager, client } = createPublisher(state);
+    manager.emit('stateUpdate', state);
+    const topics = retained(client);
+    assert.ok('club/prime-4-10-0-0-5/deck/1/bpm' in topics);
+    assert.ok('club/prime-4-10-0-0-6/deck/3/bpm' in topics);
+    assert.ok(!('club/prime-4/status' in topics));
+});
+
+test('events are not retained and name the device', () => {
+    const { deckEvents, client } = createPublisher(sampleState());
+    deckEvents.emit('trackChanged', { deck: 1, deviceId: 'tok-a', track: { title: 'Strobe' } });
+    assert.equal(client.published.length, 1);
+    const [event] = client.published;
+    assert.equal(event.topic, 'club/events/track-change');
+    assert.equal(event.retain, false);
+    assert.equal(JSON.parse(event.payload).device, 'prime-4');
+    assert.equal(JSON.parse(event.payload).deck, 1);
+});
+
+test('a disconnected device has its deck topics cleared', () => {
+    const state = sampleState();
+    const { manager, deckEvents, client } = createPublisher(state);
+    manager.emit('stateUpdate', state);
+    const count = client.published.length;
+
+    // The device leaves the state before the event arrives
+    state.devices = {};
+    deckEvents.emit('deviceDisconnected', { deviceId: 'tok-a', ip: '10.0.0.5', decks: [1, 2] });
+    const sent = client.published.slice(count);
+    assert.equal(sent[0].topic, 'club/events/device-disconnected');
+    // What the broker keeps: the last retained payload of each topic
+    const topics = retained(client);
+    assert.equal(JSON.parse(topics['club/prime-4/status']).connectionState, 'disconnected');
+    for (const n of [1, 2]) {
+        assert.equal(topics[`club/prime-4/deck/${n}/track`], '');
+        assert.equal(topics[`club/prime-4/deck/${n}/bpm`], '');
+        assert.equal(topics[`club/prime-4/deck/${n}/key`], '');
+        assert.equal(topics[`club/prime-4/deck/${n}/playing`], 'false');
+        assert.equal(topics[`club/prime-4/deck/${n}/master`], 'false');
+    }
+    // Already false on deck 2: not sent again
+    assert.equal(sent.some(p => p.topic === 'club/prime-4/deck/2/playing'), false);
+});
+
+test('disconnecting says offline on the will topic', async () => {
+    const { publisher, client } = createPublisher(sampleState());
+    await publisher.stop();
+    assert.deepEqual(client.published, [{ topic: 'mixboard/status', payload: 'offline', retain: true }]);
+    assert.equal(client.ended, 'clean');
+    assert.equal(publisher.client, null);
+});
+
+test('disconnecting from a broker that never acks gives up and drops the connection', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { publisher } = createPublisher(sampleState());
+    const client = fakeClient({ acks: false });
+    publisher.client = client;
+    const stopped = publisher.stop();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(client.ended, null);
+    t.mock.timers.tick(3000);
+    await stopped;
+    assert.equal(client.ended, 'forced');
+
+    // The queue is free again
+    const next = fakeClient();
+    publisher.client = next;
+    await publisher.stop();
+    assert.equal(next.ended, 'clean');
+});
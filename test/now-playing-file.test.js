@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NowPlayingFileWriter = require('../now-playing-file');
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 4, 5, 6]);
+
+function createWriter(t, artwork) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-nowplaying-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const deck = { artwork: '/api/artwork/track/7?v=1', trackInfo: { id: 7, source: 'usb' } };
+    const writer = new NowPlayingFileWriter({
+        nowPlaying: new EventEmitter(),
+        manager: { getState: () => ({ decks: { 1: deck } }) },
+        artwork,
+        getSettings: () => ({ nowPlayingFile: { enabled: true, directory, artwork: true } }),
+    });
+    const track = { deck: 1, key: 'a', artist: 'Artist', title: 'Title', artwork: deck.artwork };
+    return { writer, directory, track };
+}
+
+test('a PNG cover is written as its JPEG thumbnail', async (t) => {
+    const requests = [];
+    const artwork = {
+        get(id, query) {
+            requests.push(query);
+            return query.size ? { type: 'image/jpeg', data: JPEG } : { type: 'image/png', data: PNG };
+        },
+    };
+    const { writer, directory, track } = createWriter(t, artwork);
+    await writer._write(track);
+    assert.deepEqual(requests, [{ source: 'usb' }, { source: 'usb', size: 256 }]);
+    assert.deepEqual(fs.readFileSync(path.join(directory, 'nowplaying.jpg')), JPEG);
+    assert.equal(fs.readFileSync(path.join(directory, 'nowplaying.txt'), 'utf-8'), 'Artist - Title');
+});
+
+test('a cover that cannot become a JPEG is not written', async (t) => {
+    const { writer, directory, track } = createWriter(t, { get: () => ({ type: 'image/png', data: PNG }) });
+    fs.writeFileSync(path.join(directory, 'nowplaying.jpg'), JPEG);
+    await writer._write(track);
+    assert.equal(fs.existsSync(path.join(directory, 'nowplaying.jpg')), false);
+});
+
+test('the written key is only recorded once the files are on disk', async (t) => {
+    const { writer, directory, track } = createWriter(t, { get: () => ({ type: 'image/jpeg', data: JPEG }) });
+    // A directory where nowplaying.json goes makes the second write fail
+    fs.mkdirSync(path.join(directory, 'nowplaying.json'));
+    await assert.rejects(writer._write(track));
+    assert.equal(writer._writtenKey, null);
+
+    fs.rmSync(path.join(directory, 'nowplaying.json'), { recursive: true });
+    await writer._write(track);
+    assert.equal(writer._writtenKey, writer._keyOf(track));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const onAir = require('../on-air');
+
+function state(mixer = {}, decks = {}) {
+    const deck = (overrides) => ({ songLoaded: true, play: true, externalMixerVolume: 0, ...overrides });
+    return {
+        mixer: { ch1Fader: 0, ch2Fader: 0, ch3Fader: 0, ch4Fader: 0, crossfader: 0.5, ...mixer },
+        decks: { 1: deck(decks[1]), 2: deck(decks[2]), 3: deck(decks[3]), 4: deck(decks[4]) },
+    };
+}
+
+test('the crossfader only fades a side out past the middle', () => {
+    assert.equal(onAir.crossfaderGain(1, 0.5), 1);
+    assert.equal(onAir.crossfaderGain(2, 0.5), 1);
+    assert.equal(onAir.crossfaderGain(1, 0), 1);
+    assert.equal(onAir.crossfaderGain(2, 0), 0);
+    assert.equal(onAir.crossfaderGain(3, 1), 0);
+    assert.equal(onAir.crossfaderGain(4, 0.75), 1);
+    assert.equal(onAir.crossfaderGain(1, 0.75), 0.5);
+    // Out of range or missing: clamped, or centred
+    assert.equal(onAir.crossfaderGain(2, -3), 0);
+    assert.equal(onAir.crossfaderGain(2, undefined), 1);
+});
+
+test('without any level data every deck counts as audible', () => {
+    assert.equal(onAir.deckLevel(state(), 1), 1);
+    assert.equal(onAir.isOnAir(state(), 3), true);
+    assert.equal(onAir.deckLevel(state(), 5), 0);
+});
+
+test('the level is the louder of fader and external volume, through the crossfader', () => {
+    const s = state({ ch1Fader: 0.8, ch2Fader: 0.02, crossfader: 0.75 }, { 3: { externalMixerVolume: 0.6 } });
+    assert.equal(onAir.deckLevel(s, 1), 0.4);
+    assert.equal(onAir.deckLevel(s, 3), 0.3);
+    assert.equal(onAir.deckLevel(s, 4), 0);
+    assert.equal(onAir.isOnAir(s, 1), true);
+    assert.equal(onAir.isOnAir(s, 2), false);
+    assert.equal(onAir.isOnAir(s, 2, 0.01), true);
+});
+
+test('a deck must be loaded and playing to be on air', () => {
+    assert.equal(onAir.isOnAir(state({}, { 1: { play: false } }), 1), false);
+    assert.equal(onAir.isOnAir(state({}, { 1: { songLoaded: false } }), 1), false);
+    assert.equal(onAir.isOnAir(state(), 7), false);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const OscBridge = require('../osc-bridge');
+
+// Minimal OSC 1.0 decoder for what the bridge sends
+function readString(buf, offset) {
+    const end = buf.indexOf(0, offset);
+    return { value: buf.toString('utf-8', offset, end), next: (end + 4) & ~3 };
+}
+
+function decode(buf) {
+    const address = readString(buf, 0);
+    if (address.value === '#bundle') {
+        const messages = [];
+        let offset = 16;
+        while (offset < buf.length) {
+            const size = buf.readInt32BE(offset);
+            messages.push(...decode(buf.subarray(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+        return messages;
+    }
+    const tags = readString(buf, address.next);
+    let offset = tags.next;
+    const args = [];
+    for (const type of tags.value.slice(1)) {
+        if (type === 'i') { args.push(buf.readInt32BE(offset)); offset += 4; }
+        else if (type === 'f') { args.push(Math.round(buf.readFloatBE(offset) * 100) / 100); offset += 4; }
+        else { const s = readString(buf, offset); args.push(s.value); offset = s.next; }
+    }
+    return [{ address: address.value, args }];
+}
+
+test('messages are 4-byte aligned with big-endian arguments', () => {
+    const buf = OscBridge.encodeMessage('/abc', [['i', 7], ['f', 1.5], ['s', 'hey']]);
+    assert.equal(buf.length % 4, 0);
+    // "/abc" plus its terminator needs a second 4-byte block
+    assert.deepEqual([...buf.subarray(0, 8)], [0x2f, 0x61, 0x62, 0x63, 0, 0, 0, 0]);
+    assert.equal(buf.toString('latin1', 8, 12), ',ifs');
+    assert.deepEqual([...buf.subarray(12, 16)], [0, 0, 0, 0]);
+    assert.equal(buf.readInt32BE(16), 7);
+    assert.equal(buf.readFloatBE(20), 1.5);
+    assert.equal(buf.toString('latin1', 24, 28), 'hey\0');
+    assert.equal(buf.length, 28);
+    // Integers are rounded, non-numbers become 0
+    assert.deepEqual(decode(OscBridge.encodeMessage('/n', [['i', 2.6], ['f', 'x']]))[0].args, [3, 0]);
+    // UTF-8 strings are padded by byte length
+    assert.equal(OscBridge.encodeMessage('/t', [['s', 'ab曲']]).length, 16);
+});
+
+test('bundles carry an immediate timetag and size-prefixed messages', () => {
+    const one = OscBridge.encodeMessage('/a', [['i', 1]]);
+    const two = OscBridge.encodeMessage('/bb', [['s', 'x']]);
+    const buf = OscBridge.encodeBundle([one, two]);
+    assert.equal(buf.toString('latin1', 0, 8), '#bundle\0');
+    assert.equal(buf.readUInt32BE(8), 0);
+    assert.equal(buf.readUInt32BE(12), 1);
+    assert.equal(buf.readInt32BE(16), one.length);
+    assert.deepEqual(buf.subarray(20, 20 + one.length), one);
+    assert.deepEqual(decode(buf), [{ address: '/a', args: [1] }, { address: '/bb', args: ['x'] }]);
+});
+
+test('changed deck values and beats are sent to the configured target', async (t) => {
+    const receiver = dgram.createSocket('udp4');
+    const received = [];
+    let wake = null;
+    receiver.on('message', (msg) => { received.push(...decode(msg)); if (wake) wake(); });
+    await new Promise(resolve => receiver.bind(0, '127.0.0.1', resolve));
+
+    const state = {
+        decks: { 1: { currentBPM: 124, playState: true, deckIsMaster: true, currentKey: '8A', songName: 'Song', artistName: 'Artist' } },
+        mixer: { ch1Fader: 0.75 },
+    };
+    const manager = new EventEmitter();
+    manager.getState = () => state;
+    const settings = { osc: { enabled: true, host: '127.0.0.1', port: receiver.address().port, deckAddress: '/mb/{deck}/{field}', beatAddress: '/mb/beat' } };
+    const bridge = new OscBridge({ manager, getSettings: () => settings });
+    t.after(() => { bridge.stop(); receiver.close(); });
+
+    const until = async (check) => {
+        const deadline = Date.now() + 2000;
+        while (!check()) {
+            if (Date.now() > deadline) throw new Error('timed out waiting for OSC');
+            await new Promise(resolve => { wake = resolve; setTimeout(resolve, 50); });
+        }
+    };
+
+    manager.emit('stateUpdate', state);
+    await until(() => received.some(m => m.address === '/mb/4/artist'));
+    const deck1 = Object.fromEntries(received.filter(m => m.address.startsWith('/mb/1/')).map(m => [m.address, m.args[0]]));
+    assert.deepEqual(deck1, {
+        '/mb/1/bpm': 124, '/mb/1/play': 1, '/mb/1/master': 1, '/mb/1/key': '8A',
+        '/mb/1/fader': 0.75, '/mb/1/title': 'Song', '/mb/1/artist': 'Artist',
+    });
+
+    // Only what changed goes out again; BPM jitter under 0.01 is ignored
+    received.length = 0;
+    state.decks[1] = { ...state.decks[1], currentBPM: 124.004, currentKey: '9A' };
+    manager.emit('stateUpdate', state);
+    await until(() => received.length > 0);
+    assert.deepEqual(received, [{ address: '/mb/1/key', args: ['9A'] }]);
+
+    // The first beat only sets the reference; the next whole beat sends a bundle
+    received.length = 0;
+    manager.emit('beatInfo', { decks: [{ deck: 1, beat: 6.2, bpm: 124 }] });
+    manager.emit('beatInfo', { decks: [{ deck: 1, beat: 6.7, bpm: 124 }] });
+    manager.emit('beatInfo', { decks: [{ deck: 1, beat: 7.1, bpm: 124 }] });
+    await until(() => received.some(m => m.address === '/mb/beat'));
+    assert.deepEqual(received.find(m => m.address === '/mb/beat').args, [1, 7, 4, 124, 1]);
+    assert.equal(received.filter(m => m.address === '/mb/beat').length, 1);
+    assert.equal(received.find(m => m.address === '/mb/1/beat').args[0], 0);
+});
+
+test('test() rejects an invalid target', async () => {
+    const manager = new EventEmitter();
+    manager.getState = () => ({ decks: {} });
+    const bridge = new OscBridge({ manager, getSettings: () => ({}) });
+    await assert.rejects(bridge.test({ host: '', port: 9000 }), /无效的 OSC 目标地址/);
+    await assert.rejects(bridge.test({ port: 70000 }), /无效的 OSC 目标地址/);
+    bridge.stop();
+});
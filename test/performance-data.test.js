@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const perf = require('../performance-data');
+const { compress, f64be, f64le, i64be, i64le, i32le, label, colour } = require('./fixtures/engine-blobs');
+
+test('uncompress inflates Qt blobs and passes plain ones through', () => {
+    const plain = Buffer.from('not compressed at all');
+    assert.deepEqual(perf.uncompress(compress(plain)), plain);
+    assert.deepEqual(perf.uncompress(plain), plain);
+    assert.equal(perf.uncompress(null), null);
+    assert.equal(perf.uncompress(Buffer.alloc(3)), null);
+    // A zlib header followed by garbage
+    assert.equal(perf.uncompress(Buffer.from([0, 0, 0, 9, 0x78, 0x9c, 1, 2, 3, 4])), null);
+});
+
+test('track data gives the sample rate and length', () => {
+    assert.deepEqual(perf.decodeTrackData(compress(f64be(44100), i64be(44100 * 180), f64be(-8.5))), { sampleRate: 44100, samples: 44100 * 180 });
+    assert.equal(perf.decodeTrackData(compress(f64be(0), i64be(10))), null);
+    assert.equal(perf.decodeTrackData(compress(f64be(44100))), null);
+});
+
+test('beat data prefers the adjusted grid when it has markers', () => {
+    const grid = (markers) => Buffer.concat([
+        i64be(markers.length),
+        ...markers.map(([sample, beat, toNext]) => Buffer.concat([f64le(sample), i64le(beat), i32le(toNext), i32le(0)])),
+    ]);
+    const head = Buffer.concat([f64be(48000), f64be(48000 * 60), Buffer.from([1])]);
+    const analysed = [[0, -4, 128], [2880000, 124, 0]];
+    const adjusted = [[1200, -4, 128], [2881200, 124, 0]];
+
+    const both = perf.decodeBeatData(compress(head, grid(analysed), grid(adjusted)));
+    assert.equal(both.sampleRate, 48000);
+    assert.equal(both.samples, 2880000);
+    assert.deepEqual(both.markers, [{ sample: 1200, beat: -4 }, { sample: 2881200, beat: 124 }]);
+
+    // No adjusted grid, or an empty one: the analysed grid
+    assert.deepEqual(perf.decodeBeatData(compress(head, grid(analysed))).markers[0], { sample: 0, beat: -4 });
+    assert.deepEqual(perf.decodeBeatData(compress(head, grid(analysed), grid([]))).markers[1], { sample: 2880000, beat: 124 });
+
+    // Truncated in the middle of a marker, or an absurd count
+    assert.equal(perf.decodeBeatData(compress(Buffer.concat([head, grid(analysed)]).subarray(0, 40))), null);
+    assert.equal(perf.decodeBeatData(compress(head, i64be(-1))), null);
+});
+
+test('quick cues skip unset slots and pick the main cue', () => {
+    const cue = (name, sample, hex) => Buffer.concat([label(name), f64be(sample), colour(hex)]);
+    const cues = Buffer.concat([
+        i64be(3),
+        cue('Intro', 44100, 'ff0000'),
+        cue('', -1, '000000'),
+        cue('Drop ✦', 441000, '00ccff'),
+    ]);
+    assert.deepEqual(perf.decodeQuickCues(compress(cues, f64be(22050), Buffer.from([1]), f64be(0))), {
+        cues: [
+            { num: 1, label: 'Intro', sample: 44100, color: '#ff0000' },
+            { num: 3, label: 'Drop ✦', sample: 441000, color: '#00ccff' },
+        ],
+        mainCue: 22050,
+    });
+    assert.equal(perf.decodeQuickCues(compress(cues, f64be(22050), Buffer.from([0]), f64be(100))).mainCue, 100);
+    // No main cue section
+    assert.equal(perf.decodeQuickCues(compress(cues)).mainCue, null);
+    assert.equal(perf.decodeQuickCues(compress(i64be(1), label('Cut'), Buffer.alloc(3))), null);
+});
+
+test('loops are little-endian, uncompressed and only kept when complete', () => {
+    const loop = (name, start, end, startSet, endSet, hex) =>
+        Buffer.concat([label(name), f64le(start), f64le(end), Buffer.from([startSet, endSet]), colour(hex)]);
+    const blob = Buffer.concat([
+        i64le(4),
+        loop('Verse', 1000, 5000, 1, 1, '112233'),
+        loop('', 0, 0, 0, 0, '000000'),
+        loop('Half', 6000, 7000, 1, 0, '445566'),
+        loop('Backwards', 9000, 8000, 1, 1, '778899'),
+    ]);
+    assert.deepEqual(perf.decodeLoops(blob), [{ num: 1, label: 'Verse', start: 1000, end: 5000, color: '#112233' }]);
+    assert.deepEqual(perf.decodeLoops(i64le(0)), []);
+    assert.equal(perf.decodeLoops(blob.subarray(0, 20)), null);
+});
+
+test('overview waveform reads one triple per entry and the maxima', () => {
+    const head = Buffer.concat([i64be(3), i64be(3), f64be(1024)]);
+    const entries = Buffer.from([10, 20, 30, 40, 50, 60, 70, 80, 90]);
+    assert.deepEqual(perf.decodeOverviewWaveform(compress(head, entries, Buffer.from([100, 110, 120]))), {
+        samplesPerEntry: 1024,
+        low: [10, 40, 70],
+        mid: [20, 50, 80],
+        high: [30, 60, 90],
+        max: { low: 100, mid: 110, high: 120 },
+    });
+    // Without the final triple the maxima come from the entries
+    assert.deepEqual(perf.decodeOverviewWaveform(compress(head, entries)).max, { low: 70, mid: 80, high: 90 });
+    assert.equal(perf.decodeOverviewWaveform(compress(head, entries.subarray(0, 5))), null);
+    assert.equal(perf.decodeOverviewWaveform(compress(i64be(0), i64be(0), f64be(1024))), null);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventRecorder = require('../event-recorder');
+const ReplayPlayer = require('../replay-player');
+
+const HEADER = JSON.stringify({ format: EventRecorder.FORMAT, version: 1, startedAt: '2026-10-01T20:00:00.000Z' });
+
+function recording(t, lines) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-replay-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'set.ndjson');
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+    return file;
+}
+
+const event = (t, type = 'message') => JSON.stringify({ t, type, args: [t] });
+
+function quiet(t) {
+    t.mock.method(console, 'log', () => { });
+    t.mock.method(console, 'warn', () => { });
+}
+
+// Moves the mocked clock on and runs the playback tick the interval would have
+// (mocked intervals keep firing after clearing themselves on Node 20)
+function advance(t, player, ms) {
+    t.mock.timers.tick(ms);
+    player._tick();
+}
+
+// Everything the player emits, in order
+function listen(player) {
+    const seen = [];
+    player.on('event', e => seen.push(e.t));
+    player.on('reset', () => seen.push('reset'));
+    player.on('seeked', pos => seen.push(`seeked ${pos}`));
+    player.on('end', () => seen.push('end'));
+    return seen;
+}
+
+test('load reads the events in timeline order and skips broken lines', async (t) => {
+    quiet(t);
+    const player = await new ReplayPlayer(recording(t, [HEADER, event(300), event(100), '{"t": 2', '', event(200)])).load();
+    assert.deepEqual(player.events.map(e => e.t), [100, 200, 300]);
+    assert.equal(player.duration, 300);
+    assert.deepEqual(player.status(), {
+        file: 'set.ndjson', playing: false, position: 0, duration: 300, speed: 1, loop: false, events: 3,
+        recordedAt: '2026-10-01T20:00:00.000Z',
+    });
+    assert.match(console.warn.mock.calls[0].arguments[0], /line 4/);
+});
+
+test('load rejects files that are not recordings', async (t) => {
+    quiet(t);
+    await assert.rejects(new ReplayPlayer(recording(t, ['{"format":"other"}', event(1)])).load(), /not a Mixboard recording/);
+    await assert.rejects(new ReplayPlayer(recording(t, ['plain text'])).load(), /not a Mixboard recording/);
+    await assert.rejects(new ReplayPlayer(recording(t, [''])).load(), /not a Mixboard recording/);
+    await assert.rejects(new ReplayPlayer(path.join(os.tmpdir(), 'mixboard-missing.ndjson')).load(), { code: 'ENOENT' });
+});
+
+test('seeking rebuilds state by replaying everything up to the target', async (t) => {
+    quiet(t);
+    const player = await new ReplayPlayer(recording(t, [HEADER, event(100), event(200), event(300)])).load();
+    const seen = listen(player);
+    player.seek(250);
+    player.seek(100);
+    player.seek(9999);
+    assert.deepEqual(seen, ['reset', 100, 200, 'seeked 250', 'reset', 100, 'seeked 100', 'reset', 100, 200, 300, 'seeked 300']);
+    assert.equal(player.position(), 300);
+});
+
+test('playback follows the clock at the chosen speed and stops at the end', async (t) => {
+    quiet(t);
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const player = await new ReplayPlayer(recording(t, [HEADER, event(0), event(100), event(1000)]), { speed: 100 }).load();
+    assert.equal(player.speed, 16);
+    player.setSpeed(2);
+    const seen = listen(player);
+
+    player.play();
+    assert.deepEqual(seen, [0]);
+    advance(t, player, 60);
+    assert.deepEqual(seen, [0, 100]);
+    player.pause();
+    t.mock.timers.tick(1000);
+    assert.equal(player.position(), 120);
+
+    player.play();
+    advance(t, player, 440);
+    assert.deepEqual(seen, [0, 100, 1000, 'end']);
+    assert.equal(player.playing, false);
+    // Playing again from the end starts over
+    player.play();
+    assert.deepEqual(seen.slice(4), ['reset', 0, 'seeked 0']);
+    player.stop();
+});
+
+test('a looping player starts over at the end', async (t) => {
+    quiet(t);
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const player = await new ReplayPlayer(recording(t, [HEADER, event(0), event(40)]), { loop: true }).load();
+    const seen = listen(player);
+    player.play();
+    advance(t, player, 40);
+    assert.deepEqual(seen, [0, 40, 'reset', 0, 'seeked 0']);
+    assert.equal(player.playing, true);
+    player.stop();
+    assert.equal(player.playing, false);
+});
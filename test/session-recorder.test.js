@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../session-recorder');
+
+const START = Date.parse('2026-10-01T20:00:00.000Z');
+const at = (ms) => new Date(START + ms).toISOString();
+
+function setup(t) {
+    t.mock.method(console, 'log', () => { });
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-sessions-'));
+    const dbFile = path.join(dir, 'sessions.db');
+    const recorders = [];
+    const open = (options = {}) => {
+        const recorder = new SessionRecorder({ dbFile, ...options });
+        recorders.push(recorder);
+        return recorder;
+    };
+    t.after(() => {
+        recorders.forEach(r => r.db && r.db.close());
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { open, dbFile };
+}
+
+// Decks playing the given tracks ({ deckNum: 'path' }); the others are stopped
+function decks(playing = {}) {
+    const state = { device: { name: 'PRIME 4' }, mixer: {}, decks: {} };
+    for (let n = 1; n <= 4; n++) {
+        const trackPath = playing[n];
+        state.decks[n] = trackPath
+            ? { songLoaded: true, play: true, trackPath, trackName: path.basename(trackPath), artistName: 'Artist', currentBPM: 124 }
+            : { songLoaded: false, play: false };
+    }
+    return state;
+}
+
+test('tracks are logged as they go on and off air', (t) => {
+    const { open } = setup(t);
+    const recorder = open();
+    const events = [];
+    for (const name of ['sessionStarted', 'trackStarted', 'trackEnded']) recorder.on(name, () => events.push(name));
+
+    recorder.update(decks());
+    assert.equal(recorder.currentSessionId, null);
+
+    recorder.update(decks({ 1: '/m/a.mp3' }));
+    t.mock.timers.tick(60 * 1000);
+    recorder.update(decks({ 1: '/m/a.mp3', 2: '/m/b.mp3' }));
+    t.mock.timers.tick(60 * 1000);
+    recorder.update(decks({ 2: '/m/b.mp3' }));
+    // Another track on the same deck ends the previous one straight away
+    t.mock.timers.tick(60 * 1000);
+    recorder.update(decks({ 2: '/m/c.mp3' }));
+
+    const [session] = recorder.listSessions();
+    assert.equal(session.deviceName, 'PRIME 4');
+    assert.equal(session.live, true);
+    assert.equal(session.trackCount, 3);
+    assert.deepEqual(recorder.getTracks(session.id).map(tr => [tr.deck, tr.title, tr.startedAt, tr.endedAt]), [
+        [1, 'a.mp3', at(0), at(120000)],
+        [2, 'b.mp3', at(60000), at(180000)],
+        [2, 'c.mp3', at(180000), null],
+    ]);
+    assert.deepEqual(events, ['sessionStarted', 'trackStarted', 'trackStarted', 'trackEnded', 'trackEnded', 'trackStarted']);
+});
+
+test('a track back on air within the grace period continues its entry', (t) => {
+    const { open } = setup(t);
+    const recorder = open({ resumeGraceMs: 15000 });
+    recorder.update(decks({ 1: '/m/a.mp3' }));
+    t.mock.timers.tick(30000);
+    recorder.update(decks());
+    t.mock.timers.tick(10000);
+    recorder.update(decks({ 1: '/m/a.mp3' }));
+    const id = recorder.currentSessionId;
+    assert.deepEqual(recorder.getTracks(id).map(tr => tr.endedAt), [null]);
+
+    // Off for longer than the grace period: a new entry
+    t.mock.timers.tick(10000);
+    recorder.update(decks());
+    t.mock.timers.tick(16000);
+    recorder.update(decks());
+    recorder.update(decks({ 1: '/m/a.mp3' }));
+    assert.deepEqual(recorder.getTracks(id).map(tr => [tr.startedAt, tr.endedAt]), [
+        [at(0), at(50000)],
+        [at(66000), null],
+    ]);
+});
+
+test('a long enough silence starts a new session', (t) => {
+    const { open } = setup(t);
+    const recorder = open({ sessionGapMs: 30 * 60 * 1000 });
+    const ended = [];
+    recorder.on('sessionEnded', s => ended.push(s));
+    recorder.update(decks({ 1: '/m/a.mp3' }));
+    t.mock.timers.tick(5 * 60 * 1000);
+    recorder.update(decks({ 1: '/m/a.mp3' }));
+    recorder.update(decks());
+    const first = recorder.currentSessionId;
+
+    t.mock.timers.tick(29 * 60 * 1000);
+    recorder.update(decks());
+    assert.equal(recorder.currentSessionId, first);
+    t.mock.timers.tick(2 * 60 * 1000);
+    recorder.update(decks({ 3: '/m/b.mp3' }));
+    assert.notEqual(recorder.currentSessionId, first);
+
+    // The first session ends with its last track, not when the gap was noticed
+    assert.deepEqual(ended.map(s => [s.id, s.endedAt, s.live]), [[first, at(5 * 60 * 1000), false]]);
+    assert.deepEqual(recorder.listSessions().map(s => [s.id, s.trackCount]), [[recorder.currentSessionId, 1], [first, 1]]);
+});
+
+test('entries left open by a crash end when the session was last seen', (t) => {
+    const { open } = setup(t);
+    const crashed = open({ lastSeenIntervalMs: 10000 });
+    crashed.update(decks({ 1: '/m/a.mp3' }));
+    for (let i = 0; i < 5; i++) {
+        t.mock.timers.tick(4000);
+        crashed.update(decks({ 1: '/m/a.mp3' }));
+    }
+    // A track started after the last save ends when it started
+    crashed.update(decks({ 1: '/m/a.mp3', 2: '/m/b.mp3' }));
+    const id = crashed.currentSessionId;
+    // No close(): the process died
+    crashed.db.close();
+    crashed.db = null;
+
+    t.mock.timers.tick(60 * 60 * 1000);
+    const recorder = open();
+    const [session] = recorder.listSessions();
+    assert.equal(session.id, id);
+    assert.equal(session.live, false);
+    assert.equal(session.endedAt, at(20000));
+    assert.deepEqual(recorder.getTracks(id).map(tr => [tr.startedAt, tr.endedAt]), [
+        [at(0), at(12000)],
+        [at(20000), at(20000)],
+    ]);
+});
+
+test('endAll ends only the given decks and keeps the session open', (t) => {
+    const { open } = setup(t);
+    const recorder = open();
+    recorder.update(decks({ 1: '/m/a.mp3', 3: '/m/b.mp3' }));
+    t.mock.timers.tick(1000);
+    recorder.endAll([3]);
+    const id = recorder.currentSessionId;
+    assert.deepEqual(recorder.getTracks(id).map(tr => [tr.deck, tr.endedAt]), [[1, null], [3, at(1000)]]);
+
+    recorder.close();
+    assert.equal(recorder.listSessions().length, 0);
+    const reopened = open();
+    assert.deepEqual(reopened.getTracks(id).map(tr => tr.endedAt), [at(1000), at(1000)]);
+    assert.equal(reopened.getSession(id).endedAt, at(1000));
+});
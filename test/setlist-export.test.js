@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportSession, EXPORT_FORMATS } = require('../setlist-export');
+
+const session = { id: 7, startedAt: '2024-05-01T22:00:00.000Z', deviceName: 'Prime 4' };
+const tracks = [
+    { deck: 1, title: 'Opener', artist: 'Artist "A"', startedAt: '2024-05-01T22:00:00.000Z', endedAt: '2024-05-01T22:04:10.000Z', trackPath: 'Music/opener.mp3', bpm: 122, key: '8A' },
+    { deck: 2, title: 'Second', artist: 'B', startedAt: '2024-05-01T22:03:30.500Z', endedAt: null, trackPath: '' },
+    { deck: 1, title: 'Long night', artist: 'C', startedAt: '2024-05-02T00:05:00.040Z', endedAt: '2024-05-02T00:09:00.000Z' },
+];
+
+test('exports every format with a dated file name', () => {
+    assert.deepEqual(EXPORT_FORMATS, ['cue', 'm3u8', 'csv', 'json', 'txt']);
+    const result = exportSession(session, tracks, 'CUE');
+    assert.equal(result.filename, 'mixboard-session-7-20240501.cue');
+    assert.match(result.contentType, /^application\/x-cue/);
+    assert.equal(exportSession(session, tracks, 'wav'), null);
+});
+
+test('CUE sheet indexes tracks in minutes, seconds and 75ths of a second', () => {
+    const lines = exportSession(session, tracks, 'cue').body.split('\r\n');
+    assert.equal(lines[0], 'REM DATE 2024-05-01');
+    assert.equal(lines[2], 'PERFORMER "Prime 4"');
+    assert.equal(lines[4], 'FILE "mixboard-session-7.wav" WAVE');
+    const indexes = lines.filter(l => l.startsWith('    INDEX'));
+    assert.deepEqual(indexes, [
+        '    INDEX 01 00:00:00',
+        // 210.5 s = 3 min 30 s and 37.5 frames, rounded to 38
+        '    INDEX 01 03:30:38',
+        // past 99 minutes the minutes field just grows
+        '    INDEX 01 125:00:03',
+    ]);
+    assert.ok(lines.includes('  TRACK 03 AUDIO'));
+    // Double quotes would end the CUE string early
+    assert.ok(lines.includes(`    PERFORMER "Artist 'A'"`));
+    assert.equal(lines[lines.length - 1], '');
+});
+
+test('tracks starting before the session are placed at its start', () => {
+    const early = [{ ...tracks[0], startedAt: '2024-05-01T21:59:00.000Z' }];
+    assert.match(exportSession(session, early, 'cue').body, /INDEX 01 00:00:00/);
+    assert.match(exportSession(session, early, 'txt').body, /^01\. \[0:00\] /m);
+});
+
+test('M3U8 and CSV carry durations and offsets', () => {
+    const m3u = exportSession(session, tracks, 'm3u8').body.split('\n');
+    assert.equal(m3u[2], '#EXTINF:250,Artist "A" - Opener');
+    assert.equal(m3u[3], 'Music/opener.mp3');
+    // Still playing: unknown duration
+    assert.equal(m3u[4], '#EXTINF:-1,B - Second');
+    assert.equal(m3u[5], '# (no file path for "Second")');
+
+    const csv = exportSession(session, tracks, 'csv').body;
+    assert.ok(csv.startsWith('\uFEFF#,startedAt,offset,'));
+    const rows = csv.slice(1).trim().split('\r\n');
+    assert.equal(rows[1], '1,2024-05-01T22:00:00.000Z,0:00,2024-05-01T22:04:10.000Z,4:10,A,"Artist ""A""",Opener,122.00,8A,,Music/opener.mp3');
+    assert.equal(rows[3].split(',')[2], '2:05:00');
+});
+
+test('JSON adds position, offset and duration to each track', () => {
+    const { session: s, tracks: out } = JSON.parse(exportSession(session, tracks, 'json').body);
+    assert.equal(s.id, 7);
+    assert.deepEqual(out.map(t => [t.position, t.offset, t.duration]), [[1, 0, 250], [2, 210.5, 0], [3, 7500.04, 239.96]]);
+});
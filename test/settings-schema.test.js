@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SettingsSchema = require('../settings-schema');
+
+test('defaults carry the schema version and every field', () => {
+    const settings = SettingsSchema.defaults();
+    assert.equal(settings.schemaVersion, SettingsSchema.SCHEMA_VERSION);
+    for (const key of Object.keys(SettingsSchema.SCHEMA)) assert.ok(key in settings, key);
+    assert.equal(settings.refreshInterval, 500);
+    assert.equal(settings.osc.enabled, false);
+});
+
+test('validate merges objects one level deep and reports every bad field', () => {
+    const current = SettingsSchema.defaults();
+    const ok = SettingsSchema.validate({ osc: { port: 9001 }, refreshInterval: 250, schemaVersion: 99 }, current);
+    assert.equal(ok.ok, true);
+    assert.equal(ok.settings.osc.port, 9001);
+    assert.equal(ok.settings.osc.host, current.osc.host);
+    assert.equal(ok.settings.refreshInterval, 250);
+    assert.equal(ok.settings.schemaVersion, current.schemaVersion);
+    // The current settings are left alone
+    assert.equal(current.osc.port, SettingsSchema.defaults().osc.port);
+
+    const bad = SettingsSchema.validate({
+        refreshInterval: 20,
+        autoReconnect: 'yes',
+        osc: { port: 1.5, deckAddress: 'no-slash', extra: 1 },
+        mqtt: { qos: 3 },
+        networkInterface: 'eth0',
+        unknown: true,
+    }, current);
+    assert.equal(bad.ok, false);
+    assert.deepEqual(bad.errors.map(e => e.field).sort(), [
+        'autoReconnect', 'mqtt.qos', 'networkInterface', 'osc.deckAddress', 'osc.extra', 'osc.port', 'refreshInterval', 'unknown',
+    ]);
+    assert.equal(SettingsSchema.validate(null, current).ok, false);
+});
+
+test('maps are replaced whole and their entries may be partial', () => {
+    const current = { ...SettingsSchema.defaults(), overlayPresets: { old: { layout: 'bar' } } };
+    const result = SettingsSchema.validate({ overlayPresets: { stream: { layout: 'card', size: 24 } } }, current);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.settings.overlayPresets, { stream: { layout: 'card', size: 24 } });
+
+    const bad = SettingsSchema.validate({ overlayPresets: { ' ': {}, ok: { layout: 'huge' } } }, current);
+    assert.deepEqual(bad.errors.map(e => e.field), ['overlayPresets. ', 'overlayPresets.ok.layout']);
+});
+
+test('load migrates version 1 files and reports a change only when values moved', () => {
+    const migrated = SettingsSchema.load({ refreshInterval: '250', osc: { port: '9000', host: '10.0.0.2' } });
+    assert.equal(migrated.changed, true);
+    assert.equal(migrated.settings.refreshInterval, 250);
+    assert.equal(migrated.settings.osc.port, 9000);
+    // Fields missing from stored objects come from the defaults
+    assert.equal(migrated.settings.osc.beatAddress, SettingsSchema.defaults().osc.beatAddress);
+    assert.equal(migrated.settings.schemaVersion, SettingsSchema.SCHEMA_VERSION);
+
+    // No schemaVersion, but nothing for the migration to do
+    const untouched = SettingsSchema.load({ networkInterface: '192.168.1.10', autoReconnect: true });
+    assert.equal(untouched.changed, false);
+    assert.deepEqual(untouched.warnings, []);
+
+    // The raw object is not modified
+    const raw = { mqtt: { qos: '1' } };
+    SettingsSchema.load(raw);
+    assert.equal(raw.mqtt.qos, '1');
+});
+
+test('load keeps the valid parts and warns about the rest', () => {
+    const { settings, changed, warnings } = SettingsSchema.load({
+        schemaVersion: 2,
+        refreshInterval: 5,
+        osc: { port: 70000, host: 'mixer.local' },
+        bogus: 1,
+    });
+    assert.equal(changed, false);
+    assert.equal(settings.refreshInterval, 500);
+    assert.equal(settings.osc.port, SettingsSchema.defaults().osc.port);
+    assert.equal(settings.osc.host, 'mixer.local');
+    assert.equal(settings.bogus, undefined);
+    assert.equal(warnings.length, 3);
+    assert.deepEqual(SettingsSchema.load('not an object').settings, SettingsSchema.defaults());
+});
+
+test('stored keeps only values that differ from the defaults', () => {
+    const { settings } = SettingsSchema.validate({ networkInterface: '10.0.0.5', osc: { port: 9001 }, autoReconnect: true }, SettingsSchema.defaults());
+    const stored = SettingsSchema.stored(settings);
+    assert.deepEqual(stored, { schemaVersion: SettingsSchema.SCHEMA_VERSION, networkInterface: '10.0.0.5', osc: { port: 9001 } });
+    // What is stored loads back to the same settings
+    const reloaded = SettingsSchema.load(stored);
+    assert.equal(reloaded.changed, false);
+    assert.deepEqual(reloaded.settings, settings);
+    assert.deepEqual(SettingsSchema.stored(SettingsSchema.defaults()), { schemaVersion: SettingsSchema.SCHEMA_VERSION });
+});
+
+test('redact blanks secrets and describe is JSON-safe', () => {
+    const settings = SettingsSchema.validate({ mqtt: { password: 'hunter2', username: 'dj' } }, SettingsSchema.defaults()).settings;
+    const redacted = SettingsSchema.redact(settings);
+    assert.equal(redacted.mqtt.password, '');
+    assert.equal(redacted.mqtt.username, 'dj');
+    assert.equal(settings.mqtt.password, 'hunter2');
+
+    const description = JSON.parse(JSON.stringify(SettingsSchema.describe()));
+    assert.equal(description.version, SettingsSchema.SCHEMA_VERSION);
+    assert.equal(description.fields.osc.fields.deckAddress.pattern, '^\\/');
+    assert.equal(description.fields.refreshInterval.default, 500);
+    assert.equal(description.fields.overlayPresets.values.type, 'object');
+});
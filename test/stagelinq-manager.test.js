@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StagelinqManager = require('../stagelinq-manager');
+const DeviceProbe = require('../device-probe');
+
+function createManager(options = {}) {
+    const manager = new StagelinqManager({ mode: 'live', ...options });
+    // No deviceReady/deviceDisconnected events, and no stagelinq library needed
+    manager._quiet = true;
+    return manager;
+}
+
+function connect(manager, ip, name) {
+    manager._onDeviceConnected({ address: ip, port: 50010, source: name, software: { name: 'JP11', version: '4.0.0' } });
+    return manager.state.devices[ip];
+}
+
+test('two all-in-one units get their own slots, first come first served', (t) => {
+    t.mock.method(console, 'log', () => { });
+    t.mock.method(console, 'warn', () => { });
+    const manager = createManager();
+    // A mixer takes no slots
+    connect(manager, '10.0.0.9', 'Denon X1850');
+    const first = connect(manager, '10.0.0.1', 'PRIME 2');
+    const second = connect(manager, '10.0.0.2', 'PRIME 2');
+    assert.deepEqual(first.mapping, { A: 1, B: 2 });
+    assert.deepEqual(second.mapping, { A: 3, B: 4 });
+
+    // The first drops out and a third unit takes its slots; back again, it finds none free
+    manager._markDeviceDisconnected(first);
+    const third = connect(manager, '10.0.0.3', 'Prime GO');
+    assert.deepEqual(third.mapping, { A: 1, B: 2 });
+    connect(manager, '10.0.0.1', 'PRIME 2');
+    assert.deepEqual(first.mapping, { A: null, B: null });
+    assert.match(first.mappingWarning, /A\/B/);
+    assert.deepEqual(second.mapping, { A: 3, B: 4 });
+});
+
+test('standalone players avoid the slots of an all-in-one unit', (t) => {
+    t.mock.method(console, 'log', () => { });
+    const manager = createManager();
+    const unit = connect(manager, '10.0.0.1', 'Prime GO');
+    const player = connect(manager, '10.0.0.2', 'SC6000');
+    player.player = 3;
+    manager._refreshDeckMapping(player);
+    assert.deepEqual(unit.mapping, { A: 1, B: 2 });
+    assert.deepEqual(player.mapping, { A: 3, B: 4 });
+});
+
+// Lets the awaited connectToDevice / probe settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function reconnecting(t, { random = 0.5 } = {}) {
+    t.mock.method(console, 'log', () => { });
+    t.mock.method(console, 'warn', () => { });
+    t.mock.method(Math, 'random', () => random);
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-01-01T20:00:00Z') });
+    const manager = createManager({ shouldReconnect: () => true });
+    const attempts = [];
+    manager.connectToDevice = async () => {
+        attempts.push(Date.now());
+        return { ok: false };
+    };
+    const device = connect(manager, '10.0.0.1', 'SC6000');
+    manager._markDeviceDisconnected(device, 'gone');
+    return { manager, device, attempts };
+}
+
+test('reconnects back off exponentially up to the cap', async (t) => {
+    const { manager, device, attempts } = reconnecting(t);
+    const start = Date.now();
+    assert.equal(manager.scheduleReconnect('10.0.0.1'), true);
+    assert.equal(device.connectionState, 'reconnecting');
+    assert.deepEqual(device.reconnect, { attempt: 1, nextAt: new Date(start + 2000).toISOString() });
+
+    const delays = [2000, 4000, 8000, 16000, 32000, 60000, 60000];
+    for (const [i, delay] of delays.entries()) {
+        t.mock.timers.tick(delay - 1);
+        assert.equal(attempts.length, i);
+        t.mock.timers.tick(1);
+        await settle();
+    }
+    assert.deepEqual(attempts.map((at, i) => at - (i ? attempts[i - 1] : start)), delays);
+    assert.equal(device.reconnect.attempt, 8);
+
+    // The device coming back, from any source, ends the cycle
+    connect(manager, '10.0.0.1', 'SC6000');
+    assert.equal(manager._reconnects.size, 0);
+    assert.equal(device.reconnect, null);
+    assert.equal(device.connectionState, 'connected');
+    t.mock.timers.tick(60000);
+    await settle();
+    assert.equal(attempts.length, delays.length);
+});
+
+test('reconnect delays are jittered by up to 30%', async (t) => {
+    for (const [random, delay] of [[0, 1400], [0.9999, 2600]]) {
+        const { manager, device } = reconnecting(t, { random });
+        manager.scheduleReconnect('10.0.0.1');
+        assert.equal(Date.parse(device.reconnect.nextAt) - Date.now(), delay);
+        manager._cancelReconnect('10.0.0.1');
+        t.mock.reset();
+    }
+});
+
+test('cancelled or disallowed reconnects stop retrying', async (t) => {
+    const { manager, device, attempts } = reconnecting(t);
+    manager.scheduleReconnect('10.0.0.1');
+    manager.cancelReconnect('10.0.0.1');
+    assert.equal(device.connectionState, 'disconnected');
+    t.mock.timers.tick(60000);
+    await settle();
+    assert.deepEqual(attempts, []);
+
+    // Cancelled while an attempt is running: the failure does not schedule another
+    manager.scheduleReconnect('10.0.0.1');
+    let finish;
+    manager.connectToDevice = () => new Promise(resolve => { finish = resolve; });
+    t.mock.timers.tick(2000);
+    manager.cancelReconnect('10.0.0.1');
+    finish({ ok: false });
+    await settle();
+    assert.equal(manager._reconnects.size, 0);
+
+    // Switched off in settings, or not in live mode
+    manager.shouldReconnect = () => false;
+    assert.equal(manager.scheduleReconnect('10.0.0.1'), false);
+    manager.shouldReconnect = () => true;
+    manager.mode = 'demo';
+    assert.equal(manager.scheduleReconnect('10.0.0.1'), false);
+    assert.equal(manager.scheduleReconnect('10.0.0.99'), false);
+});
+
+test('the watchdog probes silent devices less often while they answer', async (t) => {
+    t.mock.method(console, 'log', () => { });
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-01-01T20:00:00Z') });
+    const probes = [];
+    t.mock.method(DeviceProbe, 'probe', async (ip, port) => { probes.push([Date.now(), ip, port]); });
+    const manager = createManager();
+    const device = connect(manager, '10.0.0.1', 'SC6000');
+    const start = Date.now();
+
+    // Not silent long enough yet
+    t.mock.timers.tick(10000);
+    await manager._checkDevices();
+    assert.equal(probes.length, 0);
+
+    const at = [];
+    for (let s = 15; s <= 200; s += 5) {
+        t.mock.timers.tick(5000);
+        await manager._checkDevices();
+        if (probes.length > at.length) at.push((Date.now() - start) / 1000);
+    }
+    // 20 s, 40 s, then capped at 60 s between probes
+    assert.deepEqual(at, [15, 35, 75, 135, 195]);
+    assert.deepEqual(probes[0].slice(1), ['10.0.0.1', 50010]);
+
+    // Any sign of life resets the backoff and the silence clock
+    manager._markSeen('10.0.0.1');
+    assert.equal(manager._probeBackoff.size, 0);
+    t.mock.timers.tick(15000);
+    await manager._checkDevices();
+    assert.equal(probes.length, 6);
+    assert.equal(device.connectionState, 'connected');
+});
+
+test('a silent device that fails the probe is marked lost and retried', async (t) => {
+    t.mock.method(console, 'log', () => { });
+    t.mock.method(console, 'warn', () => { });
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-01-01T20:00:00Z') });
+    t.mock.method(DeviceProbe, 'probe', async () => { throw new Error('timeout'); });
+    const manager = createManager({ shouldReconnect: () => true });
+    const device = connect(manager, '10.0.0.1', 'SC6000');
+    const events = [];
+    manager.on('deviceDisconnected', (event) => events.push(event));
+
+    t.mock.timers.tick(11000);
+    await manager._checkDevices();
+    assert.deepEqual(events.map(e => [e.ip, e.reason]), [['10.0.0.1', 'lost']]);
+    assert.equal(device.connectionState, 'reconnecting');
+    assert.match(device.error, /连接丢失: timeout/);
+    assert.equal(device.reconnect.attempt, 1);
+    manager._cancelReconnect('10.0.0.1');
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StateSync = require('../state-sync');
+const { stateFilter } = require('../ws-protocol');
+
+// Applies an op the way public/app.js does
+function applyOp(root, op) {
+    const keys = op.path.split('/').slice(1).map(k => k.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = keys.pop();
+    const parent = keys.reduce((obj, k) => obj[k], root);
+    if (op.op === 'remove') delete parent[last]; else parent[last] = op.value;
+}
+
+function fakeSocket() {
+    return {
+        readyState: 1,
+        bufferedAmount: 0,
+        messages: [],
+        send(text) { this.messages.push(JSON.parse(text)); },
+    };
+}
+
+// Follows snapshots and patches like a dashboard; fails on a version gap
+function follow(ws) {
+    let state = null;
+    let version = null;
+    for (const msg of ws.messages.splice(0)) {
+        if (msg.type === 'state') {
+            state = JSON.parse(JSON.stringify(msg.data));
+            version = msg.version;
+        } else {
+            assert.equal(msg.data.from, version, 'patch does not follow the last version');
+            msg.data.ops.forEach(op => applyOp(state, op));
+            version = msg.data.to;
+        }
+    }
+    return { state, version };
+}
+
+function deckState(bpm = 120) {
+    return {
+        decks: { 1: { bpm, title: 'One', hotcues: [1, 2] }, 2: { bpm: 124, title: 'Two' } },
+        mixer: { crossfader: 0.5 },
+        devices: { '10.0.0.1': { name: 'Prime 4' } },
+    };
+}
+
+test('diff produces add, replace and remove ops with escaped keys', () => {
+    const prev = { a: 1, nested: { keep: true, drop: 1 }, list: [1, 2], 'x/y': 1 };
+    const next = { a: 2, nested: { keep: true, added: 'n' }, list: [1, 3], 'x/y': 1, 'm~n': null };
+    assert.deepEqual(StateSync.diff(prev, next), [
+        { op: 'replace', path: '/a', value: 2 },
+        { op: 'remove', path: '/nested/drop' },
+        { op: 'add', path: '/nested/added', value: 'n' },
+        // Arrays are replaced whole
+        { op: 'replace', path: '/list', value: [1, 3] },
+        { op: 'add', path: '/m~0n', value: null },
+    ]);
+    assert.deepEqual(StateSync.diff({ 'x/y': 1 }, { 'x/y': 2 }), [{ op: 'replace', path: '/x~1y', value: 2 }]);
+    assert.deepEqual(StateSync.diff(next, JSON.parse(JSON.stringify(next))), []);
+});
+
+test('patches applied to the snapshot reproduce the latest state', (t) => {
+    const sync = new StateSync();
+    t.after(() => sync.stop());
+    const ws = fakeSocket();
+    sync.update(deckState());
+    sync.addClient(ws);
+    assert.equal(ws.messages[0].type, 'state');
+
+    const next = deckState(126);
+    next.decks[1].hotcues = [1];
+    delete next.decks[2];
+    next.decks[3] = { bpm: 90, title: 'Three' };
+    sync.update(deckState(121));
+    sync.update(next);
+    sync._flush();
+
+    // Both updates go out as one patch
+    assert.equal(ws.messages.length, 2);
+    assert.equal(ws.messages[1].type, 'patch');
+    assert.deepEqual(follow(ws), { state: next, version: sync.version });
+
+    // Nothing changed: nothing sent
+    sync.update(JSON.parse(JSON.stringify(next)));
+    sync._flush();
+    assert.equal(ws.messages.length, 0);
+});
+
+test('a client too far behind the history gets a snapshot', (t) => {
+    const sync = new StateSync();
+    t.after(() => sync.stop());
+    const ws = fakeSocket();
+    sync.update(deckState());
+    sync.addClient(ws);
+    ws.messages.length = 0;
+    // A slow link holds the client back while the history moves on
+    ws.bufferedAmount = 10 * 1024 * 1024;
+    for (let bpm = 100; bpm < 130; bpm++) {
+        sync.update(deckState(bpm));
+        sync._flush();
+    }
+    assert.equal(ws.messages.length, 0);
+
+    ws.bufferedAmount = 0;
+    sync._flush();
+    assert.equal(ws.messages.length, 1);
+    assert.equal(ws.messages[0].type, 'state');
+    assert.deepEqual(follow(ws), { state: deckState(129), version: sync.version });
+});
+
+test('filtered clients only see their subtrees and keep consecutive versions', (t) => {
+    const sync = new StateSync();
+    t.after(() => sync.stop());
+    const ws = fakeSocket();
+    sync.update(deckState());
+    sync.addClient(ws, stateFilter(new Set(['deck:1'])));
+    assert.deepEqual(Object.keys(ws.messages[0].data.decks), ['1']);
+    assert.equal(ws.messages[0].data.mixer, undefined);
+
+    // Only the mixer moved: no message, but the client is up to date
+    const mixed = deckState();
+    mixed.mixer.crossfader = 1;
+    sync.update(mixed);
+    sync._flush();
+    assert.equal(ws.messages.length, 1);
+
+    const changed = JSON.parse(JSON.stringify(mixed));
+    changed.decks[1].bpm = 130;
+    changed.decks[2].bpm = 100;
+    sync.update(changed);
+    sync._flush();
+    const patch = ws.messages[1].data;
+    assert.deepEqual(patch.ops, [{ op: 'replace', path: '/decks/1/bpm', value: 130 }]);
+    const { state } = follow(ws);
+    assert.deepEqual(state.decks, { 1: changed.decks[1] });
+});
+
+test('whole subtrees added or removed at once are filtered too', (t) => {
+    const sync = new StateSync();
+    t.after(() => sync.stop());
+    const ws = fakeSocket();
+    sync.update({ mixer: { crossfader: 0.5 } });
+    sync.addClient(ws, stateFilter(new Set(['deck:2'])));
+    assert.deepEqual(ws.messages[0].data, {});
+
+    // The decks object appears in one op: only deck 2 gets through
+    sync.update({ mixer: { crossfader: 0.5 }, decks: deckState().decks });
+    sync._flush();
+    assert.deepEqual(ws.messages[1].data.ops, [{ op: 'add', path: '/decks', value: { 2: { bpm: 124, title: 'Two' } } }]);
+
+    // A new deck 3 is dropped entirely; removing the decks passes through untouched
+    sync.update({ mixer: { crossfader: 0.5 }, decks: { ...deckState().decks, 3: { bpm: 90 } } });
+    sync._flush();
+    assert.equal(ws.messages.length, 2);
+    sync.update({ mixer: { crossfader: 0.5 } });
+    sync._flush();
+    assert.deepEqual(ws.messages[2].data.ops, [{ op: 'remove', path: '/decks' }]);
+    assert.deepEqual(follow(ws), { state: {}, version: sync.version });
+});
+
+test('refresh interval is clamped', () => {
+    const sync = new StateSync({ interval: 1 });
+    assert.equal(sync.interval, 50);
+    sync.setInterval(60000);
+    assert.equal(sync.interval, 10000);
+    sync.setInterval('abc');
+    assert.equal(sync.interval, 500);
+});
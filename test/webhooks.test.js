@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Webhooks = require('../webhooks');
+
+function createWebhooks(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixboard-webhooks-'));
+    const manager = { getMode: () => 'demo' };
+    const deckEvents = new EventEmitter();
+    const webhooks = new Webhooks({ manager, deckEvents, nowPlaying: new EventEmitter(), dataDir });
+    t.after(() => {
+        webhooks.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    return { webhooks, deckEvents, dataDir };
+}
+
+// Local receiver answering with `status`; resolves each request as it arrives
+async function receiver(t, status = 200) {
+    const requests = [];
+    const waiting = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            res.statusCode = status;
+            res.end();
+            const request = { headers: req.headers, body };
+            requests.push(request);
+            waiting.splice(0).forEach(resolve => resolve(request));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        next: () => new Promise(resolve => waiting.push(resolve)),
+    };
+}
+
+// Resolves once a delivery leaves the 'pending' state
+function settled(webhooks) {
+    return new Promise(resolve => webhooks.on('delivery', (delivery) => { if (delivery.status !== 'pending') resolve(delivery); }));
+}
+
+test('sign is an HMAC-SHA256 of the timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', 's3cret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(Webhooks.sign('s3cret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+    assert.notEqual(Webhooks.sign('other', 1700000000, '{"a":1}'), Webhooks.sign('s3cret', 1700000000, '{"a":1}'));
+});
+
+test('endpoints need an http(s) URL, known events and text name and secret', (t) => {
+    const { webhooks, dataDir } = createWebhooks(t);
+    assert.throws(() => webhooks.add({}), /无效的 Webhook URL/);
+    assert.throws(() => webhooks.add({ url: 'ftp://example.com' }), /无效的 Webhook URL/);
+    assert.throws(() => webhooks.add({ url: 'not a url' }), /无效的 Webhook URL/);
+    assert.throws(() => webhooks.add({ url: 'https://example.com', events: 'nowPlaying' }), /events 必须是数组/);
+    assert.throws(() => webhooks.add({ url: 'https://example.com', events: ['nowPlaying', 'explode'] }), /未知事件: explode/);
+    assert.throws(() => webhooks.add({ url: 'https://example.com', name: 42 }), /name 必须是文本/);
+    assert.throws(() => webhooks.add({ url: 'https://example.com', secret: ['x'] }), /secret 必须是文本/);
+    assert.equal(webhooks.endpoints.length, 0);
+
+    const endpoint = webhooks.add({ url: 'https://example.com/hook', name: 'x'.repeat(100), events: ['nowPlaying'] });
+    assert.equal(endpoint.name.length, 64);
+    assert.match(endpoint.secret, /^[0-9a-f]{48}$/);
+    // The secret is only shown on creation
+    assert.equal(webhooks.list()[0].hasSecret, true);
+    assert.equal(webhooks.list()[0].secret, undefined);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dataDir, 'webhooks.json'), 'utf-8'))[0].id, endpoint.id);
+
+    assert.throws(() => webhooks.update(endpoint.id, { url: 'javascript:alert(1)' }), /无效的 Webhook URL/);
+    assert.throws(() => webhooks.update(endpoint.id, { name: {} }), /name 必须是文本/);
+    assert.throws(() => webhooks.update('missing', {}), /Webhook 不存在/);
+    const updated = webhooks.update(endpoint.id, { enabled: 0, events: [] });
+    assert.equal(updated.enabled, false);
+    assert.equal(webhooks.remove(endpoint.id), true);
+    assert.equal(webhooks.remove(endpoint.id), false);
+});
+
+test('deliveries are signed and carry the event headers', async (t) => {
+    const { webhooks, deckEvents } = createWebhooks(t);
+    const target = await receiver(t);
+    const endpoint = webhooks.add({ url: target.url, secret: 'topsecret', events: ['trackLoaded'] });
+
+    const received = target.next();
+    const done = settled(webhooks);
+    // Not subscribed: ignored
+    deckEvents.emit('masterChanged', { deck: 1, previous: null });
+    deckEvents.emit('trackChanged', { deck: 2, deviceId: '10.0.0.1', track: { title: 'Song' } });
+    const { headers, body } = await received;
+
+    assert.equal(headers['x-mixboard-event'], 'trackLoaded');
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-mixboard-signature'], Webhooks.sign('topsecret', headers['x-mixboard-timestamp'], body));
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, headers['x-mixboard-delivery']);
+    assert.equal(payload.mode, 'demo');
+    assert.deepEqual(payload.data, { deck: 2, deviceId: '10.0.0.1', track: { title: 'Song' } });
+
+    const delivery = await done;
+    assert.equal(delivery.status, 'success');
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(delivery.endpointId, endpoint.id);
+    assert.equal(target.requests.length, 1);
+});
+
+test('server errors are retried and client errors are not', async (t) => {
+    const { webhooks } = createWebhooks(t);
+    const broken = await receiver(t, 503);
+    const rejecting = await receiver(t, 400);
+
+    const retrying = webhooks.add({ url: broken.url });
+    let done = settled(webhooks);
+    webhooks.test(retrying.id);
+    let delivery = await done;
+    assert.equal(delivery.status, 'retrying');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.error, 'HTTP 503');
+    assert.ok(Date.parse(delivery.nextAttemptAt) > Date.now());
+
+    webhooks.remove(retrying.id);
+    const failing = webhooks.add({ url: rejecting.url });
+    done = settled(webhooks);
+    const sent = webhooks.test(failing.id);
+    delivery = await done;
+    assert.equal(delivery.id, sent.id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.responseStatus, 400);
+    assert.equal(rejecting.requests.length, 1);
+
+    // A resend is a new delivery pointing back at the original
+    done = settled(webhooks);
+    const again = webhooks.resend(sent.id);
+    assert.equal(again.resentFrom, sent.id);
+    assert.deepEqual(again.payload.data, sent.payload.data);
+    await done;
+    assert.throws(() => webhooks.resend('missing'), /投递记录不存在/);
+});
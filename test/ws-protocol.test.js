@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const wsProtocol = require('../ws-protocol');
+
+const DECKS = ['deck:1', 'deck:2', 'deck:3', 'deck:4'];
+
+test('parseTopics sorts topics into valid, unknown and forbidden', () => {
+    assert.deepEqual(wsProtocol.parseTopics(['mixer', 'beat', 'mixer', 'lights', 7]), {
+        valid: ['mixer', 'beat'],
+        unknown: ['lights', '7'],
+        forbidden: [],
+    });
+    // A single topic does not need to be wrapped in a list
+    assert.deepEqual(wsProtocol.parseTopics('history').valid, ['history']);
+    assert.deepEqual(wsProtocol.parseTopics(['deck:*', 'deck:2']).valid, DECKS);
+    assert.deepEqual(wsProtocol.parseTopics(['deck:5']).unknown, ['deck:5']);
+});
+
+test('viewers cannot subscribe to admin topics', () => {
+    assert.deepEqual(wsProtocol.parseTopics(['webhooks', 'mixer'], 'viewer'), { valid: ['mixer'], unknown: [], forbidden: ['webhooks'] });
+    assert.deepEqual(wsProtocol.parseTopics(['webhooks'], 'admin').valid, ['webhooks']);
+
+    // '*' quietly means "everything this role may see"
+    const viewerAll = wsProtocol.parseTopics('*', 'viewer');
+    assert.deepEqual(viewerAll.forbidden, []);
+    assert.deepEqual(viewerAll.valid, wsProtocol.TOPICS.filter(t => t !== 'webhooks'));
+    assert.deepEqual(wsProtocol.parseTopics('*').valid, wsProtocol.TOPICS);
+
+    assert.deepEqual(wsProtocol.topicsForRole(wsProtocol.DEFAULT_TOPICS, 'viewer').includes('webhooks'), false);
+    assert.equal(wsProtocol.DEFAULT_TOPICS.includes('statemap'), false);
+});
+
+test('messages map to their topic, untopiced ones go to everyone', () => {
+    assert.equal(wsProtocol.topicForMessage('beat'), 'beat');
+    assert.equal(wsProtocol.topicForMessage('notification'), 'notifications');
+    assert.equal(wsProtocol.topicForMessage('webhook'), 'webhooks');
+    assert.equal(wsProtocol.topicForMessage('modeChanged'), null);
+});
+
+test('stateFilter keeps subscribed decks and looks inside the decks object', () => {
+    const accept = wsProtocol.stateFilter(new Set(['deck:2', 'device']));
+    assert.equal(accept('/decks'), null);
+    assert.equal(accept('/decks/2'), true);
+    assert.equal(accept('/decks/2/currentBPM'), true);
+    assert.equal(accept('/decks/1'), false);
+    assert.equal(accept('/mixer/crossfader'), false);
+    assert.equal(accept('/devices/10.0.0.1'), true);
+    assert.equal(accept('/mode'), true);
+});
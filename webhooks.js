@@ -0,0 +1,342 @@
+/**
+ * Webhooks
+ * POSTs signed JSON to user-configured URLs when something happens on the
+ * decks or the network, with retries and a delivery log that can be resent.
+ *
+ * Every request carries:
+ *   X-Mixboard-Event      event name
+ *   X-Mixboard-Delivery   delivery id (stays the same across retries)
+ *   X-Mixboard-Timestamp  unix seconds
+ *   X-Mixboard-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ * Body: { id, event, timestamp, mode, data }
+ *
+ * Endpoints live in data/webhooks.json, the last deliveries in data/webhook-deliveries.json.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+const EVENTS = ['deviceReady', 'deviceDisconnected', 'trackLoaded', 'nowPlaying', 'masterChanged', 'mediaInserted', 'mediaRemoved'];
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_DELIVERIES = 200;
+
+/**
+ * Exponential backoff with ±20% jitter, so endpoints that failed together do
+ * not all retry in the same instant.
+ */
+function retryDelay(attempt) {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Worth retrying: network errors, timeouts, rate limiting and server errors
+function isRetryable(status) {
+    return !status || status === 408 || status === 429 || status >= 500;
+}
+
+function readJson(file, fallback) {
+    try {
+        if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        console.warn(`[Webhooks] Failed to load ${path.basename(file)}:`, err.message);
+    }
+    return fallback;
+}
+
+class Webhooks extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {StagelinqManager} options.manager for the current mode
+     * @param {DeckEvents} options.deckEvents discrete deck/device events
+     * @param {NowPlaying} options.nowPlaying on-air tracker
+     * @param {string} [options.dataDir] where webhooks.json and webhook-deliveries.json live
+     */
+    constructor({ manager, deckEvents, nowPlaying, dataDir = DATA_DIR }) {
+        super();
+        this.manager = manager;
+        this.nowPlaying = nowPlaying;
+        this.endpointsFile = path.join(dataDir, 'webhooks.json');
+        this.deliveriesFile = path.join(dataDir, 'webhook-deliveries.json');
+        fs.mkdirSync(dataDir, { recursive: true });
+        this.endpoints = readJson(this.endpointsFile, []);
+        this.deliveries = readJson(this.deliveriesFile, []);
+        this._timers = new Map();
+        this._saveTimer = null;
+        this._nowPlayingKey = null;
+
+        // Retries that were still pending when Mixboard stopped
+        for (const delivery of this.deliveries) {
+            if (delivery.status === 'pending' || delivery.status === 'retrying') this._schedule(delivery, retryDelay(1));
+        }
+
+        deckEvents.on('deviceConnected', (info) => this.dispatch('deviceReady', info));
+        deckEvents.on('deviceDisconnected', (info) => this.dispatch('deviceDisconnected', info));
+        deckEvents.on('trackChanged', ({ deck, deviceId, track }) => {
+            if (track) this.dispatch('trackLoaded', { deck, deviceId, track });
+        });
+        deckEvents.on('masterChanged', (e) => this.dispatch('masterChanged', e));
+        deckEvents.on('mediaChanged', ({ present, ...media }) => this.dispatch(present ? 'mediaInserted' : 'mediaRemoved', media));
+        // "Now playing" follows the master rule, like the overlay default
+        nowPlaying.on('change', (snapshot) => {
+            const track = snapshot.master;
+            const key = track ? `${track.deck}|${track.key}` : '';
+            if (key === this._nowPlayingKey) return;
+            this._nowPlayingKey = key;
+            if (track) this.dispatch('nowPlaying', { deck: track.deck, track });
+        });
+    }
+
+    // ─── Endpoints ───────────────────────────────────────────────────────────
+
+    /**
+     * Endpoints without their secrets (those are only shown once, on creation).
+     */
+    list() {
+        return this.endpoints.map(({ secret, ...endpoint }) => ({ ...endpoint, hasSecret: !!secret }));
+    }
+
+    _validate({ url, events, name, secret }, { requireUrl = false } = {}) {
+        if (url !== undefined || requireUrl) {
+            let parsed;
+            try { parsed = new URL(url); } catch (_) { parsed = null; }
+            if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) throw new Error('无效的 Webhook URL');
+        }
+        if (events !== undefined) {
+            if (!Array.isArray(events)) throw new Error('events 必须是数组');
+            const unknown = events.filter(e => !EVENTS.includes(e));
+            if (unknown.length) throw new Error(`未知事件: ${unknown.join(', ')}`);
+        }
+        if (name !== undefined && typeof name !== 'string') throw new Error('name 必须是文本');
+        if (secret !== undefined && typeof secret !== 'string') throw new Error('secret 必须是文本');
+    }
+
+    /**
+     * @param {{ url: string, secret?: string, events?: string[], enabled?: boolean, name?: string }} options
+     *   events: empty or missing means every event
+     * @returns {object} the new endpoint, including its secret
+     */
+    add({ url, secret, events = [], enabled = true, name = '' }) {
+        this._validate({ url, events, name, secret }, { requireUrl: true });
+        const endpoint = {
+            id: crypto.randomUUID(),
+            name: name.slice(0, 64),
+            url,
+            secret: secret || crypto.randomBytes(24).toString('hex'),
+            events,
+            enabled: !!enabled,
+            createdAt: new Date().toISOString(),
+        };
+        this.endpoints.push(endpoint);
+        this._saveEndpoints();
+        console.log(`[Webhooks] ➕ ${url}`);
+        return endpoint;
+    }
+
+    update(id, changes) {
+        const endpoint = this.endpoints.find(e => e.id === id);
+        if (!endpoint) throw new Error('Webhook 不存在');
+        this._validate(changes);
+        for (const key of ['name', 'url', 'secret', 'events', 'enabled']) {
+            if (changes[key] === undefined) continue;
+            if (key === 'enabled') endpoint.enabled = !!changes.enabled;
+            else if (key === 'name') endpoint.name = changes.name.slice(0, 64);
+            else endpoint[key] = changes[key];
+        }
+        this._saveEndpoints();
+        return this.list().find(e => e.id === id);
+    }
+
+    remove(id) {
+        const before = this.endpoints.length;
+        this.endpoints = this.endpoints.filter(e => e.id !== id);
+        if (this.endpoints.length === before) return false;
+        this._saveEndpoints();
+        return true;
+    }
+
+    _saveEndpoints() {
+        try {
+            fs.writeFileSync(this.endpointsFile, JSON.stringify(this.endpoints, null, 2), 'utf-8');
+        } catch (err) {
+            console.error('[Webhooks] Failed to save endpoints:', err.message);
+        }
+    }
+
+    // ─── Deliveries ──────────────────────────────────────────────────────────
+
+    /**
+     * Queue an event for every enabled endpoint that subscribes to it.
+     */
+    dispatch(event, data) {
+        const targets = this.endpoints.filter(e => e.enabled && (!e.events.length || e.events.includes(event)));
+        for (const endpoint of targets) this._deliver(endpoint, event, data);
+    }
+
+    /**
+     * Send a 'ping' to one endpoint, regardless of its filter.
+     */
+    test(id) {
+        const endpoint = this.endpoints.find(e => e.id === id);
+        if (!endpoint) throw new Error('Webhook 不存在');
+        return this._deliver(endpoint, 'ping', { message: 'Mixboard webhook test' });
+    }
+
+    /**
+     * Send a logged delivery again, as a new delivery with the same payload.
+     */
+    resend(deliveryId) {
+        const original = this.deliveries.find(d => d.id === deliveryId);
+        if (!original) throw new Error('投递记录不存在');
+        const endpoint = this.endpoints.find(e => e.id === original.endpointId);
+        if (!endpoint) throw new Error('Webhook 已删除');
+        return this._deliver(endpoint, original.event, original.payload.data, original.id);
+    }
+
+    listDeliveries(limit = 50) {
+        return this.deliveries.slice(0, limit);
+    }
+
+    _deliver(endpoint, event, data, resentFrom = null) {
+        const id = crypto.randomUUID();
+        const delivery = {
+            id,
+            endpointId: endpoint.id,
+            url: endpoint.url,
+            event,
+            payload: { id, event, timestamp: new Date().toISOString(), mode: this.manager.getMode(), data },
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            error: null,
+            resentFrom,
+            createdAt: new Date().toISOString(),
+            lastAttemptAt: null,
+            nextAttemptAt: null,
+        };
+        this.deliveries.unshift(delivery);
+        this._trimDeliveries();
+        this._attempt(delivery);
+        return delivery;
+    }
+
+    async _attempt(delivery) {
+        this._timers.delete(delivery.id);
+        const endpoint = this.endpoints.find(e => e.id === delivery.endpointId);
+        if (!endpoint) {
+            this._finish(delivery, 'failed', null, 'Webhook 已删除');
+            return;
+        }
+        delivery.attempts++;
+        delivery.lastAttemptAt = new Date().toISOString();
+        delivery.nextAttemptAt = null;
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        let status = null;
+        let error = null;
+        try {
+            const res = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Mixboard-Webhooks/1.0',
+                    'X-Mixboard-Event': delivery.event,
+                    'X-Mixboard-Delivery': delivery.id,
+                    'X-Mixboard-Timestamp': String(timestamp),
+                    'X-Mixboard-Signature': sign(endpoint.secret, timestamp, body),
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+            });
+            status = res.status;
+            if (!res.ok) error = `HTTP ${res.status}`;
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? '请求超时' : (err.cause && err.cause.code) || err.message;
+        }
+
+        if (!error) {
+            this._finish(delivery, 'success', status, null);
+        } else if (isRetryable(status) && delivery.attempts < MAX_ATTEMPTS) {
+            delivery.status = 'retrying';
+            delivery.responseStatus = status;
+            delivery.error = error;
+            this._schedule(delivery, retryDelay(delivery.attempts));
+            console.warn(`[Webhooks] ${delivery.event} → ${delivery.url} failed (${error}), retry ${delivery.attempts}/${MAX_ATTEMPTS - 1} at ${delivery.nextAttemptAt}`);
+            this._changed(delivery);
+        } else {
+            this._finish(delivery, 'failed', status, error);
+            console.warn(`[Webhooks] ❌ ${delivery.event} → ${delivery.url} gave up: ${error}`);
+        }
+    }
+
+    _schedule(delivery, delay) {
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        clearTimeout(this._timers.get(delivery.id));
+        this._timers.set(delivery.id, setTimeout(() => this._attempt(delivery), delay));
+    }
+
+    _finish(delivery, status, responseStatus, error) {
+        delivery.status = status;
+        delivery.responseStatus = responseStatus;
+        delivery.error = error;
+        this._changed(delivery);
+    }
+
+    _changed(delivery) {
+        this.emit('delivery', delivery);
+        this._queueSave();
+    }
+
+    _trimDeliveries() {
+        // Drop the oldest finished deliveries; never drop one that is still retrying
+        while (this.deliveries.length > MAX_DELIVERIES) {
+            let idx = this.deliveries.length - 1;
+            while (idx >= 0 && (this.deliveries[idx].status === 'retrying' || this.deliveries[idx].status === 'pending')) idx--;
+            if (idx < 0) break;
+            this.deliveries.splice(idx, 1);
+        }
+        this._queueSave();
+    }
+
+    _queueSave() {
+        if (this._saveTimer) return;
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null;
+            this._saveDeliveries();
+        }, 1000);
+    }
+
+    _saveDeliveries() {
+        try {
+            fs.writeFileSync(this.deliveriesFile, JSON.stringify(this.deliveries, null, 2), 'utf-8');
+        } catch (err) {
+            console.error('[Webhooks] Failed to save deliveries:', err.message);
+        }
+    }
+
+    stop() {
+        for (const timer of this._timers.values()) clearTimeout(timer);
+        this._timers.clear();
+        if (this._saveTimer) {
+            clearTimeout(this._saveTimer);
+            this._saveTimer = null;
+            this._saveDeliveries();
+        }
+    }
+}
+
+Webhooks.EVENTS = EVENTS;
+Webhooks.sign = sign;
+
+module.exports = Webhooks;
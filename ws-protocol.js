@@ -0,0 +1,84 @@
+/**
+ * WebSocket Protocol
+ * Handshake and topic subscriptions for the dashboard socket, so booth screens,
+ * lighting computers and other third-party clients only receive what they use.
+ *
+ * Client → server:
+ *   { type: 'hello', protocol: 1, client?: 'name', topics?: [...] }
+ *   { type: 'subscribe', topics: [...] }
+ *   { type: 'unsubscribe', topics: [...] }
+ *   { type: 'resync' }                       — see state-sync.js
+ * Server → client:
+ *   { type: 'welcome', data: { protocol, server, topics, subscribed } }
+ *   { type: 'subscribed', data: { topics } }
+ *   { type: 'error', data: { code, message } }
+ *
+ * Clients that never say hello are subscribed to DEFAULT_TOPICS, which is
+ * everything the dashboard has always received.
+ */
+
+const PROTOCOL_VERSION = 1;
+
+const TOPICS = [
+    'deck:1', 'deck:2', 'deck:3', 'deck:4',
+    'mixer', 'device', 'beat', 'notifications', 'history',
+    'setlist', 'nowPlaying', 'statemap', 'webhooks',
+];
+// The StateMap stream is only useful while the inspector is open
+const DEFAULT_TOPICS = TOPICS.filter(t => t !== 'statemap');
+// Delivery payloads and errors are for admins only (see access-control.js)
+const ADMIN_TOPICS = ['webhooks'];
+
+// Message type → topic. Types not listed (info, modeChanged, replay, ...) go to every client.
+const MESSAGE_TOPICS = {
+    beat: 'beat',
+    notification: 'notifications',
+    history: 'history',
+    deviceReady: 'device',
+    setlist: 'setlist',
+    nowPlaying: 'nowPlaying',
+    statemap: 'statemap',
+    webhook: 'webhooks',
+};
+
+function topicForMessage(type) {
+    return MESSAGE_TOPICS[type] || null;
+}
+
+function topicsForRole(topics, role) {
+    return role === 'admin' ? topics : topics.filter(t => !ADMIN_TOPICS.includes(t));
+}
+
+/**
+ * Split a client-supplied topic list into known, unknown and (for viewers) forbidden topics.
+ * '*' stands for every topic the role may see, 'deck:*' for all four decks.
+ */
+function parseTopics(list, role = 'admin') {
+    const valid = new Set();
+    const unknown = [];
+    const forbidden = [];
+    for (const topic of Array.isArray(list) ? list : [list]) {
+        if (topic === '*') topicsForRole(TOPICS, role).forEach(t => valid.add(t));
+        else if (topic === 'deck:*') TOPICS.filter(t => t.startsWith('deck:')).forEach(t => valid.add(t));
+        else if (!TOPICS.includes(topic)) unknown.push(String(topic));
+        else if (!topicsForRole([topic], role).length) forbidden.push(topic);
+        else valid.add(topic);
+    }
+    return { valid: Array.from(valid), unknown, forbidden };
+}
+
+/**
+ * State path filter for state-sync.js: true keeps the subtree, false drops it,
+ * null looks one level deeper.
+ */
+function stateFilter(topics) {
+    return (path) => {
+        const [, root, key] = path.split('/');
+        if (root === 'decks') return key === undefined ? null : topics.has(`deck:${key}`);
+        if (root === 'mixer') return topics.has('mixer');
+        if (root === 'device' || root === 'devices') return topics.has('device');
+        return true;
+    };
+}
+
+module.exports = { PROTOCOL_VERSION, TOPICS, DEFAULT_TOPICS, ADMIN_TOPICS, topicForMessage, topicsForRole, parseTopics, stateFilter };